@@ -1,17 +1,26 @@
 import express from "express"
 import cookieParser from "cookie-parser"
+import { auditTrail } from "./middlewares/audit.middleware.js"
 // import cors from "cors"
 
 const app = express()
 
 // Middleware
-app.use(express.json({ limit: '16kb' }))
+app.use(express.json({
+    limit: '16kb',
+    // Payment webhooks are verified against the exact bytes received
+    verify: (req, res, buf) => {
+        req.rawBody = buf
+    }
+}))
 app.use(express.urlencoded({
     extended: true,
     limit: "16kb",
 }))
 app.use(express.static("public"))
 app.use(cookieParser())
+// Mutating requests by staff, partners and dealers go to the audit log
+app.use(auditTrail)
 
 // CORS Configuration (commented out for now)
 // const allowedOrigins = process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(",") : [];
@@ -35,6 +44,20 @@ import partBookingRouter from "./routes/partBookingRoutes.js"
 import adminRouter from "./routes/adminRoutes.js"
 import technicianRouter from "./routes/technicianRoutes.js"
 import serviceRouter from "./routes/serviceRoutes.js"
+import notificationRouter from "./routes/notificationRoutes.js"
+import realtimeRouter from "./routes/realtimeRoutes.js"
+import paymentRouter from "./routes/paymentRoutes.js"
+import couponRouter from "./routes/couponRoutes.js"
+import subscriptionPlanRouter from "./routes/subscriptionPlanRoutes.js"
+import maintenanceContractRouter from "./routes/maintenanceContractRoutes.js"
+import technicianLeaveRouter from "./routes/technicianLeaveRoutes.js"
+import holidayRouter from "./routes/holidayRoutes.js"
+import commissionRuleRouter from "./routes/commissionRuleRoutes.js"
+import payoutRouter from "./routes/payoutRoutes.js"
+import cashCollectionRouter from "./routes/cashCollectionRoutes.js"
+import partnerRouter from "./routes/partnerRoutes.js"
+import permissionRouter from "./routes/permissionRoutes.js"
+import auditLogRouter from "./routes/auditLogRoutes.js"
 // import healthcheckRouter from "./routes/healthcheck.routes.js"
 
 // Routes declaration
@@ -45,6 +68,20 @@ app.use("/api/v1/bookings", bookingRouter)
 app.use("/api/v1/services", serviceRouter)
 app.use("/api/v1/admin", adminRouter)
 app.use("/api/v1/technicians", technicianRouter)
+app.use("/api/v1/notifications", notificationRouter)
+app.use("/api/v1/events", realtimeRouter)
+app.use("/api/v1/payments", paymentRouter)
+app.use("/api/v1/coupons", couponRouter)
+app.use("/api/v1/subscription-plans", subscriptionPlanRouter)
+app.use("/api/v1/maintenance-contracts", maintenanceContractRouter)
+app.use("/api/v1/technician-leaves", technicianLeaveRouter)
+app.use("/api/v1/holidays", holidayRouter)
+app.use("/api/v1/commission-rules", commissionRuleRouter)
+app.use("/api/v1/payouts", payoutRouter)
+app.use("/api/v1/cash-collections", cashCollectionRouter)
+app.use("/api/v1/partners", partnerRouter)
+app.use("/api/v1/permissions", permissionRouter)
+app.use("/api/v1/audit-logs", auditLogRouter)
 // app.use("/api/v1/healthcheck", healthcheckRouter)
 
 // http://localhost:5000/api/v1/users/register
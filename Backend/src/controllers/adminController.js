@@ -7,14 +7,19 @@ import { ApiError } from '../utils/ApiErrors.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { uploadOnCloudinary } from '../utils/cloudinary.js';
 import { cleanupTempFile } from '../utils/CleanupFile.js';
+import { listJobs, runJobNow } from '../services/jobScheduler.service.js';
+import { notify } from '../services/notification.service.js';
+import { creditWallet } from '../services/wallet.service.js';
+import { getEarningsTotals } from '../services/technicianLedger.service.js';
+import { auditChange } from '../services/audit.service.js';
 
 // Statistics
 export const getDashboardStats = asyncHandler(async (req, res) => {
     // Get total users count (excluding admins)
-    const totalUsers = await User.countDocuments({ role: 'user' });
+    const totalUsers = await User.countDocuments({ role: 'User' });
 
     // Get total technicians
-    const totalTechnicians = await User.countDocuments({ role: 'technician' });
+    const totalTechnicians = await User.countDocuments({ role: 'Technician' });
 
     // Get total bookings count
     const totalBookings = await Booking.countDocuments();
@@ -75,7 +80,7 @@ export const getSystemAnalytics = asyncHandler(async (req, res) => {
     const userSignups = await User.aggregate([
         {
             $match: {
-                role: 'user',
+                role: 'User',
                 createdAt: { $gte: startDate }
             }
         },
@@ -131,14 +136,14 @@ export const getSystemAnalytics = asyncHandler(async (req, res) => {
         {
             $match: {
                 status: 'completed',
-                technician: { $exists: true, $ne: null },
+                assigned_technician: { $exists: true, $ne: null },
                 completedAt: { $gte: startDate }
             }
         },
         {
             $lookup: {
                 from: 'users',
-                localField: 'technician',
+                localField: 'assigned_technician',
                 foreignField: '_id',
                 as: 'technicianInfo'
             }
@@ -146,17 +151,22 @@ export const getSystemAnalytics = asyncHandler(async (req, res) => {
         { $unwind: '$technicianInfo' },
         {
             $group: {
-                _id: '$technician',
+                _id: '$assigned_technician',
                 name: { $first: { $concat: ["$technicianInfo.name.first", " ", { $ifNull: ["$technicianInfo.name.last", ""] }] } },
                 totalJobs: { $sum: 1 },
-                avgRating: { $avg: "$rating" },
-                totalEarnings: { $sum: { $multiply: ["$totalAmount", 0.7] } } // Assuming 70% goes to technician
+                avgRating: { $avg: "$rating" }
             }
         },
         { $sort: { totalJobs: -1 } },
         { $limit: 10 }
     ]);
 
+    // What they earned comes from their ledgers
+    const earnings = await getEarningsTotals(technicianPerformance.map(technician => technician._id), { from: startDate });
+    technicianPerformance.forEach(technician => {
+        technician.totalEarnings = earnings.get(technician._id.toString()) || 0;
+    });
+
     res.status(200).json(
         new ApiResponse(200, {
             userSignups,
@@ -184,6 +194,11 @@ export const updateUserStatus = asyncHandler(async (req, res) => {
         throw new ApiError(400, 'Invalid registration status. Must be one of: ' + validStatuses.join(', '));
     }
 
+    const previous = await User.findById(userId).select('registration_status').lean();
+    if (!previous) {
+        throw new ApiError(404, 'User not found');
+    }
+
     const user = await User.findByIdAndUpdate(
         userId,
         { registration_status },
@@ -194,6 +209,14 @@ export const updateUserStatus = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'User not found');
     }
 
+    auditChange(res, {
+        action: 'user.registration_status',
+        targetType: 'User',
+        targetId: user._id,
+        before: { registration_status: previous.registration_status },
+        after: { registration_status: user.registration_status }
+    });
+
     res.status(200).json(
         new ApiResponse(200, user, 'User registration status updated successfully')
     );
@@ -211,6 +234,11 @@ export const updateTechnicianStatus = asyncHandler(async (req, res) => {
         throw new ApiError(400, 'Invalid registration status. Must be one of: ' + validStatuses.join(', '));
     }
 
+    const previous = await Technician.findById(technicianId).select('registration_status').lean();
+    if (!previous) {
+        throw new ApiError(404, 'Technician not found');
+    }
+
     const technician = await Technician.findByIdAndUpdate(
         technicianId,
         { registration_status },
@@ -221,7 +249,66 @@ export const updateTechnicianStatus = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Technician not found');
     }
 
+    auditChange(res, {
+        action: 'technician.registration_status',
+        targetType: 'Technician',
+        targetId: technician._id,
+        before: { registration_status: previous.registration_status },
+        after: { registration_status: technician.registration_status }
+    });
+
+    await notify(technician._id, 'technician.verification', { status: registration_status });
+
     res.status(200).json(
         new ApiResponse(200, technician, 'Technician status updated successfully')
     );
 });
+
+// Wallets
+
+// Credit a customer's wallet: { amount, category: 'goodwill' | 'cashback' | 'referral', description }
+export const creditUserWallet = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { amount, category = 'goodwill', description } = req.body;
+
+    if (category === 'refund') {
+        throw new ApiError(400, 'Refunds are credited through the booking refund endpoint');
+    }
+
+    const user = await User.findById(userId).select('_id name email phone');
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+
+    const { wallet, transaction } = await creditWallet(user._id, amount, {
+        category,
+        description,
+        createdBy: req.user._id
+    });
+    notify(user, 'wallet.credited', { transaction });
+
+    res.status(201).json(
+        new ApiResponse(201, { balance: wallet.balance, transaction }, 'Wallet credited successfully')
+    );
+});
+
+// Background Jobs
+
+// List scheduled jobs with their lock and recent runs
+export const getJobs = asyncHandler(async (req, res) => {
+    const jobs = await listJobs();
+
+    res.status(200).json(
+        new ApiResponse(200, jobs, 'Jobs retrieved successfully')
+    );
+});
+
+// Run a job right away
+export const runJob = asyncHandler(async (req, res) => {
+    const job = await runJobNow(req.params.name, req.user);
+    const run = job.runs[job.runs.length - 1];
+
+    res.status(200).json(
+        new ApiResponse(200, job, run.status === 'succeeded' ? 'Job ran successfully' : `Job failed: ${run.error}`)
+    );
+});
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { AuditLog } from '../models/AuditLog.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { exportAuditLogs, searchAuditLogs, verifyAuditChain } from '../services/audit.service.js';
+
+const FILTERS = ['actor', 'role', 'action', 'targetType', 'targetId', 'method', 'status', 'search', 'from', 'to'];
+
+const filtersOf = (query) =>
+    Object.fromEntries(FILTERS.filter((filter) => query[filter]).map((filter) => [filter, query[filter]]));
+
+// Search the audit log (?actor=&role=&action=&targetType=&targetId=&method=&status=success|failure&search=&from=&to=&page=&limit=)
+const getAuditLogs = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const result = await searchAuditLogs(filtersOf(req.query), { page, limit });
+
+    return res.status(200).json(
+        new ApiResponse(200, result, 'Audit log retrieved successfully')
+    );
+});
+
+// Entries matching the same filters as CSV
+const exportAuditLogsCsv = asyncHandler(async (req, res) => {
+    const { csv, count, truncated } = await exportAuditLogs(filtersOf(req.query));
+
+    res.set({
+        'Content-Type': 'text/csv',
+        'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`,
+        'X-Audit-Entries': String(count),
+        'X-Audit-Truncated': String(truncated)
+    });
+    return res.status(200).send(csv);
+});
+
+// Check the hash chain has not been tampered with
+const verifyAuditLogChain = asyncHandler(async (req, res) => {
+    const result = await verifyAuditChain();
+
+    return res.status(200).json(
+        new ApiResponse(200, result, result.valid ? 'Audit log chain is intact' : 'Audit log chain is broken')
+    );
+});
+
+// A single entry
+const getAuditLogById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid audit log entry ID');
+    }
+
+    const entry = await AuditLog.findById(id).populate('actor', 'name email phone role').lean();
+    if (!entry) {
+        throw new ApiError(404, 'Audit log entry not found');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, entry, 'Audit log entry retrieved successfully')
+    );
+});
+
+export {
+    getAuditLogs,
+    exportAuditLogsCsv,
+    verifyAuditLogChain,
+    getAuditLogById
+};
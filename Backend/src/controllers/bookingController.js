@@ -1,45 +1,132 @@
 import mongoose from 'mongoose';
 import { Booking } from '../models/Booking.model.js';
 import { BulkBooking } from '../models/BulkBooking.model.js';
+import { Invoice } from '../models/Invoice.model.js';
 import { User } from '../models/User.model.js';
+import { Technician } from '../models/Technician.model.js';
 import OTP, { generateOTP } from '../models/OTP.model.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiErrors.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
-import { isAdminOrManager } from '../middlewares/role.middleware.js';
-import { uploadOnCloudinary, deleteFromCloudinary } from '../utils/cloudinary.js';
-import fs from 'fs';
+import { uploadOnCloudinary } from '../utils/cloudinary.js';
+import {
+    applyTransition,
+    assertStatusRouteTransition,
+    assertTransition,
+    saveBooking,
+    transitionBooking
+} from '../services/bookingLifecycle.service.js';
+import { notify } from '../services/notification.service.js';
+import {
+    getLiveLocation,
+    parseCoordinates,
+    recordLocationPing
+} from '../services/technicianLocation.service.js';
+import { checkArrival, recordArrivalException } from '../services/geofence.service.js';
+import { cleanupTempFile } from '../utils/CleanupFile.js';
+import {
+    assertSlotAvailable,
+    getAvailableSlots as findAvailableSlots
+} from '../services/slotAvailability.service.js';
+import { rankCandidates } from '../services/technicianAssignment.service.js';
+import { offerBooking, rankOfferCandidates } from '../services/assignmentOffer.service.js';
+import { quoteBooking, roundAmount } from '../services/pricing.service.js';
+import { createInvoiceForBooking, renderInvoicePdf } from '../services/invoice.service.js';
+import { getCancellationTerms } from '../services/cancellationPolicy.service.js';
+import { placeBooking } from '../services/bookingCreation.service.js';
+import {
+    cancelOccurrences,
+    createBookingSeries,
+    rescheduleOccurrences,
+    summarizeSeries
+} from '../services/bookingSeries.service.js';
+import { BookingSeries } from '../models/BookingSeries.model.js';
+import { recordCashCollection } from '../services/cashCollection.service.js';
+import { getPartnerTechnicianIds, partnerBookingsQuery } from '../services/partner.service.js';
+import { getAmountPaid } from '../services/payment.service.js';
+import { auditChange } from '../services/audit.service.js';
+
+// Statuses in which the assigned technician may replace their arrival selfie
+const SELFIE_STATUSES = ['reached', 'otp_pending', 'in_progress'];
+
+// Technicians a booking may be handed to under a scoped grant: only those of the user's partner
+const isTechnicianInScope = (req, technician) =>
+    req.permission.scope === 'any'
+    || (Boolean(req.user.partner) && technician.partner?.toString() === req.user.partner.toString());
+
+// Partner whose roster a scoped dispatcher picks technicians from, none for 'any'
+const rosterOf = (req) => {
+    if (req.permission.scope === 'any') return undefined;
+    if (!req.user.partner) {
+        throw new ApiError(403, 'Only partner accounts can assign from a roster');
+    }
+    return req.user.partner;
+};
+
+// Narrow a booking query to a scoped grant: bookings the user placed or serves, or their partner's
+const scopeBookingQuery = async (req, query) => {
+    const { scope } = req.permission;
+    if (scope === 'any') return query;
 
-// Generate a unique booking ID
-const generateBookingId = () => {
-    return `BK${Date.now().toString().slice(-8)}`;
+    const reach = scope === 'own'
+        ? { $or: [{ user: req.user._id }, { assigned_technician: req.user._id }] }
+        : partnerBookingsQuery(req.user.partner, await getPartnerTechnicianIds(req.user.partner));
+    return { $and: [reach, query] };
 };
 
 // Create a new booking
 const createBooking = asyncHandler(async (req, res) => {
     const userId = req.user._id;
-    const { services, address, scheduleDate, preferredTimeSlot, notes } = req.body;
+    const {
+        services,
+        parts,
+        couponCode,
+        paymentMethod,
+        address,
+        scheduleDate,
+        preferredTimeSlot,
+        notes,
+        recurrence
+    } = req.body;
 
     // Validate required fields
     if (!services || !Array.isArray(services) || services.length === 0) {
         throw new ApiError(400, 'At least one service is required');
     }
 
-    // Create new booking
-    const booking = await Booking.create({
-        bookingId: generateBookingId(),
-        user: userId,
-        services,
+    // Prices come from the catalog, not from the request
+    const quote = await quoteBooking({ userId, services, parts, couponCode });
+    const payment = {
+        method: paymentMethod || 'online',
+        advancePayment: { amount: quote.pricing.advancePayment }
+    };
+
+    // A recurrence books the whole series, one booking per occurrence
+    if (recurrence) {
+        const { series, bookings } = await createBookingSeries({
+            userId,
+            quote,
+            recurrence,
+            address,
+            scheduleDate,
+            preferredTimeSlot,
+            notes,
+            payment
+        });
+
+        return res.status(201).json(
+            new ApiResponse(201, { series, bookings }, `Recurring booking created with ${bookings.length} occurrences`)
+        );
+    }
+
+    const booking = await placeBooking({
+        userId,
+        quote,
         address,
         scheduleDate,
         preferredTimeSlot,
         notes,
-        status: 'pending',
-        statusHistory: [{
-            status: 'pending',
-            changedAt: new Date(),
-            changedBy: userId
-        }]
+        payment
     });
 
     // Populate the created booking with user details
@@ -52,29 +139,37 @@ const createBooking = asyncHandler(async (req, res) => {
     );
 });
 
+// Preview the price breakdown of a booking before placing it
+const getBookingQuote = asyncHandler(async (req, res) => {
+    const { services, parts, couponCode } = req.body;
+
+    const quote = await quoteBooking({ userId: req.user._id, services, parts, couponCode });
+
+    return res.status(200).json(
+        new ApiResponse(200, quote, 'Booking quote calculated successfully')
+    );
+});
+
+// Get bookable time slots for a service at a pincode
+const getAvailableSlots = asyncHandler(async (req, res) => {
+    const { serviceId, pincode, date } = req.query;
+
+    const slots = await findAvailableSlots({ serviceIds: serviceId, pincode, date });
+
+    return res.status(200).json(
+        new ApiResponse(200, { date, pincode, slots }, 'Available slots retrieved successfully')
+    );
+});
+
 // Get all bookings with filters
 const getAllBookings = asyncHandler(async (req, res) => {
     const { status, startDate, endDate, userId, technicianId } = req.query;
-    const user = req.user;
 
-    // Build query
+    // Build query from the filters
     const query = {};
-
-    // Apply role-based filtering
-    if (user.role === 'user') {
-        query.user = user._id;
-    } else if (user.role === 'technician') {
-        query.assigned_technician = user._id;
-    }
-
-    // Apply filters
     if (status) query.status = status;
-    if (userId && (user.role === 'admin' || user.role === 'manager')) {
-        query.user = userId;
-    }
-    if (technicianId && (user.role === 'admin' || user.role === 'manager')) {
-        query.assigned_technician = technicianId;
-    }
+    if (userId) query.user = userId;
+    if (technicianId) query.assigned_technician = technicianId;
     if (startDate && endDate) {
         query.scheduleDate = {
             $gte: new Date(startDate),
@@ -87,15 +182,17 @@ const getAllBookings = asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    const scoped = await scopeBookingQuery(req, query);
+
     const [bookings, total] = await Promise.all([
-        Booking.find(query)
+        Booking.find(scoped)
             .populate('user', 'name email phone')
             .populate('assigned_technician', 'name phone')
             .populate('services.serviceId', 'name price')
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit),
-        Booking.countDocuments(query)
+        Booking.countDocuments(scoped)
     ]);
 
     return res.status(200).json(
@@ -111,15 +208,9 @@ const getAllBookings = asyncHandler(async (req, res) => {
 // Get booking by ID
 const getBookingById = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const userId = req.user._id;
 
-    const booking = await Booking.findOne({
-        _id: id,
-        $or: [
-            { user: userId },
-            { assigned_technician: userId }
-        ]
-    }).populate([
+    // Whether the user may see it was checked against their booking:read scope
+    const booking = await Booking.findById(id).populate([
         { path: 'user', select: 'name email phone' },
         { path: 'assigned_technician', select: 'name phone' },
         { path: 'services.serviceId', select: 'name description' },
@@ -138,76 +229,41 @@ const getBookingById = asyncHandler(async (req, res) => {
 // Update booking
 const updateBookingById = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { status, assigned_technician, scheduleDate, notes } = req.body;
+    const { status, assigned_technician, notes, reason } = req.body;
     const user = req.user;
 
+    // Moving a booking goes through the reschedule transition and its slot capacity check
+    if (req.body.scheduleDate !== undefined || req.body.preferredTimeSlot !== undefined) {
+        throw new ApiError(400, 'Use PATCH /api/v1/bookings/:id/reschedule to change the date or time slot');
+    }
+
     // Find booking
     const booking = await Booking.findById(id);
     if (!booking) {
         throw new ApiError(404, 'Booking not found');
     }
 
-    // Check permission
-    if (!isAdminOrManager(User, user._id)) {
-        throw new ApiError(403, 'Not authorized to update this booking');
+    // Update notes if provided
+    if (notes !== undefined) {
+        booking.notes = notes;
     }
 
-    // Prepare update
-    const updateData = {};
-    const statusUpdate = {};
-
-    // Only admin can change technician
-    if (assigned_technician && user.role === 'admin' || user.role === 'manager' || user.role === 'partner') {
-        const technician = await User.findById(assigned_technician);
-        if (!technician || technician.role !== 'technician') {
+    // Assigning a technician makes them a time-boxed offer, like the assign endpoint
+    if (assigned_technician) {
+        const technician = await Technician.findById(assigned_technician);
+        if (!technician || !isTechnicianInScope(req, technician)) {
             throw new ApiError(400, 'Invalid technician ID');
         }
-        updateData.assigned_technician = assigned_technician;
-        statusUpdate.status = 'assigned';
+        await offerBooking(booking, technician, { actor: user, assignmentType: 'manual' });
     }
 
     // Update status if provided
-    if (status) {
-        const validStatuses = ['pending', 'confirmed', 'assigned', 'in_progress', 'completed', 'cancelled'];
-        if (!validStatuses.includes(status)) {
-            throw new ApiError(400, 'Invalid status');
-        }
-        statusUpdate.status = status;
-        statusUpdate.changedAt = new Date();
-        statusUpdate.changedBy = user._id;
-        statusUpdate.note = `Status changed to ${status}`;
-    }
-
-    // Update schedule date if provided
-    if (scheduleDate) {
-        updateData.scheduleDate = new Date(scheduleDate);
-        updateData.$push = {
-            statusHistory: {
-                status: 'rescheduled',
-                changedAt: new Date(),
-                changedBy: user._id,
-                note: `Your booking Rescheduled to ${new Date(scheduleDate).toLocaleDateString()}`
-            }
-        };
-    }
-
-    // Update notes if provided
-    if (notes !== undefined) {
-        updateData.notes = notes;
-    }
-
-    // Apply updates
-    if (Object.keys(updateData).length > 0) {
-        await Booking.findByIdAndUpdate(id, updateData);
+    if (status && status !== booking.status) {
+        assertStatusRouteTransition(booking, status, { actor: user, reason });
+        applyTransition(booking, status, { actor: user, reason, note: reason });
     }
 
-    // Update status if changed
-    if (statusUpdate.status) {
-        await Booking.findByIdAndUpdate(id, {
-            status: statusUpdate.status,
-            $push: { statusHistory: statusUpdate }
-        });
-    }
+    await saveBooking(booking);
 
     // Get updated booking
     const updatedBooking = await Booking.findById(id)
@@ -224,36 +280,38 @@ const updateBookingById = asyncHandler(async (req, res) => {
 const cancelBooking = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { reason } = req.body;
-    const userId = req.user._id;
 
-    if (!reason) {
-        throw new ApiError(400, 'Cancellation reason is required');
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
     }
 
-    const booking = await Booking.findOne({
-        _id: id,
-        user: userId,
-        status: { $in: ['pending', 'cancelled', 'confirmed'] }
-    });
+    assertTransition(booking, 'cancelled', { actor: req.user, reason });
+    // Refunds are issued once the cancellation is saved, see cancellationPolicy.service
+    const cancellation = await getCancellationTerms(booking, req.user);
 
+    await transitionBooking(booking, 'cancelled', { actor: req.user, reason });
+
+    return res.status(200).json(
+        new ApiResponse(200, { cancellation }, 'Booking cancelled successfully')
+    );
+});
+
+// Preview the fee and refund for cancelling a booking now
+const getCancellationQuote = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id);
     if (!booking) {
-        throw new ApiError(404, 'Booking not found or cannot be cancelled');
+        throw new ApiError(404, 'Booking not found');
     }
 
-    // Update booking status
-    booking.status = 'cancelled';
-    booking.cancellationReason = reason;
-    booking.statusHistory.push({
-        status: 'cancelled',
-        changedAt: new Date(),
-        changedBy: userId,
-        note: `Booking cancelled. Reason: ${reason}`
-    });
-
-    await booking.save();
+    assertTransition(booking, 'cancelled', { actor: req.user, reason: 'preview' });
+    const cancellation = await getCancellationTerms(booking, req.user);
 
     return res.status(200).json(
-        new ApiResponse(200, null, 'Booking cancelled successfully')
+        new ApiResponse(200, cancellation, 'Cancellation terms calculated successfully')
     );
 });
 
@@ -261,82 +319,105 @@ const cancelBooking = asyncHandler(async (req, res) => {
 const deleteBookingById = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    // Only allow admins to delete bookings
-    if (req.user.role !== 'admin' || req.user.role !== 'manager') {
-        throw new ApiError(403, 'Not authorized to delete bookings');
-    }
-
     const booking = await Booking.findByIdAndDelete(id);
 
     if (!booking) {
         throw new ApiError(404, 'Booking not found');
     }
 
+    auditChange(res, {
+        action: 'booking.delete',
+        targetType: 'Booking',
+        targetId: booking._id,
+        before: {
+            bookingId: booking.bookingId,
+            status: booking.status,
+            user: booking.user,
+            assigned_technician: booking.assigned_technician,
+            finalAmount: booking.finalAmount,
+            scheduleDate: booking.scheduleDate
+        },
+        after: null
+    });
+
     return res.status(200).json(
         new ApiResponse(200, null, 'Booking deleted successfully')
     );
 });
 
-// Get user bookings
+// Get user bookings, a recurring series counting as one item
 const getUserBookings = asyncHandler(async (req, res) => {
-    const { status, page = 1, limit = 10 } = req.query;
-    const userId = req.user._id;
+    const { status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
 
-    const query = { user: userId };
+    const query = { user: req.user._id };
     if (status) {
         query.status = status;
     }
 
-    const options = {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        sort: { createdAt: -1 },
-        populate: [
-            { path: 'user', select: 'name email phone' },
-            { path: 'assigned_technician', select: 'name phone' },
-            { path: 'services.serviceId', select: 'name description' }
-        ]
-    };
+    const [{ items, total }] = await Booking.aggregate([
+        { $match: query },
+        { $sort: { createdAt: -1 } },
+        {
+            $group: {
+                _id: { $ifNull: ['$series', '$_id'] },
+                series: { $first: '$series' },
+                createdAt: { $first: '$createdAt' }
+            }
+        },
+        { $sort: { createdAt: -1, _id: -1 } },
+        {
+            $facet: {
+                items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+                total: [{ $count: 'count' }]
+            }
+        },
+        { $project: { items: 1, total: { $ifNull: [{ $arrayElemAt: ['$total.count', 0] }, 0] } } }
+    ]);
 
-    const bookings = await Booking.paginate(query, options);
+    const seriesIds = items.filter(item => item.series).map(item => item.series);
+    const [bookings, seriesSummaries] = await Promise.all([
+        Booking.find({ _id: { $in: items.filter(item => !item.series).map(item => item._id) } })
+            .populate('user', 'name email phone')
+            .populate('assigned_technician', 'name phone')
+            .populate('services.serviceId', 'name description')
+            .lean(),
+        summarizeSeries(seriesIds)
+    ]);
+    const bookingsById = new Map(bookings.map(booking => [booking._id.toString(), booking]));
 
     return res.status(200).json(
-        new ApiResponse(200, bookings, 'Bookings retrieved successfully')
+        new ApiResponse(200, {
+            bookings: items.map(item => item.series
+                ? { type: 'series', series: seriesSummaries.get(item.series.toString()) }
+                : { type: 'booking', booking: bookingsById.get(item._id.toString()) }),
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Bookings retrieved successfully')
     );
 });
 
 // Update booking status
 const updateBookingStatus = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { status, note } = req.body;
-    const userId = req.user._id;
-
-    const booking = await Booking.findById(id);
-    if (!booking) {
-        throw new ApiError(404, 'Booking not found');
-    }
+    const { status, note, reason } = req.body;
 
     if (!status) {
         throw new ApiError(400, 'Status is required');
     }
 
-    // Validate if user has permission to update status
-    if (booking.user.toString() !== userId.toString() &&
-        booking.assigned_technician?.toString() !== userId.toString()) {
-        throw new ApiError(403, 'Not authorized to update this booking');
+    const booking = await Booking.findById(id);
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
     }
 
-    // Add status to history
-    booking.statusHistory.push({
-        status,
-        changedAt: new Date(),
-        changedBy: userId,
-        note: note || `Status changed to ${status}`
-    });
-
-    // Update status
-    booking.status = status;
-    await booking.save();
+    assertStatusRouteTransition(booking, status, { actor: req.user, reason });
+    await transitionBooking(booking, status, { actor: req.user, note, reason });
 
     return res.status(200).json(
         new ApiResponse(200, booking, 'Booking status updated successfully')
@@ -348,18 +429,11 @@ const updateBookingStatus = asyncHandler(async (req, res) => {
 // Assign technician to a booking (manual or auto-assign)
 const assignTechnicianToBooking = asyncHandler(async (req, res) => {
     const { id: bookingId } = req.params;
-    const { technicianId, forceAssign = false } = req.body;
-    const { _id: userId, role } = req.user;
-
-    // Check if user has permission
-    if (!['admin', 'manager', 'partner'].includes(role)) {
-        throw new ApiError(403, 'Only admin, manager, or partner can assign technicians');
-    }
+    const { technicianId, forceAssign = false, weights } = req.body;
 
     // Find the booking with service details
     const booking = await Booking.findById(bookingId)
-        .populate('services.serviceId', 'category skillsRequired')
-        .populate('user', 'location');
+        .populate('services.serviceId', 'name category');
 
     if (!booking) {
         throw new ApiError(404, 'Booking not found');
@@ -371,19 +445,21 @@ const assignTechnicianToBooking = asyncHandler(async (req, res) => {
     }
 
     let technician;
-    const Technician = User.discriminator('Technician');
+    let ranking = null;
 
     // Manual assignment
     if (technicianId) {
         technician = await Technician.findOne({
             _id: technicianId,
-            status: 'active',
-            isOnline: true
+            isActive: true
         });
 
         if (!technician) {
             throw new ApiError(404, 'Technician not found or not available');
         }
+        if (!isTechnicianInScope(req, technician)) {
+            throw new ApiError(403, 'You can only assign your partner\'s technicians');
+        }
 
         // Check technician's current workload
         const currentWorkload = await Booking.countDocuments({
@@ -394,185 +470,36 @@ const assignTechnicianToBooking = asyncHandler(async (req, res) => {
         if (currentWorkload >= technician.maxWorkload) {
             throw new ApiError(400, 'Technician has reached maximum workload');
         }
-
-        // Check if technician has the required skills
-        const requiredSkills = booking.services.flatMap(s => s.serviceId.skillsRequired || []);
-        if (requiredSkills.length > 0 && technician.skills) {
-            const hasRequiredSkills = requiredSkills.every(skill =>
-                technician.skills.includes(skill)
-            );
-            if (!hasRequiredSkills) {
-                throw new ApiError(400, 'Technician does not have all the required skills for this booking');
-            }
-        }
     }
-    // Auto-assignment
+    // Auto-assignment against the booking's scheduled slot, skipping technicians already offered it
     else {
-        // Get current time for availability check
-        const now = new Date();
-        const currentDay = now.toLocaleString('en-US', { weekday: 'lowercase' });
-        const currentTime = now.getHours() * 100 + now.getMinutes();
-
-        // Find available technicians with required skills
-        const availableTechs = await Technician.aggregate([
-            // Match active, online technicians
-            {
-                $match: {
-                    status: 'active',
-                    isOnline: true,
-                    $or: [
-                        { 'services': { $in: booking.services.map(s => s.serviceId._id) } },
-                        { 'services': { $size: 0 } } // Include techs with no specific services
-                    ]
-                }
-            },
-            // Add current workload
-            {
-                $lookup: {
-                    from: 'bookings',
-                    let: { techId: '$_id' },
-                    pipeline: [
-                        {
-                            $match: {
-                                $expr: {
-                                    $and: [
-                                        { $eq: ['$assigned_technician', '$$techId'] },
-                                        { $in: ['$status', ['assigned', 'in_progress']] }
-                                    ]
-                                }
-                            }
-                        },
-                        { $count: 'count' }
-                    ],
-                    as: 'currentWorkload'
-                }
-            },
-            // Add fields for matching
-            {
-                $addFields: {
-                    currentWorkload: { $arrayElemAt: ['$currentWorkload.count', 0] },
-                    // Calculate if currently in working hours
-                    isWorkingNow: {
-                        $let: {
-                            vars: {
-                                workingHours: { $ifNull: [`$availability.workingHours.${currentDay}`, { available: false }] }
-                            },
-                            in: {
-                                $and: [
-                                    { $eq: ['$$workingHours.available', true] },
-                                    {
-                                        $ifNull: [
-                                            {
-                                                $and: [
-                                                    { $gte: [currentTime, { $toInt: { $substr: ['$$workingHours.start', 0, 2] } }] },
-                                                    { $lte: [currentTime, { $toInt: { $substr: ['$$workingHours.end', 0, 2] } }] }
-                                                ]
-                                            },
-                                            false
-                                        ]
-                                    }
-                                ]
-                            }
-                        }
-                    },
-                    // Calculate skill match score
-                    skillMatchScore: {
-                        $size: {
-                            $setIntersection: [
-                                '$services',
-                                booking.services.map(s => s.serviceId._id.toString())
-                            ]
-                        }
-                    }
-                }
-            },
-            // Filter by availability and workload
-            {
-                $match: {
-                    $expr: {
-                        $and: [
-                            { $lt: [{ $ifNull: ['$currentWorkload', 0] }, '$maxWorkload'] },
-                            { $eq: ['$isWorkingNow', true] }
-                        ]
-                    }
-                }
-            },
-            // Calculate proximity score if booking has location
-            ...(booking.user?.location?.coordinates ? [
-                {
-                    $geoNear: {
-                        near: {
-                            type: 'Point',
-                            coordinates: booking.user.location.coordinates
-                        },
-                        distanceField: 'distance',
-                        spherical: true,
-                        maxDistance: 10000, // 10km radius
-                        query: {}
-                    }
-                }
-            ] : []),
-            // Sort by best match
-            {
-                $sort: {
-                    skillMatchScore: -1,
-                    distance: 1,
-                    currentWorkload: 1,
-                    averageRating: -1
-                }
-            },
-            // Limit results
-            { $limit: 5 }
-        ]);
+        const { candidates } = await rankOfferCandidates(booking, { weights, partner: rosterOf(req) });
 
-        if (availableTechs.length === 0) {
+        if (candidates.length === 0) {
             throw new ApiError(404, 'No available technicians matching the criteria');
         }
 
         // Get the best match
-        technician = availableTechs[0];
+        ranking = candidates[0];
+        technician = await Technician.findById(ranking.technician._id);
     }
 
-    // Update the booking
-    booking.assigned_technician = technician._id;
-    booking.status = 'assigned';
-
-    // Add to status history
-    booking.statusHistory.push({
-        status: 'assigned',
-        changedAt: new Date(),
-        changedBy: userId,
-        note: `Technician ${technician.name.first} ${technician.name.last} assigned`,
-        metadata: {
-            assignmentType: technicianId ? 'manual' : 'auto',
-            assignedBy: userId,
-            assignedAt: new Date(),
-            distance: technician.distance ? `${(technician.distance / 1000).toFixed(2)} km` : null
-        }
-    });
-
-    await booking.save();
-
-    // Update technician's status if needed
-    await Technician.findByIdAndUpdate(technician._id, {
-        $set: { 'availability.status': 'busy' },
-        $push: {
-            'notes': {
-                note: `Assigned to booking #${booking.bookingId || booking._id}`,
-                createdBy: userId,
-                isInternal: true
-            }
-        }
+    // The technician gets a time-boxed offer; declines and timeouts cascade to the next candidate
+    await offerBooking(booking, technician, {
+        actor: req.user,
+        assignmentType: technicianId ? 'manual' : 'auto',
+        ranking,
+        rank: ranking ? 1 : undefined
     });
 
     // Populate the response
     const updatedBooking = await Booking.findById(booking._id)
         .populate({
             path: 'assigned_technician',
-            select: 'name email phone',
+            select: 'name email phone averageRating totalJobsCompleted',
             transform: (doc) => ({
                 _id: doc._id,
-                name: `${doc.name.first} ${doc.name.last}`,
+                name: `${doc.name.first} ${doc.name.last || ''}`.trim(),
                 email: doc.email,
                 phone: doc.phone,
                 rating: doc.averageRating,
@@ -581,15 +508,36 @@ const assignTechnicianToBooking = asyncHandler(async (req, res) => {
         })
         .populate('services.serviceId', 'name description price');
 
-    // TODO: Send notification to technician about new assignment
-    // await sendNotification(technician._id, {
-    //     title: 'New Assignment',
-    //     body: `You've been assigned to a new booking #${booking.bookingId || booking._id}`,
-    //     data: { bookingId: booking._id.toString() }
-    // });
+    return res.status(200).json(
+        new ApiResponse(200, updatedBooking, 'Booking offered to technician successfully')
+    );
+});
+
+// Dry run of auto-assignment: ranked candidates with a per-factor score breakdown
+const getAssignmentCandidates = asyncHandler(async (req, res) => {
+    const { id: bookingId } = req.params;
+    const { weights, limit } = req.query;
+
+    const booking = await Booking.findById(bookingId)
+        .populate('services.serviceId', 'name category');
+
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
+    }
+
+    const ranking = await rankCandidates(booking, {
+        weights,
+        limit: parseInt(limit) || undefined,
+        partner: rosterOf(req)
+    });
 
     return res.status(200).json(
-        new ApiResponse(200, updatedBooking, 'Technician assigned successfully')
+        new ApiResponse(200, {
+            bookingId: booking._id,
+            scheduleDate: booking.scheduleDate,
+            preferredTimeSlot: booking.preferredTimeSlot,
+            ...ranking
+        }, 'Assignment candidates retrieved successfully')
     );
 });
 
@@ -597,33 +545,34 @@ const assignTechnicianToBooking = asyncHandler(async (req, res) => {
 const markBookingCompleted = asyncHandler(async (req, res) => {
     const { id: bookingId } = req.params;
     const { _id: userId } = req.user;
-    const { notes, feedback, rating } = req.body;
+    const { notes, feedback, rating, cashCollected } = req.body;
 
     // Find the booking
-    const booking = await Booking.findOne({
-        _id: bookingId,
-        assigned_technician: userId,
-        status: { $in: ['assigned', 'in_progress'] }
-    }).populate('services.serviceId', 'name price');
+    const booking = await Booking.findById(bookingId).populate('services.serviceId', 'name price');
 
     if (!booking) {
-        throw new ApiError(404, 'Booking not found or you are not authorized to complete this booking');
+        throw new ApiError(404, 'Booking not found');
+    }
+
+    // Checked before completing so a bad amount does not leave the cash unrecorded
+    if (cashCollected != null) {
+        const amount = roundAmount(Number(cashCollected));
+        const due = roundAmount((booking.finalAmount || 0) - await getAmountPaid(booking._id));
+        if (!(amount > 0)) {
+            throw new ApiError(400, 'Cash collected must be greater than zero');
+        }
+        if (amount > due) {
+            throw new ApiError(400, `Only Rs. ${Math.max(due, 0).toFixed(2)} is due for this booking`);
+        }
     }
 
-    // Update booking status
-    booking.status = 'completed';
-    booking.completedAt = new Date();
-    
     // Calculate total service hours
     const serviceHours = booking.services.reduce((total, service) => {
         return total + (service.duration || 1); // Default to 1 hour if duration not set
     }, 0);
 
-    // Add to status history
-    booking.statusHistory.push({
-        status: 'completed',
-        changedAt: new Date(),
-        changedBy: userId,
+    await transitionBooking(booking, 'completed', {
+        actor: req.user,
         note: 'Service completed by technician',
         metadata: {
             notes,
@@ -633,8 +582,8 @@ const markBookingCompleted = asyncHandler(async (req, res) => {
         }
     });
 
-    // Save the booking
-    await booking.save();
+    // Completion may be recorded by a manager on the technician's behalf
+    const technicianId = booking.assigned_technician;
 
     // Update technician's stats
     const updateData = {
@@ -658,7 +607,7 @@ const markBookingCompleted = asyncHandler(async (req, res) => {
         const ratings = await Booking.aggregate([
             {
                 $match: {
-                    assigned_technician: new mongoose.Types.ObjectId(userId),
+                    assigned_technician: new mongoose.Types.ObjectId(technicianId),
                     'statusHistory.status': 'completed',
                     'statusHistory.metadata.rating': { $exists: true, $gte: 1, $lte: 5 }
                 }
@@ -689,35 +638,41 @@ const markBookingCompleted = asyncHandler(async (req, res) => {
     }
 
     // Update technician
-    await User.findByIdAndUpdate(userId, updateData);
+    await User.findByIdAndUpdate(technicianId, updateData);
+
+    // Settles the balance and leaves the cash owed by the technician
+    if (cashCollected != null) {
+        await recordCashCollection(booking, { amount: cashCollected, actor: req.user });
+    }
 
     // Get the updated booking with populated fields
     const updatedBooking = await Booking.findById(booking._id)
         .populate('assigned_technician', 'name email phone')
         .populate('services.serviceId', 'name description price');
 
-    // TODO: Send notification to user about completion
-    // await sendNotification(booking.user, {
-    //     title: 'Service Completed',
-    //     body: `Your service #${booking.bookingId || booking._id} has been marked as completed.`,
-    //     data: { bookingId: booking._id.toString() }
-    // });
-
     return res.status(200).json(
         new ApiResponse(200, updatedBooking, 'Booking marked as completed successfully')
     );
 });
 
+// Record cash collected at the door after completion: { amount } (defaults to everything due)
+const recordBookingCashCollection = asyncHandler(async (req, res) => {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
+    }
+
+    const { collection, payment } = await recordCashCollection(booking, { amount: req.body.amount, actor: req.user });
+
+    return res.status(201).json(
+        new ApiResponse(201, { collection, payment }, 'Cash collection recorded successfully')
+    );
+});
+
 // Reschedule a booking
 const rescheduleBooking = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { scheduleDate, preferredTimeSlot, reason } = req.body;
-    const userId = req.user._id;
-
-    // Validate required fields
-    if (!scheduleDate || !preferredTimeSlot) {
-        throw new ApiError(400, 'New schedule date and time slot are required');
-    }
 
     // Find the booking
     const booking = await Booking.findById(id);
@@ -725,62 +680,126 @@ const rescheduleBooking = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Booking not found');
     }
 
-    // Check if user is authorized (either the booking owner or admin/manager)
-    if (booking.user.toString() !== userId.toString() && req.user.role !== 'admin' && req.user.role !== 'manager') {
-        throw new ApiError(403, 'Not authorized to reschedule this booking');
-    }
-
-    // Check if booking can be rescheduled (only allow rescheduling for certain statuses)
-    const allowedStatuses = ['pending', 'confirmed', 'assigned'];
-    if (!allowedStatuses.includes(booking.status)) {
-        throw new ApiError(400, `Cannot reschedule booking with status: ${booking.status}`);
-    }
+    // Validate the move before checking capacity for the new slot
+    assertTransition(booking, 'rescheduled', { actor: req.user, scheduleDate, preferredTimeSlot });
+    await assertSlotAvailable({
+        serviceIds: booking.services.map(service => service.serviceId),
+        pincode: booking.address.pincode,
+        scheduleDate,
+        preferredTimeSlot,
+        excludeBookingId: booking._id
+    });
 
     // Store old values for history
     const oldScheduleDate = booking.scheduleDate;
-    const oldTimeSlot = booking.preferredTimeSlot;
+    const oldTimeSlot = {
+        start: booking.preferredTimeSlot?.start,
+        end: booking.preferredTimeSlot?.end
+    };
 
-    // Update booking with new schedule
-    booking.scheduleDate = scheduleDate;
-    booking.preferredTimeSlot = preferredTimeSlot;
-    
-    // Add to status history
-    booking.statusHistory.push({
-        status: booking.status,
-        changedAt: new Date(),
-        changedBy: userId,
-        changes: {
-            field: 'reschedule',
+    await transitionBooking(booking, 'rescheduled', {
+        actor: req.user,
+        scheduleDate,
+        preferredTimeSlot,
+        note: booking.assigned_technician
+            ? 'Booking rescheduled, technician unassigned due to rescheduling'
+            : 'Booking rescheduled',
+        metadata: {
             from: { scheduleDate: oldScheduleDate, preferredTimeSlot: oldTimeSlot },
             to: { scheduleDate, preferredTimeSlot },
             reason: reason || 'No reason provided'
         }
     });
 
-    // If technician was assigned, reset the assignment
-    if (booking.assigned_technician) {
-        booking.assigned_technician = undefined;
-        booking.status = 'confirmed'; // Change status to confirmed when rescheduling
-        booking.statusHistory.push({
-            status: 'confirmed',
-            changedAt: new Date(),
-            changedBy: userId,
-            message: 'Technician unassigned due to rescheduling'
-        });
-    }
-
-    await booking.save();
-
     // Populate the updated booking with user and service details
     const updatedBooking = await Booking.findById(booking._id)
         .populate('user', 'name email phone')
         .populate('services.serviceId', 'name description price');
 
-    // TODO: Send notification to admin/manager about reschedule
-    // TODO: If technician was assigned, notify them about the change
-    
     return res.status(200).json(
-        new ApiResponse(200, updatedBooking, 'Booking rescheduled successfully')
+        new ApiResponse(200, updatedBooking, 'Booking rescheduled successfully')
+    );
+});
+
+// Recurring booking series
+
+// Load a series; routes check the user may access it
+const findSeries = async (id) => {
+    const series = await BookingSeries.findById(id);
+    if (!series) {
+        throw new ApiError(404, 'Booking series not found');
+    }
+    return series;
+};
+
+// Get a series with its occurrences
+const getBookingSeries = asyncHandler(async (req, res) => {
+    const series = await findSeries(req.params.id);
+
+    const occurrences = await Booking.find({ series: series._id })
+        .sort({ seriesIndex: 1 })
+        .populate('assigned_technician', 'name phone')
+        .populate('services.serviceId', 'name description');
+
+    return res.status(200).json(
+        new ApiResponse(200, { series, occurrences }, 'Booking series retrieved successfully')
+    );
+});
+
+// Reschedule one occurrence, or it and the following ones (scope: this|following)
+const rescheduleSeriesOccurrence = asyncHandler(async (req, res) => {
+    const { id, bookingId } = req.params;
+    const { scope, scheduleDate, preferredTimeSlot, reason } = req.body;
+
+    const series = await findSeries(id);
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
+    }
+
+    const bookings = await rescheduleOccurrences(series, booking, {
+        scope,
+        scheduleDate,
+        preferredTimeSlot,
+        reason,
+        actor: req.user
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { series, bookings }, `${bookings.length} occurrence(s) rescheduled successfully`)
+    );
+});
+
+// Cancel one occurrence, or it and the following ones (scope: this|following)
+const cancelSeriesOccurrence = asyncHandler(async (req, res) => {
+    const { id, bookingId } = req.params;
+    const { scope, reason } = req.body;
+
+    const series = await findSeries(id);
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
+    }
+
+    const cancelled = await cancelOccurrences(series, booking, { scope, reason, actor: req.user });
+
+    return res.status(200).json(
+        new ApiResponse(200, { cancelled }, `${cancelled.length} occurrence(s) cancelled successfully`)
+    );
+});
+
+// Cancel every open occurrence of a series
+const cancelBookingSeries = asyncHandler(async (req, res) => {
+    const series = await findSeries(req.params.id);
+
+    const cancelled = await cancelOccurrences(series, null, {
+        scope: 'all',
+        reason: req.body.reason,
+        actor: req.user
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { cancelled }, 'Booking series cancelled successfully')
     );
 });
 
@@ -798,116 +817,108 @@ const uploadSelfie = asyncHandler(async (req, res) => {
     const booking = await Booking.findById(bookingId);
     if (!booking) {
         // Remove the temporary file if booking not found
-        if (selfieFile.path) {
-            fs.unlinkSync(selfieFile.path);
-        }
+        cleanupTempFile(selfieFile.path);
         throw new ApiError(404, 'Booking not found');
     }
 
-    // Check if the current user is the assigned technician
-    if (booking.assigned_technician?.toString() !== technicianId.toString()) {
-        // Remove the temporary file if not authorized
-        if (selfieFile.path) {
-            fs.unlinkSync(selfieFile.path);
-        }
-        throw new ApiError(403, 'Only the assigned technician can upload selfie');
-    }
+    // A selfie taken on arrival marks the technician as reached; later uploads only replace it
+    const marksArrival = ['assigned', 'confirmed'].includes(booking.status);
+    const context = {
+        actor: req.user,
+        note: 'Technician reached location and uploaded selfie'
+    };
+    let geofence;
 
-    // Check if booking is in a valid state for selfie upload
-    const allowedStatuses = ['assigned', 'in_progress'];
-    if (!allowedStatuses.includes(booking.status)) {
-        // Remove the temporary file if status is invalid
-        if (selfieFile.path) {
-            fs.unlinkSync(selfieFile.path);
+    try {
+        if (marksArrival) {
+            assertTransition(booking, 'reached', context);
+            // Arrival needs the technician's coordinates to check the geofence
+            geofence = checkArrival(booking, parseCoordinates(req.body));
+        } else if (!SELFIE_STATUSES.includes(booking.status)) {
+            throw new ApiError(400, `Cannot upload selfie for booking with status: ${booking.status}`);
+        } else if (booking.assigned_technician?.toString() !== technicianId.toString()) {
+            throw new ApiError(403, 'Only the assigned technician can upload selfie');
         }
-        throw new ApiError(400, `Cannot upload selfie for booking with status: ${booking.status}`);
+    } catch (error) {
+        // Remove the temporary file if the upload is not allowed
+        cleanupTempFile(selfieFile.path);
+        throw error;
     }
 
+    let cloudinaryResponse;
     try {
         // Upload selfie to Cloudinary
-        const cloudinaryResponse = await uploadOnCloudinary(selfieFile.path, 'technician_selfies');
+        cloudinaryResponse = await uploadOnCloudinary(selfieFile.path, 'technician_selfies');
+    } catch (error) {
+        // Clean up the temporary file in case of any error
+        cleanupTempFile(selfieFile.path);
+        throw new ApiError(500, 'Failed to upload selfie. Please try again.');
+    }
 
-        // Update booking with selfie information
-        booking.technicianSelfie = {
-            public_id: cloudinaryResponse.public_id,
-            url: cloudinaryResponse.secure_url,
-            uploadedAt: new Date()
-        };
+    // Update booking with selfie information
+    booking.images.selfieWithUser = cloudinaryResponse.secure_url;
+    booking.images.selfieWithUserTimestamp = new Date();
 
-        // Update status to 'in_progress' if it was 'assigned'
-        if (booking.status === 'assigned') {
-            booking.status = 'in_progress';
-            booking.statusHistory.push({
-                status: 'in_progress',
-                changedAt: new Date(),
-                changedBy: technicianId,
-                note: 'Technician reached location and uploaded selfie'
-            });
-        } else {
-            // If there was a previous selfie, delete it from Cloudinary
-            if (booking.technicianSelfie?.public_id) {
-                try {
-                    await deleteFromCloudinary(booking.technicianSelfie.public_id);
-                } catch (error) {
-                    console.error('Error deleting old selfie from Cloudinary:', error);
-                    // Continue even if deletion of old selfie fails
-                }
-            }
-            
-            booking.statusHistory.push({
-                status: 'in_progress',
-                changedAt: new Date(),
-                changedBy: technicianId,
-                note: 'Technician updated selfie'
-            });
-        }
+    if (marksArrival) {
+        recordArrivalException(booking, geofence, req.user);
+        applyTransition(booking, 'reached', { ...context, metadata: { geofence } });
+    }
 
-        await booking.save();
+    await saveBooking(booking);
 
-        // Populate the updated booking with user and service details
-        const updatedBooking = await Booking.findById(booking._id)
-            .populate('user', 'name email phone')
-            .populate('services.serviceId', 'name description price')
-            .populate('assigned_technician', 'name phone');
+    // Populate the updated booking with user and service details
+    const updatedBooking = await Booking.findById(booking._id)
+        .populate('user', 'name email phone')
+        .populate('services.serviceId', 'name description price')
+        .populate('assigned_technician', 'name phone');
+
+    return res.status(200).json(
+        new ApiResponse(200, updatedBooking, 'Selfie uploaded successfully')
+    );
+});
 
-        // TODO: Send notification to admin/customer about technician arrival
-        // await sendNotification(booking.user, {
-        //     title: 'Technician Reached Location',
-        //     message: `Your technician has arrived at the service location.`
-        // });
+// Store a product image (before/after) uploaded by the assigned technician
+const saveProductImage = async (req, field, allowedStatuses) => {
+    const { id: bookingId } = req.params;
+    const imageFile = req.file;
 
-        return res.status(200).json(
-            new ApiResponse(200, updatedBooking, 'Selfie uploaded successfully')
-        );
-    } catch (error) {
-        // Clean up the temporary file in case of any error
-        if (selfieFile.path) {
-            fs.unlinkSync(selfieFile.path);
+    try {
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            throw new ApiError(404, 'Booking not found');
         }
-        throw new ApiError(500, 'Failed to upload selfie. Please try again.');
-    }
-});
 
-// upload product before image
-const uploadBeforeImage = asyncHandler(async (req, res) => {
-    const { bookingId } = req.params;
-    const { image } = req.body;
-    const userId = req.user._id;
+        // Check permission
+        if (booking.assigned_technician?.toString() !== req.user._id.toString()) {
+            throw new ApiError(403, 'Only the assigned technician can upload product images');
+        }
 
-    // Find booking
-    const booking = await Booking.findById(bookingId);
-    if (!booking) {
-        throw new ApiError(404, 'Booking not found');
-    }
+        if (!allowedStatuses.includes(booking.status)) {
+            throw new ApiError(400, `Cannot upload product image for booking with status: ${booking.status}`);
+        }
+
+        let imageUrl = req.body.image;
+        if (imageFile) {
+            const cloudinaryResponse = await uploadOnCloudinary(imageFile.path, 'booking_products');
+            imageUrl = cloudinaryResponse.secure_url;
+        }
+        if (!imageUrl) {
+            throw new ApiError(400, 'Product image is required');
+        }
 
-    // Check permission
-    if (!isAdminOrManager(User, userId)) {
-        throw new ApiError(403, 'Not authorized to update this booking');
+        booking.images[field] = imageUrl;
+        booking.images[`${field}Timestamp`] = new Date();
+        await booking.save();
+
+        return booking;
+    } finally {
+        cleanupTempFile(imageFile?.path);
     }
+};
 
-    // Update booking with product before image
-    booking.productBeforeImage = image;
-    await booking.save();
+// upload product before image
+const uploadBeforeImage = asyncHandler(async (req, res) => {
+    const booking = await saveProductImage(req, 'productBefore', ['reached', 'otp_pending', 'in_progress']);
 
     return res.status(200).json(
         new ApiResponse(200, booking, 'Product before image uploaded successfully')
@@ -916,27 +927,54 @@ const uploadBeforeImage = asyncHandler(async (req, res) => {
 
 // upload product after image
 const uploadAfterImage = asyncHandler(async (req, res) => {
-    const { bookingId } = req.params;
-    const { image } = req.body;
-    const userId = req.user._id;
+    const booking = await saveProductImage(req, 'productAfter', ['in_progress']);
 
-    // Find booking
-    const booking = await Booking.findById(bookingId);
+    return res.status(200).json(
+        new ApiResponse(200, booking, 'Product after image uploaded successfully')
+    );
+});
+
+// Download the GST invoice of a completed booking as JSON or PDF (?format=pdf)
+const getBookingInvoice = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || (req.accepts(['json', 'pdf']) === 'pdf' ? 'pdf' : 'json');
+
+    const booking = await Booking.findById(id);
     if (!booking) {
         throw new ApiError(404, 'Booking not found');
     }
 
-    // Check permission
-    if (!isAdminOrManager(User, userId)) {
-        throw new ApiError(403, 'Not authorized to update this booking');
+    // Issued on completion; bookings completed without one are issued through POST /:id/invoice
+    const invoice = await Invoice.findOne({ booking: booking._id });
+    if (!invoice) {
+        throw new ApiError(404, 'No invoice has been issued for this booking');
     }
 
-    // Update booking with product after image
-    booking.productAfterImage = image;
-    await booking.save();
+    if (format === 'pdf') {
+        const pdf = await renderInvoicePdf(invoice);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`
+        });
+        return res.status(200).send(pdf);
+    }
 
     return res.status(200).json(
-        new ApiResponse(200, booking, 'Product after image uploaded successfully')
+        new ApiResponse(200, invoice, 'Invoice retrieved successfully')
+    );
+});
+
+// Issue the invoice of a completed booking that has none, e.g. completed before invoicing existed
+const issueBookingInvoice = asyncHandler(async (req, res) => {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
+    }
+
+    const invoice = await createInvoiceForBooking(booking);
+
+    return res.status(201).json(
+        new ApiResponse(201, invoice, 'Invoice issued successfully')
     );
 });
 
@@ -944,56 +982,55 @@ const uploadAfterImage = asyncHandler(async (req, res) => {
 
 // Create multiple bookings together as a bulk booking
 const createBulkBooking = asyncHandler(async (req, res) => {
-    const { clientId, location, bookings, scheduledDate, preferredTimeSlot, notes } = req.body;
+    const { location, bookings, scheduleDate, preferredTimeSlot, notes } = req.body;
     const userId = req.user._id;
+    // Only a grant over every booking lets staff book for another client
+    const clientId = req.permission.scope === 'any' ? req.body.clientId : userId;
 
     // Validate required fields
     if (!clientId || !location || !bookings || !Array.isArray(bookings) || bookings.length === 0) {
         throw new ApiError(400, 'Client ID, location, and at least one booking are required');
     }
+    if (!scheduleDate || !preferredTimeSlot) {
+        throw new ApiError(400, 'Schedule date and preferred time slot are required');
+    }
 
     // Validate location structure
     if (!location.coordinates || !Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
         throw new ApiError(400, 'Location must include valid coordinates [longitude, latitude]');
     }
+    const coordinates = [parseFloat(location.coordinates[0]), parseFloat(location.coordinates[1])];
+
+    // Each booking takes its own slot, so later ones see the technicians the earlier ones took
+    const createdBookings = [];
+    const serviceTypes = new Set();
+    const errors = [];
+    const now = Date.now();
+
+    for (const [index, bookingData] of bookings.entries()) {
+        try {
+            // Bulk bookings are priced for the client directly, coupons do not apply
+            const quote = await quoteBooking({
+                userId: clientId,
+                services: bookingData.services,
+                parts: bookingData.parts
+            });
 
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
-    try {
-        // Create individual bookings
-        const createdBookings = [];
-        const serviceTypes = new Set();
-        const errors = [];
-        const now = Date.now();
-
-        for (const [index, bookingData] of bookings.entries()) {
-            try {
-                // Track service types for bulk booking
-                if (bookingData.services && Array.isArray(bookingData.services)) {
-                    bookingData.services.forEach(service => {
-                        if (service.serviceId) {
-                            serviceTypes.add(service.serviceId.toString());
-                        }
-                    });
-                }
-
-                const booking = new Booking({
-                    ...bookingData,
+            const booking = await placeBooking({
+                userId: clientId,
+                quote,
+                address: location.address,
+                scheduleDate,
+                preferredTimeSlot,
+                notes,
+                payment: {
+                    method: bookingData.paymentMethod || bookingData.payment?.method || 'online',
+                    advancePayment: { amount: quote.pricing.advancePayment }
+                },
+                actor: req.user,
+                fields: {
                     bookingId: `BK${now.toString().slice(-8)}-${index}`,
-                    user: clientId,
-                    address: location.address,
-                    location: {
-                        type: 'Point',
-                        coordinates: [
-                            parseFloat(location.coordinates[0]),
-                            parseFloat(location.coordinates[1])
-                        ]
-                    },
-                    scheduledDate,
-                    preferredTimeSlot,
-                    notes,
-                    status: 'pending',
+                    location: { type: 'Point', coordinates },
                     statusHistory: [{
                         status: 'pending',
                         changedAt: new Date(),
@@ -1001,38 +1038,41 @@ const createBulkBooking = asyncHandler(async (req, res) => {
                         note: 'Created as part of bulk booking'
                     }],
                     createdBy: userId
-                });
-
-                await booking.save({ session });
-                createdBookings.push(booking._id);
-            } catch (error) {
-                errors.push({
-                    index,
-                    error: error.message
-                });
-            }
-        }
+                }
+            });
 
-        if (createdBookings.length === 0) {
-            throw new ApiError(400, 'Failed to create any bookings', { errors });
+            // Track service types for bulk booking
+            quote.services.forEach(service => {
+                serviceTypes.add(service.serviceId.toString());
+            });
+            createdBookings.push(booking._id);
+        } catch (error) {
+            errors.push({
+                index,
+                error: error.message
+            });
         }
+    }
+
+    if (createdBookings.length === 0) {
+        throw new ApiError(400, 'Failed to create any bookings', { errors });
+    }
 
-        // Create the bulk booking record
-        const bulkBooking = new BulkBooking({
+    // Create the bulk booking record
+    let bulkBooking;
+    try {
+        bulkBooking = await BulkBooking.create({
             client: clientId,
             location: {
                 type: 'Point',
-                coordinates: [
-                    parseFloat(location.coordinates[0]),
-                    parseFloat(location.coordinates[1])
-                ],
+                coordinates,
                 address: location.address,
                 formattedAddress: location.formattedAddress || ''
             },
             bookings: createdBookings,
             bookingCount: createdBookings.length,
             serviceTypes: Array.from(serviceTypes),
-            scheduledDate,
+            scheduledDate: scheduleDate,
             preferredTimeSlot,
             notes,
             createdBy: userId,
@@ -1044,36 +1084,31 @@ const createBulkBooking = asyncHandler(async (req, res) => {
                 note: 'Bulk booking created'
             }]
         });
-
-        await bulkBooking.save({ session });
-        await session.commitTransaction();
-
-        // Populate the response with booking details
-        const populatedBulkBooking = await BulkBooking.findById(bulkBooking._id)
-            .populate('client', 'name email phone')
-            .populate('bookings', 'bookingId status services')
-            .populate('createdBy', 'name email')
-            .session(session);
-
-        // TODO: Notify general manager about the new bulk booking
-        // await notifyGeneralManagerAboutBulkBooking(populatedBulkBooking);
-
-        return res.status(201).json(
-            new ApiResponse(
-                201, 
-                {
-                    bulkBooking: populatedBulkBooking,
-                    errors: errors.length > 0 ? errors : undefined
-                },
-                `Bulk booking created successfully with ${createdBookings.length} booking(s)`
-            )
-        );
     } catch (error) {
-        await session.abortTransaction();
+        // No bookings left behind without the bulk booking that groups them
+        await Booking.deleteMany({ _id: { $in: createdBookings } });
         throw error;
-    } finally {
-        session.endSession();
     }
+
+    // Populate the response with booking details
+    const populatedBulkBooking = await BulkBooking.findById(bulkBooking._id)
+        .populate('client', 'name email phone')
+        .populate('bookings', 'bookingId status services')
+        .populate('createdBy', 'name email');
+
+    // TODO: Notify general manager about the new bulk booking
+    // await notifyGeneralManagerAboutBulkBooking(populatedBulkBooking);
+
+    return res.status(201).json(
+        new ApiResponse(
+            201, 
+            {
+                bulkBooking: populatedBulkBooking,
+                errors: errors.length > 0 ? errors : undefined
+            },
+            `Bulk booking created successfully with ${createdBookings.length} booking(s)`
+        )
+    );
 });
 
 // booking feedback
@@ -1127,8 +1162,6 @@ const submitBookingFeedback = asyncHandler(async (req, res) => {
 // Get feedback for a specific booking
 const getBookingFeedback = asyncHandler(async (req, res) => {
     const { id: bookingId } = req.params;
-    const userId = req.user._id;
-    const userRole = req.user.role;
 
     // Find the booking
     const booking = await Booking.findById(bookingId)
@@ -1140,16 +1173,6 @@ const getBookingFeedback = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Booking not found');
     }
 
-    // Check permissions
-    const isOwner = booking.user._id.toString() === userId.toString();
-    const isAssignedTechnician = booking.assigned_technician && 
-                               booking.assigned_technician._id.toString() === userId.toString();
-    const isAdminOrManager = ['admin', 'manager'].includes(userRole);
-
-    if (!isOwner && !isAssignedTechnician && !isAdminOrManager) {
-        throw new ApiError(403, 'Not authorized to view this feedback');
-    }
-
     // Only include feedback if it exists
     if (!booking.rating) {
         return res.status(200).json(
@@ -1179,55 +1202,100 @@ const getBookingFeedback = asyncHandler(async (req, res) => {
 
 // Mark technician as reached
 const markTechnicianReached = asyncHandler(async (req, res) => {
-    const { bookingId } = req.params;
-    const technicianId = req.user._id;
+    const { id: bookingId } = req.params;
 
-    // Verify if the booking exists and is assigned to the technician
-    const booking = await Booking.findOne({
-        _id: bookingId,
-        assigned_technician: technicianId,
-        status: { $in: ['assigned'] }
-    });
+    const position = parseCoordinates(req.body);
+
+    const booking = await Booking.findById(bookingId);
 
     if (!booking) {
-        throw new ApiError(404, 'Booking not found or not assigned to you');
+        throw new ApiError(404, 'Booking not found');
     }
 
-    // Update booking status to 'reached'
-    booking.status = 'reached';
-    booking.statusHistory.push({
-        status: 'reached',
-        changedAt: new Date(),
-        changedBy: technicianId,
-        note: 'Technician has reached the location'
-    });
-    await booking.save();
+    assertTransition(booking, 'reached', { actor: req.user });
+    const geofence = checkArrival(booking, position);
+    recordArrivalException(booking, geofence, req.user);
+
+    await transitionBooking(booking, 'reached', { actor: req.user, metadata: { geofence } });
 
     return res.status(200).json(
         new ApiResponse(200, {
             bookingId: booking._id,
             status: booking.status,
-            canGenerateOtp: true
-        }, 'Location reached successfully. You can now generate OTP.')
+            canGenerateOtp: true,
+            geofence
+        }, geofence.flagReason
+            ? 'Location reached. The arrival was flagged for review because it is outside the service area.'
+            : 'Location reached successfully. You can now generate OTP.')
+    );
+});
+
+// GPS ping from the assigned technician on the way to the booking
+const shareTechnicianLocation = asyncHandler(async (req, res) => {
+    const ping = parseCoordinates(req.body);
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
+    }
+
+    const location = await recordLocationPing(booking, req.user, ping);
+
+    return res.status(200).json(
+        new ApiResponse(200, location, 'Location updated successfully')
+    );
+});
+
+// Latest technician position with distance and ETA (booking owner, technician, admin/manager)
+const getTechnicianLocation = asyncHandler(async (req, res) => {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
+    }
+
+    const location = await getLiveLocation(booking);
+
+    return res.status(200).json(
+        new ApiResponse(200, location, 'Technician location retrieved successfully')
+    );
+});
+
+// Full GPS trail of a booking, for dispute resolution (admin/manager only)
+const getLocationTrail = asyncHandler(async (req, res) => {
+    const booking = await Booking.findById(req.params.id)
+        .select('bookingId status assigned_technician address.location locationTrail')
+        .populate('assigned_technician', 'name phone')
+        .lean();
+
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, booking, 'Location trail retrieved successfully')
     );
 });
 
 // Generate and send OTP for booking verification
 const generateBookingOtp = asyncHandler(async (req, res) => {
-    const { bookingId } = req.params;
+    const { id: bookingId } = req.params;
     const technicianId = req.user._id;
 
-    // Verify if the booking exists, is assigned to the technician, and status is 'reached'
-    const booking = await Booking.findOne({
-        _id: bookingId,
-        assigned_technician: technicianId,
-        status: 'reached'
-    });
+    const booking = await Booking.findById(bookingId);
 
     if (!booking) {
-        throw new ApiError(400, 'Please mark yourself as reached before generating OTP');
+        throw new ApiError(404, 'Booking not found');
     }
 
+    // Validate before touching any existing OTP
+    const context = {
+        actor: req.user,
+        note: booking.status === 'otp_pending'
+            ? 'OTP regenerated and waiting for user verification'
+            : 'OTP generated and waiting for user verification'
+    };
+    applyTransition(booking, 'otp_pending', context);
+
     // Invalidate any existing OTPs for this booking
     await OTP.updateMany(
         { booking: bookingId, technician: technicianId, isUsed: false },
@@ -1247,19 +1315,10 @@ const generateBookingOtp = asyncHandler(async (req, res) => {
         expiresAt
     });
 
-    // In a real application, you would send this OTP to the user's mobile/email
-    // For now, we'll return it in the response (in production, only log it on the server)
-    console.log(`OTP for booking ${bookingId}: ${otp}`);
-
-    // Update booking status to 'otp_pending'
-    booking.status = 'otp_pending';
-    booking.statusHistory.push({
-        status: 'otp_pending',
-        changedAt: new Date(),
-        changedBy: technicianId,
-        note: 'OTP generated and waiting for user verification'
-    });
-    await booking.save();
+    await saveBooking(booking);
+
+    // OTPs are essential messages and reach the customer regardless of their opt-outs
+    await notify(booking.user, 'booking.otp', { booking, otp });
 
     return res.status(200).json(
         new ApiResponse(200, {
@@ -1275,10 +1334,19 @@ const generateBookingOtp = asyncHandler(async (req, res) => {
 
 // Verify OTP for booking
 const verifyBookingOtp = asyncHandler(async (req, res) => {
-    const { bookingId } = req.params;
+    const { id: bookingId } = req.params;
     const { otp } = req.body;
     const technicianId = req.user._id;
 
+    const booking = await Booking.findById(bookingId);
+
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
+    }
+
+    // Make sure the booking can start before consuming an attempt
+    assertTransition(booking, 'in_progress', { actor: req.user, otpVerified: true });
+
     // Find the most recent valid OTP
     const otpRecord = await OTP.findOne({
         booking: bookingId,
@@ -1310,26 +1378,7 @@ const verifyBookingOtp = asyncHandler(async (req, res) => {
     otpRecord.isUsed = true;
     await otpRecord.save();
 
-    // Verify the booking is in 'otp_pending' status
-    const booking = await Booking.findOne({
-        _id: bookingId,
-        status: 'otp_pending',
-        assigned_technician: technicianId
-    });
-
-    if (!booking) {
-        throw new ApiError(400, 'Invalid OTP verification request');
-    }
-
-    // Update booking status to 'in_progress'
-    booking.status = 'in_progress';
-    booking.statusHistory.push({
-        status: 'in_progress',
-        changedAt: new Date(),
-        changedBy: technicianId,
-        note: 'OTP verified, service in progress'
-    });
-    await booking.save();
+    await transitionBooking(booking, 'in_progress', { actor: req.user, otpVerified: true });
 
     return res.status(200).json(
         new ApiResponse(200, {
@@ -1369,15 +1418,17 @@ const getBookingsByRegion = asyncHandler(async (req, res) => {
         }
     }
 
+    const scoped = await scopeBookingQuery(req, query);
+
     const [bookings, total] = await Promise.all([
-        Booking.find(query)
+        Booking.find(scoped)
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit))
             .populate('user', 'name email phone')
             .populate('assigned_technician', 'name email phone')
             .lean(),
-        Booking.countDocuments(query)
+        Booking.countDocuments(scoped)
     ]);
 
     return res.status(200).json(
@@ -1419,8 +1470,10 @@ const getBookingsByStatus = asyncHandler(async (req, res) => {
         }
     }
 
+    const scoped = await scopeBookingQuery(req, query);
+
     const [bookings, total] = await Promise.all([
-        Booking.find(query)
+        Booking.find(scoped)
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit))
@@ -1428,7 +1481,7 @@ const getBookingsByStatus = asyncHandler(async (req, res) => {
             .populate('assigned_technician', 'name')
             .select('bookingId status scheduleDate preferredTimeSlot totalAmount')
             .lean(),
-        Booking.countDocuments(query)
+        Booking.countDocuments(scoped)
     ]);
 
     return res.status(200).json(
@@ -1444,6 +1497,111 @@ const getBookingsByStatus = asyncHandler(async (req, res) => {
     );
 });
 
+// Bookings auto-assignment gave up on and that still need a technician (admin/manager only)
+const getEscalatedBookings = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {
+        'escalation.escalatedAt': { $ne: null },
+        'escalation.resolvedAt': null,
+        status: { $in: ['pending', 'rescheduled'] }
+    };
+
+    const scoped = await scopeBookingQuery(req, query);
+
+    const [bookings, total] = await Promise.all([
+        Booking.find(scoped)
+            .sort({ 'escalation.escalatedAt': 1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .populate('user', 'name email phone')
+            .populate('assignmentOffers.technician', 'name phone')
+            .select('bookingId status scheduleDate preferredTimeSlot address escalation assignmentOffers')
+            .lean(),
+        Booking.countDocuments(scoped)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            bookings,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Escalated bookings retrieved successfully')
+    );
+});
+
+// Arrivals marked outside the geofence (admin/manager only), unreviewed by default
+const getArrivalExceptions = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, reviewed = 'false' } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { 'arrivalException.flaggedAt': { $ne: null } };
+    if (reviewed !== 'all') {
+        query['arrivalException.reviewedAt'] = reviewed === 'true' ? { $ne: null } : null;
+    }
+
+    const scoped = await scopeBookingQuery(req, query);
+
+    const [bookings, total] = await Promise.all([
+        Booking.find(scoped)
+            .sort({ 'arrivalException.flaggedAt': -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .populate('user', 'name phone')
+            .populate('arrivalException.technician', 'name phone')
+            .populate('arrivalException.reviewedBy', 'name')
+            .select('bookingId status scheduleDate preferredTimeSlot address arrivalException')
+            .lean(),
+        Booking.countDocuments(scoped)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            bookings,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Arrival exceptions retrieved successfully')
+    );
+});
+
+// Mark an arrival exception as reviewed (admin/manager only)
+const reviewArrivalException = asyncHandler(async (req, res) => {
+    const { resolution } = req.body;
+
+    if (!resolution?.trim()) {
+        throw new ApiError(400, 'A resolution note is required');
+    }
+
+    const booking = await Booking.findOneAndUpdate(
+        { _id: req.params.id, 'arrivalException.flaggedAt': { $ne: null } },
+        {
+            $set: {
+                'arrivalException.reviewedAt': new Date(),
+                'arrivalException.reviewedBy': req.user._id,
+                'arrivalException.resolution': resolution.trim()
+            }
+        },
+        { new: true }
+    ).select('bookingId status arrivalException');
+
+    if (!booking) {
+        throw new ApiError(404, 'No arrival exception found for this booking');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, booking, 'Arrival exception reviewed successfully')
+    );
+});
+
 // Get booking analytics (admin/manager only)
 const getBookingAnalytics = asyncHandler(async (req, res) => {
     const { timeframe = 'week', startDate, endDate } = req.query;
@@ -1564,6 +1722,8 @@ const getBookingAnalytics = asyncHandler(async (req, res) => {
 
 export {
     createBooking,
+    getBookingQuote,
+    getAvailableSlots,
     getAllBookings,
     getBookingById,
     updateBookingById,
@@ -1571,12 +1731,24 @@ export {
     getUserBookings,
     updateBookingStatus,
     cancelBooking,
+    getCancellationQuote,
     assignTechnicianToBooking,
+    getAssignmentCandidates,
     markBookingCompleted,
+    recordBookingCashCollection,
     rescheduleBooking,
+    getBookingSeries,
+    rescheduleSeriesOccurrence,
+    cancelSeriesOccurrence,
+    cancelBookingSeries,
     createBulkBooking,
+    getBookingInvoice,
+    issueBookingInvoice,
     getBookingsByRegion,
     getBookingsByStatus,
+    getEscalatedBookings,
+    getArrivalExceptions,
+    reviewArrivalException,
     getBookingAnalytics,
     uploadSelfie,
     uploadBeforeImage,
@@ -1584,6 +1756,9 @@ export {
     submitBookingFeedback,
     getBookingFeedback,
     markTechnicianReached,
+    shareTechnicianLocation,
+    getTechnicianLocation,
+    getLocationTrail,
     generateBookingOtp,
     verifyBookingOtp,
 };
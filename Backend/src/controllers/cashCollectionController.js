@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import { Technician } from '../models/Technician.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import {
+    getOutstandingCash,
+    getTechnicianCash,
+    recordRemittance
+} from '../services/cashCollection.service.js';
+
+const findTechnician = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid technician ID');
+    }
+
+    const technician = await Technician.findById(id).select('name email phone');
+    if (!technician) {
+        throw new ApiError(404, 'Technician not found');
+    }
+
+    return technician;
+};
+
+const cashFilters = (query) => ({
+    status: query.status,
+    page: parseInt(query.page) || 1,
+    limit: Math.min(parseInt(query.limit) || 20, 100)
+});
+
+// Own collections and outstanding cash (technicians)
+const getMyCash = asyncHandler(async (req, res) => {
+    const cash = await getTechnicianCash(req.user._id, cashFilters(req.query));
+
+    return res.status(200).json(
+        new ApiResponse(200, cash, 'Cash collections retrieved successfully')
+    );
+});
+
+// Outstanding cash per technician (?page=&limit=)
+const getCashReconciliation = asyncHandler(async (req, res) => {
+    const { page, limit } = cashFilters(req.query);
+    const summary = await getOutstandingCash({ page, limit });
+
+    return res.status(200).json(
+        new ApiResponse(200, summary, 'Outstanding cash retrieved successfully')
+    );
+});
+
+// A technician's collections and remittances (?status=&page=&limit=)
+const getTechnicianCashDetails = asyncHandler(async (req, res) => {
+    const technician = await findTechnician(req.params.technicianId);
+    const cash = await getTechnicianCash(technician._id, cashFilters(req.query));
+
+    return res.status(200).json(
+        new ApiResponse(200, { technician, ...cash }, 'Technician cash retrieved successfully')
+    );
+});
+
+// Cash the technician paid in: { amount, method, reference, note }
+const recordCashDeposit = asyncHandler(async (req, res) => {
+    const { amount, method, reference, note } = req.body;
+    const technician = await findTechnician(req.params.technicianId);
+
+    const remittance = await recordRemittance(technician._id, {
+        type: 'deposit',
+        amount,
+        method,
+        reference,
+        note,
+        actor: req.user
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, remittance, 'Cash deposit recorded successfully')
+    );
+});
+
+// Clear outstanding cash against the technician's earnings: { amount, note }
+const recordCashSettlement = asyncHandler(async (req, res) => {
+    const { amount, note } = req.body;
+    const technician = await findTechnician(req.params.technicianId);
+
+    const remittance = await recordRemittance(technician._id, {
+        type: 'settlement',
+        amount,
+        note,
+        actor: req.user
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, remittance, 'Cash settlement recorded successfully')
+    );
+});
+
+export {
+    getMyCash,
+    getCashReconciliation,
+    getTechnicianCashDetails,
+    recordCashDeposit,
+    recordCashSettlement
+};
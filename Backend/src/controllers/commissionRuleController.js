@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import { CommissionRule } from '../models/CommissionRule.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+
+// Fields admins may set on a rule
+const RULE_FIELDS = [
+    'category',
+    'partner',
+    'serviceSharePercent',
+    'partsMarginSharePercent',
+    'completionIncentive',
+    'lateArrivalPenalty',
+    'isActive',
+    'notes'
+];
+
+const pickRuleFields = (body) =>
+    Object.fromEntries(RULE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+const findRule = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid commission rule ID');
+    }
+
+    const rule = await CommissionRule.findById(id);
+    if (!rule) {
+        throw new ApiError(404, 'Commission rule not found');
+    }
+
+    return rule;
+};
+
+// List rules (?category=&partner=&isActive=)
+const getCommissionRules = asyncHandler(async (req, res) => {
+    const { category, partner, isActive } = req.query;
+
+    const query = {};
+    if (category) query.category = category === 'any' ? null : category;
+    if (partner) query.partner = partner === 'any' ? null : partner;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const rules = await CommissionRule.find(query)
+        .populate('partner', 'name partnerCode')
+        .sort({ partner: 1, category: 1 })
+        .lean();
+
+    return res.status(200).json(
+        new ApiResponse(200, rules, 'Commission rules retrieved successfully')
+    );
+});
+
+// Create a rule for a category, a partner or both
+const createCommissionRule = asyncHandler(async (req, res) => {
+    const data = pickRuleFields(req.body);
+
+    if (data.serviceSharePercent === undefined) {
+        throw new ApiError(400, 'Service share percent is required');
+    }
+
+    const existing = await CommissionRule.exists({ category: data.category ?? null, partner: data.partner ?? null });
+    if (existing) {
+        throw new ApiError(409, 'A rule for this category and partner already exists');
+    }
+
+    const rule = await CommissionRule.create({ ...data, createdBy: req.user._id });
+
+    return res.status(201).json(
+        new ApiResponse(201, rule, 'Commission rule created successfully')
+    );
+});
+
+// Update a rule; bookings completed from now on use it
+const updateCommissionRule = asyncHandler(async (req, res) => {
+    const rule = await findRule(req.params.id);
+    const data = pickRuleFields(req.body);
+
+    if ((data.category !== undefined && data.category !== rule.category)
+        || (data.partner !== undefined && String(data.partner) !== String(rule.partner))) {
+        throw new ApiError(409, 'The category and partner of a rule cannot be changed');
+    }
+
+    rule.set(data);
+    await rule.save();
+
+    return res.status(200).json(
+        new ApiResponse(200, rule, 'Commission rule updated successfully')
+    );
+});
+
+// Delete a rule; earnings already posted keep the rule's id in their details
+const deleteCommissionRule = asyncHandler(async (req, res) => {
+    const rule = await findRule(req.params.id);
+    await rule.deleteOne();
+
+    return res.status(200).json(
+        new ApiResponse(200, null, 'Commission rule deleted successfully')
+    );
+});
+
+export {
+    getCommissionRules,
+    createCommissionRule,
+    updateCommissionRule,
+    deleteCommissionRule
+};
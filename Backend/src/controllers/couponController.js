@@ -0,0 +1,270 @@
+import mongoose from 'mongoose';
+import { Coupon } from '../models/Coupon.model.js';
+import { CouponRedemption } from '../models/CouponRedemption.model.js';
+import { SubscriptionPlan } from '../models/SubscriptionPlan.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { quoteBooking } from '../services/pricing.service.js';
+
+// Fields admins may set on a coupon
+const COUPON_FIELDS = [
+    'code',
+    'description',
+    'discountType',
+    'discountValue',
+    'maxDiscount',
+    'minOrderAmount',
+    'serviceCategories',
+    'validFrom',
+    'validUntil',
+    'usageLimit',
+    'perUserLimit',
+    'firstBookingOnly',
+    'eligiblePlans',
+    'isActive'
+];
+
+const pickCouponFields = (body) =>
+    Object.fromEntries(COUPON_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+// Helper function to validate coupon rules that span several fields
+const validateCouponData = (data) => {
+    if (data.discountType === 'percentage' && !(data.discountValue > 0 && data.discountValue <= 100)) {
+        throw new ApiError(400, 'Percentage discounts must be between 0 and 100');
+    }
+    if (data.discountType === 'flat' && !(data.discountValue > 0)) {
+        throw new ApiError(400, 'Flat discounts must be greater than zero');
+    }
+    if (data.validFrom && data.validUntil && new Date(data.validUntil) <= new Date(data.validFrom)) {
+        throw new ApiError(400, 'validUntil must be after validFrom');
+    }
+};
+
+// Helper function to normalise plan codes and check them against the plan catalog
+const resolveEligiblePlans = async (plans) => {
+    if (!Array.isArray(plans)) {
+        throw new ApiError(400, 'eligiblePlans must be a list of plan codes');
+    }
+
+    const codes = [...new Set(plans.map((plan) => plan?.toString().trim().toLowerCase()).filter(Boolean))];
+    if (!codes.length) {
+        return [];
+    }
+
+    const known = await SubscriptionPlan.find({ code: { $in: codes } }).select('code').lean();
+    const knownCodes = new Set(known.map((plan) => plan.code));
+    const unknown = codes.filter((code) => !knownCodes.has(code));
+    if (unknown.length) {
+        throw new ApiError(400, `Unknown subscription plans: ${unknown.join(', ')}`);
+    }
+
+    return codes;
+};
+
+const findCoupon = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid coupon ID');
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+        throw new ApiError(404, 'Coupon not found');
+    }
+
+    return coupon;
+};
+
+// Check a coupon against the services in the cart and preview the discounted price
+const validateCoupon = asyncHandler(async (req, res) => {
+    const { code, services, parts } = req.body;
+
+    if (!code?.toString().trim()) {
+        throw new ApiError(400, 'Coupon code is required');
+    }
+
+    const quote = await quoteBooking({ userId: req.user._id, services, parts, couponCode: code });
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            coupon: {
+                code: quote.coupon.code,
+                description: quote.coupon.description,
+                discount: quote.pricing.couponDiscount
+            },
+            pricing: quote.pricing
+        }, 'Coupon applied successfully')
+    );
+});
+
+// Create a coupon
+const createCoupon = asyncHandler(async (req, res) => {
+    const data = pickCouponFields(req.body);
+
+    if (!data.code || !data.discountType || data.discountValue === undefined) {
+        throw new ApiError(400, 'Code, discount type and discount value are required');
+    }
+    validateCouponData(data);
+    if (data.eligiblePlans !== undefined) {
+        data.eligiblePlans = await resolveEligiblePlans(data.eligiblePlans);
+    }
+
+    const existing = await Coupon.exists({ code: data.code.toString().trim().toUpperCase() });
+    if (existing) {
+        throw new ApiError(409, 'A coupon with this code already exists');
+    }
+
+    const coupon = await Coupon.create({ ...data, createdBy: req.user._id });
+
+    return res.status(201).json(
+        new ApiResponse(201, coupon, 'Coupon created successfully')
+    );
+});
+
+// List coupons (?active=true|false&search=&page=&limit=)
+const getCoupons = asyncHandler(async (req, res) => {
+    const { active, search } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = {};
+    if (active === 'true' || active === 'false') {
+        query.isActive = active === 'true';
+    }
+    if (search) {
+        query.code = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [coupons, total] = await Promise.all([
+        Coupon.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Coupon.countDocuments(query)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            coupons,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Coupons retrieved successfully')
+    );
+});
+
+// Get a coupon with its redemption totals
+const getCouponById = asyncHandler(async (req, res) => {
+    const coupon = await findCoupon(req.params.id);
+
+    const [stats] = await CouponRedemption.aggregate([
+        { $match: { coupon: coupon._id, status: 'redeemed' } },
+        {
+            $group: {
+                _id: null,
+                redemptions: { $sum: 1 },
+                customers: { $addToSet: '$user' },
+                totalDiscount: { $sum: '$discountAmount' }
+            }
+        }
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            coupon,
+            stats: {
+                redemptions: stats?.redemptions || 0,
+                customers: stats?.customers.length || 0,
+                totalDiscount: stats?.totalDiscount || 0
+            }
+        }, 'Coupon retrieved successfully')
+    );
+});
+
+// Update a coupon; the code cannot change once the coupon has been used
+const updateCoupon = asyncHandler(async (req, res) => {
+    const coupon = await findCoupon(req.params.id);
+    const data = pickCouponFields(req.body);
+
+    if (data.code && data.code.toString().trim().toUpperCase() !== coupon.code && coupon.usedCount > 0) {
+        throw new ApiError(409, 'The code of a coupon that has been used cannot be changed');
+    }
+    validateCouponData({ ...coupon.toObject(), ...data });
+    if (data.eligiblePlans !== undefined) {
+        data.eligiblePlans = await resolveEligiblePlans(data.eligiblePlans);
+    }
+
+    coupon.set(data);
+    await coupon.save();
+
+    return res.status(200).json(
+        new ApiResponse(200, coupon, 'Coupon updated successfully')
+    );
+});
+
+// Delete an unused coupon, coupons with redemptions are deactivated instead
+const deleteCoupon = asyncHandler(async (req, res) => {
+    const coupon = await findCoupon(req.params.id);
+
+    const used = await CouponRedemption.exists({ coupon: coupon._id });
+    if (used) {
+        coupon.isActive = false;
+        await coupon.save();
+        return res.status(200).json(
+            new ApiResponse(200, coupon, 'Coupon has redemptions and was deactivated')
+        );
+    }
+
+    await coupon.deleteOne();
+
+    return res.status(200).json(
+        new ApiResponse(200, null, 'Coupon deleted successfully')
+    );
+});
+
+// List the redemptions of a coupon (?status=redeemed|released&page=&limit=)
+const getCouponRedemptions = asyncHandler(async (req, res) => {
+    const coupon = await findCoupon(req.params.id);
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = { coupon: coupon._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const [redemptions, total] = await Promise.all([
+        CouponRedemption.find(query)
+            .populate('user', 'name email phone')
+            .populate('booking', 'bookingId status finalAmount')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        CouponRedemption.countDocuments(query)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            redemptions,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Coupon redemptions retrieved successfully')
+    );
+});
+
+export {
+    validateCoupon,
+    createCoupon,
+    getCoupons,
+    getCouponById,
+    updateCoupon,
+    deleteCoupon,
+    getCouponRedemptions
+};
@@ -2,6 +2,8 @@ import  Part  from '../models/Part.model.js';
 import { ApiError } from '../utils/ApiErrors.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import { notify } from '../services/notification.service.js';
+import { auditChange } from '../services/audit.service.js';
 
 // @desc    Create a new part (Dealer only)
 // @route   POST /api/dealer/parts
@@ -13,11 +15,6 @@ const createPart = asyncHandler(async (req, res) => {
         category, brand, model, compatibleWith, image, reorderLevel
     } = req.body;
 
-    // Check if user is a dealer
-    if (req.user.role !== 'dealer') {
-        throw new ApiError(403, 'Only dealers can add parts');
-    }
-
     // Generate SKU
     const sku = `PART-${Date.now().toString(36).toUpperCase()}-${Math.floor(Math.random() * 1000)}`;
 
@@ -181,6 +178,9 @@ const updateStock = asyncHandler(async (req, res) => {
     if (!part) {
         throw new ApiError(404, 'Part not found or access denied');
     }
+
+    const wasLowStock = part.isLowStock;
+    const previousQuantity = part.quantityInStock;
     
     // Update stock based on action
     if (action === 'add') {
@@ -207,6 +207,19 @@ const updateStock = asyncHandler(async (req, res) => {
     });
     
     await part.save();
+
+    auditChange(res, {
+        action: 'part.stock_update',
+        targetType: 'Part',
+        targetId: part._id,
+        before: { quantityInStock: previousQuantity },
+        after: { quantityInStock: part.quantityInStock }
+    });
+
+    // Alert the dealer once, when stock drops to the minimum quantity
+    if (!wasLowStock && part.isLowStock) {
+        await notify(part.supplier, 'part.low_stock', { part });
+    }
     
     res.status(200).json(
         new ApiResponse(200, part, 'Stock updated successfully')
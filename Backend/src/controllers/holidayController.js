@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import { Holiday } from '../models/Holiday.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { startOfDay } from '../services/slotAvailability.service.js';
+import { createHoliday as addHoliday, flagHolidayBookings } from '../services/technicianLeave.service.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findHoliday = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid holiday ID');
+    }
+
+    const holiday = await Holiday.findById(id);
+    if (!holiday) {
+        throw new ApiError(404, 'Holiday not found');
+    }
+
+    return holiday;
+};
+
+// List holidays (?from=&to=&state=), national ones included when filtering by state
+const getHolidays = asyncHandler(async (req, res) => {
+    const { from, to, state } = req.query;
+
+    const query = { isActive: true };
+    if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = startOfDay(from);
+        if (to) query.date.$lte = startOfDay(to);
+    }
+    if (state) {
+        query.$or = [
+            { states: { $size: 0 } },
+            { states: new RegExp(`^${escapeRegex(state.trim())}$`, 'i') }
+        ];
+    }
+
+    const holidays = await Holiday.find(query).sort({ date: 1 }).select('-createdBy').lean();
+
+    return res.status(200).json(
+        new ApiResponse(200, holidays, 'Holidays retrieved successfully')
+    );
+});
+
+// Add a holiday: { name, date, states }, no states for a national holiday
+const createHoliday = asyncHandler(async (req, res) => {
+    const { name, date, states } = req.body;
+
+    const { holiday, flaggedBookings } = await addHoliday({ name, date, states, createdBy: req.user._id });
+
+    return res.status(201).json(
+        new ApiResponse(
+            201,
+            { holiday, flaggedBookings },
+            `Holiday created, ${flaggedBookings.length} booking(s) flagged for reassignment`
+        )
+    );
+});
+
+// Update a holiday's name, date, states or isActive
+const updateHoliday = asyncHandler(async (req, res) => {
+    const holiday = await findHoliday(req.params.id);
+    const { name, date, states, isActive } = req.body;
+
+    if (name !== undefined) holiday.name = name;
+    if (date !== undefined) holiday.date = startOfDay(date);
+    if (states !== undefined) holiday.states = [].concat(states).filter(Boolean);
+    if (isActive !== undefined) holiday.isActive = isActive;
+    await holiday.save();
+
+    // Moving or widening a holiday can take more technicians out
+    const flaggedBookings = await flagHolidayBookings(holiday);
+
+    return res.status(200).json(
+        new ApiResponse(200, { holiday, flaggedBookings }, 'Holiday updated successfully')
+    );
+});
+
+// Remove a holiday
+const deleteHoliday = asyncHandler(async (req, res) => {
+    const holiday = await findHoliday(req.params.id);
+    await holiday.deleteOne();
+
+    return res.status(200).json(
+        new ApiResponse(200, null, 'Holiday deleted successfully')
+    );
+});
+
+export {
+    getHolidays,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday
+};
@@ -0,0 +1,163 @@
+import mongoose from 'mongoose';
+import { MaintenanceContract } from '../models/MaintenanceContract.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import {
+    cancelContract,
+    createContract,
+    pauseContract,
+    payContract,
+    resumeContract,
+    skipVisit
+} from '../services/maintenanceContract.service.js';
+
+// Contract of the request; routes check the user may access it
+const findContract = async (req) => {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid contract ID');
+    }
+
+    const contract = await MaintenanceContract.findById(id);
+    if (!contract) {
+        throw new ApiError(404, 'Contract not found');
+    }
+
+    return contract;
+};
+
+// Create a contract, paid separately before its visits are booked
+const createMaintenanceContract = asyncHandler(async (req, res) => {
+    const { services, address, startDate, preferredTimeSlot, recurrence, notes } = req.body;
+
+    const contract = await createContract({
+        userId: req.user._id,
+        services,
+        address,
+        startDate,
+        preferredTimeSlot,
+        recurrence,
+        notes
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, contract, 'Maintenance contract created, pay for it to schedule the visits')
+    );
+});
+
+// List own contracts, every contract under an unscoped contract:manage grant (?status=&page=&limit=)
+const getMaintenanceContracts = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = req.permission.scope === 'any' ? {} : { user: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const [contracts, total] = await Promise.all([
+        MaintenanceContract.find(query)
+            .populate('user', 'name email phone')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        MaintenanceContract.countDocuments(query)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            contracts,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Maintenance contracts retrieved successfully')
+    );
+});
+
+// Get a contract with its visits and their bookings
+const getMaintenanceContractById = asyncHandler(async (req, res) => {
+    const contract = await findContract(req);
+    await contract.populate('visits.booking', 'bookingId status scheduleDate preferredTimeSlot assigned_technician');
+
+    return res.status(200).json(
+        new ApiResponse(200, contract, 'Maintenance contract retrieved successfully')
+    );
+});
+
+// Pay for a contract: { payWith: 'online' | 'wallet' }
+const payMaintenanceContract = asyncHandler(async (req, res) => {
+    const contract = await findContract(req);
+
+    if (contract.user.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, 'Only the customer can pay for their contract');
+    }
+
+    const { payment, checkout } = await payContract(contract, { payWith: req.body.payWith, actor: req.user });
+
+    if (checkout) {
+        return res.status(201).json(
+            new ApiResponse(201, {
+                paymentId: payment._id,
+                provider: payment.provider,
+                amount: payment.amount,
+                currency: payment.currency,
+                checkout
+            }, 'Payment order created successfully')
+        );
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { contract, paymentId: payment._id }, 'Maintenance contract paid and activated')
+    );
+});
+
+// Pause a contract, no visits are booked until it is resumed
+const pauseMaintenanceContract = asyncHandler(async (req, res) => {
+    const contract = await pauseContract(await findContract(req));
+
+    return res.status(200).json(
+        new ApiResponse(200, contract, 'Maintenance contract paused')
+    );
+});
+
+// Resume a paused contract
+const resumeMaintenanceContract = asyncHandler(async (req, res) => {
+    const contract = await resumeContract(await findContract(req));
+
+    return res.status(200).json(
+        new ApiResponse(200, contract, 'Maintenance contract resumed, remaining visits moved back by the paused time')
+    );
+});
+
+// Skip a visit that has not been booked yet: { reason }
+const skipMaintenanceVisit = asyncHandler(async (req, res) => {
+    const contract = await skipVisit(await findContract(req), req.params.visitId, req.body.reason);
+
+    return res.status(200).json(
+        new ApiResponse(200, contract, 'Visit skipped')
+    );
+});
+
+// Cancel a contract, unused visits are refunded to the wallet: { reason }
+const cancelMaintenanceContract = asyncHandler(async (req, res) => {
+    const result = await cancelContract(await findContract(req), { actor: req.user, reason: req.body.reason });
+
+    return res.status(200).json(
+        new ApiResponse(200, result, 'Maintenance contract cancelled')
+    );
+});
+
+export {
+    createMaintenanceContract,
+    getMaintenanceContracts,
+    getMaintenanceContractById,
+    payMaintenanceContract,
+    pauseMaintenanceContract,
+    resumeMaintenanceContract,
+    skipMaintenanceVisit,
+    cancelMaintenanceContract
+};
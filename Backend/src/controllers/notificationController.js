@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import { Notification } from '../models/Notification.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+
+const findOwnNotification = async (req) => {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid notification ID');
+    }
+
+    const notification = await Notification.findOne({ _id: id, recipient: req.user._id });
+    if (!notification) {
+        throw new ApiError(404, 'Notification not found');
+    }
+
+    return notification;
+};
+
+// Get the current user's notifications, newest first (?unread=true for unread only)
+const getNotifications = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const query = { recipient: req.user._id };
+    if (unread === 'true') {
+        query.readAt = null;
+    }
+
+    const options = {
+        page: parseInt(page, 10),
+        limit: Math.min(parseInt(limit, 10) || 20, 100),
+        sort: { createdAt: -1 },
+        lean: true,
+        leanWithId: false
+    };
+
+    const notifications = await Notification.paginate(query, options);
+
+    return res.status(200).json(
+        new ApiResponse(200, notifications, 'Notifications retrieved successfully')
+    );
+});
+
+// Number of unread notifications, for app badges
+const getUnreadCount = asyncHandler(async (req, res) => {
+    const count = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+
+    return res.status(200).json(
+        new ApiResponse(200, { count }, 'Unread count retrieved successfully')
+    );
+});
+
+// Mark a notification as read
+const markNotificationRead = asyncHandler(async (req, res) => {
+    const notification = await findOwnNotification(req);
+
+    if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, notification, 'Notification marked as read')
+    );
+});
+
+// Mark all of the current user's notifications as read
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+        { recipient: req.user._id, readAt: null },
+        { $set: { readAt: new Date() } }
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, { updated: result.modifiedCount }, 'All notifications marked as read')
+    );
+});
+
+// Delete a notification
+const deleteNotification = asyncHandler(async (req, res) => {
+    const notification = await findOwnNotification(req);
+    await notification.deleteOne();
+
+    return res.status(200).json(
+        new ApiResponse(200, null, 'Notification deleted successfully')
+    );
+});
+
+export {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    deleteNotification
+};
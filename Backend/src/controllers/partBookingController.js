@@ -1,6 +1,7 @@
 import asyncHandler from 'express-async-handler';
 import  {Booking}  from '../models/Booking.model.js';
-import  Part  from '../models/Part.model.js';
+import { PARTS_EDITABLE_STATUSES } from '../services/bookingLifecycle.service.js';
+import { buildPartLines, repriceBooking } from '../services/pricing.service.js';
 
 // @desc    Add parts to a booking
 // @route   POST /api/bookings/:id/parts
@@ -22,49 +23,31 @@ const addPartsToBooking = asyncHandler(async (req, res) => {
     }
 
     // Check if booking is in progress
-    if (booking.status !== 'in-progress') {
-        res.status(400);
+    if (!PARTS_EDITABLE_STATUSES.includes(booking.status)) {
+        res.status(409);
         throw new Error('Parts can only be added to bookings in progress');
     }
 
-    // Process each part
-    let totalPartsAmount = booking.partsAmount || 0;
+    // Resolve catalog prices, merging repeated parts into one line
+    const partLines = await buildPartLines(parts);
     const updatedParts = [...booking.parts];
-    
-    for (const item of parts) {
-        const { partId, quantity } = item;
-        
-        // Find the part
-        const part = await Part.findById(partId);
-        if (!part) {
-            res.status(404);
-            throw new Error(`Part not found: ${partId}`);
-        }
 
+    for (const line of partLines) {
         // Check if part is already in booking
-        const existingPartIndex = updatedParts.findIndex(p => p.part.toString() === partId);
-        
+        const existingPartIndex = updatedParts.findIndex(p => p.part.toString() === line.part.toString());
+
         if (existingPartIndex > -1) {
             // Update quantity if part already exists
-            updatedParts[existingPartIndex].quantity += quantity;
+            updatedParts[existingPartIndex].quantity += line.quantity;
         } else {
             // Add new part
-            updatedParts.push({
-                part: part._id,
-                name: part.name,
-                price: part.price,
-                quantity
-            });
+            updatedParts.push(line);
         }
-        
-        // Update total parts amount
-        totalPartsAmount += part.price * quantity;
     }
 
     // Update the booking
     booking.parts = updatedParts;
-    booking.partsAmount = totalPartsAmount;
-    booking.totalAmount = (booking.services.reduce((sum, service) => sum + service.price, 0) + totalPartsAmount) - (booking.discount?.amount || 0);
+    repriceBooking(booking);
     
     // Add activity log
     booking.activities.push({
@@ -102,8 +85,8 @@ const removePartFromBooking = asyncHandler(async (req, res) => {
     }
 
     // Check if booking is in progress
-    if (booking.status !== 'in-progress') {
-        res.status(400);
+    if (!PARTS_EDITABLE_STATUSES.includes(booking.status)) {
+        res.status(409);
         throw new Error('Parts can only be modified in bookings that are in progress');
     }
 
@@ -115,28 +98,18 @@ const removePartFromBooking = asyncHandler(async (req, res) => {
 
     const part = booking.parts[partIndex];
     let updatedParts = [...booking.parts];
-    let totalPartsAmount = booking.partsAmount;
 
     if (quantity && quantity < part.quantity) {
         // Reduce quantity
-        const quantityToRemove = Math.min(quantity, part.quantity);
-        updatedParts[partIndex].quantity -= quantityToRemove;
-        totalPartsAmount -= part.price * quantityToRemove;
-        
-        // Remove the part if quantity becomes zero
-        if (updatedParts[partIndex].quantity === 0) {
-            updatedParts = updatedParts.filter((_, index) => index !== partIndex);
-        }
+        updatedParts[partIndex].quantity -= quantity;
     } else {
         // Remove the part completely
-        totalPartsAmount -= part.price * part.quantity;
         updatedParts = updatedParts.filter((_, index) => index !== partIndex);
     }
 
     // Update the booking
     booking.parts = updatedParts;
-    booking.partsAmount = totalPartsAmount;
-    booking.totalAmount = (booking.services.reduce((sum, service) => sum + service.price, 0) + totalPartsAmount) - (booking.discount?.amount || 0);
+    repriceBooking(booking);
     
     // Add activity log
     booking.activities.push({
@@ -0,0 +1,353 @@
+import mongoose from 'mongoose';
+import { Booking } from '../models/Booking.model.js';
+import { CommissionRule } from '../models/CommissionRule.model.js';
+import { Counter } from '../models/Counter.model.js';
+import { Partner } from '../models/Partner.model.js';
+import { Technician } from '../models/Technician.model.js';
+import { User } from '../models/User.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import {
+    getPartnerEarnings,
+    getPartnerRatings,
+    getPartnerTechnicianIds,
+    parseServiceAreas,
+    partnerBookingsQuery,
+    setPartnerCommission
+} from '../services/partner.service.js';
+
+// Fields admins may set on a partner
+const PARTNER_FIELDS = ['name', 'type', 'legalName', 'gstin', 'contact', 'address', 'isActive'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const pickPartnerFields = (body) =>
+    Object.fromEntries(PARTNER_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+const pageOf = (query) => ({
+    page: parseInt(query.page) || 1,
+    limit: Math.min(parseInt(query.limit) || 20, 100)
+});
+
+// The partner of the request, `me` being the user's own partner; routes check the user may access it
+const findPartner = async (req) => {
+    let { id } = req.params;
+
+    if (id === 'me') {
+        id = req.user.partner;
+        if (!id) {
+            throw new ApiError(400, 'Your account is not linked to a partner organization');
+        }
+    } else if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid partner ID');
+    }
+
+    const partner = await Partner.findById(id);
+    if (!partner) {
+        throw new ApiError(404, 'Partner not found');
+    }
+
+    return partner;
+};
+
+const findUser = async (id, label) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, `Invalid ${label.toLowerCase()} ID`);
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+        throw new ApiError(404, `${label} not found`);
+    }
+
+    return user;
+};
+
+// List partners (?isActive=&search=&page=&limit=)
+const getPartners = asyncHandler(async (req, res) => {
+    const { isActive, search } = req.query;
+    const { page, limit } = pageOf(req.query);
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+        query.$or = [{ name: pattern }, { partnerCode: pattern }, { 'serviceAreas.city': pattern }];
+    }
+
+    const [partners, total] = await Promise.all([
+        Partner.find(query)
+            .sort({ name: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Partner.countDocuments(query)
+    ]);
+
+    const counts = await Technician.aggregate([
+        { $match: { partner: { $in: partners.map((partner) => partner._id) } } },
+        { $group: { _id: '$partner', technicians: { $sum: 1 } } }
+    ]);
+    const technicianCounts = new Map(counts.map((count) => [count._id.toString(), count.technicians]));
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            partners: partners.map((partner) => ({
+                ...partner,
+                technicianCount: technicianCounts.get(partner._id.toString()) || 0
+            })),
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Partners retrieved successfully')
+    );
+});
+
+// Create a partner: { name, type, legalName, gstin, contact, address, serviceAreas, commission }
+const createPartner = asyncHandler(async (req, res) => {
+    const data = pickPartnerFields(req.body);
+    if (!data.name?.trim()) {
+        throw new ApiError(400, 'Partner name is required');
+    }
+    if (req.body.serviceAreas !== undefined) {
+        data.serviceAreas = parseServiceAreas(req.body.serviceAreas);
+    }
+
+    const sequence = await Counter.next('partner');
+    const partner = await Partner.create({
+        ...data,
+        partnerCode: `PT${String(sequence).padStart(4, '0')}`,
+        createdBy: req.user._id
+    });
+
+    const commissionRule = req.body.commission
+        ? await setPartnerCommission(partner, req.body.commission, req.user)
+        : null;
+
+    return res.status(201).json(
+        new ApiResponse(201, { partner, commissionRule }, 'Partner created successfully')
+    );
+});
+
+// A partner with its accounts, technician count and commission terms (`me` for partner accounts)
+const getPartnerById = asyncHandler(async (req, res) => {
+    const partner = await findPartner(req);
+
+    const [accounts, technicianCount, commissionRules] = await Promise.all([
+        User.find({ role: 'Partner', partner: partner._id }).select('name email phone isActive').lean(),
+        Technician.countDocuments({ partner: partner._id }),
+        CommissionRule.find({ partner: partner._id }).sort({ category: 1 }).lean()
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, { partner, accounts, technicianCount, commissionRules }, 'Partner retrieved successfully')
+    );
+});
+
+// Update a partner's details, service areas or commission terms
+const updatePartner = asyncHandler(async (req, res) => {
+    const partner = await findPartner(req);
+
+    partner.set(pickPartnerFields(req.body));
+    if (req.body.serviceAreas !== undefined) {
+        partner.serviceAreas = parseServiceAreas(req.body.serviceAreas);
+    }
+    await partner.save();
+
+    const commissionRule = req.body.commission
+        ? await setPartnerCommission(partner, req.body.commission, req.user)
+        : undefined;
+
+    return res.status(200).json(
+        new ApiResponse(200, { partner, commissionRule }, 'Partner updated successfully')
+    );
+});
+
+// Link a partner account to the partner: { userId }
+const addPartnerAccount = asyncHandler(async (req, res) => {
+    const partner = await findPartner(req);
+    const user = await findUser(req.body.userId, 'User');
+
+    if (user.role !== 'Partner') {
+        throw new ApiError(400, 'Only partner accounts can be linked to a partner');
+    }
+    if (user.partner && user.partner.toString() !== partner._id.toString()) {
+        throw new ApiError(409, 'This account already belongs to another partner');
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { partner: partner._id } });
+
+    return res.status(200).json(
+        new ApiResponse(200, { _id: user._id, name: user.name, email: user.email, partner: partner._id }, 'Account linked to the partner')
+    );
+});
+
+// Unlink a partner account
+const removePartnerAccount = asyncHandler(async (req, res) => {
+    const partner = await findPartner(req);
+
+    const { modifiedCount } = await User.updateOne(
+        { _id: req.params.userId, role: 'Partner', partner: partner._id },
+        { $set: { partner: null } }
+    );
+    if (!modifiedCount) {
+        throw new ApiError(404, 'Account is not linked to this partner');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, null, 'Account unlinked from the partner')
+    );
+});
+
+// A partner's technicians (?registrationStatus=&isActive=&search=&page=&limit=)
+const getPartnerTechnicians = asyncHandler(async (req, res) => {
+    const partner = await findPartner(req);
+    const { registrationStatus, isActive, search } = req.query;
+    const { page, limit } = pageOf(req.query);
+
+    const query = { partner: partner._id };
+    if (registrationStatus) query.registration_status = registrationStatus;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+        query.$or = [{ 'name.first': pattern }, { 'name.last': pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    const [technicians, total] = await Promise.all([
+        Technician.find(query)
+            .select('name email phone services skills isActive isVerified registration_status averageRating totalJobsCompleted availability')
+            .sort({ 'name.first': 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Technician.countDocuments(query)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            technicians,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Partner technicians retrieved successfully')
+    );
+});
+
+// Add a technician to the partner's roster: { technicianId }
+const addPartnerTechnician = asyncHandler(async (req, res) => {
+    const partner = await findPartner(req);
+    const technician = await findUser(req.body.technicianId, 'Technician');
+
+    if (technician.role !== 'Technician') {
+        throw new ApiError(400, 'Only technicians can join a partner roster');
+    }
+    if (technician.partner && technician.partner.toString() !== partner._id.toString()) {
+        throw new ApiError(409, 'This technician already works for another partner');
+    }
+
+    await Technician.updateOne({ _id: technician._id }, { $set: { partner: partner._id } });
+
+    return res.status(200).json(
+        new ApiResponse(200, { _id: technician._id, name: technician.name, partner: partner._id }, 'Technician added to the partner')
+    );
+});
+
+// Remove a technician from the partner's roster
+const removePartnerTechnician = asyncHandler(async (req, res) => {
+    const partner = await findPartner(req);
+
+    const { modifiedCount } = await Technician.updateOne(
+        { _id: req.params.technicianId, partner: partner._id },
+        { $set: { partner: null } }
+    );
+    if (!modifiedCount) {
+        throw new ApiError(404, 'Technician is not on this partner\'s roster');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, null, 'Technician removed from the partner')
+    );
+});
+
+// Bookings routed to the partner or served by its technicians (?status=&from=&to=&page=&limit=)
+const getPartnerBookings = asyncHandler(async (req, res) => {
+    const partner = await findPartner(req);
+    const { status, from, to } = req.query;
+    const { page, limit } = pageOf(req.query);
+
+    const query = partnerBookingsQuery(partner._id, await getPartnerTechnicianIds(partner._id));
+    if (status) query.status = status;
+    if (from || to) {
+        query.scheduleDate = {};
+        if (from) query.scheduleDate.$gte = new Date(from);
+        if (to) query.scheduleDate.$lte = new Date(to);
+    }
+
+    const [bookings, total] = await Promise.all([
+        Booking.find(query)
+            .select('bookingId status scheduleDate preferredTimeSlot services.name address.city address.pincode finalAmount payment.status assigned_technician partner rating escalation')
+            .populate('assigned_technician', 'name phone')
+            .sort({ scheduleDate: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Booking.countDocuments(query)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            bookings,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Partner bookings retrieved successfully')
+    );
+});
+
+// Revenue of the partner's completed bookings and its technicians' earnings (?from=&to=)
+const getPartnerEarningsSummary = asyncHandler(async (req, res) => {
+    const partner = await findPartner(req);
+    const { from, to } = req.query;
+
+    const earnings = await getPartnerEarnings(partner, { from, to });
+
+    return res.status(200).json(
+        new ApiResponse(200, { partner: { _id: partner._id, name: partner.name }, from, to, ...earnings }, 'Partner earnings retrieved successfully')
+    );
+});
+
+// Customer ratings of the partner's technicians (?page=&limit=)
+const getPartnerRatingsSummary = asyncHandler(async (req, res) => {
+    const partner = await findPartner(req);
+
+    const ratings = await getPartnerRatings(partner, pageOf(req.query));
+
+    return res.status(200).json(
+        new ApiResponse(200, ratings, 'Partner ratings retrieved successfully')
+    );
+});
+
+export {
+    getPartners,
+    createPartner,
+    getPartnerById,
+    updatePartner,
+    addPartnerAccount,
+    removePartnerAccount,
+    getPartnerTechnicians,
+    addPartnerTechnician,
+    removePartnerTechnician,
+    getPartnerBookings,
+    getPartnerEarningsSummary,
+    getPartnerRatingsSummary
+};
@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import { Booking } from '../models/Booking.model.js';
+import { Payment } from '../models/Payment.model.js';
+import { Refund } from '../models/Refund.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import {
+    createPaymentOrder,
+    getAmountPaid,
+    getAmountRefunded,
+    handlePaymentWebhook,
+    payBookingFromWallet,
+    refundBookingPayments,
+    simulateFakePayment
+} from '../services/payment.service.js';
+
+// Booking of the request; routes check the user may pay for it or see its payments
+const findPayableBooking = async (req) => {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid booking ID');
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+        throw new ApiError(404, 'Booking not found');
+    }
+
+    return booking;
+};
+
+// Create a provider order for the advance or the balance of a booking
+const createOrder = asyncHandler(async (req, res) => {
+    const booking = await findPayableBooking(req);
+
+    const { payment, checkout } = await createPaymentOrder(booking, req.body.purpose);
+
+    return res.status(201).json(
+        new ApiResponse(201, {
+            paymentId: payment._id,
+            provider: payment.provider,
+            purpose: payment.purpose,
+            amount: payment.amount,
+            currency: payment.currency,
+            checkout
+        }, 'Payment order created successfully')
+    );
+});
+
+// Pay the advance or the balance of a booking from the customer's wallet
+const payWithWallet = asyncHandler(async (req, res) => {
+    const booking = await findPayableBooking(req);
+
+    // Only customers spend their own wallet
+    if (booking.user.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, 'Only the customer can pay from their wallet');
+    }
+
+    const { payment, wallet, transaction } = await payBookingFromWallet(booking, {
+        purpose: req.body.purpose,
+        amount: req.body.amount,
+        actor: req.user
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, {
+            paymentId: payment._id,
+            purpose: payment.purpose,
+            amount: payment.amount,
+            transactionId: transaction.transactionId,
+            walletBalance: wallet.balance
+        }, 'Paid from wallet successfully')
+    );
+});
+
+// Payment attempts of a booking with the amount paid so far
+const getBookingPayments = asyncHandler(async (req, res) => {
+    const booking = await findPayableBooking(req);
+
+    const [payments, refunds, amountPaid, amountRefunded] = await Promise.all([
+        Payment.find({ booking: booking._id }).select('-events.payload').sort({ createdAt: -1 }).lean(),
+        Refund.find({ booking: booking._id }).sort({ createdAt: -1 }).lean(),
+        getAmountPaid(booking._id),
+        getAmountRefunded(booking._id)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            payments,
+            refunds,
+            amountPaid,
+            amountRefunded,
+            finalAmount: booking.finalAmount,
+            amountDue: booking.status === 'cancelled'
+                ? 0
+                : Math.max(Math.round((booking.finalAmount - amountPaid) * 100) / 100, 0),
+            cancellation: booking.cancellation
+        }, 'Payments retrieved successfully')
+    );
+});
+
+// Refund part of what was paid for a booking, e.g. a partial refund of the balance
+const createRefund = asyncHandler(async (req, res) => {
+    const booking = await findPayableBooking(req);
+    const { amount, reason } = req.body;
+
+    if (!reason?.toString().trim()) {
+        throw new ApiError(400, 'A reason is required');
+    }
+
+    const refunds = await refundBookingPayments(booking, amount, { reason, initiatedBy: req.user._id });
+
+    return res.status(201).json(
+        new ApiResponse(201, refunds, 'Refund issued successfully')
+    );
+});
+
+// List refunds: the current user's own, or every refund under an unscoped payment:read grant
+const getRefunds = asyncHandler(async (req, res) => {
+    const { status, booking } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = {};
+    if (req.permission.scope !== 'any') {
+        query.user = req.user._id;
+    }
+    if (status) query.status = status;
+    if (booking && mongoose.isValidObjectId(booking)) query.booking = booking;
+
+    const [refunds, total] = await Promise.all([
+        Refund.find(query)
+            .populate('booking', 'bookingId status scheduleDate')
+            .populate('user', 'name email phone')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Refund.countDocuments(query)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            refunds,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Refunds retrieved successfully')
+    );
+});
+
+// Signed status updates from the payment provider
+const paymentWebhook = asyncHandler(async (req, res) => {
+    const result = await handlePaymentWebhook(req.rawBody, req.headers, req.body);
+
+    return res.status(200).json(
+        new ApiResponse(200, { status: result.status }, 'Webhook processed')
+    );
+});
+
+// Pay or fail an order of the fake provider (development and tests)
+const simulatePayment = asyncHandler(async (req, res) => {
+    const payment = await Payment.findById(req.params.paymentId);
+    if (!payment) {
+        throw new ApiError(404, 'Payment not found');
+    }
+    if (req.permission.scope !== 'any' && payment.user.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, 'Not authorized to complete this payment');
+    }
+
+    const status = req.body.status === 'failed' ? 'failed' : 'captured';
+    const result = await simulateFakePayment(payment, status);
+
+    return res.status(200).json(
+        new ApiResponse(200, result, `Payment ${status}`)
+    );
+});
+
+export {
+    createOrder,
+    payWithWallet,
+    getBookingPayments,
+    createRefund,
+    getRefunds,
+    paymentWebhook,
+    simulatePayment
+};
@@ -0,0 +1,206 @@
+import mongoose from 'mongoose';
+import { PayoutBatch } from '../models/PayoutBatch.model.js';
+import { Technician } from '../models/Technician.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import {
+    buildBankTransferFile,
+    createPayoutBatch,
+    getLedger,
+    postLedgerEntry,
+    settlePayoutItem
+} from '../services/technicianLedger.service.js';
+
+// Entry types admins post by hand, with the sign of their amount
+const MANUAL_ENTRY_SIGNS = { incentive: 1, penalty: -1, adjustment: 1 };
+
+const findBatch = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid payout batch ID');
+    }
+
+    const batch = await PayoutBatch.findById(id);
+    if (!batch) {
+        throw new ApiError(404, 'Payout batch not found');
+    }
+
+    return batch;
+};
+
+const findTechnician = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid technician ID');
+    }
+
+    const technician = await Technician.findById(id).select('name email phone bankDetails');
+    if (!technician) {
+        throw new ApiError(404, 'Technician not found');
+    }
+
+    return technician;
+};
+
+const ledgerFilters = (query) => ({
+    type: query.type,
+    from: query.from,
+    to: query.to,
+    page: parseInt(query.page) || 1,
+    limit: Math.min(parseInt(query.limit) || 20, 100)
+});
+
+// Own ledger and balance (technicians)
+const getMyEarnings = asyncHandler(async (req, res) => {
+    const ledger = await getLedger(req.user._id, ledgerFilters(req.query));
+
+    return res.status(200).json(
+        new ApiResponse(200, ledger, 'Earnings retrieved successfully')
+    );
+});
+
+// A technician's ledger and balance (?type=&from=&to=&page=&limit=)
+const getTechnicianLedger = asyncHandler(async (req, res) => {
+    const technician = await findTechnician(req.params.technicianId);
+    const ledger = await getLedger(technician._id, ledgerFilters(req.query));
+
+    return res.status(200).json(
+        new ApiResponse(200, { technician, ...ledger }, 'Technician ledger retrieved successfully')
+    );
+});
+
+// Post an incentive, penalty or adjustment: { type, amount, description, bookingId }
+const createLedgerAdjustment = asyncHandler(async (req, res) => {
+    const { type, amount, description, bookingId } = req.body;
+    const technician = await findTechnician(req.params.technicianId);
+
+    const sign = MANUAL_ENTRY_SIGNS[type];
+    const value = Number(amount);
+    if (!sign) {
+        throw new ApiError(400, `Type must be one of ${Object.keys(MANUAL_ENTRY_SIGNS).join(', ')}`);
+    }
+    // Adjustments carry their own sign, incentives and penalties are given as positive amounts
+    if (!Number.isFinite(value) || value === 0 || (type !== 'adjustment' && value < 0)) {
+        throw new ApiError(400, 'Amount must be a non-zero number, positive for incentives and penalties');
+    }
+    if (!description?.trim()) {
+        throw new ApiError(400, 'Description is required');
+    }
+    if (bookingId && !mongoose.isValidObjectId(bookingId)) {
+        throw new ApiError(400, 'Invalid booking ID');
+    }
+
+    const entry = await postLedgerEntry({
+        technician: technician._id,
+        type,
+        amount: sign * value,
+        booking: bookingId || null,
+        description: description.trim(),
+        createdBy: req.user._id
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, entry, 'Ledger entry posted successfully')
+    );
+});
+
+// List payout batches (?status=&page=&limit=)
+const getPayoutBatches = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const [batches, total] = await Promise.all([
+        PayoutBatch.find(query)
+            .select('-items.bankDetails')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        PayoutBatch.countDocuments(query)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            batches,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Payout batches retrieved successfully')
+    );
+});
+
+// Batch the balances of entries posted before periodEnd (defaults to the start of this week)
+const createPayoutBatchNow = asyncHandler(async (req, res) => {
+    const batch = await createPayoutBatch({
+        periodEnd: req.body.periodEnd || undefined,
+        createdBy: req.user._id
+    });
+    if (!batch) {
+        throw new ApiError(409, 'No technician has a balance to pay out for this period');
+    }
+
+    return res.status(201).json(
+        new ApiResponse(201, batch, `Payout batch created with ${batch.items.length} transfer(s)`)
+    );
+});
+
+// Get a batch with its transfers
+const getPayoutBatchById = asyncHandler(async (req, res) => {
+    const batch = await findBatch(req.params.id);
+    await batch.populate([
+        { path: 'items.technician', select: 'name email phone' },
+        { path: 'skipped.technician', select: 'name email phone' }
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, batch, 'Payout batch retrieved successfully')
+    );
+});
+
+// Bank transfer file of the batch's pending transfers (CSV)
+const exportPayoutBatch = asyncHandler(async (req, res) => {
+    const batch = await findBatch(req.params.id);
+
+    const file = buildBankTransferFile(batch);
+    batch.exportedAt = new Date();
+    await batch.save();
+
+    res.set({
+        'Content-Type': 'text/csv',
+        'Content-Disposition': `attachment; filename="${batch.batchNumber}.csv"`
+    });
+    return res.status(200).send(file);
+});
+
+// Record a transfer's outcome: { status: 'paid' | 'failed', reference, failureReason }
+const settlePayoutTransfer = asyncHandler(async (req, res) => {
+    const { status, reference, failureReason } = req.body;
+    const batch = await findBatch(req.params.id);
+
+    const updated = await settlePayoutItem(batch, req.params.technicianId, {
+        status,
+        reference,
+        failureReason,
+        actor: req.user
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, updated, `Payout marked ${status}`)
+    );
+});
+
+export {
+    getMyEarnings,
+    getTechnicianLedger,
+    createLedgerAdjustment,
+    getPayoutBatches,
+    createPayoutBatchNow,
+    getPayoutBatchById,
+    exportPayoutBatch,
+    settlePayoutTransfer
+};
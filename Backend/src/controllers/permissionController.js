@@ -0,0 +1,72 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import {
+    PERMISSIONS,
+    listRolePolicies,
+    resetRolePolicy,
+    setRolePolicy
+} from '../services/permission.service.js';
+import { PERMISSION_SCOPES } from '../models/RolePolicy.model.js';
+import { auditChange } from '../services/audit.service.js';
+import { normalizeRole } from '../services/bookingLifecycle.service.js';
+
+// Effective grants of a role, for the audit trail
+const grantsOf = async (role) => {
+    const policies = await listRolePolicies();
+    return policies.find((policy) => policy.role === normalizeRole(role))?.grants || null;
+};
+
+// Permission registry and what every role is granted
+const getPermissions = asyncHandler(async (req, res) => {
+    const policies = await listRolePolicies();
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+            scopes: PERMISSION_SCOPES,
+            policies
+        }, 'Permissions retrieved successfully')
+    );
+});
+
+// Replace a role's permissions: { grants: [{ permission, scope: 'own' | 'partner' | 'any' }] }
+const updateRolePermissions = asyncHandler(async (req, res) => {
+    const before = await grantsOf(req.params.role);
+    const policy = await setRolePolicy(req.params.role, req.body.grants, req.user);
+
+    auditChange(res, {
+        action: 'permission.update',
+        targetType: 'RolePolicy',
+        targetId: policy.role,
+        before: { grants: before },
+        after: { grants: policy.grants.map(({ permission, scope }) => ({ permission, scope })) }
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, policy, 'Role permissions updated successfully')
+    );
+});
+
+// Back to the built-in permissions of a role
+const resetRolePermissions = asyncHandler(async (req, res) => {
+    const before = await grantsOf(req.params.role);
+    const grants = await resetRolePolicy(req.params.role);
+
+    auditChange(res, {
+        action: 'permission.reset',
+        targetType: 'RolePolicy',
+        targetId: normalizeRole(req.params.role),
+        before: { grants: before },
+        after: { grants }
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { grants }, 'Role permissions reset to the defaults')
+    );
+});
+
+export {
+    getPermissions,
+    updateRolePermissions,
+    resetRolePermissions
+};
@@ -0,0 +1,19 @@
+import { openStream, getStreamStats } from '../services/realtime.service.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+
+// Open a Server-Sent Events stream of booking and notification events for the current user
+const streamEvents = (req, res) => {
+    openStream(req, res);
+};
+
+// Number of connected users and open streams on this node (admin only)
+const getRealtimeStats = (req, res) => {
+    return res.status(200).json(
+        new ApiResponse(200, getStreamStats(), 'Realtime stats retrieved successfully')
+    );
+};
+
+export {
+    streamEvents,
+    getRealtimeStats
+};
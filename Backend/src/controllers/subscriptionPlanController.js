@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import { Subscription } from '../models/Subscription.model.js';
+import { SubscriptionPlan } from '../models/SubscriptionPlan.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+
+// Fields admins may set on a plan
+const PLAN_FIELDS = [
+    'code',
+    'name',
+    'description',
+    'price',
+    'currency',
+    'periodDays',
+    'features',
+    'isActive',
+    'sortOrder'
+];
+
+const pickPlanFields = (body) =>
+    Object.fromEntries(PLAN_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+const findPlan = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid plan ID');
+    }
+
+    const plan = await SubscriptionPlan.findById(id);
+    if (!plan) {
+        throw new ApiError(404, 'Plan not found');
+    }
+
+    return plan;
+};
+
+// Plans customers can subscribe to
+const getPlans = asyncHandler(async (req, res) => {
+    const plans = await SubscriptionPlan.find({ isActive: true })
+        .sort({ sortOrder: 1, price: 1 })
+        .select('-createdBy')
+        .lean();
+
+    return res.status(200).json(
+        new ApiResponse(200, plans, 'Plans retrieved successfully')
+    );
+});
+
+// Every plan with its subscriber count, inactive ones included
+const getAllPlans = asyncHandler(async (req, res) => {
+    const [plans, counts] = await Promise.all([
+        SubscriptionPlan.find().sort({ sortOrder: 1, price: 1 }).lean(),
+        Subscription.aggregate([
+            { $match: { status: { $in: ['active', 'past_due', 'canceled'] } } },
+            { $group: { _id: '$plan', subscribers: { $sum: 1 } } }
+        ])
+    ]);
+    const subscribers = new Map(counts.map((count) => [count._id, count.subscribers]));
+
+    return res.status(200).json(
+        new ApiResponse(200, plans.map((plan) => ({
+            ...plan,
+            subscribers: subscribers.get(plan.code) || 0
+        })), 'Plans retrieved successfully')
+    );
+});
+
+// Create a plan
+const createPlan = asyncHandler(async (req, res) => {
+    const data = pickPlanFields(req.body);
+
+    if (!data.code || !data.name || data.price === undefined || !data.periodDays) {
+        throw new ApiError(400, 'Code, name, price and period are required');
+    }
+
+    const existing = await SubscriptionPlan.exists({ code: data.code.toString().trim().toLowerCase() });
+    if (existing) {
+        throw new ApiError(409, 'A plan with this code already exists');
+    }
+
+    const plan = await SubscriptionPlan.create({ ...data, createdBy: req.user._id });
+
+    return res.status(201).json(
+        new ApiResponse(201, plan, 'Plan created successfully')
+    );
+});
+
+// Get a plan
+const getPlanById = asyncHandler(async (req, res) => {
+    const plan = await findPlan(req.params.id);
+
+    return res.status(200).json(
+        new ApiResponse(200, plan, 'Plan retrieved successfully')
+    );
+});
+
+// Update a plan; subscribers get the new price and features from their next period
+const updatePlan = asyncHandler(async (req, res) => {
+    const plan = await findPlan(req.params.id);
+    const data = pickPlanFields(req.body);
+
+    if (data.code && data.code.toString().trim().toLowerCase() !== plan.code) {
+        throw new ApiError(409, 'The code of a plan cannot be changed');
+    }
+    if (plan.code === 'free' && (data.isActive === false || data.price > 0)) {
+        throw new ApiError(409, 'The free plan must stay active and free');
+    }
+
+    plan.set(data);
+    await plan.save();
+
+    return res.status(200).json(
+        new ApiResponse(200, plan, 'Plan updated successfully')
+    );
+});
+
+// Delete a plan nobody has used, plans with subscriptions are deactivated instead
+const deletePlan = asyncHandler(async (req, res) => {
+    const plan = await findPlan(req.params.id);
+
+    if (plan.code === 'free') {
+        throw new ApiError(409, 'The free plan cannot be removed');
+    }
+
+    const used = await Subscription.exists({ plan: plan.code });
+    if (used) {
+        plan.isActive = false;
+        await plan.save();
+        return res.status(200).json(
+            new ApiResponse(200, plan, 'Plan has subscriptions and was deactivated')
+        );
+    }
+
+    await plan.deleteOne();
+
+    return res.status(200).json(
+        new ApiResponse(200, null, 'Plan deleted successfully')
+    );
+});
+
+export {
+    getPlans,
+    getAllPlans,
+    createPlan,
+    getPlanById,
+    updatePlan,
+    deletePlan
+};
@@ -7,6 +7,19 @@ import { Booking } from '../models/Booking.model.js';
 import { uploadOnCloudinary } from '../utils/cloudinary.js';
 import mongoose from 'mongoose';
 import { cleanupTempFile } from '../utils/CleanupFile.js';
+import { assertStatusRouteTransition, transitionBooking } from '../services/bookingLifecycle.service.js';
+import { respondToOffer } from '../services/assignmentOffer.service.js';
+import { notify } from '../services/notification.service.js';
+import { getEarningsTotals, getMonthlyEarnings } from '../services/technicianLedger.service.js';
+import { auditChange } from '../services/audit.service.js';
+import { Partner } from '../models/Partner.model.js';
+
+// Narrow a technician query to a scoped grant: the partner's technicians, or the technician themselves
+const scopeTechnicianQuery = (req, query) => {
+    if (req.permission.scope === 'partner') query.partner = req.user.partner;
+    else if (req.permission.scope === 'own') query._id = req.user._id;
+    return query;
+};
 
 // Register a new technician (Admin/Partner only)
 const registerTechnician = asyncHandler(async (req, res) => {
@@ -501,6 +514,9 @@ const getAllTechnicians = asyncHandler(async (req, res) => {
 
     const query = { role: 'Technician' }; // Updated to match the role name in the model
 
+    // Partner accounts only list their own technicians
+    scopeTechnicianQuery(req, query);
+
     // Apply filters
     if (status) query.status = status;
     if (service) query.services = service; // Changed since services are now strings
@@ -570,9 +586,18 @@ const deactivateTechnicianById = asyncHandler(async (req, res) => {
     }
 
     // Deactivate the technician
+    const wasActive = technician.isActive;
     technician.isActive = false;
     await technician.save();
 
+    auditChange(res, {
+        action: 'technician.deactivate',
+        targetType: 'Technician',
+        targetId: technician._id,
+        before: { isActive: wasActive },
+        after: { isActive: false }
+    });
+
     // Revoke tokens and perform cleanup
     const updatedTechnician = await User.findByIdAndUpdate(id, { 
         $set: { 
@@ -595,9 +620,23 @@ const deleteTechnicianById = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Technician not found');
     }
 
-    
     await User.findByIdAndDelete(id);
 
+    auditChange(res, {
+        action: 'technician.delete',
+        targetType: 'Technician',
+        targetId: technician._id,
+        before: {
+            name: technician.name,
+            email: technician.email,
+            phone: technician.phone,
+            partner: technician.partner,
+            registration_status: technician.registration_status,
+            isActive: technician.isActive
+        },
+        after: null
+    });
+
     return res.status(200).json(
         new ApiResponse(200, null, "Technician deleted successfully")
     );
@@ -667,61 +706,20 @@ const getBookingDetails = asyncHandler(async (req, res) => {
 // Accept or reject a booking assignment
 const updateBookingAssignment = asyncHandler(async (req, res) => {
     const { bookingId } = req.params;
-    const { action } = req.body; // 'accept' or 'reject'
-    const technicianId = req.user._id;
+    const { action, reason } = req.body; // 'accept' or 'reject'
 
     if (!['accept', 'reject'].includes(action)) {
         throw new ApiError(400, "Action must be either 'accept' or 'reject'");
     }
 
-    // Find the booking assigned to this technician
-    const booking = await Booking.findOne({
-        _id: bookingId,
-        assigned_technician: technicianId,
-        status: 'assigned'
-    });
+    const booking = await Booking.findById(bookingId);
 
     if (!booking) {
-        throw new ApiError(404, 'Booking not found or already processed');
+        throw new ApiError(404, 'Booking not found');
     }
 
-    if (action === 'accept') {
-        // If technician accepts, confirm the booking
-        booking.status = 'confirmed';
-        booking.statusHistory.push({
-            status: 'confirmed',
-            changedAt: new Date(),
-            changedBy: technicianId,
-            note: 'Technician accepted the booking'
-        });
-        
-        await booking.save();
-    } else {
-        // If technician rejects, remove their assignment but keep booking available
-        booking.assigned_technician = null;
-        booking.status = 'pending'; // Reset status to make it available for other technicians
-        
-        booking.statusHistory.push({
-            status: 'pending',
-            changedAt: new Date(),
-            changedBy: technicianId,
-            note: 'Technician declined the assignment, available for other technicians'
-        });
-        
-        // Add the technician to a declinedBy array to prevent re-assigning to the same technician
-        if (!booking.declinedBy) {
-            booking.declinedBy = [];
-        }
-        booking.declinedBy.push({
-            technician: technicianId,
-            declinedAt: new Date()
-        });
-        
-        await booking.save();
-        
-        // TODO: Trigger notification to admin/manager about the rejection
-        // TODO: Trigger assignment to another available technician if needed
-    }
+    // Declining or answering too late cascades the booking to the next ranked technician
+    await respondToOffer(booking, req.user, { action, reason });
 
     return res.status(200).json(
         new ApiResponse(200, booking, `Booking ${action === 'accept' ? 'accepted' : 'declined'} successfully`)
@@ -731,53 +729,20 @@ const updateBookingAssignment = asyncHandler(async (req, res) => {
 // Update job status with validation {TO BE CHECKED}
 const updateJobStatus = asyncHandler(async (req, res) => {
     const { bookingId } = req.params;
-    const { status, note } = req.body;
-    const technicianId = req.user._id;
-
-    const validStatuses = [
-        'pending', 'confirmed', 'assigned', 'reached',
-        'otp_pending', 'in_progress', 'completed',
-        'cancelled', 'rescheduled', 'rejected'
-    ];
+    const { status, note, reason } = req.body;
 
-    if (!validStatuses.includes(status)) {
-        throw new ApiError(400, 'Invalid status');
+    if (!status) {
+        throw new ApiError(400, 'Status is required');
     }
 
-    const booking = await Booking.findOne({
-        _id: bookingId,
-        assigned_technician: technicianId
-    });
+    const booking = await Booking.findById(bookingId);
 
     if (!booking) {
-        throw new ApiError(404, 'Booking not found or not assigned to you');
+        throw new ApiError(404, 'Booking not found');
     }
 
-    // Validate status transition
-    const currentStatus = booking.status;
-    const validTransitions = {
-        'assigned': ['confirmed', 'rejected'],
-        'confirmed': ['reached'],
-        'reached': ['otp_pending'],
-        'otp_pending': ['in_progress'],
-        'in_progress': ['completed'],
-        // Add other valid transitions as needed
-    };
-
-    if (validTransitions[currentStatus] && !validTransitions[currentStatus].includes(status)) {
-        throw new ApiError(400, `Cannot change status from ${currentStatus} to ${status}`);
-    }
-
-    // Update status
-    booking.status = status;
-    booking.statusHistory.push({
-        status,
-        changedAt: new Date(),
-        changedBy: technicianId,
-        note: note || `Status changed to ${status}`
-    });
-
-    await booking.save();
+    assertStatusRouteTransition(booking, status, { actor: req.user, reason });
+    await transitionBooking(booking, status, { actor: req.user, note, reason });
 
     return res.status(200).json(
         new ApiResponse(200, booking, 'Job status updated successfully')
@@ -971,43 +936,22 @@ const getJobStats = asyncHandler(async (req, res) => {
         }
     ]);
 
-    // Get monthly earnings for the last 6 months
+    // Earnings come from the technician's ledger, monthly for the last 6 months
     const sixMonthsAgo = new Date();
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
 
-    const monthlyEarnings = await Booking.aggregate([
-        {
-            $match: {
-                assigned_technician: new mongoose.Types.ObjectId(technicianId),
-                status: 'completed',
-                completedAt: { $gte: sixMonthsAgo }
-            }
-        },
-        {
-            $group: {
-                _id: {
-                    year: { $year: '$completedAt' },
-                    month: { $month: '$completedAt' }
-                },
-                earnings: { $sum: '$finalAmount' },
-                jobs: { $sum: 1 }
-            }
-        },
-        { $sort: { '_id.year': 1, '_id.month': 1 } }
+    const [earningsTotals, monthlyEarnings] = await Promise.all([
+        getEarningsTotals([technicianId], { from: startDate, to: endDate }),
+        getMonthlyEarnings(technicianId, sixMonthsAgo)
     ]);
 
     // Format the response
     const result = {
         totalJobs: stats[0]?.totalJobs || 0,
-        totalEarnings: stats[0]?.totalEarnings || 0,
+        totalEarnings: earningsTotals.get(technicianId.toString()) || 0,
         averageRating: stats[0]?.avgRating ? parseFloat(stats[0].avgRating.toFixed(1)) : 0,
         services: stats[0]?.services || [],
-        monthlyEarnings: monthlyEarnings.map(item => ({
-            year: item._id.year,
-            month: item._id.month,
-            earnings: item.earnings,
-            jobs: item.jobs
-        }))
+        monthlyEarnings
     };
 
     return res.status(200).json(
@@ -1025,16 +969,17 @@ const assignTechnicianToPartner = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Technician not found');
     }
 
-    // Check if partner exists and is a partner
-    const partner = await User.findOne({ _id: partnerId, role: 'partner' });
+    // Check if the partner organization exists
+    const partner = mongoose.isValidObjectId(partnerId)
+        ? await Partner.findOne({ _id: partnerId, isActive: true })
+        : null;
     if (!partner) {
         throw new ApiError(404, 'Partner not found');
     }
 
-    // Update technician's partner
-    technician.partner = partnerId;
-    technician.updatedBy = req.user._id;
-    await technician.save();
+    // Update technician's partner, without re-validating the rest of the profile
+    technician.partner = partner._id;
+    await Technician.updateOne({ _id: technician._id }, { $set: { partner: partner._id } });
 
     return res.status(200).json(
         new ApiResponse(200, technician, 'Technician assigned to partner successfully')
@@ -1049,6 +994,9 @@ const getUnverifiedTechnicians = asyncHandler(async (req, res) => {
         isVerified: false
     };
 
+    // Partner accounts only see their own technicians
+    scopeTechnicianQuery(req, query);
+
     // Optional status filter
     if (['pending', 'rejected', 'approved'].includes(status)) {
         query.verificationStatus = status;
@@ -1118,15 +1066,17 @@ const changeTechnicianStatus = asyncHandler(async (req, res) => {
 
     technician.updatedBy = req.user._id;
 
+    const newState = {
+        isActive: technician.isActive,
+        isOnBreak: technician.availability?.isOnBreak || false,
+        registration_status: technician.registration_status
+    };
+
     // Add to status history
     technician.statusHistory = technician.statusHistory || [];
     technician.statusHistory.push({
         previousState,
-        newState: {
-            isActive: technician.isActive,
-            isOnBreak: technician.availability?.isOnBreak || false,
-            registration_status: technician.registration_status
-        },
+        newState,
         changedBy: req.user._id,
         reason: reason || `Status changed to ${status}`,
         changedAt: new Date(),
@@ -1135,6 +1085,21 @@ const changeTechnicianStatus = asyncHandler(async (req, res) => {
 
     await technician.save();
 
+    auditChange(res, {
+        action: 'technician.status_change',
+        targetType: 'Technician',
+        targetId: technician._id,
+        before: previousState,
+        after: newState
+    });
+
+    if (previousState.registration_status !== technician.registration_status) {
+        await notify(technician._id, 'technician.verification', {
+            status: technician.registration_status,
+            reason
+        });
+    }
+
     return res.status(200).json(
         new ApiResponse(200, technician, `Technician status updated to ${status} successfully`)
     );
@@ -1145,30 +1110,26 @@ const getTechniciansByPartnerId = asyncHandler(async (req, res) => {
     const { partnerId } = req.params;
     const { page = 1, limit = 10, status } = req.query;
 
-    // If user is a partner, they can only see their own technicians
-    const requestingUser = req.user;
-    if (requestingUser.role === 'partner' && requestingUser._id.toString() !== partnerId) {
-        throw new ApiError(403, 'Not authorized to view these technicians');
+    if (!mongoose.isValidObjectId(partnerId)) {
+        throw new ApiError(400, 'Invalid partner ID');
     }
 
     const query = {
-        partner: partnerId,
-        role: 'technician'
+        partner: partnerId
     };
 
-    // Filter by status if provided
-    if (['pending', 'approved', 'rejected', 'in_review', 'suspended'].includes(status)) {
-        query.status = status;
+    // Filter by registration status if provided
+    if (['pending', 'approved', 'rejected', 'in_review'].includes(status)) {
+        query.registration_status = status;
     }
 
     const options = {
         page: parseInt(page, 10),
         limit: parseInt(limit, 10),
-        sort: { name: 1 },
-        select: 'name email phone status rating totalJobs isVerified',
+        sort: { 'name.first': 1 },
+        select: 'name email phone services registration_status isActive averageRating totalJobsCompleted isVerified partner',
         populate: [
-            { path: 'services', select: 'name' },
-            { path: 'partner', select: 'name email' }
+            { path: 'partner', select: 'name partnerCode' }
         ]
     };
 
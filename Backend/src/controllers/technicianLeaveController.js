@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+import { Technician } from '../models/Technician.model.js';
+import { TechnicianLeave } from '../models/TechnicianLeave.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { getPartnerTechnicianIds } from '../services/partner.service.js';
+import { startOfDay } from '../services/slotAvailability.service.js';
+import {
+    cancelLeave,
+    requestLeave,
+    reviewLeave
+} from '../services/technicianLeave.service.js';
+
+// Leave of the request with its technician; routes check the user may access it
+const findLeave = async (req) => {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, 'Invalid leave ID');
+    }
+
+    const leave = await TechnicianLeave.findById(id);
+    if (!leave) {
+        throw new ApiError(404, 'Leave not found');
+    }
+
+    const technician = await Technician.findById(leave.technician).select('name email phone partner');
+
+    return { leave, technician };
+};
+
+// Request leave for a day or a range of days (technicians)
+const requestTechnicianLeave = asyncHandler(async (req, res) => {
+    const { startDate, endDate, type, reason } = req.body;
+
+    const leave = await requestLeave(req.user, { startDate, endDate, type, reason });
+
+    return res.status(201).json(
+        new ApiResponse(201, leave, 'Leave requested successfully')
+    );
+});
+
+// List leave (?status=&technicianId=&from=&to=&page=&limit=)
+const getTechnicianLeaves = asyncHandler(async (req, res) => {
+    const { status, technicianId, from, to } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { scope } = req.permission;
+
+    // Own leave, the partner's technicians' or everyone's, by the leave:read grant
+    const query = {};
+    if (scope === 'own') {
+        query.technician = req.user._id;
+    } else if (scope === 'partner') {
+        query.technician = { $in: await getPartnerTechnicianIds(req.user.partner) };
+    }
+
+    if (technicianId && scope !== 'own') {
+        if (!mongoose.isValidObjectId(technicianId)) {
+            throw new ApiError(400, 'Invalid technician ID');
+        }
+        query.technician = query.technician?.$in
+            ? { $in: query.technician.$in.filter((id) => id.toString() === technicianId) }
+            : technicianId;
+    }
+    if (status) query.status = status;
+    // Leave overlapping the requested days
+    if (from) query.endDate = { $gte: startOfDay(from) };
+    if (to) query.startDate = { $lte: startOfDay(to) };
+
+    const [leaves, total] = await Promise.all([
+        TechnicianLeave.find(query)
+            .populate('technician', 'name email phone')
+            .populate('review.reviewedBy', 'name')
+            .sort({ startDate: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        TechnicianLeave.countDocuments(query)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            leaves,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Leave retrieved successfully')
+    );
+});
+
+// Get leave with the bookings it flagged
+const getTechnicianLeaveById = asyncHandler(async (req, res) => {
+    const { leave } = await findLeave(req);
+    await leave.populate([
+        { path: 'technician', select: 'name email phone' },
+        { path: 'affectedBookings', select: 'bookingId status scheduleDate preferredTimeSlot assigned_technician escalation' }
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, leave, 'Leave retrieved successfully')
+    );
+});
+
+// Approve or reject leave: { decision: 'approved' | 'rejected', note }
+const reviewTechnicianLeave = asyncHandler(async (req, res) => {
+    const { decision, note } = req.body;
+
+    const { leave } = await findLeave(req);
+
+    const result = await reviewLeave(leave, { decision, note, actor: req.user });
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            result,
+            decision === 'approved'
+                ? `Leave approved, ${result.flaggedBookings.length} booking(s) flagged for reassignment`
+                : 'Leave rejected'
+        )
+    );
+});
+
+// Withdraw leave that has not started
+const cancelTechnicianLeave = asyncHandler(async (req, res) => {
+    const { leave } = await findLeave(req);
+
+    const cancelled = await cancelLeave(leave);
+
+    return res.status(200).json(
+        new ApiResponse(200, cancelled, 'Leave cancelled successfully')
+    );
+});
+
+export {
+    requestTechnicianLeave,
+    getTechnicianLeaves,
+    getTechnicianLeaveById,
+    reviewTechnicianLeave,
+    cancelTechnicianLeave
+};
@@ -5,6 +5,14 @@ import { ApiError } from '../utils/ApiErrors.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { cleanupTempFile } from '../utils/CleanupFile.js';
 import { uploadOnCloudinary } from '../utils/cloudinary.js';
+import { getWallet, getWalletTransactions } from '../services/wallet.service.js';
+import {
+    cancelSubscription as cancelUserSubscription,
+    changePlan,
+    createFreeSubscription,
+    getPlan,
+    getPlanChangeQuote
+} from '../services/subscription.service.js';
 // Generate tokens
 const generateTokens = async (user) => {
     try {
@@ -117,14 +125,7 @@ export const registerUser = asyncHandler(async (req, res) => {
 
 
         // Create a free subscription for the new user
-        const freeSubscription = await Subscription.create({
-            user: user._id,
-            plan: 'free',
-            subscriptionId: `free_${user._id}_${Date.now()}`,
-            status: 'active',
-            currentPeriodEnd: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), // 1 year from now
-            cancelAtPeriodEnd: false
-        });
+        const freeSubscription = await createFreeSubscription(user._id);
 
         // Link subscription to user
         user.subscription = freeSubscription._id;
@@ -728,14 +729,7 @@ export const getSubscriptionDetails = asyncHandler(async (req, res) => {
         }
 
         // If still no subscription exists (shouldn't happen), create one
-        const freeSubscription = await Subscription.create({
-            user: user._id,
-            plan: 'free',
-            subscriptionId: `${plan}_${user._id}_${Date.now()}`,
-            status: 'active',
-            currentPeriodEnd: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), // 1 year from now
-            cancelAtPeriodEnd: false
-        });
+        const freeSubscription = await createFreeSubscription(user._id);
 
         user.subscription = freeSubscription._id;
         await user.save();
@@ -750,84 +744,79 @@ export const getSubscriptionDetails = asyncHandler(async (req, res) => {
     );
 });
 
-// Update user subscription
-export const updateSubscription = asyncHandler(async (req, res) => {
-    const { subscriptionId, plan } = req.body;
-
-    if (!subscriptionId || !plan) {
-        throw new ApiError(400, 'Subscription ID and plan are required');
-    }
-
-    // Check if user exists
-    const user = await User.findById(req.user._id);
-    if (!user) {
-        throw new ApiError(401, 'User not found');
+// Find the current user's subscription
+const findUserSubscription = async (userId) => {
+    const subscription = await Subscription.findOne({ user: userId });
+    if (!subscription) {
+        throw new ApiError(404, 'No subscription found');
     }
+    return subscription;
+};
 
-    let subscription;
-
-    if (user.subscription) {
-        // Update existing subscription - use findOneAndUpdate with the correct options to trigger hooks
-        const updateData = {
-            plan,
-            subscriptionId,
-            status: 'active',
-            currentPeriodEnd: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
-            cancelAtPeriodEnd: false
-        };
+// Preview what switching to a plan costs (?plan=)
+export const getSubscriptionQuote = asyncHandler(async (req, res) => {
+    const subscription = await findUserSubscription(req.user._id);
+    const plan = await getPlan(req.query.plan, { activeOnly: true });
 
-        // First update the document to trigger pre-save hooks
-        const sub = await Subscription.findById(user.subscription);
-        Object.assign(sub, updateData);
-        await sub.save();
-
-        // Then get the updated document
-        subscription = await Subscription.findById(user.subscription);
-    } else {
-        // Create new subscription
-        subscription = await Subscription.create({
-            user: user._id,
-            plan,
-            subscriptionId,
-            status: 'active',
-            currentPeriodEnd: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
-            cancelAtPeriodEnd: false
-        });
+    res.status(200).json(
+        new ApiResponse(200, getPlanChangeQuote(subscription, plan), 'Subscription quote calculated successfully')
+    );
+});
 
-        // Link subscription to user
-        user.subscription = subscription._id;
-        await user.save();
+// Switch to another plan: { plan, payWith: 'online' | 'wallet' }
+export const updateSubscription = asyncHandler(async (req, res) => {
+    const { plan, payWith } = req.body;
+
+    if (!plan) {
+        throw new ApiError(400, 'Plan is required');
+    }
+
+    const subscription = await findUserSubscription(req.user._id);
+    const result = await changePlan(subscription, plan, { payWith, actor: req.user });
+
+    // Online payments change the plan once the provider confirms them
+    if (result.checkout) {
+        return res.status(201).json(
+            new ApiResponse(201, {
+                subscription: result.subscription,
+                quote: result.quote,
+                paymentId: result.payment._id,
+                provider: result.payment.provider,
+                amount: result.payment.amount,
+                currency: result.payment.currency,
+                checkout: result.checkout
+            }, 'Complete the payment to change your plan')
+        );
     }
 
     res.status(200).json(
-        new ApiResponse(200, subscription, 'Subscription updated successfully')
+        new ApiResponse(200, result, 'Subscription updated successfully')
     );
 });
 
 // Cancel user subscription
 export const cancelSubscription = asyncHandler(async (req, res) => {
-    const user = await User.findById(req.user._id).populate('subscription');
-
-    if (!user) {
-        throw new ApiError(404, 'User not found');
-    }
-
-    if (!user.subscription) {
-        throw new ApiError(404, 'No active subscription found');
-    }
-
-    const subscription = await Subscription.findByIdAndUpdate(
-        user.subscription._id,
-        {
-            status: 'canceled',
-            cancelAtPeriodEnd: true
-        },
-        { new: true, runValidators: true }
-    );
+    const subscription = await cancelUserSubscription(await findUserSubscription(req.user._id), req.user);
 
     res.status(200).json(
         new ApiResponse(200, subscription, 'Subscription has been canceled. It will remain active until the end of the current billing period.')
     );
 });
 
+// Wallet
 
+// Get the wallet balance with its transaction history (?type=&category=&page=&limit=)
+export const getUserWallet = asyncHandler(async (req, res) => {
+    const [wallet, history] = await Promise.all([
+        getWallet(req.user._id),
+        getWalletTransactions(req.user._id, req.query)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            balance: wallet.balance,
+            currency: wallet.currency,
+            ...history
+        }, 'Wallet fetched successfully')
+    );
+});
@@ -0,0 +1,47 @@
+import { Booking } from '../models/Booking.model.js';
+import { bookingEvents } from '../services/bookingLifecycle.service.js';
+import { getSlotStart } from '../services/slotAvailability.service.js';
+
+// How long before the slot starts the reminder goes out, in minutes
+const REMINDER_LEAD_MINUTES = parseInt(process.env.BOOKING_REMINDER_LEAD_MINUTES, 10) || 120;
+
+const REMINDED_STATUSES = ['assigned', 'confirmed'];
+
+/**
+ * Emit a `reminder` booking event once for every appointment starting soon
+ */
+export const appointmentReminderJob = {
+    name: 'appointment-reminder',
+    description: 'Remind customers and technicians of appointments starting soon',
+    intervalMinutes: 5,
+    handler: async ({ now }) => {
+        const horizon = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000);
+        const dayStart = new Date(now);
+        dayStart.setHours(0, 0, 0, 0);
+
+        const bookings = await Booking.find({
+            status: { $in: REMINDED_STATUSES },
+            reminderSentAt: null,
+            scheduleDate: { $gte: dayStart, $lte: horizon }
+        });
+
+        let reminded = 0;
+        for (const booking of bookings) {
+            const slotStart = getSlotStart(booking.scheduleDate, booking.preferredTimeSlot);
+            if (slotStart <= now || slotStart > horizon) continue;
+
+            // Mark first so a crash never sends the same reminder twice
+            const updated = await Booking.updateOne(
+                { _id: booking._id, reminderSentAt: null },
+                { $set: { reminderSentAt: now } }
+            );
+            if (updated.modifiedCount === 0) continue;
+
+            booking.reminderSentAt = now;
+            bookingEvents.emit('reminder', { booking, slotStart });
+            reminded++;
+        }
+
+        return { reminded };
+    }
+};
@@ -0,0 +1,12 @@
+import { expireOffers } from '../services/assignmentOffer.service.js';
+
+/**
+ * Expire assignment offers technicians did not answer in time and cascade the bookings
+ */
+export const assignmentOfferTimeoutJob = {
+    name: 'assignment-offer-timeout',
+    description: 'Expire unanswered assignment offers and offer the bookings to the next technician',
+    intervalMinutes: 1,
+    lockMinutes: 5,
+    handler: ({ now }) => expireOffers(now)
+};
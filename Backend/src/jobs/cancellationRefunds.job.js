@@ -0,0 +1,11 @@
+import { retryCancellationRefunds } from '../services/cancellationPolicy.service.js';
+
+/**
+ * Retry the refunds of cancelled and rejected bookings that did not go through
+ */
+export const cancellationRefundsJob = {
+    name: 'cancellation-refunds',
+    description: 'Retry failed refunds of cancelled and rejected bookings',
+    intervalMinutes: 30,
+    handler: ({ now }) => retryCancellationRefunds(now)
+};
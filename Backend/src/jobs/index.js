@@ -0,0 +1,29 @@
+import { defineJob } from '../services/jobScheduler.service.js';
+import { subscriptionExpiryJob } from './subscriptionExpiry.job.js';
+import { staleBookingExpiryJob } from './staleBookingExpiry.job.js';
+import { assignmentOfferTimeoutJob } from './assignmentOfferTimeout.job.js';
+import { appointmentReminderJob } from './appointmentReminder.job.js';
+import { otpCleanupJob } from './otpCleanup.job.js';
+import { maintenanceVisitsJob } from './maintenanceVisits.job.js';
+import { technicianPayoutsJob } from './technicianPayouts.job.js';
+import { cancellationRefundsJob } from './cancellationRefunds.job.js';
+
+export const JOBS = [
+    subscriptionExpiryJob,
+    staleBookingExpiryJob,
+    assignmentOfferTimeoutJob,
+    appointmentReminderJob,
+    otpCleanupJob,
+    maintenanceVisitsJob,
+    technicianPayoutsJob,
+    cancellationRefundsJob
+];
+
+/**
+ * Register every background job with the scheduler
+ */
+export const registerJobs = () => {
+    for (const { name, ...definition } of JOBS) {
+        defineJob(name, definition);
+    }
+};
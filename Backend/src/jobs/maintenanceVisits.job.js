@@ -0,0 +1,12 @@
+import { generateDueVisits } from '../services/maintenanceContract.service.js';
+
+/**
+ * Place the bookings of maintenance contract visits coming due; visits that
+ * could not be booked are retried on the next run
+ */
+export const maintenanceVisitsJob = {
+    name: 'maintenance-visits',
+    description: 'Book upcoming visits of active maintenance contracts',
+    intervalMinutes: 60,
+    handler: ({ now }) => generateDueVisits(now)
+};
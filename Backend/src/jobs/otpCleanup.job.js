@@ -0,0 +1,17 @@
+import OTP from '../models/OTP.model.js';
+
+/**
+ * Remove used and expired OTPs instead of waiting for the TTL monitor
+ */
+export const otpCleanupJob = {
+    name: 'otp-cleanup',
+    description: 'Delete used and expired booking OTPs',
+    intervalMinutes: 30,
+    handler: async ({ now }) => {
+        const { deletedCount } = await OTP.deleteMany({
+            $or: [{ isUsed: true }, { expiresAt: { $lte: now } }]
+        });
+
+        return { deleted: deletedCount };
+    }
+};
@@ -0,0 +1,42 @@
+import { Booking } from '../models/Booking.model.js';
+import { SYSTEM_ACTOR, transitionBooking } from '../services/bookingLifecycle.service.js';
+import { getSlotStart } from '../services/slotAvailability.service.js';
+
+// How long after its slot started an unassigned booking is cancelled, in minutes
+const STALE_BOOKING_GRACE_MINUTES = parseInt(process.env.STALE_BOOKING_GRACE_MINUTES, 10) || 60;
+
+/**
+ * Cancel bookings that never got a technician and whose slot has passed
+ */
+export const staleBookingExpiryJob = {
+    name: 'stale-booking-expiry',
+    description: 'Cancel pending bookings whose time slot passed without a technician',
+    intervalMinutes: 15,
+    handler: async ({ now }) => {
+        const cutoff = new Date(now.getTime() - STALE_BOOKING_GRACE_MINUTES * 60 * 1000);
+
+        // scheduleDate holds the day, the slot start is checked below
+        const bookings = await Booking.find({
+            status: { $in: ['pending', 'rescheduled'] },
+            scheduleDate: { $lte: cutoff }
+        });
+
+        const counts = { cancelled: 0, failed: 0 };
+        for (const booking of bookings) {
+            try {
+                if (getSlotStart(booking.scheduleDate, booking.preferredTimeSlot) > cutoff) continue;
+
+                await transitionBooking(booking, 'cancelled', {
+                    actor: SYSTEM_ACTOR,
+                    reason: 'No technician was assigned before the scheduled time'
+                });
+                counts.cancelled++;
+            } catch (error) {
+                counts.failed++;
+                console.error(`Cancelling stale booking ${booking.bookingId} failed:`, error);
+            }
+        }
+
+        return counts;
+    }
+};
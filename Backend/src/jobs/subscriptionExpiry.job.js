@@ -0,0 +1,41 @@
+import { Subscription } from '../models/Subscription.model.js';
+import { expireSubscription, renewSubscription } from '../services/subscription.service.js';
+
+/**
+ * Subscriptions past `currentPeriodEnd` or their grace period: active ones
+ * renew (free plans for nothing, paid plans from the wallet or going past
+ * due), cancelled ones and unpaid renewals past the grace period expire
+ */
+export const subscriptionExpiryJob = {
+    name: 'subscription-expiry',
+    description: 'Renew lapsed subscriptions and expire cancelled or unpaid ones',
+    intervalMinutes: 60,
+    handler: async ({ now }) => {
+        const lapsed = await Subscription.find({
+            $or: [
+                { status: { $in: ['active', 'canceled'] }, currentPeriodEnd: { $lte: now } },
+                { status: 'past_due', graceUntil: { $lte: now } }
+            ]
+        });
+
+        const counts = { renewed: 0, past_due: 0, expired: 0, failed: 0 };
+        for (const subscription of lapsed) {
+            try {
+                if (subscription.status === 'active') {
+                    counts[await renewSubscription(subscription, now)]++;
+                } else {
+                    await expireSubscription(
+                        subscription,
+                        subscription.status === 'past_due' ? 'Renewal not paid within the grace period' : 'Cancelled at the end of the period'
+                    );
+                    counts.expired++;
+                }
+            } catch (error) {
+                counts.failed++;
+                console.error(`Renewing subscription ${subscription.subscriptionId} failed:`, error);
+            }
+        }
+
+        return counts;
+    }
+};
@@ -0,0 +1,12 @@
+import { runWeeklyPayouts } from '../services/technicianLedger.service.js';
+
+/**
+ * Create the payout batch of the week that just ended; later runs in the same
+ * week find it and do nothing
+ */
+export const technicianPayoutsJob = {
+    name: 'technician-payouts',
+    description: 'Batch technician balances for the weekly payout',
+    intervalMinutes: 24 * 60,
+    handler: ({ now }) => runWeeklyPayouts(now)
+};
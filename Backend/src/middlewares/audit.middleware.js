@@ -0,0 +1,44 @@
+import { AUDITED_ROLES, recordAuditEntry } from '../services/audit.service.js';
+import { normalizeRole } from '../services/bookingLifecycle.service.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Middleware to record mutating requests by admins, managers, partners and dealers in the audit log
+ * Written once the response is sent, so it sees the authenticated user, the outcome and any
+ * change the controller described with auditChange. A failed write never affects the response.
+ */
+export const auditTrail = (req, res, next) => {
+    if (!MUTATING_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    res.on('finish', () => {
+        const actorRole = normalizeRole(req.user?.role);
+        if (!AUDITED_ROLES.includes(actorRole)) return;
+
+        const change = res.locals.audit || {};
+        const path = req.originalUrl.split('?')[0];
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : path;
+        const params = req.params || {};
+
+        recordAuditEntry({
+            actor: req.user._id,
+            actorRole,
+            action: change.action || `${req.method} ${route}`,
+            permission: req.permission?.name || null,
+            method: req.method,
+            path,
+            statusCode: res.statusCode,
+            targetType: change.targetType || req.baseUrl.split('/').pop() || null,
+            targetId: change.targetId || params.id || Object.values(params)[0] || null,
+            before: change.before,
+            after: change.after,
+            requestBody: req.body,
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        }).catch((error) => console.error('Failed to write audit log entry:', error));
+    });
+
+    next();
+};
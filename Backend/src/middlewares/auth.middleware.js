@@ -49,12 +49,3 @@ export const verifyJWT = async (req, res, next) => {
         }
     }
 };
-
-export const authorizeRoles = (...roles) => {
-    return (req, res, next) => {
-        if (!roles.includes(req.user?.role)) {
-            throw new ApiError(403, `Role: ${req.user?.role} is not allowed to access this resource`);
-        }
-        next();
-    };
-};
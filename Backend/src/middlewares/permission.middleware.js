@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import { Booking } from '../models/Booking.model.js';
+import { BookingSeries } from '../models/BookingSeries.model.js';
+import { MaintenanceContract } from '../models/MaintenanceContract.model.js';
+import { Technician } from '../models/Technician.model.js';
+import { TechnicianLeave } from '../models/TechnicianLeave.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { getPermissionScope, PERMISSIONS } from '../services/permission.service.js';
+
+const idOf = (value) => (value?._id ?? value)?.toString();
+
+/**
+ * Who owns a record and which partner it belongs to, by resource name
+ * Each loader returns { owners: [ids], partners: [ids] } or null when the record does not exist.
+ */
+const RESOURCES = {
+    booking: {
+        label: 'Booking',
+        load: async (id) => {
+            const booking = await Booking.findById(id).select('user assigned_technician partner').lean();
+            if (!booking) return null;
+
+            // A booking routed elsewhere still belongs to the partner whose technician serves it
+            const technician = booking.assigned_technician
+                ? await Technician.findById(booking.assigned_technician).select('partner').lean()
+                : null;
+            return {
+                owners: [booking.user, booking.assigned_technician],
+                partners: [booking.partner, technician?.partner]
+            };
+        }
+    },
+    bookingSeries: {
+        label: 'Booking series',
+        load: async (id) => {
+            const series = await BookingSeries.findById(id).select('user').lean();
+            return series && { owners: [series.user], partners: [] };
+        }
+    },
+    technician: {
+        label: 'Technician',
+        load: async (id) => {
+            const technician = await Technician.findById(id).select('partner').lean();
+            return technician && { owners: [technician._id], partners: [technician.partner] };
+        }
+    },
+    partner: {
+        label: 'Partner',
+        load: async (id) => ({ owners: [], partners: [id] })
+    },
+    maintenanceContract: {
+        label: 'Maintenance contract',
+        load: async (id) => {
+            const contract = await MaintenanceContract.findById(id).select('user').lean();
+            return contract && { owners: [contract.user], partners: [] };
+        }
+    },
+    leave: {
+        label: 'Leave request',
+        load: async (id) => {
+            const leave = await TechnicianLeave.findById(id).select('technician').populate('technician', 'partner').lean();
+            return leave && { owners: [leave.technician?._id], partners: [leave.technician?.partner] };
+        }
+    }
+};
+
+/**
+ * Whether a record is within the scope a permission was granted in
+ * @param {Object} user - Authenticated user
+ * @param {string} scope - 'own' | 'partner'
+ * @param {Object} record - Result of a resource loader
+ * @returns {boolean}
+ */
+const isInScope = (user, scope, record) => {
+    if (scope === 'own') {
+        return record.owners.some((owner) => owner && idOf(owner) === idOf(user._id));
+    }
+    return Boolean(user.partner) && record.partners.some((partner) => partner && idOf(partner) === idOf(user.partner));
+};
+
+/**
+ * Middleware to check the user holds a permission, and for scoped grants that the record is theirs
+ * Without a resource a scoped grant passes and the controller narrows its query by `req.permission.scope`.
+ * @param {string} permission - Name from the permission registry
+ * @param {Object} [options]
+ * @param {string} [options.resource] - Resource the route acts on, see RESOURCES
+ * @param {string} [options.param='id'] - Route parameter holding the resource ID
+ */
+export const requirePermission = (permission, { resource, param = 'id' } = {}) => {
+    if (!PERMISSIONS[permission]) {
+        throw new Error(`Unknown permission ${permission}`);
+    }
+    if (resource && !RESOURCES[resource]) {
+        throw new Error(`Unknown permission resource ${resource}`);
+    }
+
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                throw new ApiError(401, 'Please log in to access this resource');
+            }
+
+            const scope = await getPermissionScope(req.user, permission);
+            if (!scope) {
+                throw new ApiError(403, `Access denied. Missing permission ${permission}`);
+            }
+            req.permission = { name: permission, scope };
+
+            if (scope === 'any' || !resource) {
+                return next();
+            }
+
+            const { label, load } = RESOURCES[resource];
+            let id = req.params[param];
+            if (resource === 'partner' && id === 'me') {
+                id = req.user.partner;
+            }
+            if (!mongoose.isValidObjectId(id)) {
+                throw new ApiError(400, `Invalid ${label.toLowerCase()} ID`);
+            }
+
+            const record = await load(id);
+            if (!record) {
+                throw new ApiError(404, `${label} not found`);
+            }
+            if (!isInScope(req.user, scope, record)) {
+                throw new ApiError(403, `Access denied. This ${label.toLowerCase()} is outside your ${scope === 'own' ? 'own records' : 'partner organization'}`);
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+// One audited request; entries form a hash chain in sequence order and are never changed
+const auditLogSchema = new mongoose.Schema({
+    sequence: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    actorRole: {
+        type: String,
+        required: true
+    },
+    // e.g. booking.delete, or the route for requests a controller did not name
+    action: {
+        type: String,
+        required: true
+    },
+    permission: {
+        type: String,
+        default: null
+    },
+    method: String,
+    path: String,
+    statusCode: Number,
+    // Entity acted on, e.g. Booking and its id
+    targetType: {
+        type: String,
+        default: null
+    },
+    targetId: {
+        type: String,
+        default: null
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // { field: { from, to } } between before and after
+    changes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Request body with secrets removed, for requests without before/after
+    requestBody: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    ip: String,
+    userAgent: String,
+    createdAt: {
+        type: Date,
+        required: true
+    },
+    prevHash: {
+        type: String,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    }
+}, {
+    // Empty objects are part of the hashed content and must be stored as they are
+    minimize: false
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Append-only: entries are created once and never updated or deleted
+const rejectChange = function (next) {
+    next(new Error('Audit log entries cannot be changed or removed'));
+};
+
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) return rejectChange(next);
+    next();
+});
+
+for (const operation of [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+]) {
+    auditLogSchema.pre(operation, rejectChange);
+}
+
+export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
@@ -50,6 +50,63 @@ const partSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Breakdown computed by the pricing service, amounts in rupees
+const pricingSchema = new mongoose.Schema({
+  servicesAmount: Number,
+  partsAmount: Number,
+  subtotal: Number,
+  subscriptionDiscountPercent: {
+    type: Number,
+    default: 0
+  },
+  subscriptionDiscount: Number,
+  couponCode: String,
+  couponDiscount: Number,
+  discountAmount: Number,
+  taxableAmount: Number,
+  taxRate: Number,
+  taxAmount: Number,
+  total: Number,
+  advancePayment: Number,
+  amountDue: Number,
+  calculatedAt: Date
+}, { _id: false });
+
+const assignmentOfferSchema = new mongoose.Schema({
+  technician: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired', 'withdrawn'],
+    default: 'pending'
+  },
+  assignmentType: {
+    type: String,
+    enum: ['manual', 'auto'],
+    default: 'auto'
+  },
+  rank: Number,
+  score: Number,
+  offeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  offeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  reason: String
+}, { _id: true });
+
 const bookingSchema = new mongoose.Schema({
   bookingId: {
     type: String,
@@ -85,8 +142,9 @@ const bookingSchema = new mongoose.Schema({
     default: null,
     validate: {
       validator: async function (technicianId) {
-        const technician = await User.findById(technicianId);
-        return technician && technician.role === 'technician';
+        if (!technicianId) return true;
+        const technician = await mongoose.model('User').findById(technicianId);
+        return Boolean(technician) && technician.role === 'Technician';
       },
       message: 'Technician must be a user with role technician'
     }
@@ -166,11 +224,116 @@ const bookingSchema = new mongoose.Schema({
     default: 'pending'
   },
   cancellationReason: String,
+  cancelledAt: Date,
+  completedAt: Date,
+  // Technicians who declined this booking, never offered it again
+  declinedBy: [{
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    declinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }],
+  // Technician GPS pings while on the way, newest last and capped; kept for disputes
+  locationTrail: {
+    type: [{
+      _id: false,
+      coordinates: {
+        longitude: Number,
+        latitude: Number
+      },
+      accuracy: Number,
+      speed: Number,
+      heading: Number,
+      recordedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  // Arrival marked outside the geofence, listed for admins until reviewed
+  arrivalException: {
+    flaggedAt: Date,
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    distanceMeters: Number,
+    radiusMeters: Number,
+    coordinates: {
+      longitude: Number,
+      latitude: Number
+    },
+    accuracy: Number,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolution: String
+  },
+  // Fee and refund worked out by the cancellation policy
+  cancellation: {
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledByRole: String,
+    previousStatus: String,
+    hoursBeforeSlot: Number,
+    rule: String,
+    feePercent: Number,
+    fee: Number,
+    // Part of the fee kept from what was paid, the rest is waived
+    feeCharged: Number,
+    amountPaid: Number,
+    refundAmount: Number,
+    // Part of refundAmount refunded so far; settled once all of it was
+    refundedAmount: Number,
+    refundAttempts: Number,
+    attemptedAt: Date,
+    settledAt: Date
+  },
+  // Set once the appointment reminder has gone out
+  reminderSentAt: Date,
+  // Time-boxed assignment offers, oldest first
+  assignmentOffers: [assignmentOfferSchema],
+  // Set when auto-assignment gave up and dispatchers must step in
+  escalation: {
+    escalatedAt: Date,
+    reason: String,
+    resolvedAt: Date
+  },
   rescheduledFrom: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Booking',
     default: null
   },
+  // Set on visits generated by a maintenance contract
+  maintenanceContract: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceContract',
+    default: null
+  },
+  // Partner whose service area covers the address, its technicians are preferred
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    default: null
+  },
+  // Set on occurrences of a recurring booking, numbered from 1 in date order
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries',
+    default: null
+  },
+  seriesIndex: Number,
   payment: {
     method: {
       type: String,
@@ -179,7 +342,7 @@ const bookingSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed'],
+      enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending'
     },
     advancePayment: {
@@ -196,6 +359,11 @@ const bookingSchema = new mongoose.Schema({
       transactionId: String,
       paymentDate: Date
     },
+    // Paid upfront with a maintenance contract
+    prepaid: {
+      type: Boolean,
+      default: false
+    },
     transactionId: String,
     paymentDate: Date
   },
@@ -222,6 +390,7 @@ const bookingSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  pricing: pricingSchema,
   notes: String,
   rating: {
     type: Number,
@@ -240,7 +409,8 @@ const bookingSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    note: String
+    note: String,
+    metadata: mongoose.Schema.Types.Mixed
   }]
 }, {
   timestamps: true
@@ -248,8 +418,12 @@ const bookingSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 bookingSchema.index({ user: 1, status: 1 });
+bookingSchema.index({ series: 1, seriesIndex: 1 });
+bookingSchema.index({ partner: 1, scheduleDate: -1 });
 bookingSchema.index({ technician: 1, status: 1 });
 bookingSchema.index({ scheduleDate: 1, 'preferredTimeSlot.start': 1 });
 bookingSchema.index({ 'address.location': '2dsphere' });
+bookingSchema.index({ status: 1, 'assignmentOffers.status': 1, 'assignmentOffers.expiresAt': 1 });
+bookingSchema.index({ 'arrivalException.flaggedAt': -1 }, { sparse: true });
 
 export const Booking = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+export const SERIES_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+// RRULE BYDAY codes, Monday first like RRULE's default week start
+export const SERIES_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Changes made to a series, newest last
+const seriesChangeSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['created', 'rescheduled', 'cancelled', 'completed'],
+        required: true
+    },
+    // this: one occurrence, following: that occurrence and the later ones, all: every open occurrence
+    scope: {
+        type: String,
+        enum: ['this', 'following', 'all', null],
+        default: null
+    },
+    fromBooking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+    bookings: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    }],
+    reason: String,
+    details: mongoose.Schema.Types.Mixed,
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A recurring booking: the schedule a customer asked for, with one booking per occurrence
+const bookingSeriesSchema = new mongoose.Schema({
+    seriesId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // RRULE-style schedule: FREQ, INTERVAL, BYDAY and COUNT or UNTIL
+    recurrence: {
+        frequency: {
+            type: String,
+            enum: SERIES_FREQUENCIES,
+            required: true
+        },
+        interval: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+        byWeekday: [{
+            type: String,
+            enum: SERIES_WEEKDAYS
+        }],
+        count: {
+            type: Number,
+            min: 1
+        },
+        until: Date
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    preferredTimeSlot: {
+        start: String,
+        end: String
+    },
+    // Service lines and address every occurrence was booked with
+    services: [mongoose.Schema.Types.Mixed],
+    address: mongoose.Schema.Types.Mixed,
+    notes: String,
+    occurrenceCount: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // completed and cancelled once no occurrence is left open
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'cancelled'],
+        default: 'active'
+    },
+    history: [seriesChangeSchema]
+}, {
+    timestamps: true
+});
+
+bookingSeriesSchema.index({ user: 1, createdAt: -1 });
+
+export const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Cash a technician collected from a customer at the door, owed to the business until cleared
+const cashCollectionSchema = new mongoose.Schema({
+    technician: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+        unique: true
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: null
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Part of the amount cleared by deposits and settlements
+    amountCleared: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: ['outstanding', 'partially_cleared', 'cleared'],
+        default: 'outstanding'
+    },
+    collectedAt: {
+        type: Date,
+        default: Date.now
+    },
+    clearedAt: Date,
+    // The liability posted on the technician's ledger
+    ledgerEntry: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TechnicianLedgerEntry',
+        default: null
+    },
+    collectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+cashCollectionSchema.index({ technician: 1, status: 1, collectedAt: 1 });
+
+export const CashCollection = mongoose.model('CashCollection', cashCollectionSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Part of a remittance applied to one collection
+const remittanceAllocationSchema = new mongoose.Schema({
+    cashCollection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CashCollection',
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+// Collected cash a technician handed over, or that was offset against their earnings
+const cashRemittanceSchema = new mongoose.Schema({
+    technician: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // deposit: the technician paid the cash in, settlement: kept out of their payouts
+    type: {
+        type: String,
+        enum: ['deposit', 'settlement'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // How a deposit was made, e.g. bank deposit, UPI, handed to the office
+    method: String,
+    reference: String,
+    note: String,
+    // Oldest collections first
+    allocations: [remittanceAllocationSchema],
+    ledgerEntry: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TechnicianLedgerEntry',
+        default: null
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+cashRemittanceSchema.index({ technician: 1, createdAt: -1 });
+
+export const CashRemittance = mongoose.model('CashRemittance', cashRemittanceSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// What a technician earns from a booking; the most specific rule applies
+// (partner and category, then partner, then category, then the defaults)
+const commissionRuleSchema = new mongoose.Schema({
+    // Service category the rule is for, null for every category
+    category: {
+        type: String,
+        enum: ['Appliance Repair', 'Plumbing', 'Electrical', 'Cleaning', 'Pest Control', 'Other', null],
+        default: null
+    },
+    // Partner whose technicians the rule is for, null for every technician
+    partner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Partner',
+        default: null
+    },
+    // Share of the service lines' amount, before discounts and tax
+    serviceSharePercent: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    // Share of the margin on parts used (price - cost)
+    partsMarginSharePercent: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    // Flat amounts per completed booking
+    completionIncentive: {
+        type: Number,
+        min: 0
+    },
+    lateArrivalPenalty: {
+        type: Number,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+commissionRuleSchema.index({ category: 1, partner: 1 }, { unique: true });
+
+export const CommissionRule = mongoose.model('CommissionRule', commissionRuleSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Named sequences for gap-free document numbers (invoice numbers, ...)
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false
+});
+
+/**
+ * Atomically take the next number of a sequence, starting at 1
+ * @param {string} name - Sequence name
+ * @param {Object} [options] - { session } to take the number inside a transaction
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name, options = {}) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session: options.session }
+    );
+    return counter.seq;
+};
+
+export const Counter = mongoose.model('Counter', counterSchema);
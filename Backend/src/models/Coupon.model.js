@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    discountType: {
+        type: String,
+        enum: ['flat', 'percentage'],
+        required: true
+    },
+    // Rupees for flat coupons, percent for percentage coupons
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Upper bound of a percentage discount
+    maxDiscount: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Booking subtotal needed before the coupon applies
+    minOrderAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Service categories the discount applies to, empty for every category
+    serviceCategories: [{
+        type: String,
+        enum: ['Appliance Repair', 'Plumbing', 'Electrical', 'Cleaning', 'Pest Control', 'Other']
+    }],
+    validFrom: {
+        type: Date,
+        default: Date.now
+    },
+    validUntil: {
+        type: Date,
+        default: null
+    },
+    // Redemptions allowed in total and per customer, null for no limit
+    usageLimit: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    perUserLimit: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    firstBookingOnly: {
+        type: Boolean,
+        default: false
+    },
+    // Subscription plan codes whose customers may use the coupon, empty for everyone
+    eligiblePlans: [{
+        type: String,
+        lowercase: true,
+        trim: true
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+export const Coupon = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// One use of a coupon on a booking; released again when the booking is cancelled
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+    discountAmount: {
+        type: Number,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: ['redeemed', 'released'],
+        default: 'redeemed'
+    },
+    releasedAt: Date
+}, {
+    timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+couponRedemptionSchema.index({ booking: 1 });
+couponRedemptionSchema.index({ user: 1, coupon: 1 });
+
+export const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
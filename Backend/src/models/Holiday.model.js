@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Public holiday on which technicians living in its states do not work
+const holidaySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Midnight (server time) of the holiday
+    date: {
+        type: Date,
+        required: true
+    },
+    // States observing it, as in address `state`; empty for a national holiday
+    states: [{
+        type: String,
+        trim: true
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+holidaySchema.index({ date: 1, isActive: 1 });
+
+export const Holiday = mongoose.model('Holiday', holidaySchema);
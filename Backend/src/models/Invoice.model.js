@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+
+const partySchema = new mongoose.Schema({
+    name: String,
+    email: String,
+    phone: String,
+    gstin: String,
+    address: String,
+    state: String,
+    stateCode: String
+}, { _id: false });
+
+const lineItemSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['service', 'part'],
+        required: true
+    },
+    // Service or Part the line was billed from
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    description: {
+        type: String,
+        required: true
+    },
+    // SAC for services, HSN for parts
+    hsnSac: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    unitPrice: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    amount: Number,
+    discount: Number,
+    taxableValue: Number,
+    cgstRate: Number,
+    cgstAmount: Number,
+    sgstRate: Number,
+    sgstAmount: Number,
+    igstRate: Number,
+    igstAmount: Number,
+    total: Number
+}, { _id: false });
+
+// Tax invoice issued for a completed booking. Invoices are never changed once issued.
+const invoiceSchema = new mongoose.Schema({
+    // e.g. HH/2026-27/000042, sequential within the financial year
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    financialYear: {
+        type: String,
+        required: true
+    },
+    sequence: {
+        type: Number,
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+        unique: true
+    },
+    bookingId: String,
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    seller: partySchema,
+    buyer: partySchema,
+    placeOfSupply: String,
+    // intra: CGST + SGST, inter: IGST
+    supplyType: {
+        type: String,
+        enum: ['intra', 'inter'],
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    lineItems: [lineItemSchema],
+    totals: {
+        amount: Number,
+        discount: Number,
+        couponCode: String,
+        taxableValue: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        totalTax: Number,
+        total: Number,
+        advancePaid: Number,
+        amountDue: Number
+    }
+}, {
+    timestamps: true
+});
+
+invoiceSchema.index({ customer: 1, issuedAt: -1 });
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+
+invoiceSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Issued invoices cannot be modified'));
+    }
+    next();
+});
+
+const rejectChange = function (next) {
+    next(new Error('Issued invoices cannot be modified'));
+};
+
+invoiceSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    { document: false, query: true },
+    rejectChange
+);
+
+export const Invoice = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// Number of runs kept in a job's history
+export const JOB_RUN_HISTORY_LIMIT = 20;
+
+const jobRunSchema = new mongoose.Schema({
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        required: true
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    instance: String,
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    finishedAt: Date,
+    status: {
+        type: String,
+        enum: ['succeeded', 'failed'],
+        required: true
+    },
+    attempt: Number,
+    result: mongoose.Schema.Types.Mixed,
+    error: String
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+    // Name the job is registered under in code
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: String,
+    intervalMinutes: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    nextRunAt: {
+        type: Date,
+        required: true
+    },
+    // Instance holding the job and until when; a lock past its expiry is free again
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    // Consecutive failed attempts of the current run
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    lastRunAt: Date,
+    lastFinishedAt: Date,
+    lastStatus: {
+        type: String,
+        enum: ['succeeded', 'failed']
+    },
+    lastError: String,
+    lastResult: mongoose.Schema.Types.Mixed,
+    // Most recent runs, newest last
+    runs: [jobRunSchema]
+}, {
+    timestamps: true
+});
+
+jobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+export const Job = mongoose.model('Job', jobSchema);
@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+
+// One scheduled visit of a contract and the booking generated for it
+const contractVisitSchema = new mongoose.Schema({
+    sequence: {
+        type: Number,
+        required: true
+    },
+    dueDate: {
+        type: Date,
+        required: true
+    },
+    // scheduled: no booking yet, booked: booking generated, then completed or cancelled with it
+    status: {
+        type: String,
+        enum: ['scheduled', 'booked', 'skipped', 'completed', 'cancelled'],
+        default: 'scheduled'
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+    note: String,
+    // Why generating the booking failed last time, retried on the next run
+    lastError: String,
+    updatedAt: Date
+});
+
+// Service lines priced when the contract was bought, copied onto every visit
+const contractServiceSchema = new mongoose.Schema({
+    serviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    description: String,
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    quantity: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    estimatedDuration: Number
+}, { _id: false });
+
+const maintenanceContractSchema = new mongoose.Schema({
+    contractNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Same shape as a booking address, copied onto every visit
+    address: {
+        street: { type: String, required: true },
+        city: { type: String, required: true },
+        state: { type: String, required: true },
+        country: { type: String, required: true },
+        pincode: { type: String, required: true },
+        landmark: String,
+        tag: String,
+        location: {
+            coordinates: {
+                longitude: { type: Number, required: true },
+                latitude: { type: Number, required: true }
+            }
+        }
+    },
+    services: {
+        type: [contractServiceSchema],
+        validate: [(services) => services.length > 0, 'At least one service is required']
+    },
+    // A visit every `interval` `unit`s, `occurrences` visits in total, e.g. every 3 months, 4 times
+    recurrence: {
+        interval: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        unit: {
+            type: String,
+            enum: ['week', 'month'],
+            required: true
+        },
+        occurrences: {
+            type: Number,
+            required: true,
+            min: 1,
+            max: 52
+        }
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    preferredTimeSlot: {
+        start: { type: String, required: true },
+        end: { type: String, required: true }
+    },
+    notes: String,
+    // Price breakdown of one visit, locked when the contract was bought
+    visitPricing: mongoose.Schema.Types.Mixed,
+    billing: {
+        amount: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'paid', 'refunded'],
+            default: 'pending'
+        },
+        payment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment',
+            default: null
+        },
+        // Payment method of the contract, given to the generated bookings
+        method: String,
+        paidAt: Date,
+        amountRefunded: {
+            type: Number,
+            default: 0
+        }
+    },
+    status: {
+        type: String,
+        enum: ['pending_payment', 'active', 'paused', 'completed', 'cancelled'],
+        default: 'pending_payment'
+    },
+    visits: [contractVisitSchema],
+    pausedAt: Date,
+    cancelledAt: Date,
+    cancellationReason: String
+}, {
+    timestamps: true
+});
+
+maintenanceContractSchema.index({ user: 1, createdAt: -1 });
+maintenanceContractSchema.index({ status: 1, 'visits.status': 1, 'visits.dueDate': 1 });
+
+export const MaintenanceContract = mongoose.model('MaintenanceContract', maintenanceContractSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+// In-app inbox entry shown to a single user
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Event that produced the notification, e.g. 'booking.assigned'
+    type: {
+        type: String,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    // Ids the apps need to open the related screen (bookingId, partId, ...)
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+notificationSchema.virtual('isRead').get(function () {
+    return Boolean(this.readAt);
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+notificationSchema.plugin(mongoosePaginate);
+
+export const Notification = mongoose.model('Notification', notificationSchema);
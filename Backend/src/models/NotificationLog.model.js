@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// One document per delivery attempt of a notification over a channel
+const notificationLogSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    channel: {
+        type: String,
+        enum: ['email', 'sms', 'push'],
+        required: true
+    },
+    // Adapter that handled the attempt (smtp, twilio, fcm, file, console)
+    adapter: String,
+    // Email address, phone number or device token the message went to
+    to: String,
+    subject: String,
+    body: String,
+    status: {
+        type: String,
+        enum: ['sent', 'failed', 'skipped'],
+        required: true
+    },
+    // Why a channel was skipped (opted out, no address, ...)
+    skipReason: String,
+    error: String,
+    providerMessageId: String,
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+notificationLogSchema.index({ recipient: 1, createdAt: -1 });
+notificationLogSchema.index({ booking: 1, createdAt: -1 });
+notificationLogSchema.index({ status: 1, createdAt: -1 });
+
+export const NotificationLog = mongoose.model('NotificationLog', notificationLogSchema);
@@ -71,6 +71,12 @@ const partSchema = new mongoose.Schema({
         required: true,
         enum: ['electrical', 'mechanical', 'plumbing', 'appliance', 'other']
     },
+    // GST Harmonized System of Nomenclature code printed on invoices
+    hsnCode: {
+        type: String,
+        trim: true,
+        default: ''
+    },
     brand: {
         type: String,
         trim: true
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// Where a partner takes bookings: a whole state, a city in it, or some of its pincodes
+const serviceAreaSchema = new mongoose.Schema({
+    state: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    city: {
+        type: String,
+        trim: true
+    },
+    pincodes: [{
+        type: String,
+        trim: true
+    }]
+}, { _id: false });
+
+// A franchise or agency running its own technicians; partner accounts and
+// technicians belong to it through their `partner` field
+const partnerSchema = new mongoose.Schema({
+    partnerCode: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['franchise', 'agency'],
+        default: 'franchise'
+    },
+    legalName: {
+        type: String,
+        trim: true
+    },
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    contact: {
+        name: String,
+        email: {
+            type: String,
+            lowercase: true,
+            trim: true
+        },
+        phone: String
+    },
+    address: {
+        addressLine1: String,
+        addressLine2: String,
+        city: String,
+        state: String,
+        pincode: String
+    },
+    serviceAreas: [serviceAreaSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+partnerSchema.index({ 'serviceAreas.pincodes': 1 });
+partnerSchema.index({ 'serviceAreas.state': 1 });
+
+export const Partner = mongoose.model('Partner', partnerSchema);
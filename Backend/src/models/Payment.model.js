@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+// Provider events applied to a payment, in the order they were received
+const paymentEventSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    status: String,
+    providerPaymentId: String,
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    payload: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// One document per payment attempt: a provider order and what happened to it
+const paymentSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: function () {
+            return ['advance', 'balance'].includes(this.purpose);
+        }
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // advance: collected when booking, balance: the rest after the service,
+    // subscription: a plan change or renewal, maintenance_contract: a contract paid upfront
+    purpose: {
+        type: String,
+        enum: ['advance', 'balance', 'subscription', 'maintenance_contract'],
+        required: true
+    },
+    maintenanceContract: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaintenanceContract',
+        default: null
+    },
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subscription',
+        default: null
+    },
+    // Plan being paid for, and whether it is a change of plan or a renewal
+    plan: String,
+    billingReason: {
+        type: String,
+        enum: ['plan_change', 'renewal', null],
+        default: null
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    providerOrderId: {
+        type: String,
+        required: true
+    },
+    providerPaymentId: String,
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    status: {
+        type: String,
+        // expired: replaced by a newer order before it was paid
+        enum: ['created', 'authorized', 'captured', 'failed', 'expired'],
+        default: 'created'
+    },
+    // Order details for the provider's client SDK, handed out again while unpaid
+    checkout: mongoose.Schema.Types.Mixed,
+    method: String,
+    failureReason: String,
+    // Part of a captured payment that has been refunded
+    amountRefunded: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    capturedAt: Date,
+    failedAt: Date,
+    expiredAt: Date,
+    // Provider event that was not applied: its amount or currency differed from the order,
+    // or the order had expired
+    mismatch: {
+        eventId: String,
+        amount: Number,
+        currency: String,
+        reason: String,
+        detectedAt: Date
+    },
+    events: [paymentEventSchema]
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ provider: 1, providerOrderId: 1 }, { unique: true });
+paymentSchema.index({ booking: 1, createdAt: -1 });
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ subscription: 1, createdAt: -1 });
+
+export const Payment = mongoose.model('Payment', paymentSchema);
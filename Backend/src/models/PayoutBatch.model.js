@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// Transfer to one technician within a batch
+const payoutItemSchema = new mongoose.Schema({
+    technician: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    entryCount: Number,
+    // Bank details at the time the batch was created
+    bankDetails: {
+        accountHolderName: String,
+        accountNumber: String,
+        ifscCode: String,
+        bankName: String
+    },
+    // failed transfers release their entries for the next batch
+    status: {
+        type: String,
+        enum: ['pending', 'paid', 'failed'],
+        default: 'pending'
+    },
+    reference: String,
+    failureReason: String,
+    settledAt: Date,
+    settledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { _id: false });
+
+// Weekly settlement of technician balances to their bank accounts
+const payoutBatchSchema = new mongoose.Schema({
+    batchNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Ledger entries posted before periodEnd are included
+    periodStart: Date,
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'completed'],
+        default: 'open'
+    },
+    totalAmount: {
+        type: Number,
+        default: 0
+    },
+    items: [payoutItemSchema],
+    // Technicians with money owed who could not be paid, e.g. missing bank details
+    skipped: [{
+        _id: false,
+        technician: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        amount: Number,
+        reason: String
+    }],
+    exportedAt: Date,
+    completedAt: Date,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+payoutBatchSchema.index({ createdAt: -1 });
+
+export const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Money returned to a customer against one captured payment
+const refundSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: true
+    },
+    // Purpose of the refunded payment, advance or balance
+    purpose: {
+        type: String,
+        enum: ['advance', 'balance']
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    providerRefundId: String,
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    reason: String,
+    // pending: sent to the provider and waiting for its confirmation
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+    },
+    error: String,
+    initiatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    processedAt: Date
+}, {
+    timestamps: true
+});
+
+refundSchema.index({ booking: 1, createdAt: -1 });
+refundSchema.index({ user: 1, createdAt: -1 });
+refundSchema.index({ provider: 1, providerRefundId: 1 }, { sparse: true });
+
+export const Refund = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// own: records the user owns or serves, partner: records of the user's partner, any: every record
+export const PERMISSION_SCOPES = ['own', 'partner', 'any'];
+
+const permissionGrantSchema = new mongoose.Schema({
+    permission: {
+        type: String,
+        required: true
+    },
+    scope: {
+        type: String,
+        enum: PERMISSION_SCOPES,
+        default: 'any'
+    }
+}, { _id: false });
+
+// Permissions a role is granted; admins edit these, Admin itself always has every permission
+const rolePolicySchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: ['User', 'Technician', 'Partner', 'Dealer', 'Manager'],
+        required: true,
+        unique: true
+    },
+    grants: [permissionGrantSchema],
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+export const RolePolicy = mongoose.model('RolePolicy', rolePolicySchema);
@@ -28,6 +28,12 @@ const serviceSchema = new mongoose.Schema({
         enum: ['Appliance Repair', 'Plumbing', 'Electrical', 'Cleaning', 'Pest Control', 'Other'],
         default: 'Other'
     },
+    // GST Services Accounting Code printed on invoices, 9987 covers repair and maintenance
+    sacCode: {
+        type: String,
+        trim: true,
+        default: '998719'
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -1,5 +1,48 @@
 import mongoose from 'mongoose';
 
+// One entry per change of plan or status, oldest first
+const subscriptionHistorySchema = new mongoose.Schema({
+    event: {
+        type: String,
+        enum: [
+            'created',
+            'upgraded',
+            'downgraded',
+            'renewed',
+            'payment_failed',
+            'past_due',
+            'cancelled',
+            'reactivated',
+            'expired'
+        ],
+        required: true
+    },
+    fromPlan: String,
+    toPlan: String,
+    fromStatus: String,
+    toStatus: String,
+    // Charged (or credited back to the wallet, negative) for the change
+    amount: {
+        type: Number,
+        default: 0
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: null
+    },
+    note: String,
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const subscriptionSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -7,12 +50,23 @@ const subscriptionSchema = new mongoose.Schema({
         required: true,
         unique: true
     },
+    // Code of a SubscriptionPlan
     plan: {
         type: String,
-        enum: ['free', 'basic', 'premium'],
         default: 'free',
         required: true
     },
+    // Price and length of the current period, copied from the plan when it started
+    price: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    periodDays: {
+        type: Number,
+        default: 365,
+        min: 1
+    },
     subscriptionId: {
         type: String,
         required: true,
@@ -20,14 +74,20 @@ const subscriptionSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['active', 'canceled', 'expired'],
+        // past_due: the renewal was not paid yet, benefits continue until graceUntil
+        enum: ['active', 'past_due', 'canceled', 'expired'],
         default: 'active',
         required: true
     },
+    currentPeriodStart: Date,
     currentPeriodEnd: {
         type: Date,
         required: true
     },
+    graceUntil: {
+        type: Date,
+        default: null
+    },
     cancelAtPeriodEnd: {
         type: Boolean,
         default: false
@@ -40,8 +100,13 @@ const subscriptionSchema = new mongoose.Schema({
         subscription_discount: {
             type: Number,
             default: 0
+        },
+        freeVisitsPerPeriod: {
+            type: Number,
+            default: 0
         }
     },
+    history: [subscriptionHistorySchema],
     createdAt: {
         type: Date,
         default: Date.now
@@ -54,31 +119,19 @@ const subscriptionSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Pre-save hook to update features based on plan
-subscriptionSchema.pre('save', function (next) {
-    this.features = getFeaturesForPlan(this.plan);
-    this.updatedAt = Date.now();
-    next();
-});
-
-// Helper function to determine features based on plan
-function getFeaturesForPlan(plan) {
-    const features = {
-        free: {
-            prioritySupport: false,
-            subscription_discount: 0
-        },
-        basic: {
-            prioritySupport: true,
-            subscription_discount: 10
-        },
-        premium: {
-            prioritySupport: true,
-            subscription_discount: 20
-        },
-    };
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
 
-    return features[plan] || features.free;
-}
+/**
+ * Whether the customer currently gets the plan's benefits
+ * Cancelled subscriptions keep them until the period ends, unpaid renewals until the grace period ends.
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+subscriptionSchema.methods.isEntitled = function (now = new Date()) {
+    if (this.status === 'past_due') {
+        return Boolean(this.graceUntil && this.graceUntil > now);
+    }
+    return ['active', 'canceled'].includes(this.status) && this.currentPeriodEnd > now;
+};
 
 export const Subscription = mongoose.model('Subscription', subscriptionSchema);
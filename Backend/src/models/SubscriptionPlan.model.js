@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// Plan catalog managed by admins; subscriptions copy the plan's price, period and features
+const subscriptionPlanSchema = new mongoose.Schema({
+    // Stored on subscriptions and coupons, e.g. basic
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9_-]+$/, 'Plan code may only contain letters, digits, - and _']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    // Charged for every period, 0 for free plans
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    periodDays: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    features: {
+        prioritySupport: {
+            type: Boolean,
+            default: false
+        },
+        // Percentage taken off every booking
+        subscription_discount: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 100
+        },
+        freeVisitsPerPeriod: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    },
+    // Inactive plans cannot be subscribed to; existing subscribers keep renewing
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+export const SubscriptionPlan = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
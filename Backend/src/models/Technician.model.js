@@ -59,6 +59,22 @@ const technicianSchema = new mongoose.Schema({
         trim: true
     }],
 
+    // Last reported GPS position (GeoJSON point)
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            default: undefined
+        },
+        addresses: String,
+        accuracy: Number, // in meters
+        updatedAt: Date
+    },
+
     // Availability
     availability: {
         workingHours: {
@@ -228,22 +244,28 @@ technicianSchema.index({ 'location.coordinates': '2dsphere' });
 
 /**
  * Update technician's location
- * @param {Object} coordinates - Object with lng and lat properties
+ * Written with an atomic update so frequent GPS pings don't re-validate the whole profile
+ * @param {Object} coordinates - Object with lng and lat properties, optional accuracy in meters
  * @param {string} [addresses] - Optional addresses string
  * @returns {Promise<Technician>} The updated technician document
  */
 technicianSchema.methods.updateLocation = async function (coordinates, addresses) {
-    if (!coordinates || !coordinates.lng || !coordinates.lat) {
+    if (!coordinates || coordinates.lng == null || coordinates.lat == null) {
         throw new Error('Invalid coordinates provided');
     }
 
-    this.location = {
+    const location = {
         type: 'Point',
         coordinates: [coordinates.lng, coordinates.lat],
-        addresses: addresses || this.location?.addresses
+        addresses: addresses || this.location?.addresses,
+        accuracy: coordinates.accuracy,
+        updatedAt: new Date()
     };
 
-    return this.save();
+    await this.constructor.updateOne({ _id: this._id }, { $set: { location } });
+    this.set('location', location);
+
+    return this;
 };
 
 /**
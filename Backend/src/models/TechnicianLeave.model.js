@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// A technician's time off for whole days, from startDate to endDate inclusive
+const technicianLeaveSchema = new mongoose.Schema({
+    technician: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['casual', 'sick', 'personal', 'other'],
+        default: 'casual'
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    // Only approved leave takes the technician out of slot capacity and assignment
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'cancelled'],
+        default: 'pending'
+    },
+    review: {
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date,
+        note: String
+    },
+    cancelledAt: Date,
+    // Bookings the technician already had on those days, flagged for reassignment on approval
+    affectedBookings: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    }]
+}, {
+    timestamps: true
+});
+
+technicianLeaveSchema.index({ technician: 1, status: 1, startDate: 1, endDate: 1 });
+technicianLeaveSchema.index({ status: 1, startDate: 1 });
+
+export const TechnicianLeave = mongoose.model('TechnicianLeave', technicianLeaveSchema);
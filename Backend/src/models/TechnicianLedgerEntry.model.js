@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+export const EARNING_TYPES = ['service_share', 'parts_margin', 'incentive', 'penalty'];
+// Cash collected from customers is owed by the technician until they deposit it
+export const CASH_TYPES = ['cash_collected', 'cash_deposit'];
+
+// One movement on a technician's account: positive amounts are owed to the
+// technician, negative ones are owed by them; the balance is the sum
+const technicianLedgerEntrySchema = new mongoose.Schema({
+    technician: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: [...EARNING_TYPES, ...CASH_TYPES, 'payout', 'adjustment'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+    description: String,
+    // How the amount was worked out, e.g. the commission rule and lines
+    details: mongoose.Schema.Types.Mixed,
+    // Set once the entry is included in a payout batch
+    payoutBatch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PayoutBatch',
+        default: null
+    },
+    // Entries posted automatically carry a key so they are only posted once
+    idempotencyKey: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+technicianLedgerEntrySchema.index({ technician: 1, createdAt: -1 });
+technicianLedgerEntrySchema.index({ payoutBatch: 1, technician: 1 });
+technicianLedgerEntrySchema.index({ booking: 1 });
+
+export const TechnicianLedgerEntry = mongoose.model('TechnicianLedgerEntry', technicianLedgerEntrySchema);
@@ -63,6 +63,14 @@ const userSchema = new mongoose.Schema({
     required: true,
   },
 
+  // Partner organization a partner account acts for or a technician works for
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    default: null,
+    index: true
+  },
+
   // Status
   isActive: {
     type: Boolean,
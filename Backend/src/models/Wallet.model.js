@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Customer wallet; the balance only moves together with a WalletTransaction
+const walletSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    balance: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    }
+}, {
+    timestamps: true
+});
+
+export const Wallet = mongoose.model('Wallet', walletSchema);
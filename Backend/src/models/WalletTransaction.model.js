@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// One leg of a journal entry; every transaction debits and credits the same total
+const ledgerEntrySchema = new mongoose.Schema({
+    // wallet:<userId> or a platform account such as platform:cashback
+    account: {
+        type: String,
+        required: true
+    },
+    debit: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    credit: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { _id: false });
+
+const walletTransactionSchema = new mongoose.Schema({
+    transactionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    wallet: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Wallet',
+        required: true
+    },
+    // Direction from the customer's point of view
+    type: {
+        type: String,
+        enum: ['credit', 'debit'],
+        required: true
+    },
+    category: {
+        type: String,
+        enum: ['refund', 'cashback', 'goodwill', 'referral', 'booking_payment', 'subscription_payment'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    balanceAfter: {
+        type: Number,
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+    description: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    entries: {
+        type: [ledgerEntrySchema],
+        validate: {
+            validator: (entries) => {
+                const debits = entries.reduce((sum, entry) => sum + entry.debit, 0);
+                const credits = entries.reduce((sum, entry) => sum + entry.credit, 0);
+                return entries.length >= 2 && Math.abs(debits - credits) < 0.005;
+            },
+            message: 'Ledger entries must balance'
+        }
+    }
+}, {
+    timestamps: true
+});
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ 'entries.account': 1, createdAt: -1 });
+
+export const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
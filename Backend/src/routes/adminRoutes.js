@@ -4,20 +4,30 @@ import {
     getDashboardStats,
     getSystemAnalytics,
     updateUserStatus,
+    creditUserWallet,
     updateTechnicianStatus,
+    getJobs,
+    runJob,
 } from '../controllers/adminController.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
 
 const router = express.Router();
 // Protected routes (require authentication)
 router.use(verifyJWT);
 // Dashboard and analytics
-router.route('/dashboard/stats').get(getDashboardStats);
-router.route('/analytics').get(getSystemAnalytics);
+router.route('/dashboard/stats').get(requirePermission('report:read'), getDashboardStats);
+router.route('/analytics').get(requirePermission('report:read'), getSystemAnalytics);
 
 // User management
-router.route('/users/:userId/status').patch(updateUserStatus);
+router.route('/users/:userId/status').patch(requirePermission('user:manage'), updateUserStatus);
+router.route('/users/:userId/wallet/credits').post(requirePermission('wallet:credit'), creditUserWallet);
 
 // Technician management
-router.route('/technicians/:technicianId/status').patch(updateTechnicianStatus);
+router.route('/technicians/:technicianId/status')
+    .patch(requirePermission('technician:verify', { resource: 'technician', param: 'technicianId' }), updateTechnicianStatus);
+
+// Background jobs
+router.route('/jobs').get(requirePermission('system:jobs'), getJobs);
+router.route('/jobs/:name/run').post(requirePermission('system:jobs'), runJob);
 
 export default router;
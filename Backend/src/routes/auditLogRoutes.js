@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+    getAuditLogs,
+    exportAuditLogsCsv,
+    verifyAuditLogChain,
+    getAuditLogById
+} from '../controllers/auditLogController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+router.use(verifyJWT, requirePermission('audit:read'));
+
+// Audit log of administrative and financial actions
+router.route('/')
+    .get(getAuditLogs);                     // Filters, see the controller
+
+router.route('/export')
+    .get(exportAuditLogsCsv);               // Same filters, as CSV
+
+router.route('/verify')
+    .get(verifyAuditLogChain);              // Hash chain check
+
+router.route('/:id')
+    .get(getAuditLogById);
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import {
     createBooking,
+    getBookingQuote,
+    getAvailableSlots,
     getBookingById,
     getAllBookings,
     updateBookingById,
@@ -8,24 +10,39 @@ import {
     getUserBookings,
     updateBookingStatus,
     cancelBooking,
+    getCancellationQuote,
     assignTechnicianToBooking,
+    getAssignmentCandidates,
     markBookingCompleted,
+    recordBookingCashCollection,
     rescheduleBooking,
+    getBookingSeries,
+    rescheduleSeriesOccurrence,
+    cancelSeriesOccurrence,
+    cancelBookingSeries,
     uploadSelfie,
     uploadBeforeImage,
     uploadAfterImage,
     createBulkBooking,
+    getBookingInvoice,
+    issueBookingInvoice,
     submitBookingFeedback,
     getBookingFeedback,
     getBookingsByRegion,
     getBookingsByStatus,
+    getEscalatedBookings,
+    getArrivalExceptions,
+    reviewArrivalException,
     getBookingAnalytics,
     markTechnicianReached,
+    shareTechnicianLocation,
+    getTechnicianLocation,
+    getLocationTrail,
     generateBookingOtp,
     verifyBookingOtp
 } from '../controllers/bookingController.js';
 import { verifyJWT } from '../middlewares/auth.middleware.js';
-import { isAdminOrManager } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
 import { upload } from '../utils/multer.js';
 
 const router = express.Router();
@@ -33,37 +50,70 @@ const router = express.Router();
 // Apply JWT verification to all booking routes
 router.use(verifyJWT);
 
+// Permission checks against the booking or series in :id
+const onBooking = (permission) => requirePermission(permission, { resource: 'booking' });
+const onSeries = (permission) => requirePermission(permission, { resource: 'bookingSeries' });
+
 // ============================================
-// 🔹 Public Booking Routes (for authenticated users)
+// 🔹 Customer Booking Routes
 // ============================================
 
 // Create a new booking
 router.route('/')
-    .post(createBooking);
+    .post(requirePermission('booking:create'), createBooking);
+
+// Price breakdown for services/parts/coupon before booking
+router.route('/quote')
+    .post(requirePermission('booking:create'), getBookingQuote);
 
 // Get current user's bookings
 router.route('/my-bookings')
-    .get(getUserBookings);
+    .get(requirePermission('booking:read'), getUserBookings);
+
+// Bookable time slots: ?serviceId=&pincode=&date=YYYY-MM-DD
+router.route('/slots')
+    .get(requirePermission('booking:create'), getAvailableSlots);
+
+// Recurring booking series and their occurrences
+router.route('/series/:id')
+    .get(onSeries('booking:read'), getBookingSeries);
+
+router.route('/series/:id/cancel')
+    .post(onSeries('booking:cancel'), cancelBookingSeries);                     // Cancel every open occurrence
+
+router.route('/series/:id/occurrences/:bookingId/reschedule')
+    .patch(onSeries('booking:cancel'), rescheduleSeriesOccurrence);             // scope: this|following
+
+router.route('/series/:id/occurrences/:bookingId/cancel')
+    .post(onSeries('booking:cancel'), cancelSeriesOccurrence);                  // scope: this|following
 
 // ============================================
-// 🔹 Admin/Manager Only Routes
+// 🔹 Dispatch Routes (admin/manager by default)
 // ============================================
 
 // Admin/Manager analytics and filtered views
 router.route('/analytics')
-    .get(isAdminOrManager, getBookingAnalytics);  // Get booking analytics
+    .get(requirePermission('report:read'), getBookingAnalytics);  // Get booking analytics
 
-// Get all bookings (admin/manager only)
+// Get all bookings, narrowed to the user's own or partner's under a scoped grant
 router.route('/all')
-    .get(isAdminOrManager, getAllBookings);
+    .get(requirePermission('booking:list'), getAllBookings);
 
-// Get bookings by region (admin/manager only)
+// Get bookings by region
 router.route('/region')
-    .get(isAdminOrManager, getBookingsByRegion);
+    .get(requirePermission('booking:list'), getBookingsByRegion);
 
-// Get bookings by status (admin/manager only)
+// Get bookings by status
 router.route('/status/:status')
-    .get(isAdminOrManager, getBookingsByStatus);
+    .get(requirePermission('booking:list'), getBookingsByStatus);
+
+// Bookings escalated after failed assignment offers
+router.route('/escalated')
+    .get(requirePermission('booking:escalations'), getEscalatedBookings);
+
+// Arrivals marked outside the geofence (?reviewed=false|true|all)
+router.route('/arrival-exceptions')
+    .get(requirePermission('booking:escalations'), getArrivalExceptions);
 
 // ============================================
 // 🔹 Booking Management Routes
@@ -71,59 +121,76 @@ router.route('/status/:status')
 
 // Basic CRUD operations for a specific booking
 router.route('/:id')
-    .get(getBookingById)                    // Get booking details
-    .patch(updateBookingById)               // Update booking details
-    .delete(isAdminOrManager, deleteBookingById);  // Delete booking (admin/manager only)
+    .get(onBooking('booking:read'), getBookingById)            // Get booking details
+    .patch(onBooking('booking:update'), updateBookingById)     // Update booking details
+    .delete(onBooking('booking:delete'), deleteBookingById);   // Delete booking
 
 // Booking status management
 router.route('/:id/status')
-    .patch(updateBookingStatus);            // Update booking status
+    .patch(onBooking('booking:status'), updateBookingStatus);  // Update booking status
 
 router.route('/:id/cancel')
-    .post(cancelBooking);                   // Cancel a booking
+    .get(onBooking('booking:cancel'), getCancellationQuote)    // Fee and refund if cancelled now
+    .post(onBooking('booking:cancel'), cancelBooking);         // Cancel a booking
 
 router.route('/:id/reschedule')
-    .patch(rescheduleBooking);              // Reschedule a booking
+    .patch(onBooking('booking:cancel'), rescheduleBooking);    // Reschedule a booking
 
 // ============================================
 // 🔹 Technician Management Routes
 // ============================================
 
 router.route('/:id/technician/assign')
-    .patch(isAdminOrManager, assignTechnicianToBooking);  // Assign technician to booking
+    .patch(onBooking('booking:assign'), assignTechnicianToBooking);  // Assign technician to booking
+
+router.route('/:id/technician/candidates')
+    .get(onBooking('booking:assign'), getAssignmentCandidates);      // Dry run: ranked candidates with score breakdown
 
 // OTP Verification Routes
 router.route('/:id/otp')
-    .post(generateBookingOtp)           // Generate and send OTP
-    .put(verifyBookingOtp);             // Verify OTP
+    .post(onBooking('booking:service'), generateBookingOtp)    // Generate and send OTP (after reaching)
+    .put(onBooking('booking:status'), verifyBookingOtp);       // Verify OTP (user enters OTP)
 
 // Technician location and OTP flow
+router.route('/:id/location')
+    .post(onBooking('booking:service'), shareTechnicianLocation)   // GPS ping from the assigned technician
+    .get(onBooking('booking:read'), getTechnicianLocation);        // Latest position, distance and ETA
+
+router.route('/:id/location/trail')
+    .get(onBooking('booking:track'), getLocationTrail);            // Recorded GPS trail
+
 router.route('/:id/technician/reached')
-    .post(markTechnicianReached);  // Mark technician as reached
+    .post(onBooking('booking:service'), markTechnicianReached);    // Mark technician as reached (requires latitude/longitude)
 
-router.route('/:id/otp')
-    .post(generateBookingOtp)      // Generate OTP (after reaching)
-    .put(verifyBookingOtp);        // Verify OTP (user enters OTP)
+router.route('/:id/arrival-exception/review')
+    .patch(onBooking('booking:escalations'), reviewArrivalException);  // Close a flagged arrival
 
 // Upload selfie when technician reaches location
 router.route('/:id/technician/selfie')
-    .post(upload.single('selfie'), uploadSelfie);  // Upload technician selfie
-    
+    .post(onBooking('booking:service'), upload.single('selfie'), uploadSelfie);  // Upload technician selfie (latitude/longitude required on arrival)
+
 router.route('/:id/before-image')
-    .post(upload.single('beforeImage'), uploadBeforeImage);  // Upload before image
+    .post(onBooking('booking:service'), upload.single('beforeImage'), uploadBeforeImage);  // Upload before image
 
 router.route('/:id/after-image')
-    .post(upload.single('afterImage'), uploadAfterImage);  // Upload after image
+    .post(onBooking('booking:service'), upload.single('afterImage'), uploadAfterImage);  // Upload after image
 
 router.route('/:id/complete')
-    .patch(markBookingCompleted);            // Mark booking as completed
+    .patch(onBooking('booking:service'), markBookingCompleted);        // Mark booking as completed
+
+router.route('/:id/cash-collection')
+    .post(onBooking('booking:service'), recordBookingCashCollection);  // Cash collected at the door
+
+router.route('/:id/invoice')
+    .get(onBooking('booking:read'), getBookingInvoice)                 // GST invoice, ?format=json|pdf
+    .post(onBooking('booking:update'), issueBookingInvoice);           // Issue a missing invoice
 
 router.route('/:id/bulk')
-    .post(createBulkBooking);                 // Create bulk booking
+    .post(requirePermission('booking:create'), createBulkBooking);     // Create bulk booking
 
 // Feedback routes
 router.route('/:id/feedback')
-    .post(submitBookingFeedback)              // Submit feedback for a booking
-    .get(getBookingFeedback);                 // Get feedback for a booking
+    .post(onBooking('booking:review'), submitBookingFeedback)  // Submit feedback for a booking
+    .get(onBooking('booking:read'), getBookingFeedback);       // Get feedback for a booking
 
 export default router;
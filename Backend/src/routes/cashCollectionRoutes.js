@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+    getCashReconciliation,
+    getTechnicianCashDetails,
+    recordCashDeposit,
+    recordCashSettlement
+} from '../controllers/cashCollectionController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+router.use(verifyJWT, requirePermission('cash:reconcile'));
+
+// Cash reconciliation
+router.route('/outstanding')
+    .get(getCashReconciliation);            // Outstanding cash per technician
+
+router.route('/technicians/:technicianId')
+    .get(getTechnicianCashDetails);
+
+router.route('/technicians/:technicianId/deposits')
+    .post(recordCashDeposit);               // Cash paid in by the technician
+
+router.route('/technicians/:technicianId/settlements')
+    .post(recordCashSettlement);            // Cleared against earnings
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+    getCommissionRules,
+    createCommissionRule,
+    updateCommissionRule,
+    deleteCommissionRule
+} from '../controllers/commissionRuleController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+router.use(verifyJWT, requirePermission('commission:manage'));
+
+// Technician commission per service category and per partner
+router.route('/')
+    .get(getCommissionRules)
+    .post(createCommissionRule);
+
+router.route('/:id')
+    .patch(updateCommissionRule)
+    .delete(deleteCommissionRule);
+
+export default router;
@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+    validateCoupon,
+    createCoupon,
+    getCoupons,
+    getCouponById,
+    updateCoupon,
+    deleteCoupon,
+    getCouponRedemptions
+} from '../controllers/couponController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+// Customers: check a code against their cart before booking
+router.route('/validate')
+    .post(requirePermission('booking:create'), validateCoupon);  // { code, services, parts }
+
+// Admin coupon management
+router.use(requirePermission('coupon:manage'));
+
+router.route('/')
+    .get(getCoupons)                        // ?active=&search=&page=&limit=
+    .post(createCoupon);
+
+router.route('/:id')
+    .get(getCouponById)                     // Coupon with redemption totals
+    .patch(updateCoupon)
+    .delete(deleteCoupon);                  // Deactivates coupons that were used
+
+router.route('/:id/redemptions')
+    .get(getCouponRedemptions);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
 import {
     createPart,
     getDealerParts,
@@ -14,16 +15,8 @@ const router = express.Router();
 // Apply authentication middleware to all routes
 router.use(verifyJWT);
 
-// Apply dealer role check to all routes
-router.use((req, res, next) => {
-    if (req.user.role !== 'dealer' ) {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied. Dealers only.'
-        });
-    }
-    next();
-});
+// Dealers manage their own parts
+router.use(requirePermission('parts:write'));
 
 // Part management routes
 router.route('/')
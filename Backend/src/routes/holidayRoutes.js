@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+    getHolidays,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday
+} from '../controllers/holidayController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+// Holiday calendar, ?from=&to=&state=
+router.route('/')
+    .get(requirePermission('holiday:read'), getHolidays)
+    .post(requirePermission('holiday:manage'), createHoliday);
+
+router.route('/:id')
+    .patch(requirePermission('holiday:manage'), updateHoliday)
+    .delete(requirePermission('holiday:manage'), deleteHoliday);
+
+export default router;
@@ -0,0 +1,44 @@
+import express from 'express';
+import {
+    createMaintenanceContract,
+    getMaintenanceContracts,
+    getMaintenanceContractById,
+    payMaintenanceContract,
+    pauseMaintenanceContract,
+    resumeMaintenanceContract,
+    skipMaintenanceVisit,
+    cancelMaintenanceContract
+} from '../controllers/maintenanceContractController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+// Own contracts only, unless contract:manage is granted for any contract
+const onContract = requirePermission('contract:manage', { resource: 'maintenanceContract' });
+
+router.route('/')
+    .get(requirePermission('contract:manage'), getMaintenanceContracts)     // Own contracts, all for admins and managers (?status=&page=&limit=)
+    .post(requirePermission('contract:manage'), createMaintenanceContract); // { services, address, startDate, preferredTimeSlot, recurrence: { interval, unit, occurrences } }
+
+router.route('/:id')
+    .get(onContract, getMaintenanceContractById);
+
+router.route('/:id/payments')
+    .post(onContract, payMaintenanceContract);          // { payWith: 'online' | 'wallet' }
+
+router.route('/:id/pause')
+    .post(onContract, pauseMaintenanceContract);
+
+router.route('/:id/resume')
+    .post(onContract, resumeMaintenanceContract);
+
+router.route('/:id/visits/:visitId/skip')
+    .post(onContract, skipMaintenanceVisit);            // { reason }
+
+router.route('/:id/cancel')
+    .post(onContract, cancelMaintenanceContract);       // { reason } unused visits are refunded to the wallet
+
+export default router;
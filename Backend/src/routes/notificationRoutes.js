@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    deleteNotification
+} from '../controllers/notificationController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+// Every route works on the authenticated user's own inbox
+router.use(verifyJWT, requirePermission('account:manage'));
+
+router.route('/')
+    .get(getNotifications);                 // List notifications (?unread=true&page=&limit=)
+
+router.route('/unread-count')
+    .get(getUnreadCount);                   // Badge count
+
+router.route('/read-all')
+    .patch(markAllNotificationsRead);       // Mark every notification as read
+
+router.route('/:id/read')
+    .patch(markNotificationRead);           // Mark one notification as read
+
+router.route('/:id')
+    .delete(deleteNotification);            // Delete a notification
+
+export default router;
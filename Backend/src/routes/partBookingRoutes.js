@@ -1,6 +1,6 @@
 import express from 'express';
 import { verifyJWT } from '../middlewares/auth.middleware.js';
-import { isTechnician } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
 import { addPartsToBooking, removePartFromBooking } from '../controllers/partBookingController.js';
 
 const router = express.Router();
@@ -11,10 +11,10 @@ router.use(verifyJWT);
 // Routes for managing parts in a booking
 router
   .route('/:id/parts')
-  .post(isTechnician, addPartsToBooking);
+  .post(requirePermission('booking:service', { resource: 'booking' }), addPartsToBooking);
 
 router
   .route('/:id/parts/:partId')
-  .delete(isTechnician, removePartFromBooking);
+  .delete(requirePermission('booking:service', { resource: 'booking' }), removePartFromBooking);
 
 export default router;
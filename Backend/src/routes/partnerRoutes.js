@@ -0,0 +1,58 @@
+import express from 'express';
+import {
+    getPartners,
+    createPartner,
+    getPartnerById,
+    updatePartner,
+    addPartnerAccount,
+    removePartnerAccount,
+    getPartnerTechnicians,
+    addPartnerTechnician,
+    removePartnerTechnician,
+    getPartnerBookings,
+    getPartnerEarningsSummary,
+    getPartnerRatingsSummary
+} from '../controllers/partnerController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+// Permission checks against the partner in :id, partner accounts only reach their own
+const onPartner = (permission) => requirePermission(permission, { resource: 'partner' });
+
+// Partner organizations (admin/manager)
+router.route('/')
+    .get(requirePermission('partner:list'), getPartners)
+    .post(requirePermission('partner:manage'), createPartner);
+
+// Partner dashboard, `me` for the partner of a partner account
+router.route('/:id')
+    .get(onPartner('partner:read'), getPartnerById)
+    .patch(onPartner('partner:manage'), updatePartner);        // Details, service areas, commission terms
+
+router.route('/:id/accounts')
+    .post(onPartner('partner:manage'), addPartnerAccount);
+
+router.route('/:id/accounts/:userId')
+    .delete(onPartner('partner:manage'), removePartnerAccount);
+
+router.route('/:id/technicians')
+    .get(onPartner('partner:read'), getPartnerTechnicians)
+    .post(onPartner('technician:roster'), addPartnerTechnician);
+
+router.route('/:id/technicians/:technicianId')
+    .delete(onPartner('technician:roster'), removePartnerTechnician);
+
+router.route('/:id/bookings')
+    .get(onPartner('partner:read'), getPartnerBookings);
+
+router.route('/:id/earnings')
+    .get(onPartner('partner:read'), getPartnerEarningsSummary);
+
+router.route('/:id/ratings')
+    .get(onPartner('partner:read'), getPartnerRatingsSummary);
+
+export default router;
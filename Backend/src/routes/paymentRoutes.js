@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+    createOrder,
+    payWithWallet,
+    getBookingPayments,
+    createRefund,
+    getRefunds,
+    paymentWebhook,
+    simulatePayment
+} from '../controllers/paymentController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+// Called by the payment provider, authenticated by its signature
+router.route('/webhook')
+    .post(paymentWebhook);
+
+router.use(verifyJWT);
+
+router.route('/bookings/:id')
+    .get(requirePermission('payment:read', { resource: 'booking' }), getBookingPayments);     // Payment attempts and amount due
+
+router.route('/bookings/:id/orders')
+    .post(requirePermission('payment:create', { resource: 'booking' }), createOrder);        // { purpose: 'advance' | 'balance' }
+
+router.route('/bookings/:id/wallet')
+    .post(requirePermission('payment:create', { resource: 'booking' }), payWithWallet);      // { purpose, amount? } defaults to everything due
+
+router.route('/bookings/:id/refunds')
+    .post(requirePermission('payment:refund', { resource: 'booking' }), createRefund);       // Partial refund: { amount, reason }
+
+router.route('/refunds')
+    .get(requirePermission('payment:read'), getRefunds);    // Own refunds, all for admins (?status=&booking=&page=&limit=)
+
+// Completes orders without paying, so it never exists in production
+if (process.env.NODE_ENV !== 'production') {
+    router.route('/:paymentId/simulate')
+        .post(requirePermission('payment:simulate'), simulatePayment);    // Fake provider only: { status: 'captured' | 'failed' }
+}
+
+export default router;
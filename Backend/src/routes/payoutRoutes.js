@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+    getTechnicianLedger,
+    createLedgerAdjustment,
+    getPayoutBatches,
+    createPayoutBatchNow,
+    getPayoutBatchById,
+    exportPayoutBatch,
+    settlePayoutTransfer
+} from '../controllers/payoutController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+router.use(verifyJWT, requirePermission('payout:manage'));
+
+// Technician ledgers
+router.route('/ledger/:technicianId')
+    .get(getTechnicianLedger);
+
+router.route('/ledger/:technicianId/adjustments')
+    .post(createLedgerAdjustment);          // Incentives, penalties and adjustments
+
+// Weekly payout batches
+router.route('/')
+    .get(getPayoutBatches)
+    .post(createPayoutBatchNow);
+
+router.route('/:id')
+    .get(getPayoutBatchById);
+
+router.route('/:id/export')
+    .get(exportPayoutBatch);                // Bank transfer file (CSV)
+
+router.route('/:id/items/:technicianId')
+    .patch(settlePayoutTransfer);           // Mark a transfer paid or failed
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+    getPermissions,
+    updateRolePermissions,
+    resetRolePermissions
+} from '../controllers/permissionController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+router.use(verifyJWT, requirePermission('permission:manage'));
+
+// Role permissions
+router.route('/')
+    .get(getPermissions);                   // Registry and every role's grants
+
+router.route('/roles/:role')
+    .put(updateRolePermissions)             // { grants: [{ permission, scope }] }
+    .delete(resetRolePermissions);          // Back to the defaults
+
+export default router;
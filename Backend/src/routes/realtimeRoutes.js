@@ -0,0 +1,17 @@
+import express from 'express';
+import { streamEvents, getRealtimeStats } from '../controllers/realtimeController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+// EventSource sends the auth cookie; other clients can use the Authorization header
+router.use(verifyJWT);
+
+router.route('/stream')
+    .get(requirePermission('account:manage'), streamEvents);    // Events: booking.status, booking.location, notification
+
+router.route('/stats')
+    .get(requirePermission('system:monitor'), getRealtimeStats);  // Open streams on this node
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import { verifyJWT} from '../middlewares/auth.middleware.js';
-import {isAdminOrManager} from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
 import { 
     createService,
     getServices, 
@@ -18,8 +18,8 @@ router.get('/', getServices);
 router.get('/categories', getServiceCategories);
 router.get('/:id', getServiceById);
 
-// Protected routes (require authentication & admin/manager role)
-router.use(verifyJWT, isAdminOrManager);
+// Protected routes (require authentication & the service:manage permission)
+router.use(verifyJWT, requirePermission('service:manage'));
 
 // Create a new service
 router.post(
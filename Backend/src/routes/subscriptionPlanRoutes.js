@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+    getPlans,
+    getAllPlans,
+    createPlan,
+    getPlanById,
+    updatePlan,
+    deletePlan
+} from '../controllers/subscriptionPlanController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+// Public plan catalog
+router.route('/')
+    .get(getPlans);
+
+// Admin plan management
+router.use(verifyJWT, requirePermission('plan:manage'));
+
+router.route('/')
+    .post(createPlan);
+
+router.route('/all')
+    .get(getAllPlans);                      // Inactive plans too, with subscriber counts
+
+router.route('/:id')
+    .get(getPlanById)
+    .patch(updatePlan)                      // Applies to subscribers from their next period
+    .delete(deletePlan);                    // Deactivates plans that have subscriptions
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+    requestTechnicianLeave,
+    getTechnicianLeaves,
+    getTechnicianLeaveById,
+    reviewTechnicianLeave,
+    cancelTechnicianLeave
+} from '../controllers/technicianLeaveController.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+router.route('/')
+    .get(requirePermission('leave:read'), getTechnicianLeaves)     // Own leave, a partner's technicians or all for staff
+    .post(requirePermission('leave:request'), requestTechnicianLeave);
+
+router.route('/:id')
+    .get(requirePermission('leave:read', { resource: 'leave' }), getTechnicianLeaveById);
+
+router.route('/:id/review')
+    .patch(requirePermission('leave:review', { resource: 'leave' }), reviewTechnicianLeave);  // Admins, managers and the technician's partner
+
+router.route('/:id/cancel')
+    .post(requirePermission('leave:request', { resource: 'leave' }), cancelTechnicianLeave);
+
+export default router;
@@ -1,7 +1,7 @@
 import { Router } from 'express';
 import { upload } from '../utils/multer.js';
 import { verifyJWT } from '../middlewares/auth.middleware.js';
-import { isAdminOrPartner } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
 import {
     registerTechnician,
     getTechnicianProfile,
@@ -22,6 +22,8 @@ import {
     changeTechnicianStatus,
     getTechniciansByPartnerId
 } from '../controllers/technicianController.js';
+import { getMyEarnings } from '../controllers/payoutController.js';
+import { getMyCash } from '../controllers/cashCollectionController.js';
 
 const router = Router();
 
@@ -40,14 +42,19 @@ router.route('/register')
 // Apply JWT authentication to all routes below this point
 router.use(verifyJWT);
 
-// Get all technicians (Admin/Manager only)
+// Permission checks against the technician in the given route parameter
+const onTechnician = (permission, param = 'id') => requirePermission(permission, { resource: 'technician', param });
+const ownWork = requirePermission('technician:work');
+
+// Get all technicians, a partner account's own only
 router.route('/')
-    .get(isAdminOrPartner, getAllTechnicians);
+    .get(requirePermission('technician:list'), getAllTechnicians);
 
 // Get, update technician profile (Technician only)
 router.route('/profile')
-    .get(getTechnicianProfile)
+    .get(ownWork, getTechnicianProfile)
     .patch(
+        ownWork,
         upload.fields([
             { name: 'avatar', maxCount: 1 },
             { name: 'documents', maxCount: 5 }
@@ -57,50 +64,59 @@ router.route('/profile')
 
 // Update technician availability (Technician only)
 router.route('/availability')
-    .patch(updateTechnicianAvailability);
+    .patch(ownWork, updateTechnicianAvailability);
 
 // Job Management Routes
 router.route('/bookings')
-    .get(getAssignedBookings);
+    .get(ownWork, getAssignedBookings);
 
 // {TO BE CHECKED}
 router.route('/bookings/:bookingId')
-    .get(getBookingDetails)
-    .patch(updateJobStatus);
+    .get(ownWork, getBookingDetails)
+    .patch(ownWork, updateJobStatus);
 
 // {TO BE CHECKED}
 router.route('/bookings/:bookingId/assignment')
-    .patch(updateBookingAssignment);
+    .patch(ownWork, updateBookingAssignment);
 
 // Ratings and Feedback
 router.route('/ratings')
-    .get(getRatingsAndFeedback);
+    .get(ownWork, getRatingsAndFeedback);
 
 // Job Statistics
 router.route('/stats')
-    .get(getJobStats);
+    .get(ownWork, getJobStats);
 
-// Admin/Manager Routes
+// Earnings ledger and balance
+router.route('/earnings')
+    .get(ownWork, getMyEarnings);
 
-// Get, delete specific technician (Admin/Partner only)
-router.route('/unverified')
-    .get(isAdminOrPartner, getUnverifiedTechnicians);
+// Cash collected from customers and still owed
+router.route('/cash')
+    .get(ownWork, getMyCash);
 
-// {TO BE CHECKED}
-router.route('/:technicianId/:partnerId')
-    .patch(isAdminOrPartner, assignTechnicianToPartner);
+// Admin/Manager/Partner Routes
+
+// Registrations waiting for verification
+router.route('/unverified')
+    .get(requirePermission('technician:verify'), getUnverifiedTechnicians);
 
 router.route('/:technicianId/status')
-    .patch(isAdminOrPartner, changeTechnicianStatus);
+    .patch(onTechnician('technician:verify', 'technicianId'), changeTechnicianStatus);
+
+// Declared after /status so it does not swallow it
+router.route('/:technicianId/:partnerId')
+    .patch(requirePermission('technician:roster'), assignTechnicianToPartner);
 
 // Partner Dashboard
 router.route('/partner/:partnerId')
-    .get(getTechniciansByPartnerId);
+    .get(requirePermission('technician:list', { resource: 'partner', param: 'partnerId' }), getTechniciansByPartnerId);
 
+// Get, deactivate, delete specific technician
 router.route('/:id')
-    .get(isAdminOrPartner, getTechnicianById)
-    .patch(isAdminOrPartner, deactivateTechnicianById)
-    .delete(isAdminOrPartner, deleteTechnicianById);
+    .get(onTechnician('technician:read'), getTechnicianById)
+    .patch(onTechnician('technician:manage'), deactivateTechnicianById)
+    .delete(onTechnician('technician:manage'), deleteTechnicianById);
 
 
 
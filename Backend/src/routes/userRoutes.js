@@ -16,11 +16,14 @@ import {
     updateAddress,
     uploadAvatar,
     getSubscriptionDetails,
+    getSubscriptionQuote,
     updateSubscription,
-    cancelSubscription
+    cancelSubscription,
+    getUserWallet
 } from '../controllers/userController.js';
 import { upload } from '../utils/multer.js';
 import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
 
 const router = express.Router();
 
@@ -28,12 +31,17 @@ const router = express.Router();
 router.post('/register', upload.single('avatar'), registerUser);
 router.post('/login', loginUser);
 router.post('/refresh-token', refreshAccessToken);
-router.get('/all-users', getAllUsers);
-router.get('/get-user/:userId', getUserById);
 
 // Protected routes
 router.use(verifyJWT); // All routes after this will use verifyJWT middleware
 
+// User directory
+router.get('/all-users', requirePermission('user:read'), getAllUsers);
+router.get('/get-user/:userId', requirePermission('user:read'), getUserById);
+
+// Everything below works on the user's own account
+router.use(requirePermission('account:manage'));
+
 // User routes
 router.get('/get-current-user', getCurrentUser);
 router.post('/logout', logoutUser);
@@ -54,7 +62,11 @@ router.patch('/update-avatar', upload.single('avatar'), uploadAvatar);
 
 // Subscription management routes
 router.get('/subscription-details', getSubscriptionDetails);
+router.get('/subscription-quote', getSubscriptionQuote);
 router.post('/update-subscription', updateSubscription);
 router.delete('/cancel-subscription', cancelSubscription);
 
+// Wallet
+router.get('/wallet', getUserWallet);
+
 export default router;
\ No newline at end of file
@@ -1,12 +1,32 @@
 import dotenv from 'dotenv';
 import { app } from './app.js';
 import connectDB from './config/db.js';
+import { registerJobs } from './jobs/index.js';
+import { startScheduler } from './services/jobScheduler.service.js';
+import { registerBookingNotifications } from './services/notification.service.js';
+import { registerInvoiceListeners } from './services/invoice.service.js';
+import { registerCancellationListeners } from './services/cancellationPolicy.service.js';
+import { registerCouponListeners } from './services/coupon.service.js';
+import { registerRealtimeListeners } from './services/realtime.service.js';
+import { ensureDefaultPlans, registerSubscriptionListeners } from './services/subscription.service.js';
+import { registerMaintenanceContractListeners } from './services/maintenanceContract.service.js';
+import { registerBookingSeriesListeners } from './services/bookingSeries.service.js';
+import { registerEarningsListeners } from './services/technicianLedger.service.js';
+import { assertPaymentConfig } from './services/paymentProviders.service.js';
 
 // Load environment variables first
 dotenv.config();
 
 const PORT = process.env.PORT || 8000;
 
+// Refuse to take payments with a missing or development-only provider
+try {
+    assertPaymentConfig();
+} catch (error) {
+    console.error('❌ Invalid payment configuration:', error.message);
+    process.exit(1);
+}
+
 // Connect to MongoDB
 connectDB()
     .then(() => {
@@ -15,6 +35,29 @@ connectDB()
             console.log(`🚀 Server is running on port: ${PORT}`);
         });
 
+        // Email, SMS and push notifications for booking events
+        registerBookingNotifications();
+        // GST invoice for every completed booking
+        registerInvoiceListeners();
+        // Technician earnings posted to their ledger on completion
+        registerEarningsListeners();
+        // Cancellation fees, refunds and released coupon uses
+        registerCancellationListeners();
+        registerCouponListeners();
+        // Subscription plan changes and renewals paid through the provider
+        registerSubscriptionListeners();
+        ensureDefaultPlans().catch((error) => console.error('❌ Creating default subscription plans failed:', error));
+        // Maintenance contract payments and the bookings of their visits
+        registerMaintenanceContractListeners();
+        // Recurring series closed once their last occurrence is
+        registerBookingSeriesListeners();
+        // Server-Sent Events for booking updates and new notifications
+        registerRealtimeListeners();
+
+        // Background jobs: subscription renewals, stale bookings, offer timeouts, reminders, contract visits, payouts
+        registerJobs();
+        startScheduler().catch((error) => console.error('❌ Job scheduler failed to start:', error));
+
         // Handle unhandled promise rejections
         process.on('unhandledRejection', (err) => {
             console.error('UNHANDLED REJECTION! 💥 Shutting down...');
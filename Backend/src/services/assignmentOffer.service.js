@@ -0,0 +1,271 @@
+import { Booking } from '../models/Booking.model.js';
+import { Technician } from '../models/Technician.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import {
+    SYSTEM_ACTOR,
+    applyTransition,
+    bookingEvents,
+    saveBooking,
+    transitionBooking
+} from './bookingLifecycle.service.js';
+import { rankCandidates } from './technicianAssignment.service.js';
+
+/**
+ * Assignment offers
+ *
+ * Assigning a technician makes them a time-boxed offer. The technician accepts
+ * or declines it; when they decline or let it expire the booking cascades to
+ * the next ranked technician, skipping everyone who was already offered it.
+ * After `ASSIGNMENT_MAX_OFFER_ATTEMPTS` failed offers, or when nobody is left
+ * to offer it to, the booking is escalated to admins and managers.
+ */
+
+// Minutes a technician has to answer an offer
+const OFFER_TIMEOUT_MINUTES = parseInt(process.env.ASSIGNMENT_OFFER_TIMEOUT_MINUTES, 10) || 10;
+// Failed offers after which the booking is escalated instead of cascading again
+const MAX_OFFER_ATTEMPTS = parseInt(process.env.ASSIGNMENT_MAX_OFFER_ATTEMPTS, 10) || 3;
+
+const FAILED_OFFER_STATUSES = ['declined', 'expired'];
+
+const technicianName = (technician) =>
+    `${technician.name?.first || ''} ${technician.name?.last || ''}`.trim() || 'Technician';
+
+/**
+ * Offer still waiting for the technician's answer, if any
+ * @param {Object} booking - Booking document
+ * @returns {Object|undefined}
+ */
+export const getActiveOffer = (booking) =>
+    (booking.assignmentOffers || []).find((offer) => offer.status === 'pending');
+
+const closeOffer = (offer, status, reason) => {
+    offer.status = status;
+    offer.respondedAt = new Date();
+    if (reason) offer.reason = reason;
+};
+
+// Offers that failed since dispatchers last dealt with an escalation
+const countFailedOffers = (booking) => {
+    const since = booking.escalation?.resolvedAt || new Date(0);
+    return (booking.assignmentOffers || []).filter(
+        (offer) => FAILED_OFFER_STATUSES.includes(offer.status) && offer.offeredAt > since
+    ).length;
+};
+
+/**
+ * Rank the technicians the booking has not been offered to yet
+ * @param {Object} booking - Booking document with `services.serviceId` populated (name, category)
+ * @param {Object} [options] - Forwarded to rankCandidates
+ * @returns {Promise<Object>} { weights, candidates }
+ */
+export const rankOfferCandidates = (booking, options = {}) =>
+    rankCandidates(booking, {
+        ...options,
+        exclude: [
+            ...(options.exclude || []),
+            ...(booking.assignmentOffers || []).map((offer) => offer.technician),
+            ...(booking.assigned_technician ? [booking.assigned_technician._id ?? booking.assigned_technician] : [])
+        ]
+    });
+
+/**
+ * Offer a booking to a technician: assigns it and starts the answer timer.
+ * A technician holding the booking is released and a pending offer withdrawn.
+ * @param {Object} booking - Booking document
+ * @param {Object} technician - Technician document
+ * @param {Object} context - { actor, assignmentType: 'manual'|'auto', ranking, rank }
+ * @returns {Promise<Object>} The offer that was made
+ */
+export const offerBooking = async (booking, technician, context) => {
+    const { actor, assignmentType = 'auto', ranking, rank } = context;
+
+    const activeOffer = getActiveOffer(booking);
+    if (activeOffer) {
+        closeOffer(activeOffer, 'withdrawn', 'Booking offered to another technician');
+    }
+
+    if (booking.assigned_technician) {
+        applyTransition(booking, 'pending', { actor, note: 'Technician unassigned for reassignment' });
+    }
+
+    const offeredAt = new Date();
+    const expiresAt = new Date(offeredAt.getTime() + OFFER_TIMEOUT_MINUTES * 60 * 1000);
+
+    applyTransition(booking, 'assigned', {
+        actor,
+        technicianId: technician._id,
+        note: `Booking offered to ${technicianName(technician)} until ${expiresAt.toISOString()}`,
+        metadata: {
+            assignmentType,
+            assignedBy: actor?._id || null,
+            assignedAt: offeredAt,
+            expiresAt,
+            score: ranking?.score,
+            breakdown: ranking?.breakdown,
+            distance: ranking?.distanceKm != null ? `${ranking.distanceKm.toFixed(2)} km` : null
+        }
+    });
+
+    booking.assignmentOffers.push({
+        technician: technician._id,
+        assignmentType,
+        rank,
+        score: ranking?.score,
+        offeredBy: actor?._id || null,
+        offeredAt,
+        expiresAt
+    });
+
+    // A dispatcher or a successful cascade takes the booking off the escalation list
+    if (booking.escalation?.escalatedAt && !booking.escalation.resolvedAt) {
+        booking.escalation.resolvedAt = offeredAt;
+    }
+
+    await saveBooking(booking);
+
+    // Keep a trail of the assignment on the technician
+    await Technician.findByIdAndUpdate(technician._id, {
+        $addToSet: { assignedBookings: booking._id },
+        $push: {
+            notes: {
+                note: `Offered booking #${booking.bookingId || booking._id}, expires ${expiresAt.toISOString()}`,
+                createdBy: actor?._id || undefined,
+                isInternal: true
+            }
+        }
+    });
+
+    const offer = booking.assignmentOffers[booking.assignmentOffers.length - 1];
+    bookingEvents.emit('offered', { booking, offer, technician });
+
+    return offer;
+};
+
+/**
+ * Flag a booking for admins and managers when auto-assignment gives up
+ * @param {Object} booking - Booking document
+ * @param {string} reason - Why the booking was escalated
+ * @returns {Promise<Object>} The saved booking
+ */
+export const escalateBooking = async (booking, reason) => {
+    booking.escalation = { escalatedAt: new Date(), reason, resolvedAt: null };
+
+    await saveBooking(booking);
+    bookingEvents.emit('escalated', { booking, reason });
+
+    return booking;
+};
+
+/**
+ * Offer an unassigned booking to the next ranked technician, or escalate it
+ * when the attempt limit is reached or nobody is left to offer it to
+ * @param {Object} booking - Booking document in `pending` or `rescheduled`
+ * @returns {Promise<Object|null>} The new offer, null when the booking was escalated
+ */
+export const cascadeAssignment = async (booking) => {
+    const failedOffers = countFailedOffers(booking);
+    if (failedOffers >= MAX_OFFER_ATTEMPTS) {
+        await escalateBooking(booking, `${failedOffers} assignment offers were declined or expired`);
+        return null;
+    }
+
+    await booking.populate('services.serviceId', 'name category');
+    const { candidates } = await rankOfferCandidates(booking);
+    if (candidates.length === 0) {
+        await escalateBooking(booking, 'No other technician is available for the booking slot');
+        return null;
+    }
+
+    const [ranking] = candidates;
+    const technician = await Technician.findById(ranking.technician._id);
+
+    return offerBooking(booking, technician, {
+        actor: SYSTEM_ACTOR,
+        assignmentType: 'auto',
+        ranking,
+        rank: 1
+    });
+};
+
+/**
+ * Expire an offer the technician did not answer in time and cascade the booking
+ * @param {Object} booking - Booking document with an active offer
+ * @param {Object} offer - The active offer
+ */
+const expireOffer = async (booking, offer) => {
+    closeOffer(offer, 'expired', `No answer within ${OFFER_TIMEOUT_MINUTES} minutes`);
+    await transitionBooking(booking, 'pending', {
+        actor: SYSTEM_ACTOR,
+        note: 'Assignment offer expired, offering the booking to the next technician'
+    });
+    await cascadeAssignment(booking);
+};
+
+/**
+ * Accept or decline the booking a technician was offered. Declining cascades
+ * the booking to the next technician.
+ * @param {Object} booking - Booking document
+ * @param {Object} actor - The technician answering
+ * @param {Object} params - { action: 'accept'|'reject', reason }
+ * @returns {Promise<Object>} The saved booking
+ * @throws {ApiError} 409 when the offer has already expired
+ */
+export const respondToOffer = async (booking, actor, { action, reason }) => {
+    // Bookings assigned before offers existed have no offer and follow the plain lifecycle
+    const activeOffer = getActiveOffer(booking);
+    const offer = activeOffer?.technician.toString() === actor._id.toString() ? activeOffer : null;
+
+    if (offer && offer.expiresAt <= new Date()) {
+        await expireOffer(booking, offer);
+        throw new ApiError(409, 'This assignment offer has expired');
+    }
+
+    if (action === 'accept') {
+        offer && closeOffer(offer, 'accepted');
+        return transitionBooking(booking, 'confirmed', {
+            actor,
+            note: 'Technician accepted the booking'
+        });
+    }
+
+    offer && closeOffer(offer, 'declined', reason);
+    // The lifecycle releases the booking and records the decline
+    await transitionBooking(booking, 'pending', {
+        actor,
+        reason,
+        note: 'Technician declined the assignment, offering the booking to the next technician'
+    });
+    await cascadeAssignment(booking);
+
+    return booking;
+};
+
+/**
+ * Expire every offer past its deadline and cascade the bookings
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} { expired, failed }
+ */
+export const expireOffers = async (now = new Date()) => {
+    const bookings = await Booking.find({
+        status: 'assigned',
+        assignmentOffers: { $elemMatch: { status: 'pending', expiresAt: { $lte: now } } }
+    });
+
+    let expired = 0;
+    let failed = 0;
+    for (const booking of bookings) {
+        const offer = getActiveOffer(booking);
+        if (!offer || offer.expiresAt > now) continue;
+
+        try {
+            await expireOffer(booking, offer);
+            expired++;
+        } catch (error) {
+            // A concurrent accept or reassignment wins, the booking is picked up again next run otherwise
+            failed++;
+            console.error(`Failed to expire assignment offer for booking ${booking._id}:`, error.message);
+        }
+    }
+
+    return { expired, failed };
+};
@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { AuditLog } from '../models/AuditLog.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { normalizeRole } from './bookingLifecycle.service.js';
+
+/**
+ * Audit log
+ *
+ * Every mutating request by an admin, manager, partner or dealer is recorded
+ * with who made it, what it touched, how it ended and where it came from (see
+ * audit.middleware). Controllers that change a record describe the change with
+ * `auditChange`, giving the record before and after. The request body is kept
+ * too, with secrets removed.
+ *
+ * Entries are append-only and chained: each carries the hash of the entry
+ * before it and a hash over its own content. Editing, removing or inserting an
+ * entry in the database breaks the chain from that point, which
+ * `verifyAuditChain` reports.
+ */
+
+export const AUDITED_ROLES = ['Admin', 'Manager', 'Partner', 'Dealer'];
+
+// Most entries a CSV export holds
+const EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT, 10) || 10000;
+
+const GENESIS_HASH = '0'.repeat(64);
+const APPEND_ATTEMPTS = 5;
+const SECRET_FIELDS = /password|token|secret|otp|cvv|cardNumber/i;
+const MAX_TEXT_LENGTH = 500;
+const MAX_DEPTH = 5;
+
+// Content a hash covers, in this order
+const HASHED_FIELDS = [
+    'sequence', 'prevHash', 'createdAt', 'actor', 'actorRole', 'action', 'permission', 'method', 'path',
+    'statusCode', 'targetType', 'targetId', 'before', 'after', 'changes', 'requestBody', 'ip', 'userAgent'
+];
+
+// Plain JSON values, as stored and read back from the database
+const toPlain = (value) => (value == null ? null : JSON.parse(JSON.stringify(value)));
+
+// JSON with keys sorted, so the same content always hashes the same
+const canonical = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+const hashEntry = (entry) => {
+    const content = Object.fromEntries(HASHED_FIELDS.map((field) => [field, entry[field] ?? null]));
+    content.actor = content.actor?.toString() ?? null;
+    content.createdAt = content.createdAt ? new Date(content.createdAt).toISOString() : null;
+    return crypto.createHash('sha256').update(canonical(toPlain(content))).digest('hex');
+};
+
+/**
+ * Copy of a request body safe to keep: secrets dropped, long text and deep nesting cut short
+ * @param {*} value
+ * @returns {*}
+ */
+export const sanitizeForAudit = (value, depth = 0) => {
+    if (value == null) return null;
+    if (typeof value === 'string') {
+        return value.length > MAX_TEXT_LENGTH ? `${value.slice(0, MAX_TEXT_LENGTH)}...` : value;
+    }
+    if (typeof value !== 'object' || value instanceof Date || value instanceof mongoose.Types.ObjectId) {
+        return toPlain(value);
+    }
+    if (depth >= MAX_DEPTH) return '[nested]';
+    if (Array.isArray(value)) {
+        return value.slice(0, 50).map((item) => sanitizeForAudit(item, depth + 1));
+    }
+    return Object.fromEntries(
+        Object.entries(value)
+            .filter(([key]) => !SECRET_FIELDS.test(key))
+            .map(([key, item]) => [key, sanitizeForAudit(item, depth + 1)])
+    );
+};
+
+/**
+ * Fields that differ between two snapshots
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object|null} { field: { from, to } }, null when there is nothing to compare
+ */
+export const diffSnapshots = (before, after) => {
+    if (!before && !after) return null;
+
+    const changes = {};
+    for (const field of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (canonical(from) !== canonical(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+};
+
+/**
+ * Describe the change a request made, recorded once the response is sent
+ * @param {Object} res - Express response
+ * @param {Object} change - { action, targetType, targetId, before, after }; before is null for creations, after for deletions
+ */
+export const auditChange = (res, change) => {
+    res.locals.audit = { ...res.locals.audit, ...change };
+};
+
+/**
+ * Append an entry to the chain
+ * Concurrent appends race for the next sequence; the loser links to the winner and retries.
+ * @param {Object} fields - actor, actorRole, action, permission, method, path, statusCode, targetType, targetId, before, after, requestBody, ip, userAgent
+ * @returns {Promise<Object>} The entry
+ */
+export const recordAuditEntry = async (fields) => {
+    const before = sanitizeForAudit(fields.before);
+    const after = sanitizeForAudit(fields.after);
+    const content = {
+        ...fields,
+        targetId: fields.targetId?.toString() ?? null,
+        before,
+        after,
+        changes: diffSnapshots(before, after),
+        requestBody: sanitizeForAudit(fields.requestBody)
+    };
+
+    for (let attempt = 1; ; attempt++) {
+        const last = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+        const entry = {
+            ...content,
+            sequence: (last?.sequence || 0) + 1,
+            prevHash: last?.hash || GENESIS_HASH,
+            createdAt: new Date()
+        };
+        entry.hash = hashEntry(entry);
+
+        try {
+            return await AuditLog.create(entry);
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= APPEND_ATTEMPTS) throw error;
+        }
+    }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Query for audit log filters
+ * @param {Object} filters - { actor, role, action, targetType, targetId, method, status: 'success'|'failure', search, from, to }
+ * @returns {Object}
+ */
+const auditQuery = ({ actor, role, action, targetType, targetId, method, status, search, from, to } = {}) => {
+    const query = {};
+
+    if (actor) {
+        if (!mongoose.isValidObjectId(actor)) {
+            throw new ApiError(400, 'Invalid actor ID');
+        }
+        query.actor = actor;
+    }
+    if (role) query.actorRole = normalizeRole(role);
+    // booking.* matches every booking action
+    if (action) {
+        query.action = action.endsWith('*') ? new RegExp(`^${escapeRegex(action.slice(0, -1))}`) : action;
+    }
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (method) query.method = method.toUpperCase();
+    if (status === 'success') query.statusCode = { $lt: 400 };
+    if (status === 'failure') query.statusCode = { $gte: 400 };
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+        query.$or = [{ action: pattern }, { path: pattern }, { targetId: pattern }, { ip: pattern }];
+    }
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    return query;
+};
+
+/**
+ * Search the audit log, newest first
+ * @param {Object} filters - See auditQuery
+ * @param {Object} [options] - { page, limit }
+ * @returns {Promise<Object>} { entries, pagination }
+ */
+export const searchAuditLogs = async (filters, { page = 1, limit = 50 } = {}) => {
+    const query = auditQuery(filters);
+
+    const [entries, total] = await Promise.all([
+        AuditLog.find(query)
+            .populate('actor', 'name email')
+            .sort({ sequence: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        AuditLog.countDocuments(query)
+    ]);
+
+    return {
+        entries,
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+const csvValue = (value) => {
+    const text = value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Audit log entries matching the filters as CSV, newest first
+ * @param {Object} filters - See auditQuery
+ * @returns {Promise<Object>} { csv, count, truncated }
+ */
+export const exportAuditLogs = async (filters) => {
+    const entries = await AuditLog.find(auditQuery(filters))
+        .populate('actor', 'email')
+        .sort({ sequence: -1 })
+        .limit(EXPORT_LIMIT + 1)
+        .lean();
+    const truncated = entries.length > EXPORT_LIMIT;
+
+    const rows = [[
+        'Sequence', 'Time', 'Actor', 'Actor Email', 'Role', 'Action', 'Permission', 'Method', 'Path', 'Status',
+        'Target Type', 'Target ID', 'Changes', 'Request', 'IP', 'User Agent', 'Hash'
+    ]];
+    for (const entry of entries.slice(0, EXPORT_LIMIT)) {
+        rows.push([
+            entry.sequence,
+            entry.createdAt.toISOString(),
+            entry.actor?._id ?? entry.actor,
+            entry.actor?.email,
+            entry.actorRole,
+            entry.action,
+            entry.permission,
+            entry.method,
+            entry.path,
+            entry.statusCode,
+            entry.targetType,
+            entry.targetId,
+            entry.changes,
+            entry.requestBody,
+            entry.ip,
+            entry.userAgent,
+            entry.hash
+        ]);
+    }
+
+    return {
+        csv: rows.map((row) => row.map(csvValue).join(',')).join('\n'),
+        count: rows.length - 1,
+        truncated
+    };
+};
+
+/**
+ * Walk the chain and check every entry links to the one before and still matches its hash
+ * @returns {Promise<Object>} { valid, entries, brokenAt: { sequence, reason } | null }
+ */
+export const verifyAuditChain = async () => {
+    let previous = null;
+    let count = 0;
+
+    const cursor = AuditLog.find().sort({ sequence: 1 }).lean().cursor();
+    for await (const entry of cursor) {
+        count++;
+        const expectedSequence = (previous?.sequence || 0) + 1;
+        let reason = null;
+
+        if (entry.sequence !== expectedSequence) {
+            reason = `Expected entry ${expectedSequence}, found ${entry.sequence}: entries are missing`;
+        } else if (entry.prevHash !== (previous?.hash || GENESIS_HASH)) {
+            reason = 'Does not link to the entry before it';
+        } else if (entry.hash !== hashEntry(entry)) {
+            reason = 'Content does not match its hash';
+        }
+
+        if (reason) {
+            await cursor.close();
+            return { valid: false, entries: count, brokenAt: { sequence: entry.sequence, reason } };
+        }
+        previous = entry;
+    }
+
+    return { valid: true, entries: count, brokenAt: null };
+};
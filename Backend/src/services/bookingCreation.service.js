@@ -0,0 +1,89 @@
+import { Booking } from '../models/Booking.model.js';
+import { bookingEvents } from './bookingLifecycle.service.js';
+import { attachRedemption, redeemCoupon, releaseRedemption } from './coupon.service.js';
+import { findPartnerForAddress } from './partner.service.js';
+import { setBookingAmounts } from './pricing.service.js';
+import { reserveSlot } from './slotAvailability.service.js';
+
+/**
+ * Booking creation
+ *
+ * The one path every new booking takes, whether a customer places it or a
+ * maintenance contract generates it: the coupon use is taken, the booking is
+ * routed to the partner serving the address, the slot is reserved while the
+ * booking is stored with its priced lines, and the 'created' booking event
+ * goes out.
+ */
+
+// Generate a unique booking ID
+export const generateBookingId = () => {
+    return `BK${Date.now().toString().slice(-8)}`;
+};
+
+/**
+ * Place a booking from a quote
+ * @param {Object} input - { userId, quote: result of quoteBooking, address, scheduleDate, preferredTimeSlot, notes,
+ *                          payment, actor, fields: extra booking fields }
+ * @returns {Promise<Object>} The created booking
+ * @throws {ApiError} 409 when the slot is full or the coupon limits were reached
+ */
+export const placeBooking = async ({
+    userId,
+    quote,
+    address,
+    scheduleDate,
+    preferredTimeSlot,
+    notes,
+    payment,
+    actor = null,
+    fields = {}
+}) => {
+    // Take the coupon use first so its limits hold when bookings are placed concurrently
+    const redemption = quote.coupon
+        ? await redeemCoupon(quote.coupon, userId, quote.pricing.couponDiscount)
+        : null;
+
+    let booking;
+    try {
+        const partner = await findPartnerForAddress(address);
+        const slot = {
+            serviceIds: quote.services.map(service => service.serviceId),
+            pincode: address?.pincode,
+            scheduleDate,
+            preferredTimeSlot
+        };
+        const bookingFields = setBookingAmounts({
+            bookingId: generateBookingId(),
+            user: userId,
+            services: quote.services,
+            parts: quote.parts,
+            address,
+            scheduleDate,
+            preferredTimeSlot,
+            notes,
+            payment,
+            partner: partner?._id ?? null,
+            status: 'pending',
+            statusHistory: [{
+                status: 'pending',
+                changedAt: new Date(),
+                changedBy: actor?._id ?? userId
+            }],
+            ...fields
+        }, quote.pricing);
+
+        // Refuses slots no technician can serve, also against concurrent bookings
+        booking = await reserveSlot(slot, async (session) => {
+            const [created] = await Booking.create([bookingFields], { session });
+            return created;
+        });
+    } catch (error) {
+        if (redemption) await releaseRedemption(redemption);
+        throw error;
+    }
+
+    if (redemption) await attachRedemption(redemption, booking._id);
+
+    bookingEvents.emit('created', { booking });
+    return booking;
+};
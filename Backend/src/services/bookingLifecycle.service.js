@@ -0,0 +1,346 @@
+import { EventEmitter } from 'events';
+import { ApiError } from '../utils/ApiErrors.js';
+
+/**
+ * Booking lifecycle
+ *
+ * Single source of truth for how `Booking.status` may change. Every route that
+ * changes a booking's status goes through `transitionBooking`, which checks the
+ * transition table below, the actor's role and ownership, the required payload,
+ * applies the side effects, writes `statusHistory` and emits a `transition`
+ * event once the booking has been saved.
+ *
+ * Some statuses entail more than the booking itself (the assignment offer, the
+ * geofence check on arrival, the OTP, the technician's completion stats and
+ * cash). They are only entered through their own endpoint; the generic status
+ * routes refuse them, see `assertStatusRouteTransition`. Technicians decline
+ * an offer through its endpoint too, so the booking cascades to the next one.
+ */
+
+export const BOOKING_STATUSES = [
+    'pending',
+    'confirmed',
+    'assigned',
+    'reached',
+    'otp_pending',
+    'in_progress',
+    'completed',
+    'cancelled',
+    'rescheduled',
+    'rejected'
+];
+
+// Actor used by background work (offer timeouts, stale booking expiry, ...)
+export const SYSTEM_ACTOR = Object.freeze({ _id: null, role: 'System' });
+
+const CUSTOMER = ['User'];
+const TECHNICIAN = ['Technician'];
+const MANAGERS = ['Admin', 'Manager'];
+const DISPATCHERS = ['Admin', 'Manager', 'Partner', 'System'];
+
+/**
+ * Allowed transitions: current status -> next status -> rule
+ *  - roles:    roles that may trigger the transition
+ *  - requires: payload that must be present (see REQUIREMENTS)
+ */
+const TRANSITIONS = {
+    pending: {
+        assigned: { roles: DISPATCHERS, requires: ['technician'] },
+        confirmed: { roles: MANAGERS },
+        rescheduled: { roles: [...CUSTOMER, ...MANAGERS], requires: ['schedule'] },
+        cancelled: { roles: [...CUSTOMER, ...MANAGERS, 'System'], requires: ['reason'] },
+        rejected: { roles: MANAGERS, requires: ['reason'] }
+    },
+    rescheduled: {
+        assigned: { roles: DISPATCHERS, requires: ['technician'] },
+        pending: { roles: [...MANAGERS, 'System'] },
+        rescheduled: { roles: [...CUSTOMER, ...MANAGERS], requires: ['schedule'] },
+        cancelled: { roles: [...CUSTOMER, ...MANAGERS, 'System'], requires: ['reason'] }
+    },
+    assigned: {
+        confirmed: { roles: [...TECHNICIAN, ...MANAGERS] },
+        pending: { roles: [...TECHNICIAN, ...DISPATCHERS] },
+        reached: { roles: TECHNICIAN },
+        rescheduled: { roles: [...CUSTOMER, ...MANAGERS], requires: ['schedule'] },
+        cancelled: { roles: [...CUSTOMER, ...MANAGERS], requires: ['reason'] }
+    },
+    confirmed: {
+        assigned: { roles: DISPATCHERS, requires: ['technician'] },
+        pending: { roles: DISPATCHERS },
+        reached: { roles: TECHNICIAN },
+        rescheduled: { roles: [...CUSTOMER, ...MANAGERS], requires: ['schedule'] },
+        cancelled: { roles: [...CUSTOMER, ...MANAGERS], requires: ['reason'] }
+    },
+    reached: {
+        otp_pending: { roles: TECHNICIAN },
+        cancelled: { roles: MANAGERS, requires: ['reason'] }
+    },
+    otp_pending: {
+        // Regenerating an expired OTP keeps the booking in otp_pending
+        otp_pending: { roles: TECHNICIAN },
+        in_progress: { roles: TECHNICIAN, requires: ['otp'] },
+        cancelled: { roles: MANAGERS, requires: ['reason'] }
+    },
+    in_progress: {
+        completed: { roles: [...TECHNICIAN, ...MANAGERS], requires: ['afterImage'] },
+        cancelled: { roles: MANAGERS, requires: ['reason'] }
+    },
+    completed: {},
+    cancelled: {},
+    rejected: {}
+};
+
+// Statuses in which a technician may still add or remove parts
+export const PARTS_EDITABLE_STATUSES = ['in_progress'];
+
+// Endpoint each status with side effects beyond the booking is entered through
+const DEDICATED_ENDPOINTS = {
+    assigned: 'PATCH /api/v1/bookings/:id/technician/assign',
+    reached: 'POST /api/v1/bookings/:id/technician/reached',
+    otp_pending: 'POST /api/v1/bookings/:id/otp',
+    in_progress: 'PUT /api/v1/bookings/:id/otp',
+    completed: 'PATCH /api/v1/bookings/:id/complete',
+    rescheduled: 'PATCH /api/v1/bookings/:id/reschedule'
+};
+const DECLINE_ENDPOINT = 'PATCH /api/v1/technicians/bookings/:bookingId/assignment';
+
+// Each requirement returns an error message when it is not satisfied
+const REQUIREMENTS = {
+    reason: (booking, context) => (context.reason?.toString().trim() ? null : 'A reason is required'),
+    otp: (booking, context) => (context.otpVerified === true ? null : 'A verified OTP is required'),
+    technician: (booking, context) => (context.technicianId ? null : 'A technician is required'),
+    schedule: (booking, context) =>
+        context.scheduleDate && context.preferredTimeSlot
+            ? null
+            : 'New schedule date and time slot are required',
+    afterImage: (booking, context) =>
+        booking.images?.productAfter || context.images?.productAfter
+            ? null
+            : 'An after-service image of the product is required'
+};
+
+const DEFAULT_NOTES = {
+    pending: 'Booking is awaiting technician assignment',
+    confirmed: 'Booking confirmed',
+    assigned: 'Technician assigned',
+    reached: 'Technician has reached the location',
+    otp_pending: 'OTP generated and waiting for user verification',
+    in_progress: 'OTP verified, service in progress',
+    completed: 'Service completed',
+    cancelled: 'Booking cancelled',
+    rescheduled: 'Booking rescheduled',
+    rejected: 'Booking rejected'
+};
+
+// Side effects applied to the booking when it enters a status
+const ENTRY_EFFECTS = {
+    pending: (booking, context, from) => {
+        if (booking.assigned_technician && ['assigned', 'confirmed'].includes(from)) {
+            if (normalizeRole(context.actor?.role) === 'Technician') {
+                booking.declinedBy.push({
+                    technician: booking.assigned_technician,
+                    declinedAt: new Date(),
+                    reason: context.reason
+                });
+            }
+            booking.assigned_technician = null;
+        }
+    },
+    assigned: (booking, context) => {
+        booking.assigned_technician = context.technicianId;
+    },
+    // A new slot needs a fresh assignment, so the technician is released
+    rescheduled: (booking, context) => {
+        booking.scheduleDate = context.scheduleDate;
+        booking.preferredTimeSlot = context.preferredTimeSlot;
+        booking.assigned_technician = null;
+    },
+    completed: (booking) => {
+        booking.completedAt = new Date();
+    },
+    cancelled: (booking, context) => {
+        booking.cancellationReason = context.reason;
+        booking.cancelledAt = new Date();
+    },
+    rejected: (booking, context) => {
+        booking.cancellationReason = context.reason;
+    }
+};
+
+// Leaving `assigned` answers any offer still open: confirming accepts it, anything else withdraws it
+const closePendingOffers = (booking, nextStatus) => {
+    for (const offer of booking.assignmentOffers || []) {
+        if (offer.status === 'pending') {
+            offer.status = nextStatus === 'confirmed' ? 'accepted' : 'withdrawn';
+            offer.respondedAt = new Date();
+        }
+    }
+};
+
+export const bookingEvents = new EventEmitter();
+
+// Transitions applied in memory and waiting for the booking to be saved
+const pendingEvents = new WeakMap();
+
+// Id of a reference whether or not it has been populated
+const refId = (ref) => (ref?._id ?? ref)?.toString();
+
+/**
+ * Normalise a role name to the casing used by the User model enum
+ * @param {string} role - Role as found on the user or passed by a caller
+ * @returns {string}
+ */
+export const normalizeRole = (role) =>
+    role ? role.charAt(0).toUpperCase() + role.slice(1).toLowerCase() : role;
+
+/**
+ * List the statuses a booking may move to next
+ * @param {string} status - Current booking status
+ * @param {string} [role] - Only include transitions this role may trigger
+ * @returns {string[]}
+ */
+export const getAllowedTransitions = (status, role) => {
+    const rules = TRANSITIONS[status] || {};
+    const normalizedRole = normalizeRole(role);
+
+    return Object.keys(rules).filter(
+        (next) => !role || rules[next].roles.includes(normalizedRole)
+    );
+};
+
+/**
+ * Validate a transition without changing the booking
+ * @param {Object} booking - Booking document
+ * @param {string} nextStatus - Requested status
+ * @param {Object} context - { actor, reason, otpVerified, technicianId, scheduleDate, preferredTimeSlot, images }
+ * @throws {ApiError} 409 for illegal transitions, 403 for actors who may not trigger it,
+ *                    400 for missing payload
+ */
+export const assertTransition = (booking, nextStatus, context = {}) => {
+    const from = booking.status;
+    const role = normalizeRole(context.actor?.role);
+    const rule = TRANSITIONS[from]?.[nextStatus];
+
+    if (!rule) {
+        const allowed = getAllowedTransitions(from);
+        throw new ApiError(
+            409,
+            `Cannot change booking status from ${from} to ${nextStatus}. ` +
+                `Allowed next statuses: ${allowed.length ? allowed.join(', ') : 'none'}`,
+            allowed
+        );
+    }
+
+    if (!rule.roles.includes(role)) {
+        throw new ApiError(403, `Role ${role} cannot change booking status from ${from} to ${nextStatus}`);
+    }
+
+    // Customers and technicians may only act on their own bookings
+    const actorId = refId(context.actor);
+    if (role === 'User' && refId(booking.user) !== actorId) {
+        throw new ApiError(403, 'Not authorized to update this booking');
+    }
+    if (role === 'Technician' && refId(booking.assigned_technician) !== actorId) {
+        throw new ApiError(403, 'Only the assigned technician can update this booking');
+    }
+
+    for (const requirement of rule.requires || []) {
+        const message = REQUIREMENTS[requirement](booking, context);
+        if (message) {
+            throw new ApiError(400, message);
+        }
+    }
+
+    return rule;
+};
+
+/**
+ * Validate a transition requested through a generic status route, e.g. PATCH /bookings/:id/status
+ * @param {Object} booking - Booking document
+ * @param {string} nextStatus - Requested status
+ * @param {Object} context - As for assertTransition
+ * @throws {ApiError} 400 naming the endpoint to use for statuses that have their own,
+ *                    otherwise as assertTransition
+ */
+export const assertStatusRouteTransition = (booking, nextStatus, context = {}) => {
+    const endpoint = DEDICATED_ENDPOINTS[nextStatus];
+    if (endpoint) {
+        throw new ApiError(400, `Use ${endpoint} to move a booking to ${nextStatus}`);
+    }
+    if (nextStatus === 'pending' && normalizeRole(context.actor?.role) === 'Technician') {
+        throw new ApiError(400, `Use ${DECLINE_ENDPOINT} to decline a booking`);
+    }
+
+    return assertTransition(booking, nextStatus, context);
+};
+
+/**
+ * Apply a transition to the booking in memory (validates first). The
+ * `transition` event is emitted by `saveBooking` once the change is persisted.
+ * @param {Object} booking - Booking document
+ * @param {string} nextStatus - Requested status
+ * @param {Object} context - { actor, note, reason, otpVerified, technicianId, scheduleDate,
+ *                            preferredTimeSlot, images, metadata }
+ * @returns {Object} The status history entry that was added
+ */
+export const applyTransition = (booking, nextStatus, context = {}) => {
+    assertTransition(booking, nextStatus, context);
+
+    const from = booking.status;
+    ENTRY_EFFECTS[nextStatus]?.(booking, context, from);
+    if (from === 'assigned') {
+        closePendingOffers(booking, nextStatus);
+    }
+
+    const defaultNote = context.reason
+        ? `${DEFAULT_NOTES[nextStatus]}. Reason: ${context.reason}`
+        : DEFAULT_NOTES[nextStatus];
+    const entry = {
+        status: nextStatus,
+        changedAt: new Date(),
+        changedBy: context.actor?._id || null,
+        note: context.note || defaultNote,
+        metadata: context.metadata
+    };
+
+    booking.status = nextStatus;
+    booking.statusHistory.push(entry);
+
+    const queued = pendingEvents.get(booking) || [];
+    queued.push({ from, to: nextStatus, actor: context.actor, entry });
+    pendingEvents.set(booking, queued);
+
+    return entry;
+};
+
+/**
+ * Persist a booking and emit the transitions applied to it since the last save
+ * @param {Object} booking - Booking document
+ * @param {Object} [options] - { session } forwarded to save()
+ * @returns {Promise<Object>} The saved booking
+ */
+export const saveBooking = async (booking, options = {}) => {
+    await booking.save(options.session ? { session: options.session } : undefined);
+
+    const queued = pendingEvents.get(booking) || [];
+    pendingEvents.delete(booking);
+    for (const event of queued) {
+        bookingEvents.emit('transition', { booking, ...event });
+    }
+
+    return booking;
+};
+
+/**
+ * Validate, apply and persist a status transition, then notify listeners
+ * @param {Object} booking - Booking document
+ * @param {string} nextStatus - Requested status
+ * @param {Object} context - { actor, note, reason, otpVerified, technicianId, scheduleDate,
+ *                            preferredTimeSlot, images, metadata }
+ * @param {Object} [options] - { session } forwarded to save()
+ * @returns {Promise<Object>} The saved booking
+ */
+export const transitionBooking = async (booking, nextStatus, context = {}, options = {}) => {
+    applyTransition(booking, nextStatus, context);
+    return saveBooking(booking, options);
+};
@@ -0,0 +1,461 @@
+import { Booking } from '../models/Booking.model.js';
+import { BookingSeries, SERIES_FREQUENCIES, SERIES_WEEKDAYS } from '../models/BookingSeries.model.js';
+import { Counter } from '../models/Counter.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { placeBooking } from './bookingCreation.service.js';
+import { assertTransition, bookingEvents, transitionBooking } from './bookingLifecycle.service.js';
+import { getCancellationTerms } from './cancellationPolicy.service.js';
+import { assertSlotAvailable, startOfDay } from './slotAvailability.service.js';
+
+/**
+ * Recurring bookings
+ *
+ * A customer can book the same services at the same address on an RRULE-style
+ * schedule (`frequency` daily, weekly or monthly, `interval`, `byWeekday` and
+ * `count` or `until`), e.g. a cleaning every other Friday, 6 times. The series
+ * keeps the schedule and every occurrence is an ordinary booking placed
+ * upfront through the normal booking path, so each can be rescheduled,
+ * cancelled, assigned and paid on its own. Occurrences can also be moved or
+ * cancelled together with the ones after them; moving shifts each of them by
+ * the same number of days.
+ *
+ * The series is completed or cancelled once none of its occurrences is open.
+ */
+
+// Most occurrences a series may have, and how far after the first one they may go
+const MAX_OCCURRENCES = parseInt(process.env.BOOKING_SERIES_MAX_OCCURRENCES, 10) || 52;
+const HORIZON_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date.getDay() of each BYDAY code
+const WEEKDAY_NUMBERS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// Occurrences that can still be moved or cancelled
+const OPEN_STATUSES = ['pending', 'rescheduled', 'assigned', 'confirmed'];
+const CLOSED_STATUSES = ['completed', 'cancelled', 'rejected'];
+
+const addDays = (date, days) => {
+    const next = new Date(date);
+    next.setDate(next.getDate() + days);
+    return next;
+};
+
+const formatDate = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Check a recurrence from a request
+ * @param {Object} input - { frequency, interval, byWeekday, count, until }
+ * @returns {Object} The recurrence with defaults applied
+ * @throws {ApiError} 400 when it is incomplete or invalid
+ */
+export const parseRecurrence = (input = {}) => {
+    const frequency = input.frequency?.toString().toLowerCase();
+    if (!SERIES_FREQUENCIES.includes(frequency)) {
+        throw new ApiError(400, `Recurrence frequency must be one of ${SERIES_FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = input.interval == null ? 1 : parseInt(input.interval, 10);
+    if (!(interval >= 1)) {
+        throw new ApiError(400, 'Recurrence interval must be a whole number of at least 1');
+    }
+
+    const byWeekday = [...new Set([].concat(input.byWeekday || []).map((day) => day.toString().toUpperCase()))];
+    if (byWeekday.some((day) => !SERIES_WEEKDAYS.includes(day))) {
+        throw new ApiError(400, `Recurrence weekdays must be among ${SERIES_WEEKDAYS.join(', ')}`);
+    }
+    if (frequency === 'monthly' && byWeekday.length) {
+        throw new ApiError(400, 'Weekdays are not supported on monthly recurrences');
+    }
+
+    const count = input.count == null ? null : parseInt(input.count, 10);
+    if (count != null && !(count >= 1 && count <= MAX_OCCURRENCES)) {
+        throw new ApiError(400, `Recurrence count must be between 1 and ${MAX_OCCURRENCES}`);
+    }
+    const until = input.until == null ? null : startOfDay(input.until);
+    if (count == null && !until) {
+        throw new ApiError(400, 'Recurrence needs a count or an until date');
+    }
+
+    return { frequency, interval, byWeekday, count, until };
+};
+
+/**
+ * Days on which a recurrence occurs, as RRULE would expand it
+ *
+ * Weekly rules occur on their weekdays (the start date's weekday by default)
+ * every `interval` weeks, weeks starting on Monday. Daily rules with weekdays
+ * only keep the days that fall on them. Monthly rules skip months without the
+ * start date's day of the month.
+ * @param {string|Date} startDate - First possible occurrence
+ * @param {Object} recurrence - Result of parseRecurrence
+ * @returns {Date[]} Midnight of each occurrence, in order
+ * @throws {ApiError} 400 when nothing or too much would be booked
+ */
+export const expandRecurrence = (startDate, { frequency, interval, byWeekday = [], count, until }) => {
+    const first = startOfDay(startDate);
+    const horizon = addDays(first, HORIZON_DAYS);
+    const last = until && until < horizon ? until : horizon;
+    const weekdays = byWeekday.map((day) => WEEKDAY_NUMBERS[day]);
+    const dates = [];
+
+    // Candidate days in order; the rule's count and until stop the expansion
+    const add = (date) => {
+        if (date >= first && date <= last && dates.length <= MAX_OCCURRENCES) {
+            dates.push(date);
+        }
+    };
+
+    if (frequency === 'daily') {
+        for (let date = first; date <= last; date = addDays(date, interval)) {
+            if (!weekdays.length || weekdays.includes(date.getDay())) add(date);
+        }
+    } else if (frequency === 'weekly') {
+        const days = (weekdays.length ? weekdays : [first.getDay()])
+            .map((day) => (day + 6) % 7)
+            .sort((a, b) => a - b);
+        const monday = addDays(first, -((first.getDay() + 6) % 7));
+        for (let week = monday; week <= last; week = addDays(week, interval * 7)) {
+            days.forEach((offset) => add(addDays(week, offset)));
+        }
+    } else {
+        const day = first.getDate();
+        for (let month = 0; ; month += interval) {
+            const date = new Date(first.getFullYear(), first.getMonth() + month, day);
+            if (date > last) break;
+            if (date.getDate() === day) add(date);
+        }
+    }
+
+    const occurrences = count ? dates.slice(0, count) : dates;
+    if (!occurrences.length) {
+        throw new ApiError(400, 'The recurrence has no occurrences');
+    }
+    if (occurrences.length > MAX_OCCURRENCES) {
+        throw new ApiError(400, `A recurring booking can have at most ${MAX_OCCURRENCES} occurrences`);
+    }
+    if (count && occurrences.length < count) {
+        throw new ApiError(400, `All occurrences must fall within ${HORIZON_DAYS} days of the first one`);
+    }
+
+    return occurrences;
+};
+
+/**
+ * Check the slot of every occurrence before any of them is booked or moved
+ * @param {Object[]} moves - [{ serviceIds, pincode, scheduleDate, preferredTimeSlot, excludeBookingId }]
+ * @throws {ApiError} 409 listing the full occurrences with their alternatives
+ */
+const assertSlotsAvailable = async (moves) => {
+    const conflicts = [];
+    for (const move of moves) {
+        try {
+            await assertSlotAvailable(move);
+        } catch (error) {
+            if (error.statusCode !== 409) throw error;
+            conflicts.push({ scheduleDate: formatDate(startOfDay(move.scheduleDate)), alternatives: error.errors });
+        }
+    }
+
+    if (conflicts.length) {
+        throw new ApiError(
+            409,
+            `No technician is available on ${conflicts.map((conflict) => conflict.scheduleDate).join(', ')}`,
+            conflicts
+        );
+    }
+};
+
+/**
+ * Book a recurring series from a quote, one booking per occurrence
+ * @param {Object} input - { userId, quote: result of quoteBooking, recurrence, address, scheduleDate: first
+ *                          possible day, preferredTimeSlot, notes, payment, actor }
+ * @returns {Promise<Object>} { series, bookings }
+ * @throws {ApiError} 400 for an invalid recurrence or a coupon, 409 when an occurrence's slot is full
+ */
+export const createBookingSeries = async ({
+    userId,
+    quote,
+    recurrence,
+    address,
+    scheduleDate,
+    preferredTimeSlot,
+    notes,
+    payment,
+    actor = null
+}) => {
+    // A coupon use covers one booking, not every occurrence
+    if (quote.coupon) {
+        throw new ApiError(400, 'Coupons cannot be applied to recurring bookings');
+    }
+
+    const rule = parseRecurrence(recurrence);
+    const dates = expandRecurrence(scheduleDate, rule);
+    const serviceIds = quote.services.map((service) => service.serviceId);
+
+    await assertSlotsAvailable(dates.map((date) => ({
+        serviceIds,
+        pincode: address?.pincode,
+        scheduleDate: date,
+        preferredTimeSlot
+    })));
+
+    const sequence = await Counter.next('bookingSeries');
+    const series = await BookingSeries.create({
+        seriesId: `BS${String(sequence).padStart(6, '0')}`,
+        user: userId,
+        recurrence: rule,
+        startDate: dates[0],
+        preferredTimeSlot: { start: preferredTimeSlot.start, end: preferredTimeSlot.end },
+        services: quote.services,
+        address,
+        notes,
+        occurrenceCount: dates.length,
+        history: [{ action: 'created', changedBy: actor?._id ?? userId }]
+    });
+
+    const bookings = [];
+    try {
+        for (const [index, date] of dates.entries()) {
+            bookings.push(await placeBooking({
+                userId,
+                quote,
+                address,
+                scheduleDate: date,
+                preferredTimeSlot,
+                notes,
+                payment,
+                actor,
+                fields: {
+                    bookingId: `${series.seriesId}-${index + 1}`,
+                    series: series._id,
+                    seriesIndex: index + 1
+                }
+            }));
+        }
+    } catch (error) {
+        // A slot taken in the meantime leaves no half-booked series behind
+        await Booking.deleteMany({ series: series._id });
+        await BookingSeries.deleteOne({ _id: series._id });
+        throw error;
+    }
+
+    return { series, bookings };
+};
+
+/**
+ * Occurrences a change applies to
+ * @param {Object} series - BookingSeries document
+ * @param {Object|null} booking - Occurrence the change starts from, none for 'all'
+ * @param {string} scope - 'this', 'following' or 'all'
+ * @returns {Promise<Object[]>} Booking documents in series order
+ */
+const findTargets = async (series, booking, scope) => {
+    if (!['this', 'following', 'all'].includes(scope) || (scope !== 'all' && !booking)) {
+        throw new ApiError(400, 'Scope must be this or following for an occurrence, or all for the series');
+    }
+    if (booking && !booking.series?.equals(series._id)) {
+        throw new ApiError(404, 'Booking is not an occurrence of this series');
+    }
+    if (scope === 'this') return [booking];
+
+    const later = await Booking.find({
+        series: series._id,
+        status: { $in: OPEN_STATUSES },
+        ...(scope === 'following' && { seriesIndex: { $gt: booking.seriesIndex } })
+    }).sort({ seriesIndex: 1 });
+
+    if (scope === 'all' && !later.length) {
+        throw new ApiError(409, 'The series has no open occurrences');
+    }
+    return scope === 'following' ? [booking, ...later] : later;
+};
+
+/**
+ * Move an occurrence, or it and the following ones by the same number of days
+ * @param {Object} series - BookingSeries document
+ * @param {Object} booking - Occurrence being moved
+ * @param {Object} change - { scope: 'this'|'following', scheduleDate, preferredTimeSlot, reason, actor }
+ * @returns {Promise<Object[]>} The moved bookings
+ * @throws {ApiError} 409 when an occurrence cannot be moved or its new slot is full
+ */
+export const rescheduleOccurrences = async (series, booking, {
+    scope = 'this',
+    scheduleDate,
+    preferredTimeSlot,
+    reason,
+    actor
+}) => {
+    if (scope === 'all') {
+        throw new ApiError(400, 'Reschedule an occurrence with the scope this or following');
+    }
+    if (!scheduleDate) {
+        throw new ApiError(400, 'Schedule date is required');
+    }
+
+    const targets = await findTargets(series, booking, scope);
+    const shiftDays = Math.round((startOfDay(scheduleDate) - startOfDay(booking.scheduleDate)) / DAY_MS);
+    const moves = targets.map((target) => {
+        const slot = preferredTimeSlot || target.preferredTimeSlot;
+        const move = {
+            booking: target,
+            serviceIds: target.services.map((service) => service.serviceId),
+            pincode: target.address?.pincode,
+            scheduleDate: addDays(startOfDay(target.scheduleDate), shiftDays),
+            preferredTimeSlot: { start: slot?.start, end: slot?.end },
+            excludeBookingId: target._id
+        };
+        assertTransition(target, 'rescheduled', {
+            actor,
+            scheduleDate: move.scheduleDate,
+            preferredTimeSlot: move.preferredTimeSlot
+        });
+        return move;
+    });
+
+    await assertSlotsAvailable(moves);
+
+    for (const { booking: target, scheduleDate: date, preferredTimeSlot: slot } of moves) {
+        const from = {
+            scheduleDate: target.scheduleDate,
+            preferredTimeSlot: { start: target.preferredTimeSlot?.start, end: target.preferredTimeSlot?.end }
+        };
+        await transitionBooking(target, 'rescheduled', {
+            actor,
+            scheduleDate: date,
+            preferredTimeSlot: slot,
+            note: target.assigned_technician
+                ? 'Series occurrence rescheduled, technician unassigned due to rescheduling'
+                : 'Series occurrence rescheduled',
+            metadata: {
+                from,
+                to: { scheduleDate: date, preferredTimeSlot: slot },
+                scope,
+                reason: reason || 'No reason provided'
+            }
+        });
+    }
+
+    if (scope === 'following' && preferredTimeSlot) {
+        series.preferredTimeSlot = { start: preferredTimeSlot.start, end: preferredTimeSlot.end };
+    }
+    series.history.push({
+        action: 'rescheduled',
+        scope,
+        fromBooking: booking._id,
+        bookings: targets.map((target) => target._id),
+        reason,
+        details: { shiftDays, preferredTimeSlot: preferredTimeSlot || null },
+        changedBy: actor?._id || null
+    });
+    await series.save();
+
+    return targets;
+};
+
+/**
+ * Cancel an occurrence, it and the following ones, or every open occurrence
+ * @param {Object} series - BookingSeries document
+ * @param {Object|null} booking - Occurrence to start from, none for 'all'
+ * @param {Object} change - { scope: 'this'|'following'|'all', reason, actor }
+ * @returns {Promise<Object[]>} [{ booking, cancellation: fee and refund terms }]
+ * @throws {ApiError} 409 when an occurrence cannot be cancelled by the actor
+ */
+export const cancelOccurrences = async (series, booking, { scope = 'this', reason, actor }) => {
+    const targets = await findTargets(series, booking, scope);
+    targets.forEach((target) => assertTransition(target, 'cancelled', { actor, reason }));
+
+    // Each cancellation is settled with its own fee and refund, see cancellationPolicy.service
+    const cancelled = [];
+    for (const target of targets) {
+        const cancellation = await getCancellationTerms(target, actor);
+        await transitionBooking(target, 'cancelled', { actor, reason });
+        cancelled.push({ booking: target, cancellation });
+    }
+
+    series.history.push({
+        action: 'cancelled',
+        scope,
+        fromBooking: booking?._id || null,
+        bookings: targets.map((target) => target._id),
+        reason,
+        changedBy: actor?._id || null
+    });
+    await series.save();
+    await closeSeriesIfFinished(series._id);
+
+    return cancelled;
+};
+
+/**
+ * Complete or cancel a series once none of its occurrences is open
+ * @param {string|Object} seriesId - BookingSeries _id
+ * @returns {Promise<boolean>} Whether the series was closed now
+ */
+export const closeSeriesIfFinished = async (seriesId) => {
+    const [open, completed] = await Promise.all([
+        Booking.exists({ series: seriesId, status: { $nin: CLOSED_STATUSES } }),
+        Booking.exists({ series: seriesId, status: 'completed' })
+    ]);
+    if (open) return false;
+
+    const status = completed ? 'completed' : 'cancelled';
+    const { modifiedCount } = await BookingSeries.updateOne(
+        { _id: seriesId, status: 'active' },
+        {
+            $set: { status },
+            $push: { history: { action: status, changedAt: new Date() } }
+        }
+    );
+    return modifiedCount > 0;
+};
+
+/**
+ * Progress of series for listings: occurrences by status and the next open one
+ * @param {Object[]} seriesIds - BookingSeries _ids
+ * @returns {Promise<Map>} _id string -> series with { occurrences: { total, byStatus }, nextOccurrence }
+ */
+export const summarizeSeries = async (seriesIds) => {
+    const [seriesList, counts, upcoming] = await Promise.all([
+        BookingSeries.find({ _id: { $in: seriesIds } }).select('-history').lean(),
+        Booking.aggregate([
+            { $match: { series: { $in: seriesIds } } },
+            { $group: { _id: { series: '$series', status: '$status' }, count: { $sum: 1 } } }
+        ]),
+        Booking.aggregate([
+            { $match: { series: { $in: seriesIds }, status: { $nin: CLOSED_STATUSES } } },
+            { $sort: { scheduleDate: 1, seriesIndex: 1 } },
+            { $group: { _id: '$series', booking: { $first: '$$ROOT' } } }
+        ])
+    ]);
+
+    const summaries = new Map(seriesList.map((series) => [
+        series._id.toString(),
+        { ...series, occurrences: { total: 0, byStatus: {} }, nextOccurrence: null }
+    ]));
+    counts.forEach(({ _id, count }) => {
+        const summary = summaries.get(_id.series.toString());
+        if (!summary) return;
+        summary.occurrences.total += count;
+        summary.occurrences.byStatus[_id.status] = count;
+    });
+    upcoming.forEach(({ _id, booking }) => {
+        const summary = summaries.get(_id.toString());
+        if (summary) summary.nextOccurrence = booking;
+    });
+
+    return summaries;
+};
+
+/**
+ * Close series whose last open occurrence was completed, cancelled or rejected
+ */
+export const registerBookingSeriesListeners = () => {
+    bookingEvents.on('transition', ({ booking, to }) => {
+        if (!booking.series || !CLOSED_STATUSES.includes(to)) return;
+        closeSeriesIfFinished(booking.series).catch((error) => {
+            console.error(`Closing the series of booking ${booking.bookingId || booking._id} failed:`, error);
+        });
+    });
+};
@@ -0,0 +1,218 @@
+import { Booking } from '../models/Booking.model.js';
+import { bookingEvents, normalizeRole } from './bookingLifecycle.service.js';
+import { getAmountPaid, getAmountRefunded, refundBookingPayments } from './payment.service.js';
+import { roundAmount } from './pricing.service.js';
+import { getSlotStart } from './slotAvailability.service.js';
+
+/**
+ * Cancellation policy
+ *
+ * Works out what a cancellation costs the customer. Customers pay a share of
+ * the booking total that grows as the slot gets closer, plus a flat dispatch
+ * fee once a technician has been sent. Cancellations by the business side
+ * (technicians, partners, managers, admins and background jobs) are free.
+ * The fee is kept from what the customer already paid and the rest is
+ * refunded through the payment provider; an unpaid fee is not collected.
+ * Rejected bookings are settled the same way. A cancellation is settled once
+ * its whole refund went through; refunds that failed are retried by the
+ * `cancellation-refunds` job.
+ *
+ * The policy can be overridden with a JSON `CANCELLATION_POLICY`.
+ */
+
+const DEFAULT_POLICY = {
+    // Customer fee by hours left before the slot, the first matching tier applies;
+    // minHoursBefore null matches cancellations after the slot started
+    customerTiers: [
+        { minHoursBefore: 24, feePercent: 0 },
+        { minHoursBefore: 4, feePercent: 10 },
+        { minHoursBefore: 0, feePercent: 25 },
+        { minHoursBefore: null, feePercent: 50 }
+    ],
+    // Added to customer fees once a technician is on the booking
+    dispatchFee: 50,
+    dispatchStatuses: ['assigned', 'confirmed', 'reached', 'otp_pending', 'in_progress']
+};
+
+const parsePolicy = (value) => {
+    try {
+        return { ...DEFAULT_POLICY, ...(value ? JSON.parse(value) : {}) };
+    } catch (error) {
+        console.error('Invalid CANCELLATION_POLICY, using the default policy:', error.message);
+        return DEFAULT_POLICY;
+    }
+};
+
+const POLICY = parsePolicy(process.env.CANCELLATION_POLICY);
+
+// Statuses that end a booking before its service, settled with this policy
+const CANCELLED_STATUSES = ['cancelled', 'rejected'];
+// Minutes a refund attempt holds a booking before the retry job may try again
+const REFUND_RETRY_MINUTES = 15;
+// Refund attempts after which a cancellation is left to admins
+const MAX_REFUND_ATTEMPTS = 5;
+
+/**
+ * Fee and refund for cancelling a booking
+ * @param {Object} booking - Booking document
+ * @param {Object} actor - User cancelling the booking
+ * @param {Object} [options] - { from: status before cancelling, at: cancellation time }
+ * @returns {Promise<Object>} { cancelledByRole, previousStatus, hoursBeforeSlot, rule, feePercent,
+ *                              fee, feeCharged, amountPaid, refundAmount }
+ */
+export const getCancellationTerms = async (booking, actor, { from = booking.status, at = new Date() } = {}) => {
+    const role = normalizeRole(actor?.role) || 'System';
+    const slotStart = booking.scheduleDate && booking.preferredTimeSlot?.start
+        ? getSlotStart(booking.scheduleDate, booking.preferredTimeSlot)
+        : null;
+    const hoursBeforeSlot = slotStart ? roundAmount((slotStart.getTime() - at.getTime()) / (60 * 60 * 1000)) : null;
+
+    let rule;
+    let feePercent = 0;
+    let fee = 0;
+
+    if (role === 'User') {
+        const tier = POLICY.customerTiers.find((candidate) =>
+            candidate.minHoursBefore == null || (hoursBeforeSlot != null && hoursBeforeSlot >= candidate.minHoursBefore)
+        ) || { feePercent: 0 };
+        const dispatched = POLICY.dispatchStatuses.includes(from);
+
+        feePercent = tier.feePercent;
+        fee = roundAmount((booking.finalAmount || 0) * feePercent / 100 + (dispatched ? POLICY.dispatchFee : 0));
+        fee = Math.min(fee, booking.finalAmount || 0);
+        rule = tier.minHoursBefore == null
+            ? 'customer_after_slot_start'
+            : `customer_${tier.minHoursBefore}h_before`;
+        if (dispatched) rule += '_dispatched';
+    } else {
+        rule = `cancelled_by_${role.toLowerCase()}`;
+    }
+
+    const [paid, refunded] = await Promise.all([getAmountPaid(booking._id), getAmountRefunded(booking._id)]);
+    const amountPaid = roundAmount(paid - refunded);
+    const feeCharged = Math.min(fee, amountPaid);
+
+    return {
+        cancelledByRole: role,
+        previousStatus: from,
+        hoursBeforeSlot,
+        rule,
+        feePercent,
+        fee,
+        feeCharged,
+        amountPaid,
+        refundAmount: roundAmount(amountPaid - feeCharged)
+    };
+};
+
+/**
+ * Refund what a cancellation still owes the customer and mark it settled once nothing is left
+ * @param {Object} booking - Cancelled or rejected booking with its `cancellation` terms
+ * @returns {Promise<Object[]>} Refund documents of this attempt, failed ones included
+ */
+const refundCancellation = async (booking) => {
+    const { refundAmount, refundedAmount = 0, rule, cancelledBy } = booking.cancellation;
+    const remaining = roundAmount(refundAmount - refundedAmount);
+
+    const refunds = remaining > 0
+        ? await refundBookingPayments(booking, remaining, {
+            reason: `Booking ${booking.status} (${rule})`,
+            initiatedBy: cancelledBy || null
+        })
+        : [];
+    const issued = refunds
+        .filter((refund) => refund.status !== 'failed')
+        .reduce((sum, refund) => sum + refund.amount, 0);
+
+    const refunded = roundAmount(refundedAmount + issued);
+    const settledAt = refunded >= refundAmount ? new Date() : null;
+    await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { 'cancellation.refundedAmount': refunded, 'cancellation.settledAt': settledAt } }
+    );
+    booking.cancellation.refundedAmount = refunded;
+    booking.cancellation.settledAt = settledAt;
+
+    return refunds;
+};
+
+/**
+ * Record the cancellation terms on a cancelled or rejected booking and refund the customer, once
+ * @param {Object} booking - Cancelled or rejected booking document
+ * @param {Object} actor - User who cancelled or rejected it
+ * @param {string} from - Status before cancelling
+ * @returns {Promise<Object|null>} { terms, refunds }, null when already settled
+ */
+export const settleCancellation = async (booking, actor, from) => {
+    const terms = await getCancellationTerms(booking, actor, { from, at: booking.cancelledAt || new Date() });
+    const cancellation = {
+        ...terms,
+        cancelledBy: actor?._id || null,
+        refundedAmount: 0,
+        refundAttempts: 1,
+        attemptedAt: new Date(),
+        settledAt: null
+    };
+
+    // Only the first caller settles, repeated events leave the booking alone
+    const { modifiedCount } = await Booking.updateOne(
+        {
+            _id: booking._id,
+            status: { $in: CANCELLED_STATUSES },
+            'cancellation.attemptedAt': null,
+            'cancellation.settledAt': null
+        },
+        { $set: { cancellation } }
+    );
+    if (!modifiedCount) return null;
+    booking.cancellation = cancellation;
+
+    const refunds = await refundCancellation(booking);
+    return { terms, refunds };
+};
+
+/**
+ * Retry the refunds of cancellations that are not settled yet
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} { settled, pending, failed }
+ */
+export const retryCancellationRefunds = async (now = new Date()) => {
+    const bookings = await Booking.find({
+        status: { $in: CANCELLED_STATUSES },
+        'cancellation.attemptedAt': { $lte: new Date(now.getTime() - REFUND_RETRY_MINUTES * 60 * 1000) },
+        'cancellation.settledAt': null,
+        'cancellation.refundAttempts': { $lt: MAX_REFUND_ATTEMPTS }
+    }).select('bookingId user status cancellation');
+
+    const counts = { settled: 0, pending: 0, failed: 0 };
+    for (const booking of bookings) {
+        // Take the attempt, a concurrent run or settlement keeps the booking otherwise
+        const { modifiedCount } = await Booking.updateOne(
+            { _id: booking._id, 'cancellation.attemptedAt': booking.cancellation.attemptedAt, 'cancellation.settledAt': null },
+            { $set: { 'cancellation.attemptedAt': now }, $inc: { 'cancellation.refundAttempts': 1 } }
+        );
+        if (!modifiedCount) continue;
+
+        try {
+            await refundCancellation(booking);
+            counts[booking.cancellation.settledAt ? 'settled' : 'pending']++;
+        } catch (error) {
+            counts.failed++;
+            console.error(`Retrying the cancellation refund of booking ${booking.bookingId} failed:`, error);
+        }
+    }
+
+    return counts;
+};
+
+/**
+ * Settle every cancellation and rejection, whichever path ended the booking
+ */
+export const registerCancellationListeners = () => {
+    bookingEvents.on('transition', ({ booking, from, to, actor }) => {
+        if (!CANCELLED_STATUSES.includes(to)) return;
+        settleCancellation(booking, actor, from).catch((error) => {
+            console.error(`Settling cancellation of booking ${booking.bookingId || booking._id} failed:`, error);
+        });
+    });
+};
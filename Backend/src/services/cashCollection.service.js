@@ -0,0 +1,266 @@
+import mongoose from 'mongoose';
+import { CashCollection } from '../models/CashCollection.model.js';
+import { CashRemittance } from '../models/CashRemittance.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { notify } from './notification.service.js';
+import { recordCashPayment } from './payment.service.js';
+import { roundAmount } from './pricing.service.js';
+import { getLedgerBalance, postLedgerEntry } from './technicianLedger.service.js';
+
+/**
+ * Cash collected on site
+ *
+ * A technician completing a booking paid in cash records what the customer
+ * handed over. That captures a `cash` payment for the balance, which settles
+ * the booking once everything billed is paid, and posts the amount as owed by
+ * the technician on their ledger. The collection stays outstanding until it
+ * is cleared:
+ *  - a deposit is cash the technician paid in, credited back on the ledger
+ *  - a settlement clears it against earnings; the liability already nets
+ *    against the technician's payouts, so nothing more is posted
+ * Deposits and settlements clear the oldest outstanding collections first.
+ */
+
+const REMITTANCE_TYPES = ['deposit', 'settlement'];
+
+const outstandingOf = (collection) => roundAmount(collection.amount - collection.amountCleared);
+
+/**
+ * Record cash the technician collected for a completed booking
+ * The payment, the collection and the ledger liability are committed together.
+ * @param {Object} booking - Completed booking document
+ * @param {Object} options - { amount: defaults to everything due, actor }
+ * @returns {Promise<Object>} { collection, payment }
+ * @throws {ApiError} 400 for invalid amounts, 409 without a technician, when nothing is due or cash was already recorded
+ */
+export const recordCashCollection = async (booking, { amount, actor } = {}) => {
+    const technicianId = booking.assigned_technician?._id ?? booking.assigned_technician;
+    if (!technicianId) {
+        throw new ApiError(409, 'Cash can only be recorded for bookings with an assigned technician');
+    }
+    if (await CashCollection.exists({ booking: booking._id })) {
+        throw new ApiError(409, 'Cash collected for this booking has already been recorded');
+    }
+
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+        await session.withTransaction(async () => {
+            const payment = await recordCashPayment(booking, { amount, session });
+
+            const [collection] = await CashCollection.create([{
+                technician: technicianId,
+                booking: booking._id,
+                payment: payment._id,
+                amount: payment.amount,
+                collectedAt: payment.capturedAt,
+                collectedBy: actor?._id || null
+            }], { session });
+
+            const entry = await postLedgerEntry({
+                technician: technicianId,
+                type: 'cash_collected',
+                amount: -payment.amount,
+                booking: booking._id,
+                description: `Cash collected for booking ${booking.bookingId || booking._id}`,
+                idempotencyKey: `booking:${booking._id}:cash_collected`,
+                createdBy: actor?._id || null
+            }, { session });
+
+            collection.ledgerEntry = entry._id;
+            await collection.save({ session });
+            result = { collection, payment };
+        });
+    } catch (error) {
+        // Another request recorded it in the meantime
+        if (error.code === 11000) {
+            throw new ApiError(409, 'Cash collected for this booking has already been recorded');
+        }
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+
+    notify(booking.user, 'payment.captured', { booking, payment: result.payment });
+    return result;
+};
+
+/**
+ * Outstanding cash per technician, largest first
+ * @param {Object} [options] - { page, limit }
+ * @returns {Promise<Object>} { totalOutstanding, technicians, pagination }
+ */
+export const getOutstandingCash = async ({ page = 1, limit = 20 } = {}) => {
+    const [result] = await CashCollection.aggregate([
+        { $match: { status: { $ne: 'cleared' } } },
+        {
+            $group: {
+                _id: '$technician',
+                outstanding: { $sum: { $subtract: ['$amount', '$amountCleared'] } },
+                collections: { $sum: 1 },
+                oldestCollectedAt: { $min: '$collectedAt' }
+            }
+        },
+        {
+            $facet: {
+                totals: [{ $group: { _id: null, outstanding: { $sum: '$outstanding' }, technicians: { $sum: 1 } } }],
+                technicians: [
+                    { $sort: { outstanding: -1, oldestCollectedAt: 1 } },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    {
+                        $lookup: {
+                            from: 'users',
+                            localField: '_id',
+                            foreignField: '_id',
+                            pipeline: [{ $project: { name: 1, email: 1, phone: 1 } }],
+                            as: 'technician'
+                        }
+                    },
+                    { $unwind: { path: '$technician', preserveNullAndEmptyArrays: true } }
+                ]
+            }
+        }
+    ]);
+
+    const total = result.totals[0]?.technicians || 0;
+    const technicians = await Promise.all(result.technicians.map(async (item) => ({
+        technician: item.technician || { _id: item._id },
+        outstanding: roundAmount(item.outstanding),
+        collections: item.collections,
+        oldestCollectedAt: item.oldestCollectedAt,
+        ledger: await getLedgerBalance(item._id)
+    })));
+
+    return {
+        totalOutstanding: roundAmount(result.totals[0]?.outstanding || 0),
+        technicians,
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * A technician's cash collections and what cleared them
+ * @param {string|Object} technicianId
+ * @param {Object} [filters] - { status, page, limit }
+ * @returns {Promise<Object>} { outstanding, collections, remittances, pagination }
+ */
+export const getTechnicianCash = async (technicianId, { status, page = 1, limit = 20 } = {}) => {
+    const query = { technician: technicianId };
+    if (status) query.status = status;
+
+    const [collections, total, open, remittances] = await Promise.all([
+        CashCollection.find(query)
+            .populate('booking', 'bookingId scheduleDate finalAmount')
+            .sort({ collectedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        CashCollection.countDocuments(query),
+        CashCollection.find({ technician: technicianId, status: { $ne: 'cleared' } }).select('amount amountCleared').lean(),
+        CashRemittance.find({ technician: technicianId })
+            .populate('recordedBy', 'name')
+            .sort({ createdAt: -1 })
+            .limit(20)
+            .lean()
+    ]);
+
+    return {
+        outstanding: roundAmount(open.reduce((sum, collection) => sum + outstandingOf(collection), 0)),
+        collections,
+        remittances,
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Clear a technician's outstanding cash by a deposit or a settlement against earnings
+ * @param {string|Object} technicianId
+ * @param {Object} input - { type: 'deposit'|'settlement', amount, method, reference, note, actor }
+ * @returns {Promise<Object>} The remittance with its allocations
+ * @throws {ApiError} 400 for invalid types or amounts, 409 when more than the outstanding cash is cleared
+ */
+export const recordRemittance = async (technicianId, { type, amount, method, reference, note, actor }) => {
+    if (!REMITTANCE_TYPES.includes(type)) {
+        throw new ApiError(400, 'Type must be deposit or settlement');
+    }
+    amount = roundAmount(Number(amount));
+    if (!(amount > 0)) {
+        throw new ApiError(400, 'Amount must be greater than zero');
+    }
+
+    const session = await mongoose.startSession();
+    let remittance;
+
+    try {
+        await session.withTransaction(async () => {
+            // Concurrent remittances write the same collections, so one of them is retried
+            const collections = await CashCollection.find({ technician: technicianId, status: { $ne: 'cleared' } })
+                .sort({ collectedAt: 1 })
+                .session(session);
+
+            const outstanding = roundAmount(collections.reduce((sum, collection) => sum + outstandingOf(collection), 0));
+            if (amount > outstanding) {
+                throw new ApiError(409, `Only Rs. ${outstanding.toFixed(2)} of collected cash is outstanding`);
+            }
+
+            remittance = new CashRemittance({
+                technician: technicianId,
+                type,
+                amount,
+                method,
+                reference,
+                note,
+                recordedBy: actor?._id || null
+            });
+
+            let remaining = amount;
+            for (const collection of collections) {
+                if (remaining <= 0) break;
+                const share = roundAmount(Math.min(remaining, outstandingOf(collection)));
+
+                collection.amountCleared = roundAmount(collection.amountCleared + share);
+                if (outstandingOf(collection) <= 0) {
+                    collection.status = 'cleared';
+                    collection.clearedAt = new Date();
+                } else {
+                    collection.status = 'partially_cleared';
+                }
+                await collection.save({ session });
+
+                remittance.allocations.push({ cashCollection: collection._id, booking: collection.booking, amount: share });
+                remaining = roundAmount(remaining - share);
+            }
+
+            if (type === 'deposit') {
+                const entry = await postLedgerEntry({
+                    technician: technicianId,
+                    type: 'cash_deposit',
+                    amount,
+                    description: `Cash deposit${reference ? ` (${reference})` : ''}`,
+                    details: { method },
+                    idempotencyKey: `remittance:${remittance._id}`,
+                    createdBy: actor?._id || null
+                }, { session });
+                remittance.ledgerEntry = entry._id;
+            }
+
+            await remittance.save({ session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    return remittance;
+};
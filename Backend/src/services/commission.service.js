@@ -0,0 +1,159 @@
+import { CommissionRule } from '../models/CommissionRule.model.js';
+import Part from '../models/Part.model.js';
+import { Service } from '../models/Service.model.js';
+import { roundAmount } from './pricing.service.js';
+import { getSlotStart } from './slotAvailability.service.js';
+
+/**
+ * Technician commission
+ *
+ * Works out what a technician earns from a completed booking. Admins keep
+ * commission rules per service category and per partner; each setting comes
+ * from the most specific active rule that sets it, falling back to the
+ * defaults below. The technician earns:
+ *  - a share of every service line, by the line's category
+ *  - a share of the margin on the parts used
+ *  - a flat incentive per completed booking
+ * less a flat penalty when they reached the customer late. Cash collected on
+ * site is posted separately, see cashCollection.service.
+ */
+
+const DEFAULT_TERMS = {
+    serviceSharePercent: parseFloat(process.env.TECHNICIAN_SERVICE_SHARE_PERCENT) || 70,
+    partsMarginSharePercent: parseFloat(process.env.TECHNICIAN_PARTS_MARGIN_PERCENT) || 10,
+    completionIncentive: 0,
+    lateArrivalPenalty: 0
+};
+
+// Minutes after the slot start before an arrival counts as late
+const LATE_ARRIVAL_GRACE_MINUTES = parseInt(process.env.TECHNICIAN_LATE_ARRIVAL_GRACE_MINUTES, 10) || 15;
+
+const TERM_FIELDS = Object.keys(DEFAULT_TERMS);
+
+// Most specific first
+const specificity = (rule) => (rule.partner ? 2 : 0) + (rule.category ? 1 : 0);
+
+/**
+ * Load the rules that may apply to a technician
+ * @param {string|Object|null} partnerId - Technician's partner
+ * @returns {Promise<Object[]>} Active rules, most specific first
+ */
+export const loadCommissionRules = async (partnerId = null) => {
+    const rules = await CommissionRule.find({
+        isActive: true,
+        partner: { $in: partnerId ? [partnerId, null] : [null] }
+    }).lean();
+
+    return rules.sort((a, b) => specificity(b) - specificity(a));
+};
+
+/**
+ * Commission terms for a category, each setting from the most specific rule that has it
+ * @param {Object[]} rules - Result of loadCommissionRules
+ * @param {string|null} category - Service category, null for booking-level terms
+ * @returns {Object} { serviceSharePercent, partsMarginSharePercent, completionIncentive, lateArrivalPenalty, rules }
+ */
+export const resolveCommissionTerms = (rules, category = null) => {
+    const matching = rules.filter((rule) => !rule.category || rule.category === category);
+    const terms = { rules: matching.map((rule) => rule._id) };
+
+    for (const field of TERM_FIELDS) {
+        const rule = matching.find((candidate) => candidate[field] != null);
+        terms[field] = rule ? rule[field] : DEFAULT_TERMS[field];
+    }
+    return terms;
+};
+
+/**
+ * Minutes the technician reached the customer after the slot start plus the grace period
+ * @param {Object} booking - Booking document
+ * @returns {number} 0 when on time or unknown
+ */
+const getLateMinutes = (booking) => {
+    const reached = (booking.statusHistory || []).find((entry) => entry.status === 'reached');
+    if (!reached || !booking.scheduleDate || !booking.preferredTimeSlot?.start) return 0;
+
+    const deadline = getSlotStart(booking.scheduleDate, booking.preferredTimeSlot).getTime()
+        + LATE_ARRIVAL_GRACE_MINUTES * 60 * 1000;
+    return Math.max(Math.round((new Date(reached.changedAt).getTime() - deadline) / 60000), 0);
+};
+
+/**
+ * Ledger entries a completed booking earns its technician
+ * @param {Object} booking - Completed booking document
+ * @param {Object} technician - Assigned technician, with `partner`
+ * @returns {Promise<Object[]>} [{ type, amount, description, details }], amounts signed for the ledger
+ */
+export const computeBookingEarnings = async (booking, technician) => {
+    const rules = await loadCommissionRules(technician?.partner || null);
+    const bookingTerms = resolveCommissionTerms(rules);
+    const ref = booking.bookingId || booking._id;
+
+    const serviceIds = booking.services.map((line) => line.serviceId?._id ?? line.serviceId);
+    const partIds = (booking.parts || []).map((line) => line.part?._id ?? line.part);
+    const [services, parts] = await Promise.all([
+        Service.find({ _id: { $in: serviceIds } }).select('category').lean(),
+        partIds.length ? Part.find({ _id: { $in: partIds } }).select('cost').lean() : []
+    ]);
+    const categories = new Map(services.map((service) => [service._id.toString(), service.category]));
+    const costs = new Map(parts.map((part) => [part._id.toString(), part.cost]));
+
+    const entries = [];
+
+    const serviceLines = booking.services.map((line) => {
+        const category = categories.get((line.serviceId?._id ?? line.serviceId).toString()) || 'Other';
+        const { serviceSharePercent } = resolveCommissionTerms(rules, category);
+        const base = roundAmount(line.price * (line.quantity || 1));
+        return {
+            service: line.name,
+            category,
+            base,
+            percent: serviceSharePercent,
+            amount: roundAmount(base * serviceSharePercent / 100)
+        };
+    });
+    const serviceShare = roundAmount(serviceLines.reduce((sum, line) => sum + line.amount, 0));
+    if (serviceShare > 0) {
+        entries.push({
+            type: 'service_share',
+            amount: serviceShare,
+            description: `Service share for booking ${ref}`,
+            details: { lines: serviceLines, rules: bookingTerms.rules }
+        });
+    }
+
+    const partLines = (booking.parts || []).map((line) => {
+        const cost = costs.get((line.part?._id ?? line.part).toString()) ?? line.price;
+        const margin = roundAmount(Math.max(line.price - cost, 0) * (line.quantity || 1));
+        return { part: line.name, margin, amount: roundAmount(margin * bookingTerms.partsMarginSharePercent / 100) };
+    });
+    const partsMargin = roundAmount(partLines.reduce((sum, line) => sum + line.amount, 0));
+    if (partsMargin > 0) {
+        entries.push({
+            type: 'parts_margin',
+            amount: partsMargin,
+            description: `Parts margin share for booking ${ref}`,
+            details: { lines: partLines, percent: bookingTerms.partsMarginSharePercent }
+        });
+    }
+
+    if (bookingTerms.completionIncentive > 0) {
+        entries.push({
+            type: 'incentive',
+            amount: roundAmount(bookingTerms.completionIncentive),
+            description: `Completion incentive for booking ${ref}`
+        });
+    }
+
+    const lateMinutes = getLateMinutes(booking);
+    if (lateMinutes > 0 && bookingTerms.lateArrivalPenalty > 0) {
+        entries.push({
+            type: 'penalty',
+            amount: -roundAmount(bookingTerms.lateArrivalPenalty),
+            description: `Late arrival penalty for booking ${ref}`,
+            details: { lateMinutes, graceMinutes: LATE_ARRIVAL_GRACE_MINUTES }
+        });
+    }
+
+    return entries;
+};
@@ -0,0 +1,193 @@
+import { Booking } from '../models/Booking.model.js';
+import { Counter } from '../models/Counter.model.js';
+import { Coupon } from '../models/Coupon.model.js';
+import { CouponRedemption } from '../models/CouponRedemption.model.js';
+import { Service } from '../models/Service.model.js';
+import { Subscription } from '../models/Subscription.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { bookingEvents } from './bookingLifecycle.service.js';
+
+/**
+ * Coupons
+ *
+ * `evaluateCoupon` checks a code against its rules (validity window, minimum
+ * order, service categories, first booking, subscription plan and usage
+ * limits) and works out the discount; the pricing service calls it for
+ * quotes and new bookings. Placing the booking redeems the coupon: the
+ * per-customer and global limits are taken with conditional `$inc` updates,
+ * so concurrent bookings cannot go over them. Cancelling or rejecting the
+ * booking releases the redemption again.
+ */
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Per-customer redemptions are counted in the shared counters collection
+const userCounterId = (couponId, userId) => `coupon:${couponId}:${userId}`;
+
+const invalid = (code, reason) => new ApiError(400, `Coupon ${code} ${reason}`);
+
+/**
+ * Check a coupon for a prospective booking and work out its discount
+ * @param {string} code - Code entered by the customer
+ * @param {Object} context - { userId, services: booking service lines, subtotal, now }
+ * @returns {Promise<Object>} { couponId, code, description, amount }
+ * @throws {ApiError} 400 when the coupon does not apply, with the reason
+ */
+export const evaluateCoupon = async (code, { userId, services = [], subtotal = 0, now = new Date() }) => {
+    code = code?.toString().trim().toUpperCase();
+    const coupon = code && await Coupon.findOne({ code, isActive: true }).lean();
+
+    if (!coupon || coupon.validFrom > now || (coupon.validUntil && coupon.validUntil < now)) {
+        throw invalid(code, 'is invalid or has expired');
+    }
+    if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+        throw invalid(code, 'has reached its usage limit');
+    }
+    if (subtotal < coupon.minOrderAmount) {
+        throw invalid(code, `needs a minimum order of Rs. ${coupon.minOrderAmount}`);
+    }
+
+    const [usage, previousBooking, subscription] = await Promise.all([
+        Counter.findById(userCounterId(coupon._id, userId)).lean(),
+        coupon.firstBookingOnly
+            ? Booking.exists({ user: userId, status: { $nin: ['cancelled', 'rejected'] } })
+            : null,
+        coupon.eligiblePlans?.length
+            ? Subscription.findOne({ user: userId }).select('plan status currentPeriodEnd graceUntil')
+            : null
+    ]);
+
+    if ((usage?.seq || 0) >= coupon.perUserLimit) {
+        throw invalid(code, 'has already been used');
+    }
+    if (previousBooking) {
+        throw invalid(code, 'is only valid on your first booking');
+    }
+    const plan = subscription?.isEntitled(now) ? subscription.plan : 'free';
+    if (coupon.eligiblePlans?.length && !coupon.eligiblePlans.includes(plan)) {
+        throw invalid(code, `is only available on the ${coupon.eligiblePlans.join(', ')} plan`);
+    }
+
+    // Restricted coupons only discount the services in their categories
+    let eligibleAmount = subtotal;
+    if (coupon.serviceCategories?.length) {
+        const matching = await Service.find({
+            _id: { $in: services.map((line) => line.serviceId) },
+            category: { $in: coupon.serviceCategories }
+        }).select('_id').lean();
+        const matchingIds = new Set(matching.map((service) => service._id.toString()));
+
+        eligibleAmount = services
+            .filter((line) => matchingIds.has(line.serviceId.toString()))
+            .reduce((sum, line) => sum + line.price * (line.quantity || 1), 0);
+        if (eligibleAmount <= 0) {
+            throw invalid(code, `only applies to ${coupon.serviceCategories.join(', ')} services`);
+        }
+    }
+
+    const amount = coupon.discountType === 'flat'
+        ? Math.min(coupon.discountValue, eligibleAmount)
+        : Math.min(eligibleAmount * coupon.discountValue / 100, coupon.maxDiscount ?? Infinity);
+
+    return {
+        couponId: coupon._id,
+        code: coupon.code,
+        description: coupon.description,
+        amount: roundAmount(amount)
+    };
+};
+
+/**
+ * Take one use of a coupon for a customer
+ * @param {Object} coupon - Result of evaluateCoupon
+ * @param {string|Object} userId - Customer
+ * @param {number} discountAmount - Discount granted on the booking
+ * @returns {Promise<Object>} The redemption, to be linked with attachRedemption
+ * @throws {ApiError} 409 when a limit was reached in the meantime
+ */
+export const redeemCoupon = async (coupon, userId, discountAmount) => {
+    const { perUserLimit } = await Coupon.findById(coupon.couponId).select('perUserLimit').lean() || {};
+    const counterId = userCounterId(coupon.couponId, userId);
+
+    try {
+        // No matching counter under the limit makes the upsert collide with the existing one
+        await Counter.findOneAndUpdate(
+            { _id: counterId, seq: { $lt: perUserLimit || 1 } },
+            { $inc: { seq: 1 } },
+            { upsert: true }
+        );
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ApiError(409, `Coupon ${coupon.code} has already been used`);
+        }
+        throw error;
+    }
+
+    const taken = await Coupon.findOneAndUpdate(
+        {
+            _id: coupon.couponId,
+            isActive: true,
+            $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+        },
+        { $inc: { usedCount: 1 } }
+    );
+    if (!taken) {
+        await Counter.updateOne({ _id: counterId }, { $inc: { seq: -1 } });
+        throw new ApiError(409, `Coupon ${coupon.code} has reached its usage limit`);
+    }
+
+    return CouponRedemption.create({
+        coupon: coupon.couponId,
+        code: coupon.code,
+        user: userId,
+        discountAmount
+    });
+};
+
+/**
+ * Link a redemption with the booking it was used on
+ * @param {Object} redemption - Result of redeemCoupon
+ * @param {string|Object} bookingId
+ */
+export const attachRedemption = (redemption, bookingId) =>
+    CouponRedemption.updateOne({ _id: redemption._id }, { $set: { booking: bookingId } });
+
+/**
+ * Give a coupon use back, once
+ * @param {Object} redemption - CouponRedemption document
+ * @returns {Promise<boolean>} false when it was already released
+ */
+export const releaseRedemption = async (redemption) => {
+    const released = await CouponRedemption.findOneAndUpdate(
+        { _id: redemption._id, status: 'redeemed' },
+        { $set: { status: 'released', releasedAt: new Date() } }
+    );
+    if (!released) return false;
+
+    await Promise.all([
+        Coupon.updateOne({ _id: released.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }),
+        Counter.updateOne(
+            { _id: userCounterId(released.coupon, released.user), seq: { $gt: 0 } },
+            { $inc: { seq: -1 } }
+        )
+    ]);
+    return true;
+};
+
+/**
+ * Release the coupon uses of cancelled or rejected bookings
+ */
+export const registerCouponListeners = () => {
+    bookingEvents.on('transition', async ({ booking, to }) => {
+        if (!['cancelled', 'rejected'].includes(to)) return;
+
+        try {
+            const redemptions = await CouponRedemption.find({ booking: booking._id, status: 'redeemed' });
+            for (const redemption of redemptions) {
+                await releaseRedemption(redemption);
+            }
+        } catch (error) {
+            console.error(`Releasing coupons of booking ${booking.bookingId || booking._id} failed:`, error);
+        }
+    });
+};
@@ -0,0 +1,77 @@
+import { ApiError } from '../utils/ApiErrors.js';
+import { distanceInKm } from './technicianAssignment.service.js';
+
+/**
+ * Arrival geofence
+ *
+ * A technician marking a booking as reached must send their coordinates. The
+ * distance to the booking address is measured and recorded; arrivals outside
+ * `GEOFENCE_RADIUS_METERS` are rejected when `GEOFENCE_MODE=reject`, otherwise
+ * they go through and are flagged for admins as arrival exceptions.
+ */
+
+const RADIUS_METERS = parseInt(process.env.GEOFENCE_RADIUS_METERS, 10) || 200;
+const MODE = process.env.GEOFENCE_MODE === 'reject' ? 'reject' : 'flag';
+
+/**
+ * Measure an arrival against the booking address
+ * @param {Object} booking - Booking document
+ * @param {Object} position - { latitude, longitude, accuracy } from parseCoordinates
+ * @returns {Object} Geofence result, stored in the `reached` status history entry
+ * @throws {ApiError} 400 in reject mode when the technician is outside the radius
+ */
+export const checkArrival = (booking, position) => {
+    const distanceKm = distanceInKm(position, booking.address?.location?.coordinates);
+    const distanceMeters = distanceKm == null ? null : Math.round(distanceKm * 1000);
+    const withinGeofence = distanceMeters != null && distanceMeters <= RADIUS_METERS;
+
+    const result = {
+        latitude: position.latitude,
+        longitude: position.longitude,
+        accuracy: position.accuracy,
+        distanceMeters,
+        radiusMeters: RADIUS_METERS,
+        withinGeofence,
+        checkedAt: new Date()
+    };
+
+    if (withinGeofence) {
+        return result;
+    }
+
+    // Without address coordinates there is nothing to enforce, so those arrivals are only flagged
+    if (MODE === 'reject' && distanceMeters != null) {
+        throw new ApiError(
+            400,
+            `You are ${distanceMeters} m from the booking address. Arrival can only be marked within ${RADIUS_METERS} m.`,
+            [{ distanceMeters, radiusMeters: RADIUS_METERS }]
+        );
+    }
+
+    return {
+        ...result,
+        flagReason: distanceMeters == null
+            ? 'Booking address has no coordinates'
+            : `Arrival marked ${distanceMeters} m from the booking address`
+    };
+};
+
+/**
+ * Record a flagged arrival on the booking so it shows up in the exceptions list
+ * @param {Object} booking - Booking document, saved by the caller
+ * @param {Object} geofence - Result of checkArrival
+ * @param {Object} actor - Technician who marked the arrival
+ */
+export const recordArrivalException = (booking, geofence, actor) => {
+    if (!geofence.flagReason) return;
+
+    booking.arrivalException = {
+        flaggedAt: geofence.checkedAt,
+        technician: actor._id,
+        reason: geofence.flagReason,
+        distanceMeters: geofence.distanceMeters,
+        radiusMeters: geofence.radiusMeters,
+        coordinates: { latitude: geofence.latitude, longitude: geofence.longitude },
+        accuracy: geofence.accuracy
+    };
+};
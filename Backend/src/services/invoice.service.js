@@ -0,0 +1,335 @@
+import mongoose from 'mongoose';
+import PDFDocument from 'pdfkit';
+import { Invoice } from '../models/Invoice.model.js';
+import { Counter } from '../models/Counter.model.js';
+import { Service } from '../models/Service.model.js';
+import Part from '../models/Part.model.js';
+import { User } from '../models/User.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { bookingEvents } from './bookingLifecycle.service.js';
+import { notify } from './notification.service.js';
+import { calculatePricing, roundAmount } from './pricing.service.js';
+
+/**
+ * GST invoices
+ *
+ * Completing a booking issues a tax invoice built from its service and part
+ * lines. Invoice numbers run without gaps within each Indian financial year
+ * (April to March), e.g. HH/2026-27/000042. The booking discount is spread
+ * over the lines in proportion to their amounts and GST is charged on what
+ * remains: CGST + SGST when the service address is in the business's own
+ * state, IGST otherwise. Issued invoices are stored as-is and never changed.
+ */
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'HH';
+
+const SELLER = {
+    name: process.env.BUSINESS_LEGAL_NAME || 'HomeHeal Services Pvt. Ltd.',
+    gstin: process.env.BUSINESS_GSTIN || '',
+    address: process.env.BUSINESS_ADDRESS || '',
+    state: process.env.BUSINESS_STATE || 'Karnataka'
+};
+
+// GST state codes, used for the place of supply
+const STATE_CODES = {
+    'jammu and kashmir': '01', 'himachal pradesh': '02', 'punjab': '03', 'chandigarh': '04',
+    'uttarakhand': '05', 'haryana': '06', 'delhi': '07', 'rajasthan': '08', 'uttar pradesh': '09',
+    'bihar': '10', 'sikkim': '11', 'arunachal pradesh': '12', 'nagaland': '13', 'manipur': '14',
+    'mizoram': '15', 'tripura': '16', 'meghalaya': '17', 'assam': '18', 'west bengal': '19',
+    'jharkhand': '20', 'odisha': '21', 'chhattisgarh': '22', 'madhya pradesh': '23', 'gujarat': '24',
+    'dadra and nagar haveli and daman and diu': '26', 'maharashtra': '27', 'karnataka': '29',
+    'goa': '30', 'lakshadweep': '31', 'kerala': '32', 'tamil nadu': '33', 'puducherry': '34',
+    'andaman and nicobar islands': '35', 'telangana': '36', 'andhra pradesh': '37', 'ladakh': '38'
+};
+
+// Id of a reference whether or not it has been populated
+const refId = (ref) => ref?._id ?? ref;
+
+const normalizeState = (state) => (state || '').trim().toLowerCase().replace(/\s*&\s*/g, ' and ').replace(/\s+/g, ' ');
+
+const stateCode = (state) => STATE_CODES[normalizeState(state)] || '';
+
+/**
+ * Financial year label of a date, April to March in Indian time
+ * @param {Date} date
+ * @returns {string} e.g. '2026-27'
+ */
+export const getFinancialYear = (date = new Date()) => {
+    const ist = new Date(date.getTime() + 330 * 60 * 1000);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+/**
+ * Spread a discount over amounts in proportion, the last line takes the rounding difference
+ * @param {number[]} amounts
+ * @param {number} discount
+ * @returns {number[]}
+ */
+const allocateDiscount = (amounts, discount) => {
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (!discount || !total) return amounts.map(() => 0);
+
+    let remaining = discount;
+    return amounts.map((amount, index) => {
+        const share = index === amounts.length - 1
+            ? roundAmount(remaining)
+            : roundAmount(discount * amount / total);
+        remaining -= share;
+        return share;
+    });
+};
+
+/**
+ * Build the invoice lines and totals of a booking
+ * @param {Object} booking - Completed booking document
+ * @param {Object} buyer - Customer party details
+ * @returns {Promise<Object>} { supplyType, placeOfSupply, lineItems, totals }
+ */
+const buildInvoiceBody = async (booking, buyer) => {
+    // Bookings priced before the pricing engine existed carry no breakdown
+    const pricing = booking.pricing?.total != null
+        ? booking.pricing
+        : calculatePricing({ services: booking.services, parts: booking.parts });
+
+    const [services, parts] = await Promise.all([
+        Service.find({ _id: { $in: booking.services.map((line) => refId(line.serviceId)) } }).select('sacCode').lean(),
+        Part.find({ _id: { $in: booking.parts.map((line) => refId(line.part)) } }).select('hsnCode').lean()
+    ]);
+    const codes = new Map([
+        ...services.map((service) => [service._id.toString(), service.sacCode]),
+        ...parts.map((part) => [part._id.toString(), part.hsnCode])
+    ]);
+
+    const lines = [
+        ...booking.services.map((line) => ({ type: 'service', item: refId(line.serviceId), description: line.name, unitPrice: line.price, quantity: line.quantity || 1 })),
+        ...booking.parts.map((line) => ({ type: 'part', item: refId(line.part), description: line.name, unitPrice: line.price, quantity: line.quantity || 1 }))
+    ].map((line) => ({
+        ...line,
+        hsnSac: codes.get(line.item.toString()) || '',
+        amount: roundAmount(line.unitPrice * line.quantity)
+    }));
+
+    const placeOfSupply = buyer.state || SELLER.state;
+    const supplyType = normalizeState(placeOfSupply) === normalizeState(SELLER.state) ? 'intra' : 'inter';
+    const taxRate = pricing.taxRate || 0;
+    const discounts = allocateDiscount(lines.map((line) => line.amount), pricing.discountAmount || 0);
+
+    const lineItems = lines.map((line, index) => {
+        const taxableValue = roundAmount(line.amount - discounts[index]);
+        const tax = supplyType === 'intra'
+            ? {
+                cgstRate: taxRate / 2,
+                cgstAmount: roundAmount(taxableValue * taxRate / 200),
+                sgstRate: taxRate / 2,
+                sgstAmount: roundAmount(taxableValue * taxRate / 200),
+                igstRate: 0,
+                igstAmount: 0
+            }
+            : {
+                cgstRate: 0,
+                cgstAmount: 0,
+                sgstRate: 0,
+                sgstAmount: 0,
+                igstRate: taxRate,
+                igstAmount: roundAmount(taxableValue * taxRate / 100)
+            };
+
+        return {
+            ...line,
+            discount: discounts[index],
+            taxableValue,
+            ...tax,
+            total: roundAmount(taxableValue + tax.cgstAmount + tax.sgstAmount + tax.igstAmount)
+        };
+    });
+
+    const sum = (field) => roundAmount(lineItems.reduce((total, line) => total + line[field], 0));
+    const cgst = sum('cgstAmount');
+    const sgst = sum('sgstAmount');
+    const igst = sum('igstAmount');
+    const total = sum('total');
+    const advance = booking.payment?.advancePayment;
+    const advancePaid = advance?.status === 'paid' ? Math.min(advance.amount || 0, total) : 0;
+
+    return {
+        supplyType,
+        placeOfSupply: `${placeOfSupply}${stateCode(placeOfSupply) ? ` (${stateCode(placeOfSupply)})` : ''}`,
+        lineItems,
+        totals: {
+            amount: sum('amount'),
+            discount: sum('discount'),
+            couponCode: pricing.couponCode || undefined,
+            taxableValue: sum('taxableValue'),
+            cgst,
+            sgst,
+            igst,
+            totalTax: roundAmount(cgst + sgst + igst),
+            total,
+            advancePaid,
+            amountDue: roundAmount(total - advancePaid)
+        }
+    };
+};
+
+/**
+ * Issue the invoice of a completed booking, once
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} The invoice, the existing one when already issued
+ * @throws {ApiError} 409 when the booking is not completed
+ */
+export const createInvoiceForBooking = async (booking) => {
+    const existing = await Invoice.findOne({ booking: booking._id });
+    if (existing) return existing;
+
+    if (booking.status !== 'completed') {
+        throw new ApiError(409, 'Invoices are only issued for completed bookings');
+    }
+
+    const customer = await User.findById(booking.user?._id ?? booking.user).select('name email phone').lean();
+    const address = booking.address || {};
+    const buyer = {
+        name: customer ? `${customer.name?.first || ''} ${customer.name?.last || ''}`.trim() : '',
+        email: customer?.email,
+        phone: customer?.phone,
+        address: [address.street, address.landmark, address.city, address.state, address.pincode].filter(Boolean).join(', '),
+        state: address.state,
+        stateCode: stateCode(address.state)
+    };
+
+    // Everything that can fail runs before a number is taken, so numbering stays gap-free
+    const body = await buildInvoiceBody(booking, buyer);
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+
+    // The number is only kept when the invoice is stored with it
+    const session = await mongoose.startSession();
+    let invoice;
+    try {
+        await session.withTransaction(async () => {
+            const sequence = await Counter.next(`invoice:${financialYear}`, { session });
+            [invoice] = await Invoice.create([{
+                invoiceNumber: `${INVOICE_PREFIX}/${financialYear}/${String(sequence).padStart(6, '0')}`,
+                financialYear,
+                sequence,
+                booking: booking._id,
+                bookingId: booking.bookingId,
+                customer: booking.user?._id ?? booking.user,
+                issuedAt,
+                seller: { ...SELLER, stateCode: stateCode(SELLER.state) },
+                buyer,
+                ...body
+            }], { session });
+        });
+    } catch (error) {
+        // Issued concurrently for the same booking
+        if (error.code === 11000 && error.keyPattern?.booking) {
+            return Invoice.findOne({ booking: booking._id });
+        }
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+
+    notify(invoice.customer, 'invoice.issued', { booking, invoice });
+    return invoice;
+};
+
+const formatAmount = (value) => `Rs. ${(value || 0).toFixed(2)}`;
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { seller, buyer, totals } = invoice;
+    const intra = invoice.supplyType === 'intra';
+
+    doc.fontSize(18).text('TAX INVOICE', { align: 'center' }).moveDown();
+
+    doc.fontSize(10)
+        .text(seller.name, { continued: false })
+        .text(seller.address || '')
+        .text(`GSTIN: ${seller.gstin || '-'}`)
+        .text(`State: ${seller.state}${seller.stateCode ? ` (${seller.stateCode})` : ''}`)
+        .moveDown();
+
+    doc.text(`Invoice No: ${invoice.invoiceNumber}`)
+        .text(`Invoice Date: ${invoice.issuedAt.toISOString().slice(0, 10)}`)
+        .text(`Booking: ${invoice.bookingId || invoice.booking}`)
+        .text(`Place of Supply: ${invoice.placeOfSupply}`)
+        .moveDown();
+
+    doc.text('Bill To:')
+        .text(buyer.name || '-')
+        .text(buyer.address || '')
+        .text([buyer.phone, buyer.email].filter(Boolean).join(' | '))
+        .moveDown();
+
+    // Line item table
+    const columns = intra
+        ? [['Description', 200], ['HSN/SAC', 55], ['Qty', 30], ['Rate', 55], ['Taxable', 60], ['CGST', 55], ['SGST', 55]]
+        : [['Description', 200], ['HSN/SAC', 55], ['Qty', 30], ['Rate', 55], ['Taxable', 60], ['IGST', 110]];
+    const drawRow = (cells, bold = false) => {
+        const y = doc.y;
+        let x = doc.page.margins.left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        cells.forEach((cell, index) => {
+            doc.text(String(cell), x, y, { width: columns[index][1] - 5 });
+            x += columns[index][1];
+        });
+        doc.moveDown(0.5);
+        doc.x = doc.page.margins.left;
+    };
+
+    drawRow(columns.map(([label]) => label), true);
+    for (const line of invoice.lineItems) {
+        drawRow([
+            line.description,
+            line.hsnSac || '-',
+            line.quantity,
+            line.unitPrice.toFixed(2),
+            line.taxableValue.toFixed(2),
+            ...(intra
+                ? [`${line.cgstAmount.toFixed(2)} @${line.cgstRate}%`, `${line.sgstAmount.toFixed(2)} @${line.sgstRate}%`]
+                : [`${line.igstAmount.toFixed(2)} @${line.igstRate}%`])
+        ]);
+    }
+    doc.moveDown();
+
+    const summary = [
+        ['Amount', totals.amount],
+        [`Discount${totals.couponCode ? ` (${totals.couponCode})` : ''}`, -totals.discount],
+        ['Taxable Value', totals.taxableValue],
+        ...(intra ? [['CGST', totals.cgst], ['SGST', totals.sgst]] : [['IGST', totals.igst]]),
+        ['Invoice Total', totals.total],
+        ['Advance Paid', -totals.advancePaid],
+        ['Amount Due', totals.amountDue]
+    ];
+    doc.font('Helvetica');
+    for (const [label, value] of summary) {
+        doc.text(`${label}: ${formatAmount(value)}`, { align: 'right' });
+    }
+
+    doc.moveDown(2).fontSize(8).text('This is a computer generated invoice and does not require a signature.', { align: 'center' });
+    doc.end();
+});
+
+/**
+ * Issue invoices as bookings complete, whichever path completed them
+ */
+export const registerInvoiceListeners = () => {
+    bookingEvents.on('transition', ({ booking, to }) => {
+        if (to !== 'completed') return;
+        createInvoiceForBooking(booking).catch((error) => {
+            console.error(`Invoice for booking ${booking.bookingId || booking._id} failed:`, error);
+        });
+    });
+};
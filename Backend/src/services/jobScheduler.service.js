@@ -0,0 +1,238 @@
+import os from 'os';
+import crypto from 'crypto';
+import { Job, JOB_RUN_HISTORY_LIMIT } from '../models/Job.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+
+/**
+ * Job scheduler
+ *
+ * Runs recurring background work inside the API process. Jobs are defined in
+ * code with `defineJob` and persisted in the `jobs` collection, which holds
+ * their schedule, a lock and their run history. Before running a job an
+ * instance takes its lock with an atomic update, so with several API
+ * instances each run happens exactly once. Failed runs are retried with
+ * exponential backoff up to the job's `maxAttempts`, then the job waits for
+ * its next regular run.
+ */
+
+// How often due jobs are looked for, in seconds
+const POLL_SECONDS = parseInt(process.env.JOB_SCHEDULER_POLL_SECONDS, 10) || 30;
+// Delay before the first retry of a failed run, doubled for every further attempt
+const RETRY_DELAY_MINUTES = parseInt(process.env.JOB_RETRY_DELAY_MINUTES, 10) || 1;
+// How long a lock is held before another instance may take over a crashed run
+const DEFAULT_LOCK_MINUTES = 10;
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const definitions = new Map();
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+/**
+ * Register a recurring job
+ * @param {string} name - Unique job name
+ * @param {Object} definition - { description, intervalMinutes, maxAttempts, lockMinutes,
+ *                               handler({ now, job }) => result }
+ */
+export const defineJob = (name, definition) => {
+    if (typeof definition.handler !== 'function' || !(definition.intervalMinutes > 0)) {
+        throw new Error(`Job ${name} needs a handler and a positive intervalMinutes`);
+    }
+    definitions.set(name, {
+        maxAttempts: 3,
+        lockMinutes: DEFAULT_LOCK_MINUTES,
+        ...definition
+    });
+};
+
+/**
+ * Create the persisted record of every defined job and keep its settings in sync
+ */
+const syncJobs = async () => {
+    const now = new Date();
+
+    for (const [name, definition] of definitions) {
+        try {
+            await Job.updateOne(
+                { name },
+                {
+                    $set: {
+                        description: definition.description,
+                        intervalMinutes: definition.intervalMinutes,
+                        maxAttempts: definition.maxAttempts
+                    },
+                    $setOnInsert: { nextRunAt: now }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Another instance created the job at the same time
+            if (error.code !== 11000) throw error;
+        }
+    }
+};
+
+/**
+ * Record the outcome of a run, schedule the next one and release the lock
+ */
+const finishRun = async (job, definition, run) => {
+    const finishedAt = new Date();
+    const update = {
+        lockedBy: null,
+        lockedUntil: null,
+        lastFinishedAt: finishedAt,
+        lastStatus: run.status
+    };
+
+    if (run.status === 'succeeded') {
+        Object.assign(update, {
+            attempts: 0,
+            lastError: null,
+            lastResult: run.result,
+            nextRunAt: minutesFrom(run.startedAt, definition.intervalMinutes)
+        });
+    } else {
+        const attempts = job.attempts + 1;
+        const retry = attempts < definition.maxAttempts;
+        Object.assign(update, {
+            attempts: retry ? attempts : 0,
+            lastError: run.error,
+            nextRunAt: retry
+                ? minutesFrom(finishedAt, RETRY_DELAY_MINUTES * 2 ** (attempts - 1))
+                : minutesFrom(run.startedAt, definition.intervalMinutes)
+        });
+    }
+
+    // Manual runs leave the regular schedule alone
+    if (run.trigger === 'manual') {
+        delete update.nextRunAt;
+        if (run.status === 'failed') delete update.attempts;
+    }
+
+    return Job.findOneAndUpdate(
+        { _id: job._id, lockedBy: INSTANCE_ID },
+        {
+            $set: update,
+            $push: { runs: { $each: [{ ...run, finishedAt }], $slice: -JOB_RUN_HISTORY_LIMIT } }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Take a job's lock and run it
+ * @param {string} name - Job name
+ * @param {Object} [options] - { trigger: 'schedule'|'manual', triggeredBy }
+ * @returns {Promise<Object|null>} The updated job, null when it was not due or already locked
+ */
+const runJob = async (name, { trigger = 'schedule', triggeredBy = null } = {}) => {
+    const definition = definitions.get(name);
+    const now = new Date();
+
+    const job = await Job.findOneAndUpdate(
+        {
+            name,
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+            ...(trigger === 'schedule' && { enabled: true, nextRunAt: { $lte: now } })
+        },
+        {
+            $set: {
+                lockedBy: INSTANCE_ID,
+                lockedUntil: minutesFrom(now, definition.lockMinutes),
+                lastRunAt: now
+            }
+        },
+        { new: true }
+    );
+    if (!job) return null;
+
+    const run = { trigger, triggeredBy, instance: INSTANCE_ID, startedAt: now, attempt: job.attempts + 1 };
+    try {
+        run.result = await definition.handler({ now, job });
+        run.status = 'succeeded';
+    } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        console.error(`Job ${name} failed (attempt ${run.attempt}/${definition.maxAttempts}):`, error);
+    }
+
+    return finishRun(job, definition, run);
+};
+
+let polling = false;
+
+const runDueJobs = async () => {
+    // A slow job must not be picked up again by the next tick
+    if (polling) return;
+    polling = true;
+
+    try {
+        const due = await Job.find({
+            name: { $in: [...definitions.keys()] },
+            enabled: true,
+            nextRunAt: { $lte: new Date() }
+        })
+            .sort({ nextRunAt: 1 })
+            .select('name')
+            .lean();
+
+        for (const { name } of due) {
+            await runJob(name);
+        }
+    } catch (error) {
+        console.error('Job scheduler poll failed:', error);
+    } finally {
+        polling = false;
+    }
+};
+
+/**
+ * Persist the defined jobs and start running them when due
+ * @returns {Promise<NodeJS.Timeout>}
+ */
+export const startScheduler = async () => {
+    await syncJobs();
+
+    const timer = setInterval(runDueJobs, POLL_SECONDS * 1000);
+    timer.unref();
+    runDueJobs();
+
+    console.log(`⏱️ Job scheduler started with ${definitions.size} job(s) on ${INSTANCE_ID}`);
+    return timer;
+};
+
+/**
+ * Persisted jobs with their schedule, lock and recent runs
+ * @returns {Promise<Object[]>}
+ */
+export const listJobs = async () => {
+    const jobs = await Job.find().sort({ name: 1 }).lean();
+    return jobs.map((job) => ({
+        ...job,
+        registered: definitions.has(job.name),
+        running: Boolean(job.lockedUntil && job.lockedUntil > new Date())
+    }));
+};
+
+/**
+ * Run a job right away, outside its schedule
+ * @param {string} name - Job name
+ * @param {Object} [triggeredBy] - User who asked for the run
+ * @returns {Promise<Object>} The job including the new run
+ * @throws {ApiError} 404 for unknown jobs, 409 when the job is already running
+ */
+export const runJobNow = async (name, triggeredBy) => {
+    if (!definitions.has(name)) {
+        throw new ApiError(404, `Job ${name} not found`);
+    }
+
+    // Jobs are persisted at startup, but a manual run may come first
+    await syncJobs();
+
+    const job = await runJob(name, { trigger: 'manual', triggeredBy: triggeredBy?._id || null });
+    if (!job) {
+        throw new ApiError(409, `Job ${name} is already running`);
+    }
+
+    return job;
+};
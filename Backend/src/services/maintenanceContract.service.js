@@ -0,0 +1,435 @@
+import mongoose from 'mongoose';
+import { Counter } from '../models/Counter.model.js';
+import { MaintenanceContract } from '../models/MaintenanceContract.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { cascadeAssignment } from './assignmentOffer.service.js';
+import { placeBooking } from './bookingCreation.service.js';
+import { bookingEvents, SYSTEM_ACTOR } from './bookingLifecycle.service.js';
+import { notify } from './notification.service.js';
+import {
+    createContractPaymentOrder,
+    paymentEvents,
+    recordPrepaidPayment,
+    recordWalletPayment
+} from './payment.service.js';
+import { quoteBooking, roundAmount } from './pricing.service.js';
+import { getSlotStart, startOfDay } from './slotAvailability.service.js';
+import { creditWallet } from './wallet.service.js';
+
+/**
+ * Annual maintenance contracts
+ *
+ * A contract books the same services at the same address on a recurrence,
+ * e.g. every 3 months, 4 times. Its visits are priced once when the contract
+ * is bought and the whole contract is paid upfront, from the wallet or
+ * through a provider order. `MAINTENANCE_BOOKING_LEAD_DAYS` before a visit is
+ * due, the maintenance job places its booking through the normal booking
+ * path and offers it to a technician; the booking is marked prepaid and
+ * carries a captured `contract` payment for its share.
+ *
+ * Customers can skip a visit that has no booking yet or pause the contract;
+ * resuming moves the remaining visits back by the time it was paused.
+ * Cancelling refunds the visits that were neither booked nor skipped to the
+ * wallet.
+ */
+
+// How many days before a visit is due its booking is placed
+const LEAD_DAYS = parseInt(process.env.MAINTENANCE_BOOKING_LEAD_DAYS, 10) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Visit statuses that will not change any more
+const CLOSED_VISIT_STATUSES = ['skipped', 'completed', 'cancelled'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Due dates of the visits of a recurrence
+ * @param {Date} startDate - First visit
+ * @param {Object} recurrence - { interval, unit: 'week'|'month', occurrences }
+ * @returns {Date[]}
+ */
+export const getVisitDates = (startDate, { interval, unit, occurrences }) =>
+    Array.from({ length: occurrences }, (_, index) => {
+        const date = new Date(startDate);
+        if (unit === 'week') {
+            date.setDate(date.getDate() + index * interval * 7);
+            return date;
+        }
+        // Visits on the 31st fall on the last day of shorter months
+        const day = date.getDate();
+        date.setDate(1);
+        date.setMonth(date.getMonth() + index * interval);
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        date.setDate(Math.min(day, lastDay));
+        return date;
+    });
+
+const validateContractInput = ({ recurrence, startDate, preferredTimeSlot }) => {
+    const interval = parseInt(recurrence?.interval, 10);
+    const occurrences = parseInt(recurrence?.occurrences, 10);
+    if (!(interval >= 1) || !['week', 'month'].includes(recurrence?.unit) || !(occurrences >= 1 && occurrences <= 52)) {
+        throw new ApiError(400, 'Recurrence needs an interval, a unit of week or month and 1 to 52 occurrences');
+    }
+
+    if (!TIME_PATTERN.test(preferredTimeSlot?.start || '') || !TIME_PATTERN.test(preferredTimeSlot?.end || '')
+        || preferredTimeSlot.end <= preferredTimeSlot.start) {
+        throw new ApiError(400, 'Preferred time slot needs a start and a later end as HH:MM');
+    }
+
+    const firstVisit = startOfDay(startDate);
+    if (firstVisit < startOfDay(new Date(Date.now() + DAY_MS))) {
+        throw new ApiError(400, 'The first visit must be tomorrow or later');
+    }
+
+    return { recurrence: { interval, unit: recurrence.unit, occurrences }, startDate: firstVisit };
+};
+
+/**
+ * Create a contract waiting for its payment
+ * @param {Object} input - { userId, services: [{ serviceId, quantity }], address, startDate, preferredTimeSlot,
+ *                          recurrence: { interval, unit, occurrences }, notes }
+ * @returns {Promise<Object>} MaintenanceContract document
+ * @throws {ApiError} 400 for invalid recurrences, slots or services
+ */
+export const createContract = async ({ userId, services, address, startDate, preferredTimeSlot, recurrence, notes }) => {
+    if (!address?.pincode || !address?.location?.coordinates) {
+        throw new ApiError(400, 'Address with pincode and location is required');
+    }
+    const schedule = validateContractInput({ recurrence, startDate, preferredTimeSlot });
+
+    // Every visit costs what one booking of the services costs today
+    const quote = await quoteBooking({ userId, services });
+    const visitDates = getVisitDates(schedule.startDate, schedule.recurrence);
+    const sequence = await Counter.next('maintenanceContract');
+
+    return MaintenanceContract.create({
+        contractNumber: `AMC${String(sequence).padStart(6, '0')}`,
+        user: userId,
+        address,
+        services: quote.services,
+        recurrence: schedule.recurrence,
+        startDate: schedule.startDate,
+        preferredTimeSlot: { start: preferredTimeSlot.start, end: preferredTimeSlot.end },
+        notes,
+        visitPricing: quote.pricing,
+        billing: { amount: roundAmount(quote.pricing.total * visitDates.length) },
+        visits: visitDates.map((dueDate, index) => ({ sequence: index + 1, dueDate }))
+    });
+};
+
+// Mark a contract paid and start generating its visits
+const activateContract = async (contract, payment, session = null) => {
+    contract.billing.status = 'paid';
+    contract.billing.payment = payment._id;
+    contract.billing.method = payment.provider === 'wallet' ? 'wallet' : 'online';
+    contract.billing.paidAt = payment.capturedAt || new Date();
+    contract.status = 'active';
+    await contract.save({ session });
+};
+
+/**
+ * Pay for a contract upfront
+ * With payWith 'online' a provider order is returned and the contract starts once it is paid.
+ * @param {Object} contract - MaintenanceContract document
+ * @param {Object} [options] - { payWith: 'wallet'|'online', actor }
+ * @returns {Promise<Object>} { contract, payment, checkout } with checkout for online payments
+ * @throws {ApiError} 409 when the contract is not waiting for payment or the wallet balance is too low
+ */
+export const payContract = async (contract, { payWith = 'online', actor = null } = {}) => {
+    if (contract.status !== 'pending_payment') {
+        throw new ApiError(409, 'This contract has already been paid');
+    }
+    if (!['wallet', 'online'].includes(payWith)) {
+        throw new ApiError(400, 'payWith must be wallet or online');
+    }
+
+    if (payWith === 'online') {
+        const { payment, checkout } = await createContractPaymentOrder(contract);
+        return { contract, payment, checkout };
+    }
+
+    const session = await mongoose.startSession();
+    let payment;
+    try {
+        await session.withTransaction(async () => {
+            ({ payment } = await recordWalletPayment({
+                maintenanceContract: contract._id,
+                user: contract.user,
+                purpose: 'maintenance_contract',
+                amount: contract.billing.amount
+            }, { session, description: `Maintenance contract ${contract.contractNumber}`, actor }));
+
+            await activateContract(contract, payment, session);
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    notify(contract.user, 'contract.activated', { contract });
+    return { contract, payment };
+};
+
+// The contract is done once no visit can change any more
+const completeIfFinished = (contract) => {
+    if (contract.status === 'active' && contract.visits.every((visit) => CLOSED_VISIT_STATUSES.includes(visit.status))) {
+        contract.status = 'completed';
+    }
+};
+
+/**
+ * Skip a visit that has not been booked yet
+ * @param {Object} contract - MaintenanceContract document
+ * @param {string} visitId - Id of the visit
+ * @param {string} [reason]
+ * @returns {Promise<Object>} The contract
+ * @throws {ApiError} 404 for unknown visits, 409 when the visit already has a booking
+ */
+export const skipVisit = async (contract, visitId, reason) => {
+    if (!['active', 'paused'].includes(contract.status)) {
+        throw new ApiError(409, `Visits of a ${contract.status} contract cannot be skipped`);
+    }
+
+    const visit = contract.visits.id(visitId);
+    if (!visit) {
+        throw new ApiError(404, 'Visit not found');
+    }
+    if (visit.status !== 'scheduled') {
+        throw new ApiError(409, visit.status === 'booked'
+            ? 'This visit is already booked, cancel its booking instead'
+            : `This visit is already ${visit.status}`);
+    }
+
+    visit.status = 'skipped';
+    visit.note = reason || 'Skipped by the customer';
+    visit.updatedAt = new Date();
+    completeIfFinished(contract);
+    await contract.save();
+
+    return contract;
+};
+
+/**
+ * Stop generating visits until the contract is resumed
+ * @param {Object} contract - MaintenanceContract document
+ * @returns {Promise<Object>} The contract
+ * @throws {ApiError} 409 when the contract is not active
+ */
+export const pauseContract = async (contract) => {
+    if (contract.status !== 'active') {
+        throw new ApiError(409, `A ${contract.status} contract cannot be paused`);
+    }
+
+    contract.status = 'paused';
+    contract.pausedAt = new Date();
+    await contract.save();
+
+    return contract;
+};
+
+/**
+ * Resume a paused contract, moving its remaining visits back by the paused time
+ * @param {Object} contract - MaintenanceContract document
+ * @returns {Promise<Object>} The contract
+ * @throws {ApiError} 409 when the contract is not paused
+ */
+export const resumeContract = async (contract) => {
+    if (contract.status !== 'paused') {
+        throw new ApiError(409, 'Only paused contracts can be resumed');
+    }
+
+    const pausedMs = Date.now() - contract.pausedAt.getTime();
+    const pausedDays = Math.round(pausedMs / DAY_MS);
+    for (const visit of contract.visits) {
+        if (visit.status === 'scheduled' && pausedDays > 0) {
+            const dueDate = new Date(visit.dueDate);
+            dueDate.setDate(dueDate.getDate() + pausedDays);
+            visit.dueDate = dueDate;
+        }
+    }
+
+    contract.status = 'active';
+    contract.pausedAt = null;
+    await contract.save();
+
+    return contract;
+};
+
+/**
+ * Cancel a contract and refund its unused visits to the wallet
+ * Visits already booked stay; their bookings are cancelled separately.
+ * @param {Object} contract - MaintenanceContract document
+ * @param {Object} [options] - { actor, reason }
+ * @returns {Promise<Object>} { contract, refundAmount }
+ * @throws {ApiError} 409 when the contract is already finished
+ */
+export const cancelContract = async (contract, { actor = null, reason } = {}) => {
+    if (['completed', 'cancelled'].includes(contract.status)) {
+        throw new ApiError(409, `This contract is already ${contract.status}`);
+    }
+
+    const unused = contract.visits.filter((visit) => visit.status === 'scheduled');
+    const refundAmount = contract.billing.status === 'paid'
+        ? roundAmount(contract.visitPricing.total * unused.length)
+        : 0;
+
+    for (const visit of unused) {
+        visit.status = 'cancelled';
+        visit.note = 'Contract cancelled';
+        visit.updatedAt = new Date();
+    }
+    contract.status = 'cancelled';
+    contract.cancelledAt = new Date();
+    contract.cancellationReason = reason;
+    if (refundAmount > 0) {
+        contract.billing.amountRefunded = refundAmount;
+        contract.billing.status = 'refunded';
+    }
+    await contract.save();
+
+    if (refundAmount > 0) {
+        await creditWallet(contract.user, refundAmount, {
+            category: 'refund',
+            description: `${unused.length} unused visit(s) of maintenance contract ${contract.contractNumber}`,
+            createdBy: actor?._id
+        });
+    }
+
+    return { contract, refundAmount };
+};
+
+// Booking day and slot for a visit, tomorrow when its own slot has already passed
+const getVisitSchedule = (contract, visit, now) => {
+    const scheduleDate = getSlotStart(visit.dueDate, contract.preferredTimeSlot) > now
+        ? startOfDay(visit.dueDate)
+        : startOfDay(new Date(now.getTime() + DAY_MS));
+    return { scheduleDate, preferredTimeSlot: contract.preferredTimeSlot };
+};
+
+// Place the booking of a visit, falling back to the nearest free slot when its own is full
+const bookVisit = async (contract, visit, now) => {
+    const { scheduleDate, preferredTimeSlot } = getVisitSchedule(contract, visit, now);
+    const { services, address } = contract.toObject();
+    const request = {
+        userId: contract.user,
+        quote: { services, parts: [], coupon: null, pricing: contract.visitPricing },
+        address,
+        notes: [`Visit ${visit.sequence} of ${contract.recurrence.occurrences}, maintenance contract ${contract.contractNumber}`, contract.notes]
+            .filter(Boolean)
+            .join('. '),
+        payment: {
+            method: contract.billing.method,
+            status: 'completed',
+            prepaid: true,
+            advancePayment: { amount: 0, status: 'paid' }
+        },
+        actor: SYSTEM_ACTOR,
+        fields: { maintenanceContract: contract._id }
+    };
+
+    try {
+        return await placeBooking({ ...request, scheduleDate, preferredTimeSlot });
+    } catch (error) {
+        const [alternative] = error.statusCode === 409 && Array.isArray(error.errors) ? error.errors : [];
+        if (!alternative) throw error;
+
+        return placeBooking({
+            ...request,
+            scheduleDate: startOfDay(alternative.date),
+            preferredTimeSlot: { start: alternative.start, end: alternative.end }
+        });
+    }
+};
+
+/**
+ * Generate the bookings of visits due within the lead time
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { booked, failed }
+ */
+export const generateDueVisits = async (now = new Date()) => {
+    const horizon = new Date(now.getTime() + LEAD_DAYS * DAY_MS);
+    const contracts = await MaintenanceContract.find({
+        status: 'active',
+        visits: { $elemMatch: { status: 'scheduled', dueDate: { $lte: horizon } } }
+    });
+
+    let booked = 0;
+    let failed = 0;
+    for (const contract of contracts) {
+        const dueVisits = contract.visits.filter((visit) => visit.status === 'scheduled' && visit.dueDate <= horizon);
+
+        for (const visit of dueVisits) {
+            try {
+                const booking = await bookVisit(contract, visit, now);
+                await recordPrepaidPayment(booking, contract, visit);
+
+                visit.status = 'booked';
+                visit.booking = booking._id;
+                visit.lastError = undefined;
+                visit.updatedAt = new Date();
+                await contract.save();
+                booked++;
+
+                // Offered to the best ranked technician like any unassigned booking
+                await cascadeAssignment(booking).catch((error) => {
+                    console.error(`Assigning booking ${booking.bookingId} of contract ${contract.contractNumber} failed:`, error);
+                });
+            } catch (error) {
+                visit.lastError = error.message;
+                visit.updatedAt = new Date();
+                await contract.save();
+                failed++;
+                console.error(`Booking visit ${visit.sequence} of contract ${contract.contractNumber} failed:`, error);
+            }
+        }
+    }
+
+    return { booked, failed };
+};
+
+// Apply a captured provider payment for a contract
+const applyContractPayment = async (payment) => {
+    const contract = await MaintenanceContract.findById(payment.maintenanceContract);
+    if (!contract) return;
+
+    // Paid twice or after the contract was cancelled, the money goes to the wallet
+    if (contract.status !== 'pending_payment') {
+        await creditWallet(payment.user, payment.amount, {
+            category: 'refund',
+            description: `Payment for maintenance contract ${contract.contractNumber} that was no longer due`
+        });
+        return;
+    }
+
+    await activateContract(contract, payment);
+    notify(contract.user, 'contract.activated', { contract });
+};
+
+/**
+ * Start contracts paid through the provider and follow the bookings of their visits
+ */
+export const registerMaintenanceContractListeners = () => {
+    paymentEvents.on('captured', (payment) => {
+        if (payment.purpose !== 'maintenance_contract') return;
+        applyContractPayment(payment).catch((error) => {
+            console.error(`Applying contract payment ${payment._id} failed:`, error);
+        });
+    });
+
+    bookingEvents.on('transition', async ({ booking, to }) => {
+        if (!booking.maintenanceContract || !['completed', 'cancelled', 'rejected'].includes(to)) return;
+
+        try {
+            const contract = await MaintenanceContract.findById(booking.maintenanceContract);
+            const visit = contract?.visits.find((candidate) => candidate.booking?.equals(booking._id));
+            if (!visit) return;
+
+            visit.status = to === 'completed' ? 'completed' : 'cancelled';
+            visit.updatedAt = new Date();
+            completeIfFinished(contract);
+            await contract.save();
+        } catch (error) {
+            console.error(`Updating the contract visit of booking ${booking.bookingId || booking._id} failed:`, error);
+        }
+    });
+};
@@ -0,0 +1,386 @@
+import { EventEmitter } from 'events';
+import { User } from '../models/User.model.js';
+import { Notification } from '../models/Notification.model.js';
+import { NotificationLog } from '../models/NotificationLog.model.js';
+import { bookingEvents } from './bookingLifecycle.service.js';
+import {
+    NOTIFICATION_CHANNELS,
+    getChannelAdapter,
+    getChannelAddress
+} from './notificationChannels.service.js';
+
+/**
+ * Notifications
+ *
+ * Renders a template for an event, adds it to the user's in-app inbox and
+ * delivers it over email, SMS and push, skipping the channels the user opted
+ * out of in `preferences.notifications`. Essential messages (OTPs) ignore the
+ * opt-outs. Every attempt, sent, failed or skipped, is stored in
+ * `NotificationLog`. Booking notifications are driven by `bookingEvents`.
+ */
+
+// Emits `created` with every new inbox entry
+export const notificationEvents = new EventEmitter();
+
+const bookingRef = (booking) => `#${booking.bookingId || booking._id}`;
+
+const formatSlot = (booking) =>
+    `${new Date(booking.scheduleDate).toDateString()}, ${booking.preferredTimeSlot?.start}-${booking.preferredTimeSlot?.end}`;
+
+const personName = (person) =>
+    person?.name ? `${person.name.first} ${person.name.last || ''}`.trim() : 'your technician';
+
+const VERIFICATION_MESSAGES = {
+    approved: 'Your technician profile has been approved. You can now receive bookings.',
+    rejected: 'Your technician profile has been rejected. Please contact support for details.',
+    in_review: 'Your technician profile is being reviewed.',
+    pending: 'Your technician profile is awaiting verification.',
+    suspended: 'Your technician profile has been suspended. Please contact support for details.'
+};
+
+/**
+ * Message templates per event. Each returns { subject, text, title, body, data }:
+ * subject and text are used for email, SMS and the inbox, title and body for
+ * push, and data holds the ids the apps need to open the related screen.
+ */
+const TEMPLATES = {
+    'booking.created': ({ booking }) => ({
+        subject: `Booking ${bookingRef(booking)} received`,
+        text: `We received your booking ${bookingRef(booking)} for ${formatSlot(booking)}. We will let you know once a technician is assigned.`,
+        title: 'Booking received',
+        body: `Booking ${bookingRef(booking)} for ${formatSlot(booking)}`
+    }),
+    'booking.assigned': ({ booking, role, technician }) =>
+        role === 'Technician'
+            ? {
+                subject: `New booking ${bookingRef(booking)} offered to you`,
+                text: `You have been offered booking ${bookingRef(booking)} for ${formatSlot(booking)} at ${booking.address?.city || 'the customer address'}. Please accept or decline it in the app.`,
+                title: 'New booking offer',
+                body: `Booking ${bookingRef(booking)} for ${formatSlot(booking)}`
+            }
+            : {
+                subject: `Technician assigned to booking ${bookingRef(booking)}`,
+                text: `${personName(technician)} has been assigned to your booking ${bookingRef(booking)} for ${formatSlot(booking)}.`,
+                title: 'Technician assigned',
+                body: `${personName(technician)} will handle booking ${bookingRef(booking)}`
+            },
+    'booking.reached': ({ booking, technician }) => ({
+        subject: `Your technician has arrived`,
+        text: `${personName(technician)} has reached the service location for booking ${bookingRef(booking)}.`,
+        title: 'Technician arrived',
+        body: `${personName(technician)} has reached your location`
+    }),
+    'booking.otp': ({ booking, otp }) => ({
+        subject: `OTP for booking ${bookingRef(booking)}`,
+        text: `Your HomeHeal OTP for booking ${bookingRef(booking)} is ${otp}. Share it with the technician only when they are at your location. It expires in 5 minutes.`,
+        title: 'Service OTP',
+        body: `Your OTP for booking ${bookingRef(booking)} is ${otp}`
+    }),
+    'booking.completed': ({ booking }) => ({
+        subject: `Booking ${bookingRef(booking)} completed`,
+        text: `Your service ${bookingRef(booking)} has been completed. We would love to hear your feedback.`,
+        title: 'Service completed',
+        body: `Booking ${bookingRef(booking)} has been completed`
+    }),
+    'booking.cancelled': ({ booking, reason }) => ({
+        subject: `Booking ${bookingRef(booking)} cancelled`,
+        text: `Booking ${bookingRef(booking)} for ${formatSlot(booking)} has been cancelled.${reason ? ` Reason: ${reason}` : ''}`,
+        title: 'Booking cancelled',
+        body: `Booking ${bookingRef(booking)} has been cancelled`
+    }),
+    'booking.rescheduled': ({ booking }) => ({
+        subject: `Booking ${bookingRef(booking)} rescheduled`,
+        text: `Booking ${bookingRef(booking)} has been rescheduled to ${formatSlot(booking)}.`,
+        title: 'Booking rescheduled',
+        body: `Booking ${bookingRef(booking)} moved to ${formatSlot(booking)}`
+    }),
+    'booking.reminder': ({ booking, role }) => ({
+        subject: `Reminder: booking ${bookingRef(booking)} is coming up`,
+        text: role === 'Technician'
+            ? `Reminder: you have booking ${bookingRef(booking)} at ${formatSlot(booking)}, ${booking.address?.addressLine1 || ''} ${booking.address?.city || ''}.`.trim()
+            : `Reminder: your technician visit for booking ${bookingRef(booking)} is scheduled for ${formatSlot(booking)}.`,
+        title: 'Upcoming booking',
+        body: `Booking ${bookingRef(booking)} at ${formatSlot(booking)}`
+    }),
+    'booking.escalated': ({ booking, reason }) => ({
+        subject: `Booking ${bookingRef(booking)} needs a technician`,
+        text: `Auto-assignment gave up on booking ${bookingRef(booking)} for ${formatSlot(booking)}: ${reason}. Please assign a technician manually.`,
+        title: 'Booking escalated',
+        body: `Booking ${bookingRef(booking)} needs manual assignment`
+    }),
+    'invoice.issued': ({ booking, invoice }) => ({
+        subject: `Invoice ${invoice.invoiceNumber} for booking ${bookingRef(booking)}`,
+        text: `Invoice ${invoice.invoiceNumber} for booking ${bookingRef(booking)} has been issued. Total: Rs. ${invoice.totals.total.toFixed(2)}, amount due: Rs. ${invoice.totals.amountDue.toFixed(2)}. You can download it from your booking.`,
+        title: 'Invoice issued',
+        body: `Invoice ${invoice.invoiceNumber} is ready for booking ${bookingRef(booking)}`
+    }),
+    'payment.captured': ({ booking, payment }) => ({
+        subject: `Payment received for booking ${bookingRef(booking)}`,
+        text: `We received your ${payment.purpose} payment of Rs. ${payment.amount.toFixed(2)} for booking ${bookingRef(booking)}.`,
+        title: 'Payment received',
+        body: `Rs. ${payment.amount.toFixed(2)} received for booking ${bookingRef(booking)}`
+    }),
+    'payment.failed': ({ booking, payment }) => ({
+        subject: `Payment failed for booking ${bookingRef(booking)}`,
+        text: `Your ${payment.purpose} payment of Rs. ${payment.amount.toFixed(2)} for booking ${bookingRef(booking)} failed${payment.failureReason ? `: ${payment.failureReason}` : ''}. Please try again.`,
+        title: 'Payment failed',
+        body: `Payment for booking ${bookingRef(booking)} failed, please try again`
+    }),
+    'refund.issued': ({ booking, amount }) => ({
+        subject: `Refund for booking ${bookingRef(booking)}`,
+        text: `A refund of Rs. ${amount.toFixed(2)} for booking ${bookingRef(booking)} has been issued to your original payment method. It can take 5-7 working days to show up.`,
+        title: 'Refund issued',
+        body: `Rs. ${amount.toFixed(2)} refunded for booking ${bookingRef(booking)}`
+    }),
+    'wallet.credited': ({ transaction }) => ({
+        subject: 'Wallet credited',
+        text: `Rs. ${transaction.amount.toFixed(2)} has been added to your HomeHeal wallet${transaction.description ? ` (${transaction.description})` : ''}. Your balance is now Rs. ${transaction.balanceAfter.toFixed(2)}.`,
+        title: 'Wallet credited',
+        body: `Rs. ${transaction.amount.toFixed(2)} added, balance Rs. ${transaction.balanceAfter.toFixed(2)}`
+    }),
+    'part.low_stock': ({ part }) => ({
+        subject: `Low stock: ${part.name}`,
+        text: `Only ${part.quantityInStock} unit(s) of ${part.name} (${part.sku || 'no SKU'}) are left, below the minimum of ${part.minimumQuantity}. Please restock.`,
+        title: 'Low stock',
+        body: `${part.name}: ${part.quantityInStock} left`,
+        data: { partId: part._id }
+    }),
+    'leave.requested': ({ leave, technician }) => ({
+        subject: 'Leave request to review',
+        text: `${`${technician.name?.first || ''} ${technician.name?.last || ''}`.trim() || 'A technician'} requested ${leave.type} leave from ${new Date(leave.startDate).toDateString()} to ${new Date(leave.endDate).toDateString()}${leave.reason ? `: ${leave.reason}` : ''}.`,
+        title: 'Leave request',
+        body: `Leave from ${new Date(leave.startDate).toDateString()} to ${new Date(leave.endDate).toDateString()}`,
+        data: { leaveId: leave._id }
+    }),
+    'leave.reviewed': ({ leave }) => ({
+        subject: `Your leave request was ${leave.status}`,
+        text: `Your leave from ${new Date(leave.startDate).toDateString()} to ${new Date(leave.endDate).toDateString()} was ${leave.status}${leave.review?.note ? `: ${leave.review.note}` : '.'}`,
+        title: `Leave ${leave.status}`,
+        body: `Leave from ${new Date(leave.startDate).toDateString()} was ${leave.status}`,
+        data: { leaveId: leave._id }
+    }),
+    'contract.activated': ({ contract }) => ({
+        subject: `Maintenance contract ${contract.contractNumber} is active`,
+        text: `Thank you for your payment of Rs. ${contract.billing.amount.toFixed(2)}. Your ${contract.visits.length} maintenance visits are scheduled, the first on ${new Date(contract.visits[0].dueDate).toDateString()}. We book each visit a few days before it is due.`,
+        title: 'Maintenance contract active',
+        body: `First visit on ${new Date(contract.visits[0].dueDate).toDateString()}`,
+        data: { contractId: contract._id }
+    }),
+    'subscription.updated': ({ subscription }) => ({
+        subject: `Your ${subscription.plan} plan is active`,
+        text: `Your ${subscription.plan} plan is active until ${new Date(subscription.currentPeriodEnd).toDateString()}.`,
+        title: 'Subscription updated',
+        body: `${subscription.plan} plan active`,
+        data: { subscriptionId: subscription._id }
+    }),
+    'subscription.cancelled': ({ subscription }) => ({
+        subject: 'Your subscription has been cancelled',
+        text: `Your ${subscription.plan} plan has been cancelled and stays active until ${new Date(subscription.currentPeriodEnd).toDateString()}.`,
+        title: 'Subscription cancelled',
+        body: `Active until ${new Date(subscription.currentPeriodEnd).toDateString()}`,
+        data: { subscriptionId: subscription._id }
+    }),
+    'subscription.renewed': ({ subscription }) => ({
+        subject: `Your ${subscription.plan} plan has been renewed`,
+        text: `Your ${subscription.plan} plan has been renewed until ${new Date(subscription.currentPeriodEnd).toDateString()}.`,
+        title: 'Subscription renewed',
+        body: `Renewed until ${new Date(subscription.currentPeriodEnd).toDateString()}`,
+        data: { subscriptionId: subscription._id }
+    }),
+    'subscription.expired': ({ subscription }) => ({
+        subject: `Your ${subscription.plan} plan has expired`,
+        text: `Your ${subscription.plan} plan expired on ${new Date(subscription.currentPeriodEnd).toDateString()}. Subscribe again to keep your member benefits.`,
+        title: 'Subscription expired',
+        body: `Your ${subscription.plan} plan has expired`,
+        data: { subscriptionId: subscription._id }
+    }),
+    'subscription.payment_due': ({ subscription, amount }) => ({
+        subject: `Renew your ${subscription.plan} plan`,
+        text: `We could not renew your ${subscription.plan} plan from your wallet. Pay Rs. ${amount.toFixed(2)} before ${new Date(subscription.graceUntil).toDateString()} to keep your member benefits.`,
+        title: 'Renewal payment due',
+        body: `Pay Rs. ${amount.toFixed(2)} by ${new Date(subscription.graceUntil).toDateString()}`,
+        data: { subscriptionId: subscription._id }
+    }),
+    'subscription.payment_failed': ({ subscription, payment }) => ({
+        subject: `Payment for your ${payment.plan} plan failed`,
+        text: `Your payment of Rs. ${payment.amount.toFixed(2)} for the ${payment.plan} plan failed${payment.failureReason ? `: ${payment.failureReason}` : ''}. Please try again.`,
+        title: 'Subscription payment failed',
+        body: `Rs. ${payment.amount.toFixed(2)} for the ${payment.plan} plan failed`,
+        data: { subscriptionId: subscription._id }
+    }),
+    'technician.verification': ({ status, reason }) => ({
+        subject: 'Technician verification update',
+        text: `${VERIFICATION_MESSAGES[status] || `Your verification status is now ${status}.`}${reason ? ` Note: ${reason}` : ''}`,
+        title: 'Verification update',
+        body: VERIFICATION_MESSAGES[status] || `Verification status: ${status}`,
+        data: { status }
+    })
+};
+
+// Messages delivered even on channels the user opted out of
+const ESSENTIAL_EVENTS = ['booking.otp'];
+
+const RECIPIENT_FIELDS = 'name email phone role fcmToken preferences isActive';
+
+const loadRecipient = async (recipient) => {
+    const id = recipient?._id ?? recipient;
+    return recipient?.email !== undefined && recipient?.preferences !== undefined
+        ? recipient
+        : User.findById(id).select(RECIPIENT_FIELDS).lean();
+};
+
+// Secrets such as OTPs are sent but never stored in the log
+const redact = (text, secrets) =>
+    secrets.reduce((result, secret) => result?.replaceAll(secret, '******'), text);
+
+const deliver = async (user, channel, event, message, { booking, secrets }) => {
+    const log = {
+        recipient: user._id,
+        event,
+        channel,
+        subject: redact(channel === 'push' ? message.title : message.subject, secrets),
+        body: redact(channel === 'push' ? message.body : message.text, secrets),
+        booking: booking?._id ?? booking ?? null
+    };
+
+    const optedIn = user.preferences?.notifications?.[channel] !== false;
+    if (!optedIn && !ESSENTIAL_EVENTS.includes(event)) {
+        return { ...log, status: 'skipped', skipReason: 'Opted out of this channel' };
+    }
+
+    log.to = getChannelAddress(user, channel);
+    if (!log.to) {
+        return { ...log, status: 'skipped', skipReason: `No ${channel} address on file` };
+    }
+
+    try {
+        const adapter = getChannelAdapter(channel);
+        log.adapter = adapter.name;
+        const { providerMessageId } = await adapter.send({
+            to: log.to,
+            subject: message.subject,
+            text: message.text,
+            title: message.title,
+            body: message.body,
+            data: { event, ...(log.booking && { bookingId: log.booking.toString() }) }
+        });
+        return { ...log, status: 'sent', providerMessageId };
+    } catch (error) {
+        return { ...log, status: 'failed', error: error.message };
+    }
+};
+
+const addToInbox = async (user, event, message, { booking, secrets }) => {
+    const notification = await Notification.create({
+        recipient: user._id,
+        type: event,
+        title: message.title,
+        message: redact(message.text, secrets),
+        data: {
+            ...(booking && { bookingId: booking._id ?? booking }),
+            ...message.data
+        }
+    });
+    notificationEvents.emit('created', { notification });
+};
+
+/**
+ * Render an event's template, add it to the user's inbox and deliver it.
+ * Never throws; failures end up in the notification log.
+ * @param {Object|string} recipient - User document or id
+ * @param {string} event - Template name, e.g. 'booking.assigned'
+ * @param {Object} data - Template data, `booking` included for booking events
+ * @param {Object} [options] - { channels, inbox: false to skip the in-app inbox }
+ * @returns {Promise<Object[]>} The log entries written
+ */
+export const notify = async (recipient, event, data = {}, options = {}) => {
+    try {
+        const template = TEMPLATES[event];
+        if (!template) {
+            throw new Error(`Unknown notification event: ${event}`);
+        }
+
+        const user = await loadRecipient(recipient);
+        if (!user || user.isActive === false) return [];
+
+        const message = template({ ...data, role: user.role });
+        const context = {
+            booking: data.booking,
+            secrets: data.otp ? [String(data.otp)] : []
+        };
+
+        if (options.inbox !== false) {
+            await addToInbox(user, event, message, context);
+        }
+
+        const channels = options.channels || NOTIFICATION_CHANNELS;
+        const attempts = await Promise.all(
+            channels.map((channel) => deliver(user, channel, event, message, context))
+        );
+
+        return NotificationLog.insertMany(attempts);
+    } catch (error) {
+        console.error(`Failed to send ${event} notification:`, error);
+        return [];
+    }
+};
+
+// Booking statuses announced to the customer, and whether the technician hears about them too
+const STATUS_EVENTS = {
+    assigned: { event: 'booking.assigned', technician: true },
+    reached: { event: 'booking.reached' },
+    completed: { event: 'booking.completed' },
+    cancelled: { event: 'booking.cancelled', technician: true },
+    rescheduled: { event: 'booking.rescheduled' }
+};
+
+const notifyBookingParties = async (booking, event, data, { technician = true } = {}) => {
+    const technicianUser = booking.assigned_technician
+        ? await loadRecipient(booking.assigned_technician)
+        : null;
+    const payload = { booking, technician: technicianUser, ...data };
+
+    await Promise.all([
+        notify(booking.user, event, payload),
+        technician && technicianUser ? notify(technicianUser, event, payload) : null
+    ]);
+};
+
+let listening = false;
+
+/**
+ * Send booking notifications for lifecycle, reminder and escalation events
+ */
+export const registerBookingNotifications = () => {
+    if (listening) return;
+    listening = true;
+
+    bookingEvents.on('created', ({ booking }) => {
+        notify(booking.user, 'booking.created', { booking });
+    });
+
+    bookingEvents.on('transition', ({ booking, to, entry }) => {
+        const mapping = STATUS_EVENTS[to];
+        if (!mapping) return;
+
+        const reason = to === 'cancelled' ? booking.cancellationReason : undefined;
+        notifyBookingParties(booking, mapping.event, { reason, note: entry.note }, { technician: mapping.technician })
+            .catch((error) => console.error(`Failed to send ${mapping.event} notifications:`, error));
+    });
+
+    bookingEvents.on('reminder', ({ booking }) => {
+        notifyBookingParties(booking, 'booking.reminder')
+            .catch((error) => console.error('Failed to send booking reminders:', error));
+    });
+
+    bookingEvents.on('escalated', async ({ booking, reason }) => {
+        try {
+            const managers = await User.find({ role: { $in: ['Admin', 'Manager'] }, isActive: true })
+                .select(RECIPIENT_FIELDS)
+                .lean();
+            await Promise.all(managers.map((manager) => notify(manager, 'booking.escalated', { booking, reason })));
+        } catch (error) {
+            console.error('Failed to send escalation notifications:', error);
+        }
+    });
+};
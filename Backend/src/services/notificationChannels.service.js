@@ -0,0 +1,190 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import nodemailer from 'nodemailer';
+import twilio from 'twilio';
+
+/**
+ * Notification channel adapters
+ *
+ * Every channel (email, sms, push) has a real provider adapter and two local
+ * stand-ins: `file` appends messages to `<NOTIFICATION_OUTBOX_DIR>/<channel>.jsonl`
+ * and `console` prints them. The adapter is picked per channel with
+ * `NOTIFICATION_<CHANNEL>_ADAPTER`; stand-ins are the default so development
+ * never reaches real customers.
+ *
+ * Adapters expose `send(message)` and resolve to `{ providerMessageId }`.
+ */
+
+const OUTBOX_DIR = process.env.NOTIFICATION_OUTBOX_DIR || './logs/notifications';
+// Prefix for the 10 digit phone numbers stored on users
+const SMS_COUNTRY_CODE = process.env.SMS_COUNTRY_CODE || '+91';
+
+const createFileAdapter = (channel) => ({
+    name: 'file',
+    send: async (message) => {
+        const id = crypto.randomUUID();
+        await fs.mkdir(OUTBOX_DIR, { recursive: true });
+        await fs.appendFile(
+            path.join(OUTBOX_DIR, `${channel}.jsonl`),
+            `${JSON.stringify({ id, sentAt: new Date(), ...message })}\n`
+        );
+        return { providerMessageId: id };
+    }
+});
+
+const createConsoleAdapter = (channel) => ({
+    name: 'console',
+    send: async (message) => {
+        const id = crypto.randomUUID();
+        console.log(`📨 [${channel}] to ${message.to}: ${message.subject || message.title || ''}\n${message.text || message.body}`);
+        return { providerMessageId: id };
+    }
+});
+
+const createSmtpAdapter = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+        secure: parseInt(process.env.EMAIL_PORT, 10) === 465,
+        auth: {
+            user: process.env.EMAIL_USERNAME,
+            pass: process.env.EMAIL_PASSWORD
+        }
+    });
+
+    return {
+        name: 'smtp',
+        send: async ({ to, subject, text, html }) => {
+            const info = await transporter.sendMail({ from: process.env.EMAIL_FROM, to, subject, text, html });
+            return { providerMessageId: info.messageId };
+        }
+    };
+};
+
+const createTwilioAdapter = () => {
+    const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+    return {
+        name: 'twilio',
+        send: async ({ to, text }) => {
+            const message = await client.messages.create({
+                from: process.env.TWILIO_FROM_NUMBER,
+                to: to.startsWith('+') ? to : `${SMS_COUNTRY_CODE}${to}`,
+                body: text
+            });
+            return { providerMessageId: message.sid };
+        }
+    };
+};
+
+// Firebase Cloud Messaging HTTP v1 API, authenticated with a service account
+const createFcmAdapter = () => {
+    const projectId = process.env.FCM_PROJECT_ID;
+    const clientEmail = process.env.FCM_CLIENT_EMAIL;
+    const privateKey = process.env.FCM_PRIVATE_KEY?.replace(/\\n/g, '\n');
+    let accessToken = null;
+
+    const getAccessToken = async () => {
+        if (accessToken && accessToken.expiresAt > Date.now() + 60 * 1000) {
+            return accessToken.value;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const assertion = jwt.sign(
+            {
+                iss: clientEmail,
+                scope: 'https://www.googleapis.com/auth/firebase.messaging',
+                aud: 'https://oauth2.googleapis.com/token',
+                iat: now,
+                exp: now + 3600
+            },
+            privateKey,
+            { algorithm: 'RS256' }
+        );
+
+        const response = await fetch('https://oauth2.googleapis.com/token', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion })
+        });
+        if (!response.ok) {
+            throw new Error(`FCM authentication failed with status ${response.status}`);
+        }
+
+        const { access_token: value, expires_in: expiresIn } = await response.json();
+        accessToken = { value, expiresAt: Date.now() + expiresIn * 1000 };
+        return value;
+    };
+
+    return {
+        name: 'fcm',
+        send: async ({ to, title, body, data = {} }) => {
+            const response = await fetch(`https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`, {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${await getAccessToken()}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    message: {
+                        token: to,
+                        notification: { title, body },
+                        // FCM only accepts string values in data
+                        data: Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)]))
+                    }
+                })
+            });
+            if (!response.ok) {
+                throw new Error(`FCM send failed with status ${response.status}: ${await response.text()}`);
+            }
+
+            const { name } = await response.json();
+            return { providerMessageId: name };
+        }
+    };
+};
+
+const PROVIDER_ADAPTERS = {
+    email: { smtp: createSmtpAdapter },
+    sms: { twilio: createTwilioAdapter },
+    push: { fcm: createFcmAdapter }
+};
+
+export const NOTIFICATION_CHANNELS = Object.keys(PROVIDER_ADAPTERS);
+
+const adapters = new Map();
+
+/**
+ * Adapter configured for a channel, created on first use
+ * @param {string} channel - 'email' | 'sms' | 'push'
+ * @returns {Object} { name, send(message) }
+ */
+export const getChannelAdapter = (channel) => {
+    if (!adapters.has(channel)) {
+        const name = process.env[`NOTIFICATION_${channel.toUpperCase()}_ADAPTER`] || 'console';
+        let adapter;
+        if (name === 'file') {
+            adapter = createFileAdapter(channel);
+        } else if (name === 'console') {
+            adapter = createConsoleAdapter(channel);
+        } else if (PROVIDER_ADAPTERS[channel]?.[name]) {
+            adapter = PROVIDER_ADAPTERS[channel][name]();
+        } else {
+            throw new Error(`Unknown ${channel} notification adapter: ${name}`);
+        }
+        adapters.set(channel, adapter);
+    }
+
+    return adapters.get(channel);
+};
+
+/**
+ * Where a user receives messages on a channel
+ * @param {Object} user - User with email, phone and fcmToken
+ * @param {string} channel - 'email' | 'sms' | 'push'
+ * @returns {string|undefined}
+ */
+export const getChannelAddress = (user, channel) =>
+    ({ email: user.email, sms: user.phone, push: user.fcmToken })[channel];
@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import { Booking } from '../models/Booking.model.js';
+import { CommissionRule } from '../models/CommissionRule.model.js';
+import { Partner } from '../models/Partner.model.js';
+import { Technician } from '../models/Technician.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { roundAmount } from './pricing.service.js';
+import { getEarningsTotals } from './technicianLedger.service.js';
+
+/**
+ * Partner organizations
+ *
+ * A partner is a franchise or agency with its own technicians. Partner
+ * accounts and technicians belong to one through their `partner` field. New
+ * bookings are routed to the active partner whose service area covers the
+ * address most closely (pincode, then city, then state) and the assignment
+ * engine prefers that partner's technicians. Commission terms for the
+ * partner's technicians are commission rules for the partner.
+ *
+ * A partner's bookings are those routed to it or served by its technicians;
+ * partner-scoped permissions reach exactly these, see permission.service.
+ */
+
+// Commission settings a partner's terms may set, see CommissionRule
+const COMMISSION_FIELDS = ['serviceSharePercent', 'partsMarginSharePercent', 'completionIncentive', 'lateArrivalPenalty'];
+
+const normalize = (value) => value?.toString().trim().toLowerCase();
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id?._id ?? id);
+
+/**
+ * How closely a service area covers an address
+ * @param {Object} area - { state, city, pincodes }
+ * @param {Object} address - { state, city, pincode }
+ * @returns {number} 3 for a listed pincode, 2 for the city, 1 for the state, 0 when it does not cover it
+ */
+const coverage = (area, address) => {
+    if (normalize(area.state) !== normalize(address.state)) return 0;
+    if (area.pincodes?.length) return area.pincodes.includes(String(address.pincode).trim()) ? 3 : 0;
+    if (area.city) return normalize(area.city) === normalize(address.city) ? 2 : 0;
+    return 1;
+};
+
+/**
+ * Active partner serving an address
+ * @param {Object} address - Booking address with state, city and pincode
+ * @returns {Promise<Object|null>} The partner covering it most closely, the oldest on a tie
+ */
+export const findPartnerForAddress = async (address) => {
+    if (!address?.state) return null;
+
+    const partners = await Partner.find({ isActive: true, 'serviceAreas.0': { $exists: true } })
+        .select('name serviceAreas createdAt')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    let best = null;
+    let bestCoverage = 0;
+    for (const partner of partners) {
+        const score = Math.max(...partner.serviceAreas.map((area) => coverage(area, address)));
+        if (score > bestCoverage) {
+            best = partner;
+            bestCoverage = score;
+        }
+    }
+    return best;
+};
+
+/**
+ * Check and tidy service areas
+ * @param {Object[]} areas - [{ state, city, pincodes }]
+ * @returns {Object[]}
+ * @throws {ApiError} 400 when an area has no state or a pincode is invalid
+ */
+export const parseServiceAreas = (areas) => {
+    if (!Array.isArray(areas)) {
+        throw new ApiError(400, 'Service areas must be a list');
+    }
+
+    return areas.map((area) => {
+        if (!area?.state?.toString().trim()) {
+            throw new ApiError(400, 'Every service area needs a state');
+        }
+        const pincodes = [].concat(area.pincodes || []).map((pincode) => String(pincode).trim()).filter(Boolean);
+        const invalid = pincodes.find((pincode) => !/^\d{6}$/.test(pincode));
+        if (invalid) {
+            throw new ApiError(400, `Invalid pincode ${invalid}`);
+        }
+        return { state: area.state.toString().trim(), city: area.city?.toString().trim() || undefined, pincodes };
+    });
+};
+
+/**
+ * Set the commission terms for every technician of a partner
+ * Kept as the partner's commission rule for all categories; category rules for the partner still apply first.
+ * @param {Object} partner - Partner document
+ * @param {Object} terms - Any of serviceSharePercent, partsMarginSharePercent, completionIncentive, lateArrivalPenalty
+ * @param {Object} [actor] - User setting them
+ * @returns {Promise<Object>} The commission rule
+ */
+export const setPartnerCommission = async (partner, terms, actor = null) => {
+    const update = Object.fromEntries(
+        COMMISSION_FIELDS.filter((field) => terms?.[field] !== undefined).map((field) => [field, terms[field]])
+    );
+    if (!Object.keys(update).length) {
+        throw new ApiError(400, `Commission terms need one of ${COMMISSION_FIELDS.join(', ')}`);
+    }
+
+    const rule = await CommissionRule.findOne({ partner: partner._id, category: null });
+    if (rule) {
+        rule.set({ ...update, isActive: true });
+        return rule.save();
+    }
+    if (update.serviceSharePercent === undefined) {
+        throw new ApiError(400, 'Service share percent is required');
+    }
+    return CommissionRule.create({
+        ...update,
+        partner: partner._id,
+        category: null,
+        notes: `Terms for ${partner.name}`,
+        createdBy: actor?._id || null
+    });
+};
+
+/**
+ * Ids of a partner's technicians
+ * @param {string|Object} partnerId
+ * @returns {Promise<Object[]>}
+ */
+export const getPartnerTechnicianIds = (partnerId) =>
+    Technician.find({ partner: partnerId }).distinct('_id');
+
+/**
+ * Bookings of a partner: routed to it or served by its technicians
+ * @param {string|Object} partnerId
+ * @param {Object[]} technicianIds - Result of getPartnerTechnicianIds
+ * @returns {Object} Booking query
+ */
+export const partnerBookingsQuery = (partnerId, technicianIds) => ({
+    $or: [
+        { partner: toObjectId(partnerId) },
+        { assigned_technician: { $in: technicianIds.map(toObjectId) } }
+    ]
+});
+
+/**
+ * What a partner's bookings brought in and what its technicians earned in a period
+ * @param {Object} partner - Partner document
+ * @param {Object} [period] - { from, to }
+ * @returns {Promise<Object>} { revenue, completedBookings, technicianEarnings, technicians: [...] }
+ */
+export const getPartnerEarnings = async (partner, { from, to } = {}) => {
+    const technicianIds = await getPartnerTechnicianIds(partner._id);
+
+    const completed = { status: 'completed' };
+    if (from || to) {
+        completed.completedAt = {};
+        if (from) completed.completedAt.$gte = new Date(from);
+        if (to) completed.completedAt.$lte = new Date(to);
+    }
+
+    const [bookingTotals, earnings, technicians] = await Promise.all([
+        Booking.aggregate([
+            { $match: { ...partnerBookingsQuery(partner._id, technicianIds), ...completed } },
+            {
+                $group: {
+                    _id: '$assigned_technician',
+                    revenue: { $sum: '$finalAmount' },
+                    bookings: { $sum: 1 }
+                }
+            }
+        ]),
+        technicianIds.length ? getEarningsTotals(technicianIds, { from, to }) : new Map(),
+        Technician.find({ _id: { $in: technicianIds } }).select('name phone averageRating').lean()
+    ]);
+
+    const perTechnician = new Map(bookingTotals.map((item) => [item._id?.toString(), item]));
+
+    return {
+        revenue: roundAmount(bookingTotals.reduce((sum, item) => sum + (item.revenue || 0), 0)),
+        completedBookings: bookingTotals.reduce((sum, item) => sum + item.bookings, 0),
+        technicianEarnings: roundAmount([...earnings.values()].reduce((sum, amount) => sum + amount, 0)),
+        technicians: technicians.map((technician) => {
+            const totals = perTechnician.get(technician._id.toString());
+            return {
+                technician,
+                completedBookings: totals?.bookings || 0,
+                revenue: roundAmount(totals?.revenue || 0),
+                earnings: earnings.get(technician._id.toString()) || 0
+            };
+        }).sort((a, b) => b.revenue - a.revenue)
+    };
+};
+
+/**
+ * Customer ratings of a partner's technicians
+ * @param {Object} partner - Partner document
+ * @param {Object} [options] - { page, limit } for the reviews
+ * @returns {Promise<Object>} { averageRating, totalRatings, technicians, reviews, pagination }
+ */
+export const getPartnerRatings = async (partner, { page = 1, limit = 20 } = {}) => {
+    const technicianIds = await getPartnerTechnicianIds(partner._id);
+    const match = {
+        assigned_technician: { $in: technicianIds.map(toObjectId) },
+        status: 'completed',
+        rating: { $gte: 1 }
+    };
+
+    const [perTechnician, reviews, total] = await Promise.all([
+        Booking.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$assigned_technician',
+                    averageRating: { $avg: '$rating' },
+                    totalRatings: { $sum: 1 }
+                }
+            },
+            {
+                $lookup: {
+                    from: 'users',
+                    localField: '_id',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { name: 1, phone: 1 } }],
+                    as: 'technician'
+                }
+            },
+            { $unwind: '$technician' },
+            { $sort: { averageRating: -1, totalRatings: -1 } }
+        ]),
+        Booking.find(match)
+            .select('bookingId rating review reviewDate assigned_technician')
+            .populate('assigned_technician', 'name')
+            .sort({ reviewDate: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Booking.countDocuments(match)
+    ]);
+
+    const ratingSum = perTechnician.reduce((sum, item) => sum + item.averageRating * item.totalRatings, 0);
+
+    return {
+        averageRating: total ? parseFloat((ratingSum / total).toFixed(1)) : 0,
+        totalRatings: total,
+        technicians: perTechnician.map((item) => ({
+            technician: item.technician,
+            averageRating: parseFloat(item.averageRating.toFixed(1)),
+            totalRatings: item.totalRatings
+        })),
+        reviews,
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
@@ -0,0 +1,683 @@
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import { Booking } from '../models/Booking.model.js';
+import { Payment } from '../models/Payment.model.js';
+import { Refund } from '../models/Refund.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { notify } from './notification.service.js';
+import { getPaymentProvider } from './paymentProviders.service.js';
+import { roundAmount } from './pricing.service.js';
+import { creditWallet, debitWallet } from './wallet.service.js';
+
+/**
+ * Booking payments
+ *
+ * Customers pay a booking in two parts: the advance when booking and the
+ * balance once the service is completed. Each attempt is a `Payment` with a
+ * provider order. The provider's signed webhook moves the payment to
+ * authorized, captured or failed and, on capture, marks the advance or the
+ * booking as paid. Webhook events are recorded on the payment once they have
+ * been applied, so provider retries are harmless and a retry after a failure
+ * is applied again. Only the latest order of a booking, subscription or
+ * contract can be paid: opening one for a new amount expires the older ones.
+ * An authorization or capture for a different amount or currency than the
+ * order, or for an expired order, is recorded as a mismatch and never
+ * applied.
+ *
+ * Customers can also pay from their wallet balance. A wallet payment is a
+ * `Payment` with the `wallet` provider that is captured straight away, in the
+ * same transaction as the wallet debit and the booking update. Cash the
+ * technician collects at the door is a captured `cash` payment for the
+ * balance (see cashCollection.service).
+ *
+ * Subscription and maintenance contract payments use the same orders and
+ * webhook. They are not tied to a booking; `paymentEvents` emits 'captured'
+ * and 'failed' with the payment so their services can apply them. Visits of
+ * a prepaid contract carry a captured `contract` payment for their share.
+ *
+ * Refunds are taken from the captured payments of a booking, balance first,
+ * and recorded as `Refund` documents. A refund the provider settles later is
+ * confirmed by its refund webhook. Wallet payments, prepaid contract visits
+ * and cash are refunded to the wallet.
+ */
+
+// Status a payment may move to from each status, captured and failed are final
+const PAYMENT_TRANSITIONS = {
+    created: ['authorized', 'captured', 'failed'],
+    authorized: ['captured', 'failed'],
+    captured: [],
+    failed: [],
+    expired: []
+};
+
+const allowedFrom = (status) =>
+    Object.keys(PAYMENT_TRANSITIONS).filter((from) => PAYMENT_TRANSITIONS[from].includes(status));
+
+// Whether a provider event is for exactly the amount and currency of the order
+const matchesOrder = (payment, event) =>
+    roundAmount(event.amount) === roundAmount(payment.amount) && event.currency === payment.currency;
+
+export const paymentEvents = new EventEmitter();
+
+/**
+ * Total captured for a booking
+ * @param {string|Object} bookingId
+ * @param {Object} [options] - { purpose: only count advance or balance payments, session }
+ * @returns {Promise<number>}
+ */
+export const getAmountPaid = async (bookingId, { purpose, session = null } = {}) => {
+    const [result] = await Payment.aggregate([
+        { $match: { booking: bookingId, status: 'captured', ...(purpose && { purpose }) } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session);
+    return roundAmount(result?.total || 0);
+};
+
+/**
+ * Amount the customer owes for an advance or balance payment
+ * @param {Object} booking - Booking document
+ * @param {string} purpose - 'advance' | 'balance'
+ * @param {Object} [session] - Transaction to read in
+ * @returns {Promise<number>}
+ * @throws {ApiError} 409 when nothing is due for that purpose
+ */
+const getAmountDue = async (booking, purpose, session = null) => {
+    if (booking.status === 'cancelled') {
+        throw new ApiError(409, 'Cancelled bookings cannot be paid');
+    }
+
+    if (purpose === 'advance') {
+        const advance = booking.payment?.advancePayment;
+        if (advance?.status === 'paid') {
+            throw new ApiError(409, 'The advance for this booking has already been paid');
+        }
+        if (!(advance?.amount > 0)) {
+            throw new ApiError(409, 'This booking has no advance to pay');
+        }
+        // Part of the advance may already have been paid from the wallet
+        const due = roundAmount(advance.amount - await getAmountPaid(booking._id, { purpose, session }));
+        if (due <= 0) {
+            throw new ApiError(409, 'The advance for this booking has already been paid');
+        }
+        return due;
+    }
+
+    if (booking.status !== 'completed') {
+        throw new ApiError(409, 'The balance can be paid once the service is completed');
+    }
+    const due = roundAmount((booking.finalAmount || 0) - await getAmountPaid(booking._id, { session }));
+    if (due <= 0) {
+        throw new ApiError(409, 'Nothing is due for this booking');
+    }
+    return due;
+};
+
+// Provider order for a payment, or the unpaid one already open for the same fields.
+// Other unpaid orders for the same booking, subscription or contract are expired.
+const openProviderOrder = async (fields, { receipt, notes }) => {
+    const provider = getPaymentProvider();
+    const { amount, plan, billingReason, ...subject } = fields;
+
+    const open = await Payment.find({ ...subject, provider: provider.name, status: 'created' })
+        .sort({ createdAt: -1 });
+    const current = open.find((payment) =>
+        Object.entries(fields).every(([key, value]) => String(payment[key] ?? '') === String(value ?? '')));
+    if (current) {
+        return { payment: current, checkout: current.checkout };
+    }
+
+    // An order opened for an amount that is no longer due must not be paid any more
+    if (open.length) {
+        await Payment.updateMany(
+            { _id: { $in: open.map((payment) => payment._id) }, status: 'created' },
+            { $set: { status: 'expired', expiredAt: new Date() } }
+        );
+    }
+
+    const currency = 'INR';
+    const { orderId, checkout } = await provider.createOrder({ amount, currency, receipt, notes });
+
+    const payment = await Payment.create({
+        ...fields,
+        provider: provider.name,
+        providerOrderId: orderId,
+        currency,
+        checkout
+    });
+
+    return { payment, checkout };
+};
+
+/**
+ * Create a provider order for the advance or the balance of a booking
+ * An unpaid order for the same amount is handed out again instead of creating another;
+ * one for another amount, e.g. before part of it was paid from the wallet, is expired.
+ * @param {Object} booking - Booking document
+ * @param {string} purpose - 'advance' | 'balance'
+ * @returns {Promise<Object>} { payment, checkout } where checkout is passed to the provider's client SDK
+ * @throws {ApiError} 400 for unknown purposes, 409 when nothing is due
+ */
+export const createPaymentOrder = async (booking, purpose) => {
+    if (!['advance', 'balance'].includes(purpose)) {
+        throw new ApiError(400, 'Payment purpose must be advance or balance');
+    }
+
+    const amount = await getAmountDue(booking, purpose);
+
+    return openProviderOrder(
+        { booking: booking._id, user: booking.user?._id ?? booking.user, purpose, amount },
+        {
+            receipt: `${booking.bookingId}-${purpose}`,
+            notes: { bookingId: booking.bookingId, purpose }
+        }
+    );
+};
+
+/**
+ * Create a provider order for a subscription plan change or renewal
+ * @param {Object} subscription - Subscription document
+ * @param {Object} order - { amount, plan: plan code, billingReason: 'plan_change'|'renewal' }
+ * @returns {Promise<Object>} { payment, checkout }
+ */
+export const createSubscriptionPaymentOrder = (subscription, { amount, plan, billingReason }) =>
+    openProviderOrder(
+        {
+            subscription: subscription._id,
+            user: subscription.user?._id ?? subscription.user,
+            purpose: 'subscription',
+            plan,
+            billingReason,
+            amount: roundAmount(amount)
+        },
+        {
+            receipt: `${subscription.subscriptionId}-${billingReason}`.slice(0, 40),
+            notes: { subscriptionId: subscription.subscriptionId, plan, billingReason }
+        }
+    );
+
+/**
+ * Create a provider order for a maintenance contract paid upfront
+ * @param {Object} contract - MaintenanceContract document
+ * @returns {Promise<Object>} { payment, checkout }
+ */
+export const createContractPaymentOrder = (contract) =>
+    openProviderOrder(
+        {
+            maintenanceContract: contract._id,
+            user: contract.user?._id ?? contract.user,
+            purpose: 'maintenance_contract',
+            amount: roundAmount(contract.billing.amount)
+        },
+        {
+            receipt: contract.contractNumber,
+            notes: { contractNumber: contract.contractNumber }
+        }
+    );
+
+/**
+ * Record the share of a prepaid contract that pays for one of its visits
+ * @param {Object} booking - Booking generated for the visit
+ * @param {Object} contract - MaintenanceContract document
+ * @param {Object} visit - The contract visit
+ * @returns {Promise<Object>} Captured payment
+ */
+export const recordPrepaidPayment = (booking, contract, visit) => {
+    const reference = `${contract.contractNumber}-V${visit.sequence}`;
+
+    return Payment.create({
+        booking: booking._id,
+        user: booking.user?._id ?? booking.user,
+        purpose: 'balance',
+        maintenanceContract: contract._id,
+        provider: 'contract',
+        providerOrderId: reference,
+        providerPaymentId: reference,
+        amount: roundAmount(booking.finalAmount || 0),
+        status: 'captured',
+        method: contract.billing.method,
+        capturedAt: new Date()
+    });
+};
+
+/**
+ * Take a payment from the customer's wallet, captured right away
+ * Runs in the caller's transaction so the debit commits with whatever the payment is for.
+ * @param {Object} fields - Payment fields: { user, purpose, amount, booking | subscription, plan, billingReason }
+ * @param {Object} options - { session, description, actor }
+ * @returns {Promise<Object>} { payment, wallet, transaction }
+ * @throws {ApiError} 409 when the balance is too low
+ */
+export const recordWalletPayment = async (fields, { session, description, actor }) => {
+    const { wallet, transaction } = await debitWallet(fields.user, fields.amount, {
+        category: fields.purpose === 'subscription' ? 'subscription_payment' : 'booking_payment',
+        booking: fields.booking,
+        description,
+        createdBy: actor?._id,
+        session
+    });
+
+    const [payment] = await Payment.create([{
+        ...fields,
+        provider: 'wallet',
+        providerOrderId: transaction.transactionId,
+        providerPaymentId: transaction.transactionId,
+        status: 'captured',
+        method: 'wallet',
+        capturedAt: new Date()
+    }], { session });
+
+    return { payment, wallet, transaction };
+};
+
+/**
+ * Record cash collected for the balance of a completed booking, captured right away
+ * Runs in the caller's transaction so the payment commits with the collection it belongs to.
+ * @param {Object} booking - Completed booking document
+ * @param {Object} options - { amount: defaults to everything due, session }
+ * @returns {Promise<Object>} Captured payment
+ * @throws {ApiError} 400 for invalid amounts, 409 when nothing is due
+ */
+export const recordCashPayment = async (booking, { amount, session }) => {
+    const due = await getAmountDue(booking, 'balance', session);
+    const charge = amount == null ? due : roundAmount(Number(amount));
+    if (!(charge > 0)) {
+        throw new ApiError(400, 'Amount must be greater than zero');
+    }
+    if (charge > due) {
+        throw new ApiError(400, `Only Rs. ${due.toFixed(2)} is due for this booking`);
+    }
+
+    // One cash payment per booking, the provider order index rejects a second
+    const reference = `cash_${booking.bookingId || booking._id}`;
+    const [payment] = await Payment.create([{
+        booking: booking._id,
+        user: booking.user?._id ?? booking.user,
+        purpose: 'balance',
+        provider: 'cash',
+        providerOrderId: reference,
+        providerPaymentId: reference,
+        amount: charge,
+        status: 'captured',
+        method: 'cash',
+        capturedAt: new Date()
+    }], { session });
+
+    await markBookingPaid(booking, payment, session);
+    return payment;
+};
+
+// Record a captured payment on its booking
+const markBookingPaid = async (booking, payment, session = null) => {
+    const update = payment.purpose === 'advance'
+        ? {
+            'payment.advancePayment.transactionId': payment.providerPaymentId,
+            'payment.advancePayment.paymentDate': payment.capturedAt
+        }
+        : {
+            'payment.transactionId': payment.providerPaymentId,
+            'payment.paymentDate': payment.capturedAt
+        };
+
+    const advancePaid = await getAmountPaid(booking._id, { purpose: 'advance', session });
+    if (advancePaid >= roundAmount(booking.payment?.advancePayment?.amount || 0)) {
+        update['payment.advancePayment.status'] = 'paid';
+    }
+
+    // The booking is settled once everything billed has been captured
+    if (await getAmountPaid(booking._id, { session }) >= roundAmount(booking.finalAmount || 0)) {
+        update['payment.status'] = 'completed';
+    }
+
+    await Booking.updateOne({ _id: booking._id }, { $set: update }, { session });
+};
+
+/**
+ * Reflect a captured or failed payment on its booking
+ */
+const applyToBooking = async (payment) => {
+    const booking = await Booking.findById(payment.booking).select('bookingId user status finalAmount payment');
+    if (!booking) return;
+
+    if (payment.status === 'failed') {
+        if (payment.purpose === 'balance' && booking.payment?.status !== 'completed') {
+            await Booking.updateOne({ _id: booking._id }, { $set: { 'payment.status': 'failed' } });
+        }
+        notify(booking.user, 'payment.failed', { booking, payment });
+        return;
+    }
+
+    await markBookingPaid(booking, payment);
+    notify(booking.user, 'payment.captured', { booking, payment });
+
+    // Paid after the booking was cancelled, so none of it is owed
+    if (booking.status === 'cancelled') {
+        await refundBookingPayments(booking, payment.amount - payment.amountRefunded, {
+            reason: 'Payment received after the booking was cancelled'
+        });
+    }
+};
+
+/**
+ * Pay the advance or the balance of a booking, fully or in part, from the customer's wallet
+ * The wallet debit, the payment and the booking update are committed together.
+ * @param {Object} booking - Booking document
+ * @param {Object} options - { purpose: 'advance'|'balance', amount: defaults to everything due, actor }
+ * @returns {Promise<Object>} { payment, wallet, transaction }
+ * @throws {ApiError} 400 for invalid purposes or amounts, 409 when nothing is due or the balance is too low
+ */
+export const payBookingFromWallet = async (booking, { purpose, amount, actor } = {}) => {
+    if (!['advance', 'balance'].includes(purpose)) {
+        throw new ApiError(400, 'Payment purpose must be advance or balance');
+    }
+
+    const userId = booking.user?._id ?? booking.user;
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+        session.startTransaction();
+
+        const due = await getAmountDue(booking, purpose, session);
+        const charge = amount == null ? due : roundAmount(Number(amount));
+        if (!(charge > 0)) {
+            throw new ApiError(400, 'Amount must be greater than zero');
+        }
+        if (charge > due) {
+            throw new ApiError(400, `Only Rs. ${due.toFixed(2)} is due for the ${purpose} of this booking`);
+        }
+
+        const { payment, wallet, transaction } = await recordWalletPayment(
+            { booking: booking._id, user: userId, purpose, amount: charge },
+            {
+                session,
+                description: `${purpose === 'advance' ? 'Advance' : 'Payment'} for booking ${booking.bookingId}`,
+                actor
+            }
+        );
+
+        // Writing the booking also makes concurrent payments for it conflict
+        await markBookingPaid(booking, payment, session);
+        await session.commitTransaction();
+        result = { payment, wallet, transaction };
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+
+    notify(booking.user, 'payment.captured', { booking, payment: result.payment });
+    return result;
+};
+
+/**
+ * Total refunded or being refunded for a booking
+ * @param {string|Object} bookingId
+ * @returns {Promise<number>}
+ */
+export const getAmountRefunded = async (bookingId) => {
+    const [result] = await Payment.aggregate([
+        { $match: { booking: bookingId, status: 'captured' } },
+        { $group: { _id: null, total: { $sum: '$amountRefunded' } } }
+    ]);
+    return roundAmount(result?.total || 0);
+};
+
+// Booking payment status once refunds have gone out
+const updateRefundStatus = async (bookingId) => {
+    const [paid, refunded] = await Promise.all([getAmountPaid(bookingId), getAmountRefunded(bookingId)]);
+    if (refunded <= 0) return;
+
+    await Booking.updateOne(
+        { _id: bookingId },
+        { $set: { 'payment.status': refunded >= paid ? 'refunded' : 'partially_refunded' } }
+    );
+};
+
+// Wallet payments, prepaid contract visits and cash go back to the wallet, settled right away
+const WALLET_REFUND_PROVIDERS = ['wallet', 'contract', 'cash'];
+
+const refundToWallet = async (booking, payment, amount, { reason, initiatedBy }) => {
+    const { transaction } = await creditWallet(payment.user, amount, {
+        category: 'refund',
+        booking: booking._id,
+        description: reason || `Refund for booking ${booking.bookingId}`,
+        createdBy: initiatedBy
+    });
+    return { refundId: transaction.transactionId, status: 'processed' };
+};
+
+/**
+ * Refund part of what was paid for a booking through the provider or to the wallet
+ * The amount is taken from captured payments, balance payments first, newest first.
+ * @param {Object} booking - Booking document
+ * @param {number} amount - Amount to refund
+ * @param {Object} [options] - { reason, initiatedBy }
+ * @returns {Promise<Object[]>} Refund documents, failed ones included
+ * @throws {ApiError} 400 for invalid amounts, 409 when more than the refundable amount is asked for
+ */
+export const refundBookingPayments = async (booking, amount, { reason, initiatedBy = null } = {}) => {
+    amount = roundAmount(Number(amount));
+    if (!(amount > 0)) {
+        throw new ApiError(400, 'Refund amount must be greater than zero');
+    }
+
+    const payments = await Payment.find({ booking: booking._id, status: 'captured' }).sort({ createdAt: -1 });
+    payments.sort((a, b) => (a.purpose === b.purpose ? 0 : a.purpose === 'balance' ? -1 : 1));
+
+    const refundable = roundAmount(payments.reduce((sum, payment) => sum + payment.amount - payment.amountRefunded, 0));
+    if (amount > refundable) {
+        throw new ApiError(409, `Only Rs. ${refundable.toFixed(2)} can be refunded for this booking`);
+    }
+
+    const provider = getPaymentProvider();
+    const refunds = [];
+    let remaining = amount;
+
+    for (const payment of payments) {
+        if (remaining <= 0) break;
+        const share = roundAmount(Math.min(remaining, payment.amount - payment.amountRefunded));
+        if (share <= 0) continue;
+
+        // Reserve the amount so concurrent refunds cannot exceed the payment
+        const reserved = await Payment.findOneAndUpdate(
+            { _id: payment._id, $expr: { $lte: [{ $add: ['$amountRefunded', share] }, '$amount'] } },
+            { $inc: { amountRefunded: share } },
+            { new: true }
+        );
+        if (!reserved) continue;
+
+        const refund = new Refund({
+            booking: booking._id,
+            user: payment.user,
+            payment: payment._id,
+            purpose: payment.purpose,
+            provider: payment.provider,
+            amount: share,
+            currency: payment.currency,
+            reason,
+            initiatedBy
+        });
+
+        try {
+            const result = WALLET_REFUND_PROVIDERS.includes(payment.provider)
+                ? await refundToWallet(booking, payment, share, { reason, initiatedBy })
+                : await provider.refundPayment({
+                    paymentId: payment.providerPaymentId,
+                    amount: share,
+                    notes: { bookingId: booking.bookingId, reason }
+                });
+            refund.providerRefundId = result.refundId;
+            refund.status = result.status;
+            if (result.status === 'processed') refund.processedAt = new Date();
+            remaining = roundAmount(remaining - share);
+        } catch (error) {
+            await Payment.updateOne({ _id: payment._id }, { $inc: { amountRefunded: -share } });
+            refund.status = 'failed';
+            refund.error = error.message;
+            console.error(`Refund of payment ${payment._id} failed:`, error);
+        }
+
+        await refund.save();
+        refunds.push(refund);
+    }
+
+    await updateRefundStatus(booking._id);
+
+    const issued = roundAmount(amount - remaining);
+    if (issued > 0) {
+        notify(booking.user, 'refund.issued', { booking, amount: issued, reason });
+    }
+
+    return refunds;
+};
+
+// Provider confirmation or failure of a refund that was pending
+const applyRefundEvent = async (provider, event) => {
+    const refund = await Refund.findOneAndUpdate(
+        { provider: provider.name, providerRefundId: event.refundId, status: 'pending' },
+        {
+            $set: {
+                status: event.refundStatus,
+                ...(event.refundStatus === 'processed' && { processedAt: new Date() }),
+                ...(event.refundStatus === 'failed' && { error: 'Refund failed at the payment provider' })
+            }
+        },
+        { new: true }
+    );
+    if (!refund) {
+        return { status: 'duplicate' };
+    }
+
+    if (refund.status === 'failed') {
+        await Payment.updateOne({ _id: refund.payment }, { $inc: { amountRefunded: -refund.amount } });
+        await updateRefundStatus(refund.booking);
+    }
+
+    return { status: 'applied', refund };
+};
+
+/**
+ * Process a provider webhook
+ * @param {Buffer|string} rawBody - Request body exactly as received, for the signature
+ * @param {Object} headers - Request headers
+ * @param {Object} body - Parsed request body
+ * @returns {Promise<Object>} { status: 'applied'|'duplicate'|'ignored'|'rejected', payment }
+ * @throws {ApiError} 401 when the signature does not match
+ */
+export const handlePaymentWebhook = async (rawBody, headers, body) => {
+    const provider = getPaymentProvider();
+    if (!provider.verifyWebhook(rawBody, headers)) {
+        throw new ApiError(401, 'Invalid webhook signature');
+    }
+
+    const event = provider.parseWebhook(body, headers);
+    if (event.refundStatus) {
+        return applyRefundEvent(provider, event);
+    }
+    if (!event.status || !event.orderId) {
+        return { status: 'ignored' };
+    }
+
+    const payment = await Payment.findOne({ provider: provider.name, providerOrderId: event.orderId });
+    if (!payment) {
+        console.warn(`Payment webhook for unknown order ${event.orderId} ignored`);
+        return { status: 'ignored' };
+    }
+    if (payment.events.some((recorded) => recorded.eventId === event.eventId)) {
+        return { status: 'duplicate' };
+    }
+
+    // The event is recorded once it has been handled, so a retry after a failure is handled again
+    const recordEvent = (update = {}) => Payment.updateOne(
+        { _id: payment._id, 'events.eventId': { $ne: event.eventId } },
+        {
+            ...update,
+            $push: {
+                events: {
+                    eventId: event.eventId,
+                    type: event.type,
+                    status: event.status,
+                    providerPaymentId: event.paymentId,
+                    payload: body
+                }
+            }
+        }
+    );
+
+    const now = new Date();
+
+    // Money taken for anything other than the order, or for an order replaced by a newer one, is held for review
+    if (['authorized', 'captured'].includes(event.status)
+        && (payment.status === 'expired' || !matchesOrder(payment, event))) {
+        const reason = payment.status === 'expired' ? 'Order had been replaced' : 'Amount or currency differs from the order';
+        await recordEvent({
+            $set: { mismatch: { eventId: event.eventId, amount: event.amount, currency: event.currency, reason, detectedAt: now } }
+        });
+        console.error(`Payment ${payment._id} ${event.status} for ${event.currency} ${event.amount}, not applied: ${reason}`);
+        return { status: 'rejected', payment };
+    }
+
+    let updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: allowedFrom(event.status) } },
+        {
+            $set: {
+                status: event.status,
+                providerPaymentId: event.paymentId || payment.providerPaymentId,
+                method: event.method || payment.method,
+                ...(event.status === 'captured' && { capturedAt: now }),
+                ...(event.status === 'failed' && { failedAt: now, failureReason: event.failureReason })
+            }
+        },
+        { new: true }
+    );
+    // An earlier delivery moved the payment but failed before the rest was done
+    if (!updated && payment.status === event.status
+        && !payment.events.some((recorded) => recorded.status === event.status)) {
+        updated = payment;
+    }
+    // Out of order or late events do not move a payment backwards
+    if (!updated) {
+        await recordEvent();
+        return { status: 'ignored', payment };
+    }
+
+    if (updated.status === 'authorized') {
+        // Manual capture; the provider confirms with a payment.captured webhook
+        await provider.capturePayment({
+            paymentId: updated.providerPaymentId,
+            amount: updated.amount,
+            currency: updated.currency
+        });
+    } else {
+        if (updated.booking) {
+            await applyToBooking(updated);
+        }
+        paymentEvents.emit(updated.status, updated);
+    }
+
+    await recordEvent();
+    return { status: 'applied', payment: updated };
+};
+
+/**
+ * Complete or fail an order through a signed webhook from the fake provider
+ * @param {Object} payment - Payment document
+ * @param {string} status - 'captured' | 'failed'
+ * @returns {Promise<Object>} Webhook processing result
+ * @throws {ApiError} 404 when another provider is configured
+ */
+export const simulateFakePayment = async (payment, status = 'captured') => {
+    const provider = getPaymentProvider();
+    if (provider.name !== 'fake' || payment.provider !== 'fake') {
+        throw new ApiError(404, 'Payment simulation is only available with the fake provider');
+    }
+
+    const { rawBody, headers } = provider.buildWebhook({
+        orderId: payment.providerOrderId,
+        amount: payment.amount,
+        currency: payment.currency,
+        status
+    });
+    return handlePaymentWebhook(rawBody, headers, JSON.parse(rawBody));
+};
@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+
+/**
+ * Payment provider adapters
+ *
+ * Providers follow the Razorpay flow: the server creates an order, the
+ * customer pays it in the provider's checkout, the payment is captured and the
+ * provider reports the outcome to our webhook. `razorpay` talks to the real
+ * API; `fake` keeps orders local and lets a signed webhook be generated for
+ * an order, for development and tests. The provider is picked with
+ * `PAYMENT_PROVIDER` and defaults to `fake` outside production. Production
+ * must name a real provider and its webhook secret; `assertPaymentConfig`
+ * refuses to start otherwise.
+ *
+ * Adapters expose:
+ * - `createOrder({ amount, currency, receipt, notes })` → `{ orderId, checkout }`
+ * - `capturePayment({ paymentId, amount, currency })`
+ * - `refundPayment({ paymentId, amount, notes })` → `{ refundId, status: 'pending'|'processed' }`
+ * - `verifyWebhook(rawBody, headers)` → boolean
+ * - `parseWebhook(body, headers)` → `{ eventId, type, status, orderId, paymentId, amount, currency,
+ *   method, failureReason, refundId, refundStatus }`
+ */
+
+const RAZORPAY_API = 'https://api.razorpay.com/v1';
+
+// Provider amounts are in paise
+const toPaise = (amount) => Math.round(amount * 100);
+const fromPaise = (amount) => (amount || 0) / 100;
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(a || '');
+    const right = Buffer.from(b || '');
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const WEBHOOK_STATUSES = {
+    'payment.authorized': 'authorized',
+    'payment.captured': 'captured',
+    'order.paid': 'captured',
+    'payment.failed': 'failed'
+};
+
+const REFUND_STATUSES = {
+    'refund.processed': 'processed',
+    'refund.failed': 'failed'
+};
+
+// Razorpay webhook payloads, also produced by the fake provider
+const parseRazorpayWebhook = (body, headers) => {
+    const payment = body?.payload?.payment?.entity || {};
+    const order = body?.payload?.order?.entity || {};
+    const refund = body?.payload?.refund?.entity || {};
+
+    return {
+        eventId: headers['x-razorpay-event-id'] || `${body?.event}:${refund.id || payment.id || order.id}`,
+        type: body?.event,
+        status: WEBHOOK_STATUSES[body?.event] || null,
+        orderId: payment.order_id || order.id,
+        paymentId: payment.id,
+        amount: fromPaise(payment.amount ?? order.amount_paid),
+        currency: payment.currency || order.currency || null,
+        method: payment.method,
+        failureReason: payment.error_description,
+        refundId: refund.id,
+        refundStatus: REFUND_STATUSES[body?.event] || null
+    };
+};
+
+const createRazorpayProvider = () => {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+    const request = async (path, body) => {
+        const response = await fetch(`${RAZORPAY_API}${path}`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`Razorpay ${path} failed with status ${response.status}: ${await response.text()}`);
+        }
+        return response.json();
+    };
+
+    return {
+        name: 'razorpay',
+        createOrder: async ({ amount, currency, receipt, notes }) => {
+            const order = await request('/orders', { amount: toPaise(amount), currency, receipt, notes });
+            return {
+                orderId: order.id,
+                checkout: { key: keyId, orderId: order.id, amount: order.amount, currency: order.currency }
+            };
+        },
+        capturePayment: ({ paymentId, amount, currency }) =>
+            request(`/payments/${paymentId}/capture`, { amount: toPaise(amount), currency }),
+        refundPayment: async ({ paymentId, amount, notes }) => {
+            const refund = await request(`/payments/${paymentId}/refund`, { amount: toPaise(amount), notes });
+            return { refundId: refund.id, status: refund.status === 'processed' ? 'processed' : 'pending' };
+        },
+        verifyWebhook: (rawBody, headers) =>
+            Boolean(webhookSecret && rawBody) && safeEqual(sign(rawBody, webhookSecret), headers['x-razorpay-signature']),
+        parseWebhook: parseRazorpayWebhook
+    };
+};
+
+const createFakeProvider = () => {
+    // Without a configured secret only webhooks built by this process verify
+    const webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+
+    return {
+        name: 'fake',
+        createOrder: async ({ amount, currency }) => {
+            const orderId = `order_fake_${crypto.randomBytes(8).toString('hex')}`;
+            return { orderId, checkout: { orderId, amount: toPaise(amount), currency } };
+        },
+        capturePayment: async ({ paymentId }) => ({ id: paymentId, status: 'captured' }),
+        // Fake refunds settle immediately
+        refundPayment: async () => ({ refundId: `rfnd_fake_${crypto.randomBytes(8).toString('hex')}`, status: 'processed' }),
+        verifyWebhook: (rawBody, headers) =>
+            Boolean(rawBody) && safeEqual(sign(rawBody, webhookSecret), headers['x-razorpay-signature']),
+        parseWebhook: parseRazorpayWebhook,
+        /**
+         * Signed webhook request for an order, as the provider would send it
+         * @param {Object} input - { orderId, amount, currency, status: 'captured'|'failed', method }
+         * @returns {Object} { rawBody, headers }
+         */
+        buildWebhook: ({ orderId, amount, currency = 'INR', status = 'captured', method = 'upi' }) => {
+            const paymentId = `pay_fake_${crypto.randomBytes(8).toString('hex')}`;
+            const rawBody = JSON.stringify({
+                event: status === 'failed' ? 'payment.failed' : 'payment.captured',
+                payload: {
+                    payment: {
+                        entity: {
+                            id: paymentId,
+                            order_id: orderId,
+                            amount: toPaise(amount),
+                            currency,
+                            method,
+                            status,
+                            ...(status === 'failed' && { error_description: 'Payment declined by the fake provider' })
+                        }
+                    }
+                }
+            });
+            return {
+                rawBody,
+                headers: {
+                    'x-razorpay-signature': sign(rawBody, webhookSecret),
+                    'x-razorpay-event-id': `evt_fake_${crypto.randomBytes(8).toString('hex')}`
+                }
+            };
+        }
+    };
+};
+
+const PROVIDERS = {
+    razorpay: createRazorpayProvider,
+    fake: createFakeProvider
+};
+
+// Settings each provider needs in production
+const REQUIRED_SETTINGS = {
+    razorpay: ['RAZORPAY_KEY_ID', 'RAZORPAY_KEY_SECRET', 'RAZORPAY_WEBHOOK_SECRET']
+};
+
+let provider = null;
+
+/**
+ * Check the payment settings, failing closed in production
+ * @returns {string} Name of the configured provider
+ * @throws {Error} For unknown providers; in production also when PAYMENT_PROVIDER or the provider's secrets are missing, or the provider is `fake`
+ */
+export const assertPaymentConfig = () => {
+    const production = process.env.NODE_ENV === 'production';
+    const name = process.env.PAYMENT_PROVIDER || (production ? null : 'fake');
+
+    if (!name) {
+        throw new Error('PAYMENT_PROVIDER must be set in production');
+    }
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    if (production) {
+        if (name === 'fake') {
+            throw new Error('The fake payment provider cannot be used in production');
+        }
+        const missing = REQUIRED_SETTINGS[name].filter((setting) => !process.env[setting]);
+        if (missing.length) {
+            throw new Error(`Payment provider ${name} needs ${missing.join(', ')} in production`);
+        }
+    }
+
+    return name;
+};
+
+/**
+ * Provider configured with PAYMENT_PROVIDER, created on first use
+ * @returns {Object} Provider adapter
+ * @throws {Error} When the payment settings are invalid, see assertPaymentConfig
+ */
+export const getPaymentProvider = () => {
+    if (!provider) {
+        provider = PROVIDERS[assertPaymentConfig()]();
+    }
+
+    return provider;
+};
@@ -0,0 +1,276 @@
+import { PERMISSION_SCOPES, RolePolicy } from '../models/RolePolicy.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { normalizeRole } from './bookingLifecycle.service.js';
+
+/**
+ * Permissions
+ *
+ * Every protected route names the permission it needs (see
+ * permission.middleware). Roles are granted permissions with a scope:
+ *  - own: records the user owns, e.g. their bookings or, for technicians, the bookings they serve
+ *  - partner: records of the partner organization the user belongs to
+ *  - any: every record
+ * The defaults below apply until an admin edits a role's policy, which is then
+ * stored as a `RolePolicy`. Admins always hold every permission so they cannot
+ * lock themselves out. Policies are cached for a short while; edits made on
+ * this node apply at once, other nodes pick them up when their cache expires.
+ */
+
+// How long policies are cached, in seconds
+const CACHE_TTL_MS = (parseInt(process.env.PERMISSION_CACHE_SECONDS, 10) || 60) * 1000;
+
+export const PERMISSIONS = {
+    'account:manage': 'Own profile, addresses, wallet, subscription, notifications and live updates',
+    'booking:create': 'Quote, check slots and place bookings',
+    'booking:read': 'View bookings with their invoice, feedback and technician location',
+    'booking:list': 'List and search every booking',
+    'booking:update': 'Edit booking details',
+    'booking:delete': 'Delete bookings',
+    'booking:status': 'Move bookings through their lifecycle and verify the service OTP',
+    'booking:cancel': 'Cancel and reschedule bookings and recurring series',
+    'booking:assign': 'Assign technicians and rank candidates',
+    'booking:service': 'Arrive, share location, upload photos, add parts, complete and record cash',
+    'booking:review': 'Rate and review completed bookings',
+    'booking:escalations': 'Handle escalated bookings and arrival exceptions',
+    'booking:track': 'View the recorded GPS trail of a booking',
+    'payment:create': 'Pay for bookings',
+    'payment:read': 'View payments and refunds',
+    'payment:refund': 'Issue refunds',
+    'payment:simulate': 'Complete or fail fake provider orders without paying, outside production',
+    'technician:list': 'List technicians',
+    'technician:read': 'View technician profiles',
+    'technician:manage': 'Deactivate and delete technicians',
+    'technician:verify': 'Review technician registrations',
+    'technician:roster': 'Move technicians between partner rosters',
+    'technician:work': 'Own technician profile, jobs, ratings, earnings and cash',
+    'leave:request': 'Request and withdraw leave',
+    'leave:read': 'View leave',
+    'leave:review': 'Approve or reject leave',
+    'holiday:read': 'View the holiday calendar',
+    'holiday:manage': 'Maintain the holiday calendar',
+    'partner:list': 'List partner organizations',
+    'partner:read': 'View partner dashboards',
+    'partner:manage': 'Create and edit partners and link their accounts',
+    'commission:manage': 'Maintain commission rules',
+    'payout:manage': 'Technician ledgers, adjustments and payout batches',
+    'cash:reconcile': 'Reconcile cash collected by technicians',
+    'coupon:manage': 'Maintain coupons',
+    'plan:manage': 'Maintain subscription plans',
+    'service:manage': 'Maintain the service catalog',
+    'parts:write': 'Maintain dealer parts and stock',
+    'contract:manage': 'Buy and manage maintenance contracts',
+    'user:read': 'List and view user accounts',
+    'user:manage': 'Activate and deactivate users',
+    'wallet:credit': 'Credit customer wallets',
+    'report:read': 'Dashboards and analytics',
+    'system:jobs': 'View and run background jobs',
+    'system:monitor': 'View realtime connection stats',
+    'permission:manage': 'Edit role permissions',
+    'audit:read': 'Search, export and verify the audit log'
+};
+
+// Role -> permission -> scope, until an admin edits the role
+export const DEFAULT_POLICIES = {
+    User: {
+        'account:manage': 'own',
+        'booking:create': 'own',
+        'booking:read': 'own',
+        'booking:status': 'own',
+        'booking:cancel': 'own',
+        'booking:review': 'own',
+        'payment:create': 'own',
+        'payment:read': 'own',
+        'contract:manage': 'own',
+        'holiday:read': 'any'
+    },
+    Technician: {
+        'account:manage': 'own',
+        'booking:read': 'own',
+        'booking:status': 'own',
+        'booking:service': 'own',
+        'technician:work': 'own',
+        'leave:request': 'own',
+        'leave:read': 'own',
+        'holiday:read': 'any'
+    },
+    Partner: {
+        'account:manage': 'own',
+        'booking:read': 'partner',
+        'booking:update': 'partner',
+        'booking:assign': 'partner',
+        'technician:list': 'partner',
+        'technician:read': 'partner',
+        'technician:verify': 'partner',
+        'leave:read': 'partner',
+        'leave:review': 'partner',
+        'holiday:read': 'any',
+        'partner:read': 'partner'
+    },
+    Dealer: {
+        'account:manage': 'own',
+        'parts:write': 'own'
+    },
+    Manager: {
+        'account:manage': 'own',
+        'booking:create': 'own',
+        'booking:read': 'any',
+        'booking:list': 'any',
+        'booking:update': 'any',
+        'booking:delete': 'any',
+        'booking:status': 'any',
+        'booking:cancel': 'any',
+        'booking:assign': 'any',
+        'booking:service': 'any',
+        'booking:escalations': 'any',
+        'booking:track': 'any',
+        'payment:read': 'any',
+        'payment:refund': 'any',
+        'technician:list': 'any',
+        'technician:read': 'any',
+        'technician:verify': 'any',
+        'technician:roster': 'any',
+        'leave:request': 'any',
+        'leave:read': 'any',
+        'leave:review': 'any',
+        'holiday:read': 'any',
+        'partner:list': 'any',
+        'partner:read': 'any',
+        'service:manage': 'any',
+        'contract:manage': 'any',
+        'user:read': 'any',
+        'report:read': 'any',
+        'system:monitor': 'any'
+    }
+};
+
+export const EDITABLE_ROLES = Object.keys(DEFAULT_POLICIES);
+
+let cache = null;
+
+const toGrantMap = (grants) => new Map(
+    Array.isArray(grants)
+        ? grants.map((grant) => [grant.permission, grant.scope])
+        : Object.entries(grants)
+);
+
+const loadPolicies = async () => {
+    if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.policies;
+
+    const policies = new Map(Object.entries(DEFAULT_POLICIES).map(([role, grants]) => [role, toGrantMap(grants)]));
+    const stored = await RolePolicy.find().lean();
+    for (const policy of stored) {
+        policies.set(policy.role, toGrantMap(policy.grants));
+    }
+
+    cache = { loadedAt: Date.now(), policies };
+    return policies;
+};
+
+/**
+ * Scope in which a user holds a permission
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - Name from PERMISSIONS
+ * @returns {Promise<string|null>} 'own' | 'partner' | 'any', null when not granted
+ */
+export const getPermissionScope = async (user, permission) => {
+    const role = normalizeRole(user?.role);
+    if (!role) return null;
+    if (role === 'Admin') return 'any';
+
+    const policies = await loadPolicies();
+    return policies.get(role)?.get(permission) || null;
+};
+
+/**
+ * Effective policy of every role
+ * @returns {Promise<Object[]>} [{ role, editable, customized, grants: [{ permission, scope }] }]
+ */
+export const listRolePolicies = async () => {
+    const [policies, stored] = await Promise.all([
+        loadPolicies(),
+        RolePolicy.find().select('role updatedBy updatedAt').populate('updatedBy', 'name').lean()
+    ]);
+    const edits = new Map(stored.map((policy) => [policy.role, policy]));
+
+    return [
+        {
+            role: 'Admin',
+            editable: false,
+            customized: false,
+            grants: Object.keys(PERMISSIONS).map((permission) => ({ permission, scope: 'any' }))
+        },
+        ...EDITABLE_ROLES.map((role) => ({
+            role,
+            editable: true,
+            customized: edits.has(role),
+            updatedBy: edits.get(role)?.updatedBy || null,
+            updatedAt: edits.get(role)?.updatedAt || null,
+            grants: [...policies.get(role).entries()].map(([permission, scope]) => ({ permission, scope }))
+        }))
+    ];
+};
+
+const assertEditableRole = (role) => {
+    if (!EDITABLE_ROLES.includes(role)) {
+        throw new ApiError(400, role === 'Admin'
+            ? 'Admins always hold every permission'
+            : `Role must be one of ${EDITABLE_ROLES.join(', ')}`);
+    }
+};
+
+/**
+ * Replace the permissions of a role
+ * @param {string} role - Role name, any casing
+ * @param {Object[]} grants - [{ permission, scope }]
+ * @param {Object} [actor] - Admin making the change
+ * @returns {Promise<Object>} The stored policy
+ * @throws {ApiError} 400 for Admin, unknown roles, permissions or scopes
+ */
+export const setRolePolicy = async (role, grants, actor = null) => {
+    role = normalizeRole(role);
+    assertEditableRole(role);
+    if (!Array.isArray(grants)) {
+        throw new ApiError(400, 'Grants must be a list of { permission, scope }');
+    }
+
+    const unknown = grants.filter((grant) => !PERMISSIONS[grant?.permission]).map((grant) => grant?.permission);
+    if (unknown.length) {
+        throw new ApiError(400, `Unknown permissions: ${unknown.join(', ')}`, unknown);
+    }
+    const badScope = grants.find((grant) => !PERMISSION_SCOPES.includes(grant.scope ?? 'any'));
+    if (badScope) {
+        throw new ApiError(400, `Scope of ${badScope.permission} must be one of ${PERMISSION_SCOPES.join(', ')}`);
+    }
+
+    // One grant per permission, the last one wins
+    const unique = new Map(grants.map((grant) => [grant.permission, grant.scope ?? 'any']));
+
+    const policy = await RolePolicy.findOneAndUpdate(
+        { role },
+        {
+            $set: {
+                grants: [...unique.entries()].map(([permission, scope]) => ({ permission, scope })),
+                updatedBy: actor?._id || null
+            }
+        },
+        { new: true, upsert: true, runValidators: true }
+    );
+
+    cache = null;
+    return policy;
+};
+
+/**
+ * Go back to the default permissions of a role
+ * @param {string} role - Role name, any casing
+ * @returns {Promise<Object[]>} The default grants
+ */
+export const resetRolePolicy = async (role) => {
+    role = normalizeRole(role);
+    assertEditableRole(role);
+
+    await RolePolicy.deleteOne({ role });
+    cache = null;
+
+    return Object.entries(DEFAULT_POLICIES[role]).map(([permission, scope]) => ({ permission, scope }));
+};
@@ -0,0 +1,228 @@
+import mongoose from 'mongoose';
+import { Service } from '../models/Service.model.js';
+import Part from '../models/Part.model.js';
+import { Subscription } from '../models/Subscription.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { evaluateCoupon } from './coupon.service.js';
+
+/**
+ * Booking pricing
+ *
+ * Every amount on a booking is computed here from the catalog: service and
+ * part prices come from the `Service` and `Part` documents, never from the
+ * request. Line amounts are price × quantity, the customer's subscription
+ * discount and any coupon are taken off the subtotal, tax is added on what
+ * remains and the advance payment is due upfront out of the total.
+ *
+ * Prices and the subscription discount are locked on the booking when it is
+ * created, so repricing after parts change keeps the quoted service prices.
+ */
+
+// Tax charged on the discounted subtotal, in percent
+const TAX_RATE_PERCENT = parseFloat(process.env.BOOKING_TAX_RATE_PERCENT) || 18;
+// Advance collected when booking, capped at the booking total
+const ADVANCE_PAYMENT_AMOUNT = parseFloat(process.env.BOOKING_ADVANCE_AMOUNT) || 150;
+
+export const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toQuantity = (value) => {
+    const quantity = value === undefined || value === null ? 1 : Number(value);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ApiError(400, 'Quantity must be a positive whole number');
+    }
+    return quantity;
+};
+
+/**
+ * Merge request items by id and validate their quantities
+ * @param {Object[]} items - Request items
+ * @param {string} idField - Field holding the catalog id
+ * @returns {Map<string, number>} Quantity per id, in request order
+ */
+const collectQuantities = (items, idField) => {
+    const quantities = new Map();
+
+    for (const item of items) {
+        const id = (item?.[idField]?._id ?? item?.[idField])?.toString();
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            throw new ApiError(400, `Each item needs a valid ${idField}`);
+        }
+        quantities.set(id, (quantities.get(id) || 0) + toQuantity(item.quantity));
+    }
+
+    return quantities;
+};
+
+/**
+ * Resolve requested services against the catalog
+ * @param {Object[]} items - [{ serviceId, quantity }]
+ * @returns {Promise<Object[]>} Booking service lines with catalog name, price and duration
+ * @throws {ApiError} 400 for unknown or inactive services
+ */
+export const buildServiceLines = async (items = []) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new ApiError(400, 'At least one service is required');
+    }
+
+    const quantities = collectQuantities(items, 'serviceId');
+    const services = await Service.find({ _id: { $in: [...quantities.keys()] }, isActive: true })
+        .select('name description price estimatedDuration')
+        .lean();
+    const byId = new Map(services.map((service) => [service._id.toString(), service]));
+
+    return [...quantities].map(([id, quantity]) => {
+        const service = byId.get(id);
+        if (!service) {
+            throw new ApiError(400, `Service not found or not available: ${id}`);
+        }
+        return {
+            serviceId: service._id,
+            name: service.name,
+            description: service.description,
+            price: service.price,
+            quantity,
+            estimatedDuration: service.estimatedDuration
+        };
+    });
+};
+
+/**
+ * Resolve requested parts against the catalog
+ * @param {Object[]} items - [{ partId, quantity }]
+ * @returns {Promise<Object[]>} Booking part lines with catalog name and price
+ * @throws {ApiError} 400 for unknown or inactive parts
+ */
+export const buildPartLines = async (items = []) => {
+    if (!Array.isArray(items) || items.length === 0) return [];
+
+    const quantities = collectQuantities(items, 'partId');
+    const parts = await Part.find({ _id: { $in: [...quantities.keys()] }, isActive: true })
+        .select('name price')
+        .lean();
+    const byId = new Map(parts.map((part) => [part._id.toString(), part]));
+
+    return [...quantities].map(([id, quantity]) => {
+        const part = byId.get(id);
+        if (!part) {
+            throw new ApiError(400, `Part not found or not available: ${id}`);
+        }
+        return { part: part._id, name: part.name, price: part.price, quantity };
+    });
+};
+
+/**
+ * Discount percentage from the customer's active subscription
+ * @param {string|Object} userId - Customer
+ * @returns {Promise<number>} 0 without an active subscription
+ */
+export const getSubscriptionDiscountPercent = async (userId) => {
+    const subscription = await Subscription.findOne({ user: userId })
+        .select('status features currentPeriodEnd graceUntil');
+
+    if (!subscription?.isEntitled()) return 0;
+    return subscription.features?.subscription_discount || 0;
+};
+
+const lineTotal = (lines) => lines.reduce((sum, line) => sum + line.price * (line.quantity || 1), 0);
+
+/**
+ * Compute the price breakdown of a set of booking lines
+ * @param {Object} input - { services, parts, subscriptionDiscountPercent, coupon: { code, amount } }
+ * @returns {Object} Breakdown, stored as `booking.pricing`
+ */
+export const calculatePricing = ({ services = [], parts = [], subscriptionDiscountPercent = 0, coupon = null }) => {
+    const servicesAmount = roundAmount(lineTotal(services));
+    const partsAmount = roundAmount(lineTotal(parts));
+    const subtotal = roundAmount(servicesAmount + partsAmount);
+
+    const subscriptionDiscount = roundAmount(subtotal * subscriptionDiscountPercent / 100);
+    // A coupon can never take the booking below zero
+    const couponDiscount = roundAmount(Math.min(coupon?.amount || 0, subtotal - subscriptionDiscount));
+    const discountAmount = roundAmount(subscriptionDiscount + couponDiscount);
+
+    const taxableAmount = roundAmount(subtotal - discountAmount);
+    const taxAmount = roundAmount(taxableAmount * TAX_RATE_PERCENT / 100);
+    const total = roundAmount(taxableAmount + taxAmount);
+    const advancePayment = roundAmount(Math.min(ADVANCE_PAYMENT_AMOUNT, total));
+
+    return {
+        servicesAmount,
+        partsAmount,
+        subtotal,
+        subscriptionDiscountPercent,
+        subscriptionDiscount,
+        couponCode: coupon?.code || null,
+        couponDiscount,
+        discountAmount,
+        taxableAmount,
+        taxRate: TAX_RATE_PERCENT,
+        taxAmount,
+        total,
+        advancePayment,
+        amountDue: roundAmount(total - advancePayment)
+    };
+};
+
+/**
+ * Price a prospective booking from catalog ids
+ * @param {Object} input - { userId, services: [{ serviceId, quantity }], parts: [{ partId, quantity }], couponCode }
+ * @returns {Promise<Object>} { services, parts, coupon, pricing } ready to be stored on a booking;
+ *                            the coupon still has to be redeemed when the booking is placed
+ * @throws {ApiError} 400 for unknown services or parts and coupons that do not apply
+ */
+export const quoteBooking = async ({ userId, services, parts, couponCode }) => {
+    const [serviceLines, partLines, subscriptionDiscountPercent] = await Promise.all([
+        buildServiceLines(services),
+        buildPartLines(parts),
+        getSubscriptionDiscountPercent(userId)
+    ]);
+    const coupon = couponCode
+        ? await evaluateCoupon(couponCode, {
+            userId,
+            services: serviceLines,
+            subtotal: lineTotal(serviceLines) + lineTotal(partLines)
+        })
+        : null;
+
+    return {
+        services: serviceLines,
+        parts: partLines,
+        coupon,
+        pricing: calculatePricing({ services: serviceLines, parts: partLines, subscriptionDiscountPercent, coupon })
+    };
+};
+
+/**
+ * Copy a breakdown onto the booking's amount fields
+ * @param {Object} booking - Booking document or plain booking data
+ * @param {Object} pricing - Result of calculatePricing
+ * @returns {Object} The booking
+ */
+export const setBookingAmounts = (booking, pricing) => {
+    booking.pricing = { ...pricing, calculatedAt: new Date() };
+    booking.totalAmount = pricing.subtotal;
+    booking.partsAmount = pricing.partsAmount;
+    booking.discount = { coupon: pricing.couponCode || undefined, amount: pricing.discountAmount };
+    booking.finalAmount = pricing.total;
+    return booking;
+};
+
+/**
+ * Recompute a booking's amounts after its lines changed
+ * Keeps the prices, subscription discount and coupon locked in when it was booked.
+ * @param {Object} booking - Booking document, saved by the caller
+ * @returns {Object} The new breakdown
+ */
+export const repriceBooking = (booking) => {
+    const pricing = calculatePricing({
+        services: booking.services,
+        parts: booking.parts,
+        subscriptionDiscountPercent: booking.pricing?.subscriptionDiscountPercent || 0,
+        coupon: booking.discount?.coupon
+            ? { code: booking.discount.coupon, amount: booking.pricing?.couponDiscount ?? booking.discount.amount }
+            : null
+    });
+
+    setBookingAmounts(booking, pricing);
+    return pricing;
+};
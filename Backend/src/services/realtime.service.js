@@ -0,0 +1,138 @@
+import { bookingEvents } from './bookingLifecycle.service.js';
+import { notificationEvents } from './notification.service.js';
+
+/**
+ * Real-time event stream
+ *
+ * Keeps the open Server-Sent Events connections of this process and pushes
+ * booking status changes, technician location updates and new notifications
+ * to the booking owner, the assigned technician and admins/managers. State is
+ * in memory, so it needs no broker on a single node; clients reconnect on
+ * their own and should refetch what they missed.
+ */
+
+// Comment line sent to keep proxies from closing idle streams
+const HEARTBEAT_SECONDS = 25;
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 5000;
+
+const STAFF_ROLES = ['Admin', 'Manager'];
+
+// userId -> Set of open responses
+const connections = new Map();
+// Responses of connected admins and managers
+const staffConnections = new Set();
+
+let nextEventId = 1;
+
+const refId = (ref) => (ref?._id ?? ref)?.toString();
+
+const write = (res, event, data) => {
+    res.write(`id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Turn a request into an event stream for the authenticated user
+ * @param {Object} req - Request with `req.user`
+ * @param {Object} res - Response kept open until the client disconnects
+ */
+export const openStream = (req, res) => {
+    const userId = req.user._id.toString();
+    const isStaff = STAFF_ROLES.includes(req.user.role);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Disable response buffering in nginx
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    write(res, 'connected', { userId, connectedAt: new Date() });
+
+    if (!connections.has(userId)) connections.set(userId, new Set());
+    connections.get(userId).add(res);
+    if (isStaff) staffConnections.add(res);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        staffConnections.delete(res);
+        const userConnections = connections.get(userId);
+        userConnections?.delete(res);
+        if (userConnections?.size === 0) connections.delete(userId);
+    });
+};
+
+/**
+ * Push an event to every open stream of the given users and, optionally, to staff
+ * @param {Array} userIds - User ids or documents, duplicates and nulls are ignored
+ * @param {string} event - SSE event name
+ * @param {Object} data - JSON payload
+ * @param {Object} [options] - { staff: true to include admins and managers }
+ */
+export const publish = (userIds, event, data, { staff = false } = {}) => {
+    const targets = new Set();
+    for (const id of userIds.map(refId).filter(Boolean)) {
+        for (const res of connections.get(id) || []) targets.add(res);
+    }
+    if (staff) {
+        for (const res of staffConnections) targets.add(res);
+    }
+
+    for (const res of targets) {
+        write(res, event, data);
+    }
+};
+
+/**
+ * Number of open streams, for monitoring
+ * @returns {Object} { users, connections }
+ */
+export const getStreamStats = () => ({
+    users: connections.size,
+    connections: [...connections.values()].reduce((sum, set) => sum + set.size, 0)
+});
+
+let listening = false;
+
+/**
+ * Forward booking and notification events to the open streams
+ */
+export const registerRealtimeListeners = () => {
+    if (listening) return;
+    listening = true;
+
+    bookingEvents.on('transition', ({ booking, from, to, actor, entry }) => {
+        // A technician releasing the booking is no longer assigned but still needs the update
+        const releasedBy = STAFF_ROLES.includes(actor?.role) ? null : actor?._id;
+
+        publish(
+            [booking.user, booking.assigned_technician, releasedBy],
+            'booking.status',
+            {
+                bookingId: booking._id,
+                bookingRef: booking.bookingId,
+                from,
+                to,
+                note: entry.note,
+                changedAt: entry.changedAt,
+                assignedTechnician: refId(booking.assigned_technician) || null
+            },
+            { staff: true }
+        );
+    });
+
+    bookingEvents.on('location', ({ booking, location }) => {
+        publish([booking.user, booking.assigned_technician], 'booking.location', {
+            bookingId: booking._id,
+            bookingRef: booking.bookingId,
+            ...location
+        }, { staff: true });
+    });
+
+    notificationEvents.on('created', ({ notification }) => {
+        publish([notification.recipient], 'notification', notification.toJSON());
+    });
+};
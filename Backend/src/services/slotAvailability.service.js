@@ -0,0 +1,417 @@
+import mongoose from 'mongoose';
+import { Booking } from '../models/Booking.model.js';
+import { Counter } from '../models/Counter.model.js';
+import { Holiday } from '../models/Holiday.model.js';
+import { Service } from '../models/Service.model.js';
+import { Technician } from '../models/Technician.model.js';
+import { TechnicianLeave } from '../models/TechnicianLeave.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+
+/**
+ * Slot availability
+ *
+ * Computes how many technicians could serve a time window for a set of
+ * services at a pincode. A technician counts towards a slot when they cover
+ * the pincode and the services, work that day, are not on approved leave or
+ * a public holiday of their state, are not on a break, have no overlapping
+ * active booking and are below their daily `maxWorkload`.
+ * Unassigned bookings already holding the slot in the same pincode use up
+ * capacity as well.
+ *
+ * Bookings are written through `reserveSlot`, which holds the pincode's day
+ * while it checks capacity and stores the booking, so two customers cannot
+ * both take the last technician of a slot.
+ */
+
+// Length of the bookable slots listed to customers, in minutes
+const SLOT_MINUTES = parseInt(process.env.BOOKING_SLOT_MINUTES, 10) || 60;
+// How many days ahead to look for alternatives when a slot is full
+const ALTERNATIVE_SEARCH_DAYS = parseInt(process.env.BOOKING_ALTERNATIVE_SEARCH_DAYS, 10) || 7;
+const MAX_ALTERNATIVES = 3;
+
+// Bookings that occupy their technician for the scheduled window
+export const ACTIVE_BOOKING_STATUSES = ['assigned', 'confirmed', 'reached', 'otp_pending', 'in_progress'];
+// Bookings still waiting for a technician
+const UNASSIGNED_BOOKING_STATUSES = ['pending', 'rescheduled'];
+
+// Technician fields loaded for capacity checks and assignment scoring
+const TECHNICIAN_FIELDS = 'name phone availability maxWorkload skills services averageRating addresses location partner';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Same format as Booking.preferredTimeSlot
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Validate a requested time slot and convert it to minutes since midnight
+ * @param {Object} preferredTimeSlot - { start: 'HH:MM', end: 'HH:MM' }
+ * @returns {Object} { start, end }
+ * @throws {ApiError} 400 for a malformed slot or one that does not end after it starts
+ */
+const parseTimeSlot = (preferredTimeSlot) => {
+    const { start, end } = preferredTimeSlot || {};
+    if (![start, end].every((time) => typeof time === 'string' && TIME_PATTERN.test(time))) {
+        throw new ApiError(400, 'Time slot must have a start and end in HH:MM format');
+    }
+
+    const window = { start: toMinutes(start), end: toMinutes(end) };
+    if (!(window.end > window.start)) {
+        throw new ApiError(400, 'Time slot end must be after its start');
+    }
+    return window;
+};
+
+const toTime = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+const isPast = (day, start) => new Date(day.getTime() + start * 60000) <= new Date();
+
+/**
+ * Midnight (server time) of the given day
+ * @param {string|Date} value - 'YYYY-MM-DD' or anything Date can parse
+ * @returns {Date}
+ */
+export const startOfDay = (value) => {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new ApiError(400, 'Invalid date');
+    }
+    date.setHours(0, 0, 0, 0);
+    return date;
+};
+
+/**
+ * Date and time at which a booking's time slot starts
+ * @param {Date} scheduleDate - Booking day
+ * @param {Object} preferredTimeSlot - { start: 'HH:MM' }
+ * @returns {Date}
+ */
+export const getSlotStart = (scheduleDate, preferredTimeSlot) =>
+    new Date(startOfDay(scheduleDate).getTime() + toMinutes(preferredTimeSlot.start) * 60000);
+
+const addDays = (date, days) => {
+    const next = new Date(date);
+    next.setDate(next.getDate() + days);
+    return next;
+};
+
+const formatDate = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Load the services and the values a technician's `services` may list for them
+ * @param {string[]} serviceIds - Service ids
+ * @returns {Promise<string[][]>}
+ */
+const getServiceKeys = async (serviceIds) => {
+    if (!serviceIds.every((id) => mongoose.isValidObjectId(id))) {
+        throw new ApiError(400, 'Invalid service ID');
+    }
+
+    const services = await Service.find({ _id: { $in: serviceIds }, isActive: true })
+        .select('name category')
+        .lean();
+
+    if (services.length !== new Set(serviceIds.map(String)).size) {
+        throw new ApiError(404, 'One or more services not found');
+    }
+
+    return services.map((service) => [service._id.toString(), service.name, service.category]);
+};
+
+const normalizeState = (state) => state?.toString().trim().toLowerCase();
+
+/**
+ * Whether a holiday applies to a technician: national ones to everyone,
+ * regional ones to technicians with an address in one of its states
+ * @param {Object} holiday - Holiday document
+ * @param {Object} technician - Technician with `addresses`
+ * @returns {boolean}
+ */
+export const observesHoliday = (holiday, technician) => {
+    if (!holiday.states?.length) return true;
+
+    const states = new Set(holiday.states.map(normalizeState));
+    return (technician.addresses || []).some((address) => states.has(normalizeState(address.state)));
+};
+
+/**
+ * Technicians who are off for the whole day, on approved leave or a public holiday
+ * @param {Object[]} technicians - Technicians with `addresses`
+ * @param {Date} day - Midnight of the day
+ * @returns {Promise<Set<string>>} Ids of the technicians who are off
+ */
+export const getTechniciansOff = async (technicians, day) => {
+    if (!technicians.length) return new Set();
+
+    const [leaves, holidays] = await Promise.all([
+        TechnicianLeave.find({
+            technician: { $in: technicians.map((technician) => technician._id) },
+            status: 'approved',
+            startDate: { $lte: day },
+            endDate: { $gte: day }
+        }).select('technician').lean(),
+        Holiday.find({ date: { $gte: day, $lt: addDays(day, 1) }, isActive: true }).select('states').lean()
+    ]);
+
+    const off = new Set(leaves.map((leave) => leave.technician.toString()));
+    for (const technician of technicians) {
+        if (holidays.some((holiday) => observesHoliday(holiday, technician))) {
+            off.add(technician._id.toString());
+        }
+    }
+    return off;
+};
+
+/**
+ * Load everything needed to compute capacity for one day
+ * @param {Object} params - { serviceKeys, pincode, day, excludeBookingId }
+ * @returns {Promise<Object>} { technicians, busyByTechnician, unassigned }
+ */
+const loadDay = async ({ serviceKeys, pincode, day, excludeBookingId }) => {
+    const dayEnd = addDays(day, 1);
+
+    // Technicians must cover every requested service
+    const matching = await Technician.find({
+        isActive: true,
+        registration_status: 'approved',
+        serviceAreas: pincode,
+        $and: serviceKeys.map((keys) => ({ services: { $in: keys } }))
+    })
+        .select(TECHNICIAN_FIELDS)
+        .lean();
+
+    // Leave and holidays take technicians out for the whole day
+    const off = await getTechniciansOff(matching, day);
+    const technicians = matching.filter((technician) => !off.has(technician._id.toString()));
+
+    const bookingQuery = {
+        scheduleDate: { $gte: day, $lt: dayEnd },
+        $or: [
+            {
+                assigned_technician: { $in: technicians.map((technician) => technician._id) },
+                status: { $in: ACTIVE_BOOKING_STATUSES }
+            },
+            { 'address.pincode': pincode, status: { $in: UNASSIGNED_BOOKING_STATUSES } }
+        ]
+    };
+    if (excludeBookingId) {
+        bookingQuery._id = { $ne: excludeBookingId };
+    }
+
+    const bookings = await Booking.find(bookingQuery)
+        .select('assigned_technician status preferredTimeSlot')
+        .lean();
+
+    const busyByTechnician = new Map();
+    const unassigned = [];
+    for (const booking of bookings) {
+        const window = {
+            start: toMinutes(booking.preferredTimeSlot.start),
+            end: toMinutes(booking.preferredTimeSlot.end)
+        };
+        if (booking.assigned_technician && ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+            const key = booking.assigned_technician.toString();
+            busyByTechnician.set(key, [...(busyByTechnician.get(key) || []), window]);
+        } else {
+            unassigned.push(window);
+        }
+    }
+
+    return { technicians, busyByTechnician, unassigned };
+};
+
+/**
+ * Whether a technician could take the window [start, end) on the given day
+ */
+const canServe = (technician, busy, day, start, end) => {
+    const hours = technician.availability?.workingHours?.[WEEKDAYS[day.getDay()]];
+    if (!hours?.available || !hours.start || !hours.end) return false;
+    if (start < toMinutes(hours.start) || end > toMinutes(hours.end)) return false;
+
+    // Daily workload limit
+    if (busy.length >= (technician.maxWorkload || 5)) return false;
+
+    if (busy.some((window) => overlaps(start, end, window.start, window.end))) return false;
+
+    // Break window, stored as absolute dates
+    const { breakStart, breakEnd } = technician.availability || {};
+    if (breakStart && breakEnd) {
+        const slotStart = new Date(day.getTime() + start * 60000);
+        const slotEnd = new Date(day.getTime() + end * 60000);
+        if (overlaps(slotStart, slotEnd, new Date(breakStart), new Date(breakEnd))) return false;
+    }
+
+    return true;
+};
+
+const capacityFor = (dayData, day, start, end) => {
+    const available = dayData.technicians.filter((technician) =>
+        canServe(technician, dayData.busyByTechnician.get(technician._id.toString()) || [], day, start, end)
+    ).length;
+    const held = dayData.unassigned.filter((window) => overlaps(start, end, window.start, window.end)).length;
+
+    return Math.max(available - held, 0);
+};
+
+const listSlots = (dayData, day) => {
+    const slots = [];
+    // Slots end before midnight so they fit the HH:MM time slot format
+    for (let start = 0; start + SLOT_MINUTES < 24 * 60; start += SLOT_MINUTES) {
+        const end = start + SLOT_MINUTES;
+        const capacity = isPast(day, start) ? 0 : capacityFor(dayData, day, start, end);
+        slots.push({ date: formatDate(day), start: toTime(start), end: toTime(end), capacity });
+    }
+    return slots;
+};
+
+const normalizeServiceIds = (serviceIds) =>
+    (Array.isArray(serviceIds) ? serviceIds : String(serviceIds || '').split(','))
+        .map((id) => id?.toString().trim())
+        .filter(Boolean);
+
+/**
+ * Bookable slots for a day
+ * @param {Object} params - { serviceIds, pincode, date }
+ * @returns {Promise<Object[]>} Slots with { date, start, end, capacity }; only slots with capacity
+ */
+export const getAvailableSlots = async ({ serviceIds, pincode, date }) => {
+    const ids = normalizeServiceIds(serviceIds);
+    if (ids.length === 0 || !pincode || !date) {
+        throw new ApiError(400, 'serviceId, pincode and date are required');
+    }
+
+    const day = startOfDay(date);
+    const serviceKeys = await getServiceKeys(ids);
+    const dayData = await loadDay({ serviceKeys, pincode, day });
+
+    return listSlots(dayData, day).filter((slot) => slot.capacity > 0);
+};
+
+/**
+ * Nearest bookable slots to a requested window, searching forward from its day
+ */
+const findAlternatives = async ({ serviceKeys, pincode, day, start, excludeBookingId }) => {
+    const alternatives = [];
+
+    for (let offset = 0; offset <= ALTERNATIVE_SEARCH_DAYS && alternatives.length < MAX_ALTERNATIVES; offset++) {
+        const candidateDay = addDays(day, offset);
+        const dayData = await loadDay({ serviceKeys, pincode, day: candidateDay, excludeBookingId });
+        const slots = listSlots(dayData, candidateDay)
+            .filter((slot) => slot.capacity > 0)
+            .sort((a, b) => Math.abs(toMinutes(a.start) - start) - Math.abs(toMinutes(b.start) - start));
+
+        alternatives.push(...slots.slice(0, MAX_ALTERNATIVES - alternatives.length));
+    }
+
+    return alternatives;
+};
+
+/**
+ * Make sure a requested schedule still has capacity
+ * @param {Object} params - { serviceIds, pincode, scheduleDate, preferredTimeSlot, excludeBookingId }
+ * @throws {ApiError} 409 listing the nearest alternative slots when the window is full
+ */
+export const assertSlotAvailable = async ({
+    serviceIds,
+    pincode,
+    scheduleDate,
+    preferredTimeSlot,
+    excludeBookingId
+}) => {
+    const ids = normalizeServiceIds(serviceIds);
+    if (ids.length === 0 || !pincode || !scheduleDate || !preferredTimeSlot?.start || !preferredTimeSlot?.end) {
+        throw new ApiError(400, 'Services, pincode, schedule date and time slot are required');
+    }
+
+    const day = startOfDay(scheduleDate);
+    const { start, end } = parseTimeSlot(preferredTimeSlot);
+    if (isPast(day, start)) {
+        throw new ApiError(400, 'Cannot book a time slot in the past');
+    }
+
+    const serviceKeys = await getServiceKeys(ids);
+    const dayData = await loadDay({ serviceKeys, pincode, day, excludeBookingId });
+
+    if (capacityFor(dayData, day, start, end) > 0) {
+        return;
+    }
+
+    const alternatives = await findAlternatives({ serviceKeys, pincode, day, start, excludeBookingId });
+    throw new ApiError(
+        409,
+        alternatives.length
+            ? 'No technician is available for the selected slot. Please choose one of the suggested slots.'
+            : 'No technician is available for the selected slot',
+        alternatives
+    );
+};
+
+/**
+ * Technicians who could serve a booking window, with their workload that day
+ * @param {Object} params - { serviceIds, pincode, scheduleDate, preferredTimeSlot, excludeBookingId }
+ * @returns {Promise<Object[]>} [{ technician, workload }]
+ */
+export const findTechniciansForSlot = async ({
+    serviceIds,
+    pincode,
+    scheduleDate,
+    preferredTimeSlot,
+    excludeBookingId
+}) => {
+    const ids = normalizeServiceIds(serviceIds);
+    const day = startOfDay(scheduleDate);
+    const { start, end } = parseTimeSlot(preferredTimeSlot);
+
+    const serviceKeys = await getServiceKeys(ids);
+    const dayData = await loadDay({ serviceKeys, pincode, day, excludeBookingId });
+
+    return dayData.technicians
+        .map((technician) => ({
+            technician,
+            busy: dayData.busyByTechnician.get(technician._id.toString()) || []
+        }))
+        .filter(({ technician, busy }) => canServe(technician, busy, day, start, end))
+        .map(({ technician, busy }) => ({ technician, workload: busy.length }));
+};
+
+/**
+ * Check a slot and store the booking taking it in one transaction. The
+ * transaction first bumps a counter for the pincode's day, so concurrent
+ * reservations for that day conflict and are retried one after the other,
+ * each seeing the bookings stored before it.
+ * @param {Object} slot - { serviceIds, pincode, scheduleDate, preferredTimeSlot }
+ * @param {Function} book - async (session) => booking; must write with the session
+ * @returns {Promise<*>} What `book` returned
+ * @throws {ApiError} 409 listing the nearest alternative slots when the window is full
+ */
+export const reserveSlot = async (slot, book) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            await Counter.findOneAndUpdate(
+                { _id: `slots:${slot.pincode}:${formatDate(startOfDay(slot.scheduleDate))}` },
+                { $inc: { seq: 1 } },
+                { upsert: true, session }
+            );
+            await assertSlotAvailable(slot);
+            result = await book(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
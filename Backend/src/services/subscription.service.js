@@ -0,0 +1,484 @@
+import mongoose from 'mongoose';
+import { Subscription } from '../models/Subscription.model.js';
+import { SubscriptionPlan } from '../models/SubscriptionPlan.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { notify } from './notification.service.js';
+import { createSubscriptionPaymentOrder, paymentEvents, recordWalletPayment } from './payment.service.js';
+import { roundAmount } from './pricing.service.js';
+import { creditWallet } from './wallet.service.js';
+
+/**
+ * Subscription billing
+ *
+ * Plans come from the admin-managed `SubscriptionPlan` catalog; a
+ * subscription copies the price, period and features of its plan when a
+ * period starts. Changing plan starts a new period right away: the unused
+ * part of the current period is credited against the new plan's price, the
+ * rest is paid from the wallet or through a provider order, and a credit
+ * larger than the new price goes back to the wallet. Provider-paid changes
+ * are applied when the payment is captured.
+ *
+ * Paid plans renew from the wallet when their period ends. When the wallet
+ * cannot cover the renewal the subscription goes `past_due`, a provider order
+ * is opened for the customer and the benefits continue for
+ * `SUBSCRIPTION_GRACE_DAYS`; after that the subscription expires. Every
+ * change of plan or status is appended to the subscription's history.
+ */
+
+const GRACE_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS ?? 3);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Catalog created on first start, admins edit it afterwards
+const DEFAULT_PLANS = [
+    {
+        code: 'free',
+        name: 'Free',
+        price: 0,
+        periodDays: 365,
+        features: { prioritySupport: false, subscription_discount: 0, freeVisitsPerPeriod: 0 },
+        sortOrder: 0
+    },
+    {
+        code: 'basic',
+        name: 'Basic',
+        price: 199,
+        periodDays: 30,
+        features: { prioritySupport: true, subscription_discount: 10, freeVisitsPerPeriod: 0 },
+        sortOrder: 1
+    },
+    {
+        code: 'premium',
+        name: 'Premium',
+        price: 499,
+        periodDays: 30,
+        features: { prioritySupport: true, subscription_discount: 20, freeVisitsPerPeriod: 1 },
+        sortOrder: 2
+    }
+];
+
+/**
+ * Add the default plans that are missing from the catalog
+ */
+export const ensureDefaultPlans = () =>
+    SubscriptionPlan.bulkWrite(DEFAULT_PLANS.map((plan) => ({
+        updateOne: {
+            filter: { code: plan.code },
+            update: { $setOnInsert: plan },
+            upsert: true
+        }
+    })));
+
+/**
+ * Look up a plan of the catalog
+ * @param {string} code - Plan code
+ * @param {Object} [options] - { activeOnly: reject plans that are no longer offered }
+ * @returns {Promise<Object>} SubscriptionPlan document
+ * @throws {ApiError} 400 for unknown or inactive plans
+ */
+export const getPlan = async (code, { activeOnly = false } = {}) => {
+    const plan = code && await SubscriptionPlan.findOne({ code: code.toString().trim().toLowerCase() });
+    if (!plan || (activeOnly && !plan.isActive)) {
+        throw new ApiError(400, `Plan ${code} is not available`);
+    }
+    return plan;
+};
+
+const addHistory = (subscription, event, { fromPlan = subscription.plan, fromStatus = subscription.status, ...entry } = {}) => {
+    subscription.history.push({
+        event,
+        fromPlan,
+        toPlan: subscription.plan,
+        fromStatus,
+        toStatus: subscription.status,
+        changedAt: new Date(),
+        ...entry
+    });
+};
+
+// Start a period of a plan
+const startPeriod = (subscription, plan, periodStart) => {
+    subscription.plan = plan.code;
+    subscription.price = plan.price;
+    subscription.periodDays = plan.periodDays;
+    subscription.features = plan.toObject().features;
+    subscription.status = 'active';
+    subscription.cancelAtPeriodEnd = false;
+    subscription.graceUntil = null;
+    subscription.currentPeriodStart = periodStart;
+    subscription.currentPeriodEnd = addDays(periodStart, plan.periodDays);
+};
+
+// Run work in a transaction, committing with the subscription it changes
+const inTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Free subscription for a new customer
+ * @param {string|Object} userId
+ * @returns {Promise<Object>} Subscription document
+ */
+export const createFreeSubscription = async (userId) => {
+    const plan = await getPlan('free');
+    const subscription = new Subscription({
+        user: userId,
+        subscriptionId: `free_${userId}_${Date.now()}`
+    });
+    startPeriod(subscription, plan, new Date());
+    addHistory(subscription, 'created', { fromPlan: null, fromStatus: null });
+
+    return subscription.save();
+};
+
+/**
+ * What switching to another plan costs now
+ * @param {Object} subscription - Subscription document
+ * @param {Object} plan - SubscriptionPlan document
+ * @param {Date} [now]
+ * @returns {Object} { fromPlan, toPlan, price, credit, amountDue, walletCredit, periodStart, periodEnd }
+ */
+export const getPlanChangeQuote = (subscription, plan, now = new Date()) => {
+    // Unused part of what was paid for the current period
+    let credit = 0;
+    if (subscription.isEntitled(now) && subscription.price > 0) {
+        const periodEnd = subscription.currentPeriodEnd;
+        const periodStart = subscription.currentPeriodStart || addDays(periodEnd, -subscription.periodDays);
+        const periodMs = periodEnd - periodStart;
+        const remainingMs = Math.max(periodEnd - now, 0);
+        credit = periodMs > 0 ? roundAmount(subscription.price * Math.min(remainingMs / periodMs, 1)) : 0;
+    }
+
+    const net = roundAmount(plan.price - credit);
+    return {
+        fromPlan: subscription.plan,
+        toPlan: plan.code,
+        price: plan.price,
+        credit,
+        amountDue: Math.max(net, 0),
+        walletCredit: Math.max(-net, 0),
+        periodStart: now,
+        periodEnd: addDays(now, plan.periodDays)
+    };
+};
+
+// Switch plan inside a transaction, with the payment that paid for it
+const applyPlanChange = async (subscription, plan, quote, { payment = null, actor = null, session }) => {
+    const fromPlan = subscription.plan;
+    const fromStatus = subscription.status;
+    const event = plan.price >= subscription.price ? 'upgraded' : 'downgraded';
+
+    startPeriod(subscription, plan, new Date());
+    addHistory(subscription, event, {
+        fromPlan,
+        fromStatus,
+        amount: quote.amountDue - quote.walletCredit,
+        payment: payment?._id || null,
+        changedBy: actor?._id || null,
+        ...(quote.credit > 0 && { note: `Rs. ${quote.credit.toFixed(2)} credited for the unused ${fromPlan} period` })
+    });
+    await subscription.save({ session });
+
+    if (quote.walletCredit > 0) {
+        await creditWallet(subscription.user, quote.walletCredit, {
+            category: 'refund',
+            description: `Unused time on the ${fromPlan} plan`,
+            createdBy: actor?._id,
+            session
+        });
+    }
+};
+
+// Start the next period of the current plan, with the payment that paid for it
+const applyRenewal = async (subscription, plan, { periodStart, payment = null, session = null }) => {
+    const fromStatus = subscription.status;
+    startPeriod(subscription, plan, periodStart);
+    addHistory(subscription, 'renewed', { fromStatus, amount: payment?.amount || 0, payment: payment?._id || null });
+    await subscription.save({ session });
+};
+
+// Renewals paid in the grace period continue the lapsed period, later ones start afresh
+const overdueRenewalStart = (subscription) =>
+    subscription.status === 'past_due' ? subscription.currentPeriodEnd : new Date();
+
+// Pay the renewal of a past due subscription from the wallet or with its provider order
+const payOverdueRenewal = async (subscription, plan, { payWith, actor }) => {
+    const quote = { fromPlan: plan.code, toPlan: plan.code, price: plan.price, credit: 0, amountDue: plan.price, walletCredit: 0 };
+
+    if (payWith === 'online') {
+        const { payment, checkout } = await createSubscriptionPaymentOrder(subscription, {
+            amount: plan.price,
+            plan: plan.code,
+            billingReason: 'renewal'
+        });
+        return { subscription, quote, payment, checkout };
+    }
+
+    const payment = await inTransaction(async (session) => {
+        const { payment: paid } = await recordWalletPayment({
+            subscription: subscription._id,
+            user: subscription.user,
+            purpose: 'subscription',
+            plan: plan.code,
+            billingReason: 'renewal',
+            amount: plan.price
+        }, { session, description: `${plan.name} plan renewal`, actor });
+
+        await applyRenewal(subscription, plan, { periodStart: overdueRenewalStart(subscription), payment: paid, session });
+        return paid;
+    });
+
+    notify(subscription.user, 'subscription.renewed', { subscription });
+    return { subscription, quote, payment };
+};
+
+/**
+ * Move a subscription to another plan
+ * With payWith 'online' a provider order is returned and the plan changes once it is paid.
+ * Choosing the current plan of a cancelled subscription takes the cancellation back, choosing
+ * it while past due pays the renewal.
+ * @param {Object} subscription - Subscription document
+ * @param {string} planCode - Plan to switch to
+ * @param {Object} [options] - { payWith: 'wallet'|'online', actor }
+ * @returns {Promise<Object>} { subscription, quote, payment, checkout } with payment and checkout for online payments
+ * @throws {ApiError} 400 for unknown plans, 409 when already on the plan or the wallet balance is too low
+ */
+export const changePlan = async (subscription, planCode, { payWith = 'online', actor = null } = {}) => {
+    if (!['wallet', 'online'].includes(payWith)) {
+        throw new ApiError(400, 'payWith must be wallet or online');
+    }
+
+    const plan = await getPlan(planCode, { activeOnly: true });
+
+    // Choosing the current plan while the renewal is unpaid pays the renewal
+    if (plan.code === subscription.plan && subscription.status === 'past_due') {
+        return payOverdueRenewal(subscription, plan, { payWith, actor });
+    }
+
+    if (plan.code === subscription.plan && subscription.isEntitled()) {
+        if (subscription.status !== 'canceled') {
+            throw new ApiError(409, `You are already on the ${plan.code} plan`);
+        }
+
+        const fromStatus = subscription.status;
+        subscription.status = 'active';
+        subscription.cancelAtPeriodEnd = false;
+        addHistory(subscription, 'reactivated', { fromStatus, changedBy: actor?._id || null });
+        await subscription.save();
+        return { subscription, quote: null };
+    }
+
+    const quote = getPlanChangeQuote(subscription, plan);
+
+    if (quote.amountDue > 0 && payWith === 'online') {
+        const { payment, checkout } = await createSubscriptionPaymentOrder(subscription, {
+            amount: quote.amountDue,
+            plan: plan.code,
+            billingReason: 'plan_change'
+        });
+        return { subscription, quote, payment, checkout };
+    }
+
+    const payment = await inTransaction(async (session) => {
+        const paid = quote.amountDue > 0
+            ? await recordWalletPayment({
+                subscription: subscription._id,
+                user: subscription.user,
+                purpose: 'subscription',
+                plan: plan.code,
+                billingReason: 'plan_change',
+                amount: quote.amountDue
+            }, { session, description: `${plan.name} plan`, actor })
+            : null;
+
+        await applyPlanChange(subscription, plan, quote, { payment: paid?.payment, actor, session });
+        return paid?.payment || null;
+    });
+
+    notify(subscription.user, 'subscription.updated', { subscription });
+    return { subscription, quote, payment };
+};
+
+/**
+ * Cancel a subscription at the end of its period
+ * @param {Object} subscription - Subscription document
+ * @param {Object} [actor] - User cancelling it
+ * @returns {Promise<Object>} Subscription document
+ * @throws {ApiError} 409 when it is not active
+ */
+export const cancelSubscription = async (subscription, actor = null) => {
+    if (!['active', 'past_due'].includes(subscription.status)) {
+        throw new ApiError(409, `A ${subscription.status} subscription cannot be cancelled`);
+    }
+
+    const fromStatus = subscription.status;
+    subscription.status = 'canceled';
+    subscription.cancelAtPeriodEnd = true;
+    addHistory(subscription, 'cancelled', { fromStatus, changedBy: actor?._id || null });
+    await subscription.save();
+
+    notify(subscription.user, 'subscription.cancelled', { subscription });
+    return subscription;
+};
+
+/**
+ * End a subscription's benefits
+ * @param {Object} subscription - Subscription document
+ * @param {string} [note] - Why it expired
+ * @returns {Promise<Object>} Subscription document
+ */
+export const expireSubscription = async (subscription, note) => {
+    const fromStatus = subscription.status;
+    subscription.status = 'expired';
+    subscription.graceUntil = null;
+    addHistory(subscription, 'expired', { fromStatus, note });
+    await subscription.save();
+
+    notify(subscription.user, 'subscription.expired', { subscription });
+    return subscription;
+};
+
+/**
+ * Renew a subscription whose period has ended
+ * Free plans renew for nothing, paid plans are charged to the wallet or go past due.
+ * @param {Object} subscription - Active subscription past currentPeriodEnd
+ * @param {Date} [now]
+ * @returns {Promise<string>} 'renewed' | 'past_due' | 'expired'
+ */
+export const renewSubscription = async (subscription, now = new Date()) => {
+    if (subscription.cancelAtPeriodEnd) {
+        await expireSubscription(subscription, 'Cancelled at the end of the period');
+        return 'expired';
+    }
+
+    const plan = await SubscriptionPlan.findOne({ code: subscription.plan });
+    if (!plan) {
+        await expireSubscription(subscription, `Plan ${subscription.plan} no longer exists`);
+        return 'expired';
+    }
+
+    // Renew from the end of the lapsed period so renewals never drift
+    let periodStart = subscription.currentPeriodEnd;
+    while (addDays(periodStart, plan.periodDays) <= now) {
+        periodStart = addDays(periodStart, plan.periodDays);
+    }
+
+    if (plan.price === 0) {
+        await applyRenewal(subscription, plan, { periodStart });
+        notify(subscription.user, 'subscription.renewed', { subscription });
+        return 'renewed';
+    }
+
+    try {
+        await inTransaction(async (session) => {
+            const { payment } = await recordWalletPayment({
+                subscription: subscription._id,
+                user: subscription.user,
+                purpose: 'subscription',
+                plan: plan.code,
+                billingReason: 'renewal',
+                amount: plan.price
+            }, { session, description: `${plan.name} plan renewal` });
+
+            await applyRenewal(subscription, plan, { periodStart, payment, session });
+        });
+        notify(subscription.user, 'subscription.renewed', { subscription });
+        return 'renewed';
+    } catch (error) {
+        // Only a wallet that cannot cover the renewal makes it past due
+        if (error.statusCode !== 409) throw error;
+    }
+
+    subscription.status = 'past_due';
+    subscription.graceUntil = addDays(subscription.currentPeriodEnd, GRACE_DAYS);
+    addHistory(subscription, 'past_due', { fromStatus: 'active', note: 'Wallet balance too low for the renewal' });
+    await subscription.save();
+
+    let payment = null;
+    try {
+        ({ payment } = await createSubscriptionPaymentOrder(subscription, {
+            amount: plan.price,
+            plan: plan.code,
+            billingReason: 'renewal'
+        }));
+    } catch (error) {
+        console.error(`Renewal order for subscription ${subscription.subscriptionId} failed:`, error);
+    }
+
+    notify(subscription.user, 'subscription.payment_due', { subscription, amount: plan.price, payment });
+    return 'past_due';
+};
+
+// Apply a captured provider payment for a plan change or renewal
+const applySubscriptionPayment = async (payment) => {
+    const subscription = await Subscription.findById(payment.subscription);
+    if (!subscription || subscription.history.some((entry) => entry.payment?.equals(payment._id))) return;
+
+    const plan = await SubscriptionPlan.findOne({ code: payment.plan });
+    const renewable = payment.billingReason === 'renewal'
+        && subscription.plan === payment.plan
+        && ['past_due', 'expired'].includes(subscription.status);
+    const changeable = payment.billingReason === 'plan_change'
+        && !(subscription.plan === payment.plan && subscription.isEntitled());
+
+    // Paid for something that no longer applies, the money goes to the wallet
+    if (!plan || (!renewable && !changeable)) {
+        await creditWallet(payment.user, payment.amount, {
+            category: 'refund',
+            description: `Subscription payment for the ${payment.plan} plan that no longer applies`
+        });
+        return;
+    }
+
+    if (renewable) {
+        await applyRenewal(subscription, plan, { periodStart: overdueRenewalStart(subscription), payment });
+        notify(subscription.user, 'subscription.renewed', { subscription });
+        return;
+    }
+
+    // The credit was worked out when the order was created
+    const quote = { amountDue: payment.amount, walletCredit: 0, credit: 0 };
+    await inTransaction((session) => applyPlanChange(subscription, plan, quote, { payment, session }));
+    notify(subscription.user, 'subscription.updated', { subscription });
+};
+
+/**
+ * Apply subscription payments reported by the payment provider
+ */
+export const registerSubscriptionListeners = () => {
+    paymentEvents.on('captured', (payment) => {
+        if (payment.purpose !== 'subscription') return;
+        applySubscriptionPayment(payment).catch((error) => {
+            console.error(`Applying subscription payment ${payment._id} failed:`, error);
+        });
+    });
+
+    paymentEvents.on('failed', async (payment) => {
+        if (payment.purpose !== 'subscription') return;
+        try {
+            const subscription = await Subscription.findById(payment.subscription);
+            if (!subscription) return;
+
+            addHistory(subscription, 'payment_failed', {
+                amount: payment.amount,
+                payment: payment._id,
+                note: payment.failureReason
+            });
+            await subscription.save();
+            notify(subscription.user, 'subscription.payment_failed', { subscription, payment });
+        } catch (error) {
+            console.error(`Recording failed subscription payment ${payment._id} failed:`, error);
+        }
+    });
+};
@@ -0,0 +1,262 @@
+import { Booking } from '../models/Booking.model.js';
+import { findTechniciansForSlot } from './slotAvailability.service.js';
+
+/**
+ * Technician assignment engine
+ *
+ * Ranks the technicians who can serve a booking's scheduled slot with a
+ * weighted sum of scoring factors. Every factor returns a score between 0 and
+ * 1 and a human readable detail, so dispatchers can see why a technician came
+ * out on top. Factors can be added with `registerScoringFactor` and their
+ * weights overridden per call or through `ASSIGNMENT_WEIGHTS`.
+ */
+
+// Distance at which the distance factor bottoms out, in km
+const MAX_DISTANCE_KM = parseFloat(process.env.ASSIGNMENT_MAX_DISTANCE_KM) || 20;
+// Window used to count how often a technician declined assignments, in days
+const DECLINE_WINDOW_DAYS = 90;
+
+const parseWeights = (value) => {
+    try {
+        return value ? JSON.parse(value) : {};
+    } catch (error) {
+        console.error('Invalid ASSIGNMENT_WEIGHTS, using default weights:', error.message);
+        return {};
+    }
+};
+
+const CONFIGURED_WEIGHTS = parseWeights(process.env.ASSIGNMENT_WEIGHTS);
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two { latitude, longitude } points
+ * @returns {number|null} Distance in km, null when either point is unknown
+ */
+export const distanceInKm = (from, to) => {
+    if (
+        from?.latitude == null || from?.longitude == null ||
+        to?.latitude == null || to?.longitude == null
+    ) {
+        return null;
+    }
+
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+    const a =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Best known position of a technician: live location, else default address
+ * @returns {Object|null} { latitude, longitude }
+ */
+export const getTechnicianPosition = (technician) => {
+    const [longitude, latitude] = technician.location?.coordinates || [];
+    if (longitude != null && latitude != null) {
+        return { longitude, latitude };
+    }
+
+    const address = technician.addresses?.find((item) => item.isDefault) || technician.addresses?.[0];
+    return address?.location?.coordinates?.latitude != null ? address.location.coordinates : null;
+};
+
+const round = (value, digits = 3) => parseFloat(value.toFixed(digits));
+
+const scoringFactors = new Map();
+
+/**
+ * Add or replace a scoring factor
+ * @param {string} name - Factor name, used as the key of the breakdown and of weight overrides
+ * @param {Object} factor - { weight, score(candidate, context) => { score, detail } }
+ */
+export const registerScoringFactor = (name, factor) => {
+    scoringFactors.set(name, factor);
+};
+
+// Share of the booked services' names and categories found in the technician's skills
+registerScoringFactor('skillOverlap', {
+    weight: 3,
+    score: ({ technician }, { serviceTerms }) => {
+        const skills = (technician.skills || []).map((skill) => skill.toLowerCase());
+        const matched = serviceTerms.filter((term) => skills.includes(term));
+        return {
+            score: serviceTerms.length ? matched.length / serviceTerms.length : 1,
+            detail: `${matched.length}/${serviceTerms.length} service skills matched`
+        };
+    }
+});
+
+// Closer technicians score higher, straight-line distance to the booking address
+registerScoringFactor('distance', {
+    weight: 2,
+    score: ({ distanceKm }) => ({
+        score: distanceKm == null ? 0 : 1 - Math.min(distanceKm, MAX_DISTANCE_KM) / MAX_DISTANCE_KM,
+        detail: distanceKm == null ? 'Location unknown' : `${round(distanceKm, 2)} km away`
+    })
+});
+
+// Fewer bookings already held on the booking's day
+registerScoringFactor('workload', {
+    weight: 2,
+    score: ({ technician, workload }) => {
+        const maxWorkload = technician.maxWorkload || 5;
+        return {
+            score: 1 - Math.min(workload, maxWorkload) / maxWorkload,
+            detail: `${workload}/${maxWorkload} bookings that day`
+        };
+    }
+});
+
+registerScoringFactor('rating', {
+    weight: 1,
+    score: ({ technician }) => ({
+        score: (technician.averageRating || 0) / 5,
+        detail: `Average rating ${technician.averageRating || 0}`
+    })
+});
+
+// Technicians who often decline assignments rank lower
+registerScoringFactor('declineHistory', {
+    weight: 1,
+    score: ({ technician }, { declineCounts }) => {
+        const declines = declineCounts.get(technician._id.toString()) || 0;
+        return {
+            score: 1 / (1 + declines),
+            detail: `${declines} declined assignment(s) in the last ${DECLINE_WINDOW_DAYS} days`
+        };
+    }
+});
+
+// Bookings routed to a partner prefer that partner's technicians
+registerScoringFactor('partnerAffiliation', {
+    weight: 1,
+    score: ({ technician }, { booking }) => {
+        if (!booking.partner) {
+            return { score: 0.5, detail: 'Booking is not routed to a partner' };
+        }
+        const affiliated = technician.partner?.toString() === (booking.partner._id ?? booking.partner).toString();
+        return {
+            score: affiliated ? 1 : 0,
+            detail: affiliated ? 'Belongs to the booking partner' : 'Not affiliated with the booking partner'
+        };
+    }
+});
+
+/**
+ * Effective factor weights: registered defaults < ASSIGNMENT_WEIGHTS < per-call overrides
+ * @param {Object} [overrides] - { factorName: weight }
+ * @returns {Object}
+ */
+export const getScoringWeights = (overrides = {}) => {
+    const weights = {};
+    for (const [name, factor] of scoringFactors) {
+        const override = overrides[name] ?? CONFIGURED_WEIGHTS[name];
+        const weight = override === undefined ? factor.weight : parseFloat(override);
+        weights[name] = isNaN(weight) || weight < 0 ? factor.weight : weight;
+    }
+    return weights;
+};
+
+const countRecentDeclines = async (technicianIds) => {
+    if (technicianIds.length === 0) return new Map();
+
+    const since = new Date(Date.now() - DECLINE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const declines = await Booking.aggregate([
+        { $match: { 'declinedBy.technician': { $in: technicianIds } } },
+        { $unwind: '$declinedBy' },
+        {
+            $match: {
+                'declinedBy.technician': { $in: technicianIds },
+                'declinedBy.declinedAt': { $gte: since }
+            }
+        },
+        { $group: { _id: '$declinedBy.technician', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(declines.map((item) => [item._id.toString(), item.count]));
+};
+
+/**
+ * Rank the technicians who can serve a booking's scheduled slot
+ * @param {Object} booking - Booking document with `services.serviceId` populated (name, category)
+ * @param {Object} [options] - { weights, limit, exclude: technician ids to skip, partner: only this partner's technicians }
+ * @returns {Promise<Object>} { weights, candidates: [{ technician, score, distanceKm, breakdown }] }
+ */
+export const rankCandidates = async (booking, options = {}) => {
+    const { limit, exclude = [], partner } = options;
+    const weights = getScoringWeights(options.weights);
+
+    // Technicians who declined this booking are never offered it again
+    const skipped = new Set([
+        ...exclude.map(String),
+        ...(booking.declinedBy || []).map((decline) => decline.technician?.toString())
+    ]);
+
+    const available = await findTechniciansForSlot({
+        serviceIds: booking.services.map((service) => service.serviceId?._id ?? service.serviceId),
+        pincode: booking.address?.pincode,
+        scheduleDate: booking.scheduleDate,
+        preferredTimeSlot: booking.preferredTimeSlot,
+        excludeBookingId: booking._id
+    });
+    const eligible = available.filter(({ technician }) =>
+        !skipped.has(technician._id.toString())
+        && (!partner || technician.partner?.toString() === partner.toString()));
+
+    const context = {
+        booking,
+        serviceTerms: [
+            ...new Set(
+                booking.services
+                    .flatMap((service) => [service.name, service.serviceId?.category])
+                    .filter(Boolean)
+                    .map((term) => term.toLowerCase())
+            )
+        ],
+        declineCounts: await countRecentDeclines(eligible.map(({ technician }) => technician._id))
+    };
+    const bookingPosition = booking.address?.location?.coordinates;
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+
+    const candidates = eligible.map(({ technician, workload }) => {
+        const candidate = {
+            technician,
+            workload,
+            distanceKm: distanceInKm(getTechnicianPosition(technician), bookingPosition)
+        };
+
+        const breakdown = {};
+        let total = 0;
+        for (const [name, factor] of scoringFactors) {
+            const { score, detail } = factor.score(candidate, context);
+            const weighted = (weights[name] * score) / totalWeight;
+            breakdown[name] = { weight: weights[name], score: round(score), weighted: round(weighted), detail };
+            total += weighted;
+        }
+
+        return {
+            technician: {
+                _id: technician._id,
+                name: technician.name,
+                phone: technician.phone,
+                averageRating: technician.averageRating
+            },
+            score: round(total),
+            distanceKm: candidate.distanceKm == null ? null : round(candidate.distanceKm, 2),
+            workload,
+            breakdown
+        };
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    return {
+        weights,
+        candidates: limit ? candidates.slice(0, limit) : candidates
+    };
+};
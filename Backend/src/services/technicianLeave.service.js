@@ -0,0 +1,228 @@
+import { Booking } from '../models/Booking.model.js';
+import { Holiday } from '../models/Holiday.model.js';
+import { Technician } from '../models/Technician.model.js';
+import { TechnicianLeave } from '../models/TechnicianLeave.model.js';
+import { User } from '../models/User.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { escalateBooking } from './assignmentOffer.service.js';
+import { notify } from './notification.service.js';
+import { observesHoliday, startOfDay } from './slotAvailability.service.js';
+
+/**
+ * Technician leave and public holidays
+ *
+ * Technicians request leave for whole days; admins and managers, or the
+ * partner the technician works for, approve or reject it. Admins keep a
+ * calendar of public holidays, national or for some states, which apply to
+ * technicians with an address in those states. Slot capacity and
+ * auto-assignment leave out technicians on approved leave or a holiday (see
+ * slotAvailability.service); bookings they already hold on those days are
+ * escalated so dispatchers reassign them.
+ */
+
+// Longest leave a technician may request at once, in days
+const MAX_LEAVE_DAYS = parseInt(process.env.TECHNICIAN_MAX_LEAVE_DAYS, 10) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bookings a technician holds and would have to serve
+const HELD_BOOKING_STATUSES = ['assigned', 'confirmed'];
+
+const formatDay = (date) => new Date(date).toDateString();
+
+const technicianName = (technician) =>
+    `${technician?.name?.first || ''} ${technician?.name?.last || ''}`.trim() || 'Technician';
+
+/**
+ * Escalate held bookings so dispatchers move them to another technician
+ * @param {Object[]} bookings - Booking documents
+ * @param {string} reason - Shown on the escalation
+ * @returns {Promise<Object[]>} The flagged bookings
+ */
+const flagForReassignment = async (bookings, reason) => {
+    const flagged = [];
+    for (const booking of bookings) {
+        // Already waiting for a dispatcher
+        if (booking.escalation?.escalatedAt && !booking.escalation.resolvedAt) continue;
+
+        try {
+            flagged.push(await escalateBooking(booking, reason));
+        } catch (error) {
+            console.error(`Flagging booking ${booking.bookingId || booking._id} for reassignment failed:`, error);
+        }
+    }
+    return flagged;
+};
+
+/**
+ * Request leave
+ * @param {Object} technician - Technician requesting it
+ * @param {Object} input - { startDate, endDate, type, reason }
+ * @returns {Promise<Object>} The pending leave
+ * @throws {ApiError} 400 for invalid dates, 409 when it overlaps other leave
+ */
+export const requestLeave = async (technician, { startDate, endDate, type, reason }) => {
+    if (!startDate) {
+        throw new ApiError(400, 'Start date is required');
+    }
+
+    const start = startOfDay(startDate);
+    const end = startOfDay(endDate || startDate);
+    if (end < start) {
+        throw new ApiError(400, 'End date cannot be before the start date');
+    }
+    if (start < startOfDay(new Date())) {
+        throw new ApiError(400, 'Leave cannot start in the past');
+    }
+    if (Math.round((end - start) / DAY_MS) + 1 > MAX_LEAVE_DAYS) {
+        throw new ApiError(400, `Leave can cover at most ${MAX_LEAVE_DAYS} days per request`);
+    }
+
+    const overlapping = await TechnicianLeave.exists({
+        technician: technician._id,
+        status: { $in: ['pending', 'approved'] },
+        startDate: { $lte: end },
+        endDate: { $gte: start }
+    });
+    if (overlapping) {
+        throw new ApiError(409, 'You already have leave requested for some of these days');
+    }
+
+    const leave = await TechnicianLeave.create({
+        technician: technician._id,
+        startDate: start,
+        endDate: end,
+        type,
+        reason
+    });
+
+    const reviewers = await User.find({
+        isActive: true,
+        $or: [
+            { role: { $in: ['Admin', 'Manager'] } },
+            ...(technician.partner ? [{ role: 'Partner', partner: technician.partner }] : [])
+        ]
+    }).select('_id').lean();
+    await Promise.all(reviewers.map((reviewer) => notify(reviewer, 'leave.requested', { leave, technician })));
+
+    return leave;
+};
+
+/**
+ * Approve or reject pending leave; approving flags the bookings the technician holds on those days
+ * @param {Object} leave - TechnicianLeave document
+ * @param {Object} review - { decision: 'approved'|'rejected', note, actor }
+ * @returns {Promise<Object>} { leave, flaggedBookings }
+ * @throws {ApiError} 409 when the leave is no longer pending
+ */
+export const reviewLeave = async (leave, { decision, note, actor }) => {
+    if (!['approved', 'rejected'].includes(decision)) {
+        throw new ApiError(400, 'Decision must be approved or rejected');
+    }
+
+    const reviewed = await TechnicianLeave.findOneAndUpdate(
+        { _id: leave._id, status: 'pending' },
+        {
+            $set: {
+                status: decision,
+                review: { reviewedBy: actor?._id || null, reviewedAt: new Date(), note }
+            }
+        },
+        { new: true }
+    );
+    if (!reviewed) {
+        throw new ApiError(409, `Leave is already ${leave.status}`);
+    }
+
+    const technician = await Technician.findById(reviewed.technician).select('name email phone');
+    let flaggedBookings = [];
+
+    if (decision === 'approved') {
+        const held = await Booking.find({
+            assigned_technician: reviewed.technician,
+            status: { $in: HELD_BOOKING_STATUSES },
+            scheduleDate: { $gte: reviewed.startDate, $lt: new Date(reviewed.endDate.getTime() + DAY_MS) }
+        });
+        flaggedBookings = await flagForReassignment(
+            held,
+            `${technicianName(technician)} is on leave from ${formatDay(reviewed.startDate)} to ${formatDay(reviewed.endDate)}`
+        );
+
+        reviewed.affectedBookings = flaggedBookings.map((booking) => booking._id);
+        await reviewed.save();
+    }
+
+    notify(reviewed.technician, 'leave.reviewed', { leave: reviewed });
+    return { leave: reviewed, flaggedBookings };
+};
+
+/**
+ * Withdraw leave that has not started yet
+ * @param {Object} leave - TechnicianLeave document
+ * @returns {Promise<Object>} The cancelled leave
+ * @throws {ApiError} 409 when it was rejected, cancelled or has started
+ */
+export const cancelLeave = async (leave) => {
+    const cancelled = await TechnicianLeave.findOneAndUpdate(
+        {
+            _id: leave._id,
+            status: { $in: ['pending', 'approved'] },
+            startDate: { $gt: startOfDay(new Date()) }
+        },
+        { $set: { status: 'cancelled', cancelledAt: new Date() } },
+        { new: true }
+    );
+    if (!cancelled) {
+        throw new ApiError(409, 'Only pending or approved leave that has not started can be cancelled');
+    }
+
+    return cancelled;
+};
+
+/**
+ * Add a public holiday; bookings held by technicians observing it are flagged
+ * @param {Object} input - { name, date, states, createdBy }
+ * @returns {Promise<Object>} { holiday, flaggedBookings }
+ */
+export const createHoliday = async ({ name, date, states = [], createdBy }) => {
+    if (!name || !date) {
+        throw new ApiError(400, 'Name and date are required');
+    }
+
+    const holiday = await Holiday.create({
+        name,
+        date: startOfDay(date),
+        states: [].concat(states).filter(Boolean),
+        createdBy
+    });
+
+    return { holiday, flaggedBookings: await flagHolidayBookings(holiday) };
+};
+
+/**
+ * Flag the bookings technicians observing a holiday hold on its day
+ * @param {Object} holiday - Holiday document
+ * @returns {Promise<Object[]>} The flagged bookings
+ */
+export const flagHolidayBookings = async (holiday) => {
+    if (!holiday.isActive) return [];
+
+    const held = await Booking.find({
+        assigned_technician: { $ne: null },
+        status: { $in: HELD_BOOKING_STATUSES },
+        scheduleDate: { $gte: holiday.date, $lt: new Date(holiday.date.getTime() + DAY_MS) }
+    });
+    if (!held.length) return [];
+
+    const technicians = await Technician.find({ _id: { $in: held.map((booking) => booking.assigned_technician) } })
+        .select('addresses')
+        .lean();
+    const observing = new Set(
+        technicians.filter((technician) => observesHoliday(holiday, technician)).map((technician) => technician._id.toString())
+    );
+
+    return flagForReassignment(
+        held.filter((booking) => observing.has(booking.assigned_technician.toString())),
+        `The technician does not work on ${holiday.name} (${formatDay(holiday.date)})`
+    );
+};
@@ -0,0 +1,413 @@
+import mongoose from 'mongoose';
+import { Counter } from '../models/Counter.model.js';
+import { PayoutBatch } from '../models/PayoutBatch.model.js';
+import { Technician } from '../models/Technician.model.js';
+import { EARNING_TYPES, TechnicianLedgerEntry } from '../models/TechnicianLedgerEntry.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { bookingEvents } from './bookingLifecycle.service.js';
+import { computeBookingEarnings } from './commission.service.js';
+import { roundAmount } from './pricing.service.js';
+
+/**
+ * Technician ledger and payouts
+ *
+ * Every amount a technician earns or owes is an entry on their ledger:
+ * completing a booking posts its earnings (see commission.service), cash
+ * collected at the door is owed until deposited (see cashCollection.service),
+ * admins post manual incentives, penalties and adjustments. The balance is the
+ * sum of the entries. Once a week a payout batch takes the entries not paid out yet,
+ * posted before the batch's period end, and pays every technician with a
+ * positive balance and complete bank details; negative balances carry over.
+ * The batch is exported as a bank transfer file and each transfer is then
+ * marked paid, which posts the payout entry, or failed, which releases its
+ * entries for the next batch.
+ */
+
+const BANK_FIELDS = ['accountHolderName', 'accountNumber', 'ifscCode'];
+
+/**
+ * Post one entry, once per idempotency key
+ * In a transaction a repeated key fails the transaction instead.
+ * @param {Object} fields - { technician, type, amount, booking, description, details, idempotencyKey, createdBy }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object|null>} The entry, null when its key was posted already
+ */
+export const postLedgerEntry = async (fields, { session = null } = {}) => {
+    try {
+        const [entry] = await TechnicianLedgerEntry.create([{ ...fields, amount: roundAmount(fields.amount) }], { session });
+        return entry;
+    } catch (error) {
+        if (error.code === 11000 && fields.idempotencyKey && !session) return null;
+        throw error;
+    }
+};
+
+/**
+ * Post the earnings of a completed booking to its technician's ledger, once
+ * @param {Object} booking - Completed booking document
+ * @returns {Promise<Object[]>} The entries posted now
+ */
+export const postBookingEarnings = async (booking) => {
+    if (!booking.assigned_technician) return [];
+
+    const technicianId = booking.assigned_technician._id ?? booking.assigned_technician;
+    const technician = await Technician.findById(technicianId).select('partner').lean();
+    const earnings = await computeBookingEarnings(booking, technician);
+
+    const posted = [];
+    for (const entry of earnings) {
+        const created = await postLedgerEntry({
+            ...entry,
+            technician: technicianId,
+            booking: booking._id,
+            idempotencyKey: `booking:${booking._id}:${entry.type}`
+        });
+        if (created) posted.push(created);
+    }
+    return posted;
+};
+
+/**
+ * Balance of a technician: what they are owed, negative when they owe the business
+ * @param {string|Object} technicianId
+ * @returns {Promise<Object>} { balance, unpaidOut: part not yet in a payout batch }
+ */
+export const getLedgerBalance = async (technicianId) => {
+    const [totals] = await TechnicianLedgerEntry.aggregate([
+        { $match: { technician: new mongoose.Types.ObjectId(technicianId) } },
+        {
+            $group: {
+                _id: null,
+                balance: { $sum: '$amount' },
+                unpaidOut: { $sum: { $cond: [{ $eq: ['$payoutBatch', null] }, '$amount', 0] } }
+            }
+        }
+    ]);
+
+    return {
+        balance: roundAmount(totals?.balance || 0),
+        unpaidOut: roundAmount(totals?.unpaidOut || 0)
+    };
+};
+
+/**
+ * A technician's ledger entries, newest first
+ * @param {string|Object} technicianId
+ * @param {Object} [filters] - { type, from, to, page, limit }
+ * @returns {Promise<Object>} { balance, entries, pagination }
+ */
+export const getLedger = async (technicianId, { type, from, to, page = 1, limit = 20 } = {}) => {
+    const query = { technician: technicianId };
+    if (type) query.type = type;
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total, balance] = await Promise.all([
+        TechnicianLedgerEntry.find(query)
+            .populate('booking', 'bookingId scheduleDate finalAmount')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        TechnicianLedgerEntry.countDocuments(query),
+        getLedgerBalance(technicianId)
+    ]);
+
+    return {
+        ...balance,
+        entries,
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+const earningsMatch = (technicianIds, { from, to } = {}) => {
+    const match = {
+        technician: { $in: technicianIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        type: { $in: EARNING_TYPES }
+    };
+    if (from || to) {
+        match.createdAt = {};
+        if (from) match.createdAt.$gte = new Date(from);
+        if (to) match.createdAt.$lte = new Date(to);
+    }
+    return match;
+};
+
+/**
+ * What technicians earned in a period, from their ledgers
+ * @param {Object[]} technicianIds
+ * @param {Object} [period] - { from, to }
+ * @returns {Promise<Map>} Technician id string -> amount
+ */
+export const getEarningsTotals = async (technicianIds, period) => {
+    const totals = await TechnicianLedgerEntry.aggregate([
+        { $match: earningsMatch(technicianIds, period) },
+        { $group: { _id: '$technician', amount: { $sum: '$amount' } } }
+    ]);
+    return new Map(totals.map((total) => [total._id.toString(), roundAmount(total.amount)]));
+};
+
+/**
+ * What a technician earned per month, from their ledger
+ * @param {string|Object} technicianId
+ * @param {Date} since
+ * @returns {Promise<Object[]>} [{ year, month, earnings, jobs }], oldest first
+ */
+export const getMonthlyEarnings = async (technicianId, since) => {
+    const months = await TechnicianLedgerEntry.aggregate([
+        { $match: earningsMatch([technicianId], { from: since }) },
+        {
+            $group: {
+                _id: { year: { $year: '$createdAt' }, month: { $month: '$createdAt' } },
+                earnings: { $sum: '$amount' },
+                bookings: { $addToSet: '$booking' }
+            }
+        },
+        { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]);
+
+    return months.map((item) => ({
+        year: item._id.year,
+        month: item._id.month,
+        earnings: roundAmount(item.earnings),
+        jobs: item.bookings.filter(Boolean).length
+    }));
+};
+
+/**
+ * Midnight of the Monday starting the week of a date
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const getWeekStart = (date = new Date()) => {
+    const monday = new Date(date);
+    monday.setHours(0, 0, 0, 0);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return monday;
+};
+
+/**
+ * Create a payout batch for the entries posted before periodEnd
+ * @param {Object} [options] - { periodEnd: defaults to the start of the current week, createdBy }
+ * @returns {Promise<Object|null>} The batch, null when nobody is owed anything
+ */
+export const createPayoutBatch = async ({ periodEnd = getWeekStart(), createdBy = null } = {}) => {
+    const end = new Date(periodEnd);
+    if (isNaN(end.getTime()) || end > new Date()) {
+        throw new ApiError(400, 'Payout period must end in the past');
+    }
+
+    const balances = await TechnicianLedgerEntry.aggregate([
+        { $match: { payoutBatch: null, createdAt: { $lt: end } } },
+        { $group: { _id: '$technician', amount: { $sum: '$amount' }, entries: { $push: '$_id' } } },
+        { $match: { amount: { $gt: 0 } } }
+    ]);
+    if (!balances.length) return null;
+
+    const technicians = await Technician.find({ _id: { $in: balances.map((balance) => balance._id) } })
+        .select('bankDetails')
+        .lean();
+    const bankDetails = new Map(technicians.map((technician) => [technician._id.toString(), technician.bankDetails]));
+
+    const [previous] = await PayoutBatch.find().sort({ periodEnd: -1 }).limit(1).select('periodEnd').lean();
+    const sequence = await Counter.next('payoutBatch');
+
+    // Entries are only tagged with a batch that is saved with them
+    const session = await mongoose.startSession();
+    let batch;
+
+    try {
+        await session.withTransaction(async () => {
+            // Built afresh when the transaction is retried
+            batch = new PayoutBatch({
+                batchNumber: `PO${String(sequence).padStart(6, '0')}`,
+                periodStart: previous?.periodEnd || null,
+                periodEnd: end,
+                createdBy
+            });
+
+            for (const balance of balances) {
+                const amount = roundAmount(balance.amount);
+                const bank = bankDetails.get(balance._id.toString());
+                if (!bank || BANK_FIELDS.some((field) => !bank[field])) {
+                    batch.skipped.push({ technician: balance._id, amount, reason: 'Bank details are incomplete' });
+                    continue;
+                }
+
+                // Entries another batch took in the meantime are left out
+                const { modifiedCount } = await TechnicianLedgerEntry.updateMany(
+                    { _id: { $in: balance.entries }, payoutBatch: null },
+                    { $set: { payoutBatch: batch._id } },
+                    { session }
+                );
+                if (modifiedCount !== balance.entries.length) {
+                    await TechnicianLedgerEntry.updateMany(
+                        { _id: { $in: balance.entries }, payoutBatch: batch._id },
+                        { $set: { payoutBatch: null } },
+                        { session }
+                    );
+                    batch.skipped.push({ technician: balance._id, amount, reason: 'Entries changed while batching, retry later' });
+                    continue;
+                }
+
+                batch.items.push({
+                    technician: balance._id,
+                    amount,
+                    entryCount: balance.entries.length,
+                    bankDetails: {
+                        accountHolderName: bank.accountHolderName,
+                        accountNumber: bank.accountNumber,
+                        ifscCode: bank.ifscCode,
+                        bankName: bank.bankName
+                    }
+                });
+            }
+
+            batch.totalAmount = roundAmount(batch.items.reduce((sum, item) => sum + item.amount, 0));
+            if (!batch.items.length) batch.status = 'completed';
+            await batch.save({ session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    return batch;
+};
+
+/**
+ * Record the outcome of a transfer in a batch
+ * @param {Object} batch - PayoutBatch document
+ * @param {string} technicianId - Technician of the transfer
+ * @param {Object} outcome - { status: 'paid'|'failed', reference, failureReason, actor }
+ * @returns {Promise<Object>} The updated batch
+ * @throws {ApiError} 404 without such a transfer, 409 when it was settled already
+ */
+export const settlePayoutItem = async (batch, technicianId, { status, reference, failureReason, actor }) => {
+    if (!['paid', 'failed'].includes(status)) {
+        throw new ApiError(400, 'Status must be paid or failed');
+    }
+
+    const item = batch.items.find((candidate) => candidate.technician.toString() === technicianId.toString());
+    if (!item) {
+        throw new ApiError(404, 'Technician is not part of this payout batch');
+    }
+
+    // The transfer's status and the ledger entry it posts or releases are written together
+    const session = await mongoose.startSession();
+    let settled;
+
+    try {
+        await session.withTransaction(async () => {
+            // Only one request settles the transfer
+            settled = await PayoutBatch.findOneAndUpdate(
+                { _id: batch._id, items: { $elemMatch: { technician: item.technician, status: 'pending' } } },
+                {
+                    $set: {
+                        'items.$.status': status,
+                        'items.$.reference': reference || null,
+                        'items.$.settledAt': new Date(),
+                        'items.$.settledBy': actor?._id || null,
+                        ...(status === 'failed' && { 'items.$.failureReason': failureReason || 'Transfer failed' })
+                    }
+                },
+                { new: true, session }
+            );
+            if (!settled) {
+                throw new ApiError(409, `Payout to this technician is already ${item.status}`);
+            }
+
+            if (status === 'paid') {
+                await postLedgerEntry({
+                    technician: item.technician,
+                    type: 'payout',
+                    amount: -item.amount,
+                    description: `Payout ${batch.batchNumber}${reference ? ` (${reference})` : ''}`,
+                    payoutBatch: batch._id,
+                    idempotencyKey: `payout:${batch._id}:${item.technician}`,
+                    createdBy: actor?._id || null
+                }, { session });
+            } else {
+                await TechnicianLedgerEntry.updateMany(
+                    { technician: item.technician, payoutBatch: batch._id },
+                    { $set: { payoutBatch: null } },
+                    { session }
+                );
+            }
+
+            if (settled.items.every((candidate) => candidate.status !== 'pending')) {
+                settled.status = 'completed';
+                settled.completedAt = new Date();
+                await settled.save({ session });
+            }
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    return settled;
+};
+
+const csvValue = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Bank transfer file of a batch's pending transfers, one row per technician
+ * @param {Object} batch - PayoutBatch document
+ * @returns {string} CSV
+ */
+export const buildBankTransferFile = (batch) => {
+    const rows = [
+        ['Beneficiary Name', 'Account Number', 'IFSC', 'Bank Name', 'Amount', 'Reference', 'Narration']
+    ];
+    for (const item of batch.items.filter((candidate) => candidate.status === 'pending')) {
+        rows.push([
+            item.bankDetails.accountHolderName,
+            item.bankDetails.accountNumber,
+            item.bankDetails.ifscCode,
+            item.bankDetails.bankName,
+            item.amount.toFixed(2),
+            `${batch.batchNumber}-${item.technician}`,
+            `HomeHeal payout ${batch.batchNumber}`
+        ]);
+    }
+
+    return rows.map((row) => row.map(csvValue).join(',')).join('\n');
+};
+
+/**
+ * Post every completed booking's earnings to its technician's ledger
+ */
+export const registerEarningsListeners = () => {
+    bookingEvents.on('transition', ({ booking, to }) => {
+        if (to !== 'completed') return;
+        postBookingEarnings(booking).catch((error) => {
+            console.error(`Posting earnings of booking ${booking.bookingId || booking._id} failed:`, error);
+        });
+    });
+};
+
+/**
+ * Batch the previous week's ledger entries once the week is over
+ * @param {Date} now
+ * @returns {Promise<Object>} { batch, items, totalAmount }
+ */
+export const runWeeklyPayouts = async (now = new Date()) => {
+    const periodEnd = getWeekStart(now);
+    // The week is batched once, by the first run after it ended
+    if (await PayoutBatch.exists({ periodEnd: { $gte: periodEnd } })) {
+        return { batch: null, items: 0, totalAmount: 0 };
+    }
+
+    const batch = await createPayoutBatch({ periodEnd });
+    return { batch: batch?.batchNumber || null, items: batch?.items.length || 0, totalAmount: batch?.totalAmount || 0 };
+};
@@ -0,0 +1,144 @@
+import { Booking } from '../models/Booking.model.js';
+import { Technician } from '../models/Technician.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+import { bookingEvents } from './bookingLifecycle.service.js';
+import { distanceInKm } from './technicianAssignment.service.js';
+
+/**
+ * Technician location tracking
+ *
+ * Technicians post GPS pings while they are on their way to a booking. Each
+ * ping updates the technician's `location`, is appended to the booking's
+ * capped `locationTrail` and is pushed to the customer as a `location`
+ * booking event. Customers read the latest position with the straight-line
+ * distance and ETA to the booking address.
+ */
+
+// Pings kept per booking, oldest are dropped first
+const TRAIL_LIMIT = parseInt(process.env.BOOKING_LOCATION_TRAIL_LIMIT, 10) || 500;
+// Average travel speed used for the straight-line ETA
+const AVERAGE_SPEED_KMPH = parseFloat(process.env.TECHNICIAN_AVERAGE_SPEED_KMPH) || 25;
+// Positions older than this are reported as stale
+const STALE_AFTER_MINUTES = 5;
+
+// Bookings the technician is travelling to
+export const TRACKABLE_STATUSES = ['assigned', 'confirmed'];
+// Bookings whose customer may see the technician's position
+const VISIBLE_STATUSES = [...TRACKABLE_STATUSES, 'reached'];
+
+const refId = (ref) => (ref?._id ?? ref)?.toString();
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+/**
+ * Read and validate GPS coordinates from a request body
+ * @param {Object} body - { latitude, longitude, accuracy, speed, heading }
+ * @returns {Object} { latitude, longitude, accuracy, speed, heading }
+ * @throws {ApiError} 400 when coordinates are missing or out of range
+ */
+export const parseCoordinates = (body = {}) => {
+    const latitude = toNumber(body.latitude);
+    const longitude = toNumber(body.longitude);
+
+    if (latitude === undefined || longitude === undefined) {
+        throw new ApiError(400, 'Current latitude and longitude are required');
+    }
+    if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+        throw new ApiError(400, 'Invalid coordinates');
+    }
+
+    const optional = {};
+    for (const field of ['accuracy', 'speed', 'heading']) {
+        const value = toNumber(body[field]);
+        if (value !== undefined && !isNaN(value)) optional[field] = value;
+    }
+
+    return { latitude, longitude, ...optional };
+};
+
+const describePosition = (booking, position, recordedAt) => {
+    const distanceKm = distanceInKm(position, booking.address?.location?.coordinates);
+
+    return {
+        latitude: position.latitude,
+        longitude: position.longitude,
+        accuracy: position.accuracy,
+        recordedAt,
+        distanceKm: distanceKm == null ? null : parseFloat(distanceKm.toFixed(2)),
+        etaMinutes: distanceKm == null ? null : Math.ceil((distanceKm / AVERAGE_SPEED_KMPH) * 60),
+        stale: !recordedAt || Date.now() - new Date(recordedAt).getTime() > STALE_AFTER_MINUTES * 60 * 1000
+    };
+};
+
+/**
+ * Store a GPS ping from the technician assigned to a booking
+ * @param {Object} booking - Booking document
+ * @param {Object} technician - The authenticated technician
+ * @param {Object} ping - Output of parseCoordinates
+ * @returns {Promise<Object>} Latest position with distance and ETA
+ * @throws {ApiError} 403 for other technicians, 409 outside assigned/confirmed
+ */
+export const recordLocationPing = async (booking, technician, ping) => {
+    if (refId(booking.assigned_technician) !== technician._id.toString()) {
+        throw new ApiError(403, 'Only the assigned technician can share their location for this booking');
+    }
+    if (!TRACKABLE_STATUSES.includes(booking.status)) {
+        throw new ApiError(409, `Location can only be shared while the booking is ${TRACKABLE_STATUSES.join(' or ')}`);
+    }
+
+    const { latitude, longitude, accuracy, speed, heading } = ping;
+
+    // req.user is hydrated as a Technician through the role discriminator
+    const technicianDoc = technician instanceof Technician ? technician : await Technician.findById(technician._id);
+    await technicianDoc.updateLocation({ lng: longitude, lat: latitude, accuracy });
+    const recordedAt = technicianDoc.location.updatedAt;
+
+    await Booking.updateOne(
+        { _id: booking._id },
+        {
+            $push: {
+                locationTrail: {
+                    $each: [{ coordinates: { latitude, longitude }, accuracy, speed, heading, recordedAt }],
+                    $slice: -TRAIL_LIMIT
+                }
+            }
+        }
+    );
+
+    const location = { technicianId: technician._id, ...describePosition(booking, ping, recordedAt) };
+    bookingEvents.emit('location', { booking, location });
+
+    return location;
+};
+
+/**
+ * Latest position of the technician assigned to a booking
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} Position with distance and ETA, `position: null` before the first ping
+ * @throws {ApiError} 409 when the booking has no technician on the way
+ */
+export const getLiveLocation = async (booking) => {
+    if (!booking.assigned_technician || !VISIBLE_STATUSES.includes(booking.status)) {
+        throw new ApiError(409, 'Technician location is only available while a technician is on the way');
+    }
+
+    const technician = await Technician.findById(refId(booking.assigned_technician))
+        .select('name phone location')
+        .lean();
+    const [longitude, latitude] = technician?.location?.coordinates || [];
+
+    return {
+        technician: technician && {
+            _id: technician._id,
+            name: `${technician.name.first} ${technician.name.last || ''}`.trim(),
+            phone: technician.phone
+        },
+        position: latitude == null
+            ? null
+            : describePosition(
+                booking,
+                { latitude, longitude, accuracy: technician.location.accuracy },
+                technician.location.updatedAt
+            )
+    };
+};
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { Wallet } from '../models/Wallet.model.js';
+import { WalletTransaction } from '../models/WalletTransaction.model.js';
+import { ApiError } from '../utils/ApiErrors.js';
+
+/**
+ * Customer wallets
+ *
+ * A wallet holds credit the customer can spend on bookings. Every change to
+ * the balance is a `WalletTransaction` journal entry: credits (refunds,
+ * cashback, goodwill, referral bonuses) move money from a platform account
+ * into the customer's `wallet:<userId>` account, debits move it back to
+ * `platform:bookings` or `platform:subscriptions` when something is paid. Balances are changed with
+ * conditional updates, so a wallet never goes below zero, and the balance
+ * update and its journal entry are written in one transaction. Callers that
+ * already run a transaction pass its `session` to take part in it.
+ */
+
+export const CREDIT_CATEGORIES = ['refund', 'cashback', 'goodwill', 'referral'];
+
+// Platform account on the other side of each kind of wallet transaction
+const CONTRA_ACCOUNTS = {
+    refund: 'platform:refunds',
+    cashback: 'platform:cashback',
+    goodwill: 'platform:goodwill',
+    referral: 'platform:referral',
+    booking_payment: 'platform:bookings',
+    subscription_payment: 'platform:subscriptions'
+};
+
+const walletAccount = (userId) => `wallet:${userId}`;
+
+const newTransactionId = () => `WTX${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+const toAmount = (amount) => {
+    amount = Math.round(Number(amount) * 100) / 100;
+    if (!(amount > 0)) {
+        throw new ApiError(400, 'Amount must be greater than zero');
+    }
+    return amount;
+};
+
+// Run in the caller's transaction, or in a new one
+const inTransaction = async (session, work) => {
+    if (session) return work(session);
+
+    const ownSession = await mongoose.startSession();
+    try {
+        let result;
+        await ownSession.withTransaction(async () => {
+            result = await work(ownSession);
+        });
+        return result;
+    } finally {
+        await ownSession.endSession();
+    }
+};
+
+// Balance change and its journal entry
+const postTransaction = async ({ userId, type, category, amount, booking, description, createdBy, session }) => {
+    const change = type === 'credit' ? amount : -amount;
+    const filter = type === 'credit' ? { user: userId } : { user: userId, balance: { $gte: amount } };
+
+    // Rounded on the server so repeated decimal amounts do not drift
+    const wallet = await Wallet.findOneAndUpdate(
+        filter,
+        [{
+            $set: {
+                balance: { $round: [{ $add: [{ $ifNull: ['$balance', 0] }, change] }, 2] },
+                currency: { $ifNull: ['$currency', 'INR'] }
+            }
+        }],
+        { new: true, upsert: type === 'credit', session }
+    );
+    if (!wallet) {
+        throw new ApiError(409, 'Insufficient wallet balance');
+    }
+
+    const customerAccount = walletAccount(userId);
+    const contraAccount = CONTRA_ACCOUNTS[category];
+    const [transaction] = await WalletTransaction.create([{
+        transactionId: newTransactionId(),
+        user: userId,
+        wallet: wallet._id,
+        type,
+        category,
+        amount,
+        balanceAfter: wallet.balance,
+        booking: booking || null,
+        description,
+        createdBy: createdBy || null,
+        entries: type === 'credit'
+            ? [{ account: contraAccount, debit: amount }, { account: customerAccount, credit: amount }]
+            : [{ account: customerAccount, debit: amount }, { account: contraAccount, credit: amount }]
+    }], { session });
+
+    return { wallet, transaction };
+};
+
+/**
+ * Add credit to a customer's wallet, creating the wallet on first use
+ * @param {string|Object} userId - Customer
+ * @param {number} amount - Amount to credit
+ * @param {Object} options - { category, booking, description, createdBy, session }
+ * @returns {Promise<Object>} { wallet, transaction }
+ * @throws {ApiError} 400 for invalid amounts or categories
+ */
+export const creditWallet = (userId, amount, { category, booking, description, createdBy, session } = {}) => {
+    if (!CREDIT_CATEGORIES.includes(category)) {
+        throw new ApiError(400, `Wallet credit category must be one of: ${CREDIT_CATEGORIES.join(', ')}`);
+    }
+    amount = toAmount(amount);
+
+    return inTransaction(session, (activeSession) => postTransaction({
+        userId, type: 'credit', category, amount, booking, description, createdBy, session: activeSession
+    }));
+};
+
+/**
+ * Spend wallet credit on a booking or a subscription
+ * @param {string|Object} userId - Customer
+ * @param {number} amount - Amount to debit
+ * @param {Object} [options] - { category: 'booking_payment'|'subscription_payment', booking, description,
+ *                               createdBy, session }
+ * @returns {Promise<Object>} { wallet, transaction }
+ * @throws {ApiError} 400 for invalid amounts, 409 when the balance is too low
+ */
+export const debitWallet = (userId, amount, {
+    category = 'booking_payment',
+    booking,
+    description,
+    createdBy,
+    session
+} = {}) => {
+    amount = toAmount(amount);
+
+    return inTransaction(session, (activeSession) => postTransaction({
+        userId, type: 'debit', category, amount, booking, description, createdBy, session: activeSession
+    }));
+};
+
+/**
+ * A customer's wallet, with a zero balance when nothing was credited yet
+ * @param {string|Object} userId
+ * @returns {Promise<Object>} { user, balance, currency }
+ */
+export const getWallet = async (userId) => {
+    const wallet = await Wallet.findOne({ user: userId }).lean();
+    return wallet || { user: userId, balance: 0, currency: 'INR' };
+};
+
+/**
+ * Wallet transactions of a customer, newest first
+ * @param {string|Object} userId
+ * @param {Object} [filters] - { type, category, page, limit }
+ * @returns {Promise<Object>} { transactions, pagination }
+ */
+export const getWalletTransactions = async (userId, { type, category, page = 1, limit = 20 } = {}) => {
+    page = Math.max(parseInt(page, 10) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const query = { user: userId };
+    if (type) query.type = type;
+    if (category) query.category = category;
+
+    const [transactions, total] = await Promise.all([
+        WalletTransaction.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('booking', 'bookingId status')
+            .select('-entries')
+            .lean(),
+        WalletTransaction.countDocuments(query)
+    ]);
+
+    return {
+        transactions,
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
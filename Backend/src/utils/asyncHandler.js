@@ -16,6 +16,7 @@ const asyncHandler = (requestHandler) => async (req, res, next) => {
         res.status(error.statusCode || 500).json({
             success: false,
             message: error.message || "Internal Server Error",
+            ...(error.errors?.length > 0 && { errors: error.errors }),
         });
     }
 };
@@ -0,0 +1,185 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { Booking } from '../src/models/Booking.model.js';
+import { Holiday } from '../src/models/Holiday.model.js';
+import { Service } from '../src/models/Service.model.js';
+import { Technician } from '../src/models/Technician.model.js';
+import { TechnicianLeave } from '../src/models/TechnicianLeave.model.js';
+import {
+    expireOffers,
+    getActiveOffer,
+    offerBooking,
+    respondToOffer
+} from '../src/services/assignmentOffer.service.js';
+import { bookingEvents } from '../src/services/bookingLifecycle.service.js';
+import { query } from './helpers/mongoose.js';
+
+const SERVICE = '64d000000000000000000001';
+const FIRST = '64e000000000000000000001';
+const SECOND = '64e000000000000000000002';
+const ADMIN = { _id: 'admin-1', role: 'Admin' };
+
+const workingHours = Object.fromEntries(
+    ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+        .map((day) => [day, { available: true, start: '08:00', end: '20:00' }])
+);
+
+const technician = (id, averageRating) => ({
+    _id: id,
+    name: { first: 'Tech', last: id.slice(-1) },
+    role: 'Technician',
+    availability: { workingHours },
+    addresses: [],
+    averageRating
+});
+
+const technicians = { [FIRST]: technician(FIRST, 5), [SECOND]: technician(SECOND, 3) };
+
+// Real documents for the schema defaults of offers; nothing is written
+const booking = (fields = {}) => {
+    const scheduleDate = new Date();
+    scheduleDate.setDate(scheduleDate.getDate() + 2);
+    const target = new Booking({
+        _id: '64a000000000000000000001',
+        bookingId: 'BK00000001',
+        status: 'pending',
+        services: [{ serviceId: SERVICE, name: 'AC repair', price: 500 }],
+        address: { pincode: '560001' },
+        scheduleDate,
+        preferredTimeSlot: { start: '10:00', end: '11:00' },
+        ...fields
+    });
+    jest.spyOn(target, 'save').mockResolvedValue(target);
+    jest.spyOn(target, 'populate').mockResolvedValue(target);
+    return target;
+};
+
+const ids = (values) => values.map((value) => value?.toString() ?? null);
+
+// A booking already offered to the first technician
+const offered = async (fields) => {
+    const target = booking(fields);
+    await offerBooking(target, technicians[FIRST], { actor: ADMIN, assignmentType: 'manual' });
+    return target;
+};
+
+beforeEach(() => {
+    jest.spyOn(Service, 'find').mockReturnValue(query([{ _id: SERVICE, name: 'AC repair', category: 'appliance' }]));
+    jest.spyOn(Technician, 'find').mockReturnValue(query(Object.values(technicians)));
+    jest.spyOn(Technician, 'findById').mockImplementation(async (id) => technicians[id.toString()]);
+    jest.spyOn(Technician, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(TechnicianLeave, 'find').mockReturnValue(query([]));
+    jest.spyOn(Holiday, 'find').mockReturnValue(query([]));
+    jest.spyOn(Booking, 'find').mockReturnValue(query([]));
+    jest.spyOn(Booking, 'aggregate').mockResolvedValue([]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    bookingEvents.removeAllListeners();
+});
+
+describe('offerBooking', () => {
+    it('assigns the technician and starts the answer timer', async () => {
+        const listener = jest.fn();
+        bookingEvents.on('offered', listener);
+
+        const target = await offered();
+
+        expect(target.status).toBe('assigned');
+        expect(ids([target.assigned_technician])).toEqual([FIRST]);
+        const offer = getActiveOffer(target);
+        expect(ids([offer.technician])).toEqual([FIRST]);
+        expect(offer).toMatchObject({ assignmentType: 'manual', status: 'pending' });
+        expect(offer.expiresAt - offer.offeredAt).toBe(10 * 60 * 1000);
+        expect(target.save).toHaveBeenCalled();
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ booking: target, offer }));
+    });
+
+    it('withdraws the open offer when the booking is offered to someone else', async () => {
+        const target = await offered();
+
+        await offerBooking(target, technicians[SECOND], { actor: ADMIN, assignmentType: 'manual' });
+
+        expect(target.assignmentOffers.map((offer) => offer.status)).toEqual(['withdrawn', 'pending']);
+        expect(ids([target.assigned_technician])).toEqual([SECOND]);
+    });
+});
+
+describe('respondToOffer', () => {
+    it('confirms the booking when the technician accepts', async () => {
+        const target = await offered();
+
+        await respondToOffer(target, technicians[FIRST], { action: 'accept' });
+
+        expect(target.status).toBe('confirmed');
+        expect(target.assignmentOffers[0].status).toBe('accepted');
+    });
+
+    it('cascades a declined booking to the next ranked technician', async () => {
+        const target = await offered();
+
+        await respondToOffer(target, technicians[FIRST], { action: 'reject', reason: 'Too far' });
+
+        expect(ids(target.assignmentOffers.map((offer) => offer.technician))).toEqual([FIRST, SECOND]);
+        expect(target.assignmentOffers.map((offer) => offer.status)).toEqual(['declined', 'pending']);
+        expect(ids(target.declinedBy.map((decline) => decline.technician))).toEqual([FIRST]);
+        expect(target.declinedBy[0].reason).toBe('Too far');
+        expect(target.status).toBe('assigned');
+        expect(ids([target.assigned_technician])).toEqual([SECOND]);
+        expect(getActiveOffer(target)).toMatchObject({ assignmentType: 'auto', rank: 1 });
+    });
+
+    it('escalates when nobody is left to offer the booking to', async () => {
+        Technician.find.mockReturnValue(query([technicians[FIRST]]));
+        const listener = jest.fn();
+        bookingEvents.on('escalated', listener);
+        const target = await offered();
+
+        await respondToOffer(target, technicians[FIRST], { action: 'reject' });
+
+        expect(target.status).toBe('pending');
+        expect(target.escalation).toMatchObject({ reason: 'No other technician is available for the booking slot' });
+        expect(listener).toHaveBeenCalled();
+    });
+
+    it('escalates after too many failed offers without ranking again', async () => {
+        const past = new Date(Date.now() - 60 * 60 * 1000);
+        const target = await offered({
+            assignmentOffers: ['64e000000000000000000008', '64e000000000000000000009']
+                .map((id) => ({ technician: id, status: 'declined', offeredAt: past, expiresAt: past }))
+        });
+
+        await respondToOffer(target, technicians[FIRST], { action: 'reject' });
+
+        expect(target.escalation.reason).toBe('3 assignment offers were declined or expired');
+        expect(target.populate).not.toHaveBeenCalled();
+    });
+
+    it('refuses an answer after the deadline and cascades the expired offer', async () => {
+        const target = await offered();
+        getActiveOffer(target).expiresAt = new Date(Date.now() - 1000);
+
+        await expect(respondToOffer(target, technicians[FIRST], { action: 'accept' }))
+            .rejects.toMatchObject({ statusCode: 409 });
+
+        expect(target.assignmentOffers.map((offer) => offer.status)).toEqual(['expired', 'pending']);
+        expect(ids([target.assigned_technician])).toEqual([SECOND]);
+        // Letting an offer lapse is not a decline
+        expect(target.declinedBy).toHaveLength(0);
+    });
+});
+
+describe('expireOffers', () => {
+    it('cascades lapsed offers and counts the bookings it could not move', async () => {
+        const lapsed = await offered();
+        getActiveOffer(lapsed).expiresAt = new Date(Date.now() - 1000);
+        const broken = await offered({ _id: '64a000000000000000000002' });
+        getActiveOffer(broken).expiresAt = new Date(Date.now() - 1000);
+        broken.save.mockRejectedValue(new Error('Version conflict'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        Booking.find.mockImplementation((filter) => query(filter.status === 'assigned' ? [lapsed, broken] : []));
+
+        await expect(expireOffers()).resolves.toEqual({ expired: 1, failed: 1 });
+        expect(ids([lapsed.assigned_technician])).toEqual([SECOND]);
+    });
+});
@@ -0,0 +1,157 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { AuditLog } from '../src/models/AuditLog.model.js';
+import {
+    diffSnapshots,
+    recordAuditEntry,
+    sanitizeForAudit,
+    verifyAuditChain
+} from '../src/services/audit.service.js';
+import { query } from './helpers/mongoose.js';
+
+const ADMIN = '64b000000000000000000001';
+const GENESIS_HASH = '0'.repeat(64);
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+let entries;
+
+// The stored chain, read back the way verifyAuditChain walks it
+const mockChain = () => {
+    const cursor = {
+        close: jest.fn(async () => {}),
+        async *[Symbol.asyncIterator]() {
+            yield* [...entries].sort((a, b) => a.sequence - b.sequence);
+        }
+    };
+    jest.spyOn(AuditLog, 'find').mockReturnValue({ sort: () => ({ lean: () => ({ cursor: () => cursor }) }) });
+    return cursor;
+};
+
+const record = (action, fields = {}) => recordAuditEntry({
+    actor: ADMIN,
+    actorRole: 'Admin',
+    action,
+    method: 'PATCH',
+    path: `/api/v1/${action}`,
+    statusCode: 200,
+    ...fields
+});
+
+beforeEach(() => {
+    entries = [];
+    jest.spyOn(AuditLog, 'findOne').mockImplementation(() => query(entries.at(-1) ?? null));
+    jest.spyOn(AuditLog, 'create').mockImplementation(async (entry) => {
+        entries.push(entry);
+        return entry;
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('recordAuditEntry', () => {
+    it('links each entry to the hash of the one before', async () => {
+        const first = await record('coupon.update', { before: { discountValue: 10 }, after: { discountValue: 15 } });
+        const second = await record('plan.update');
+
+        expect(first).toMatchObject({ sequence: 1, prevHash: GENESIS_HASH, changes: { discountValue: { from: 10, to: 15 } } });
+        expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+        expect(second).toMatchObject({ sequence: 2, prevHash: first.hash });
+    });
+
+    it('links to the winner when a concurrent append took the sequence', async () => {
+        const winner = await record('coupon.update');
+        AuditLog.findOne
+            .mockImplementationOnce(() => query(null))
+            .mockImplementation(() => query(entries.at(-1)));
+        AuditLog.create.mockRejectedValueOnce(duplicateKey());
+
+        const entry = await record('plan.update');
+
+        expect(AuditLog.create).toHaveBeenCalledTimes(3);
+        expect(entry).toMatchObject({ sequence: 2, prevHash: winner.hash });
+    });
+
+    it('gives up after repeated collisions', async () => {
+        AuditLog.create.mockRejectedValue(duplicateKey());
+
+        await expect(record('coupon.update')).rejects.toMatchObject({ code: 11000 });
+        expect(AuditLog.create).toHaveBeenCalledTimes(5);
+    });
+});
+
+describe('verifyAuditChain', () => {
+    beforeEach(async () => {
+        for (const action of ['coupon.update', 'wallet.credit', 'refund.create']) {
+            await record(action, { requestBody: { amount: 100 } });
+        }
+    });
+
+    it('accepts an untouched chain', async () => {
+        mockChain();
+
+        await expect(verifyAuditChain()).resolves.toEqual({ valid: true, entries: 3, brokenAt: null });
+    });
+
+    it('reports an entry edited in place', async () => {
+        entries[1].requestBody = { amount: 1000 };
+        const cursor = mockChain();
+
+        await expect(verifyAuditChain()).resolves.toEqual({
+            valid: false,
+            entries: 2,
+            brokenAt: { sequence: 2, reason: 'Content does not match its hash' }
+        });
+        expect(cursor.close).toHaveBeenCalled();
+    });
+
+    it('reports an edit with a recomputed hash at the entry after it', async () => {
+        const [first, , third] = entries;
+        // Rewrite the second entry as a valid append after the first
+        entries = [first];
+        const forged = await record('wallet.credit', { requestBody: { amount: 1000 } });
+        entries = [first, forged, third];
+        mockChain();
+
+        await expect(verifyAuditChain()).resolves.toEqual({
+            valid: false,
+            entries: 3,
+            brokenAt: { sequence: 3, reason: 'Does not link to the entry before it' }
+        });
+    });
+
+    it('reports removed entries', async () => {
+        entries.splice(1, 1);
+        mockChain();
+
+        await expect(verifyAuditChain()).resolves.toEqual({
+            valid: false,
+            entries: 2,
+            brokenAt: { sequence: 3, reason: 'Expected entry 2, found 3: entries are missing' }
+        });
+    });
+});
+
+describe('sanitizeForAudit', () => {
+    it('drops secrets and cuts long or deeply nested values short', () => {
+        expect(sanitizeForAudit({
+            email: 'a@example.com',
+            password: 'hunter2',
+            payment: { cardNumber: '4111', otp: '1234', method: 'card' },
+            note: 'x'.repeat(600),
+            deep: { a: { b: { c: { d: { e: 1 } } } } }
+        })).toEqual({
+            email: 'a@example.com',
+            payment: { method: 'card' },
+            note: `${'x'.repeat(500)}...`,
+            deep: { a: { b: { c: { d: '[nested]' } } } }
+        });
+    });
+
+    it('lists only the fields a change touched', () => {
+        expect(diffSnapshots({ price: 100, name: 'Basic', features: { a: 1, b: 2 } }, { price: 120, name: 'Basic', features: { b: 2, a: 1 } }))
+            .toEqual({ price: { from: 100, to: 120 } });
+        expect(diffSnapshots(null, null)).toBeNull();
+    });
+});
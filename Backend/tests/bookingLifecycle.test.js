@@ -0,0 +1,137 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+    applyTransition,
+    assertStatusRouteTransition,
+    assertTransition,
+    getAllowedTransitions,
+    SYSTEM_ACTOR
+} from '../src/services/bookingLifecycle.service.js';
+
+const CUSTOMER = { _id: 'user-1', role: 'user' };
+const TECHNICIAN = { _id: 'tech-1', role: 'Technician' };
+const ADMIN = { _id: 'admin-1', role: 'Admin' };
+const PARTNER = { _id: 'partner-1', role: 'Partner' };
+
+const booking = (fields = {}) => ({
+    status: 'pending',
+    user: CUSTOMER._id,
+    assigned_technician: null,
+    statusHistory: [],
+    declinedBy: [],
+    assignmentOffers: [],
+    ...fields
+});
+
+const statusOf = (action) => {
+    try {
+        action();
+    } catch (error) {
+        return error.statusCode;
+    }
+    return null;
+};
+
+describe('booking transition table', () => {
+    it('lists the next statuses for a role', () => {
+        expect(getAllowedTransitions('pending', 'user')).toEqual(['rescheduled', 'cancelled']);
+        expect(getAllowedTransitions('in_progress', 'Technician')).toEqual(['completed']);
+        expect(getAllowedTransitions('pending', 'Partner')).toEqual(['assigned']);
+    });
+
+    it('ends at completed, cancelled and rejected', () => {
+        for (const status of ['completed', 'cancelled', 'rejected']) {
+            expect(getAllowedTransitions(status)).toEqual([]);
+        }
+    });
+
+    it('rejects transitions missing from the table with 409', () => {
+        expect(statusOf(() => assertTransition(booking({ status: 'completed' }), 'pending', { actor: ADMIN }))).toBe(409);
+        expect(statusOf(() => assertTransition(booking(), 'in_progress', { actor: ADMIN }))).toBe(409);
+    });
+
+    it('rejects roles the rule does not name with 403', () => {
+        expect(statusOf(() => assertTransition(booking(), 'confirmed', { actor: CUSTOMER }))).toBe(403);
+        expect(statusOf(() => assertTransition(booking(), 'cancelled', { actor: PARTNER, reason: 'No' }))).toBe(403);
+    });
+
+    it('only lets customers and technicians act on their own bookings', () => {
+        const other = { _id: 'user-2', role: 'User' };
+        expect(statusOf(() => assertTransition(booking(), 'cancelled', { actor: other, reason: 'Changed plans' }))).toBe(403);
+
+        const assigned = booking({ status: 'assigned', assigned_technician: 'tech-2' });
+        expect(statusOf(() => assertTransition(assigned, 'reached', { actor: TECHNICIAN }))).toBe(403);
+    });
+
+    it('requires the payload a rule names', () => {
+        expect(statusOf(() => assertTransition(booking(), 'cancelled', { actor: CUSTOMER }))).toBe(400);
+
+        const started = booking({ status: 'otp_pending', assigned_technician: TECHNICIAN._id });
+        expect(statusOf(() => assertTransition(started, 'in_progress', { actor: TECHNICIAN }))).toBe(400);
+        expect(statusOf(() => assertTransition(started, 'in_progress', { actor: TECHNICIAN, otpVerified: true }))).toBeNull();
+
+        const working = booking({ status: 'in_progress', assigned_technician: TECHNICIAN._id });
+        expect(statusOf(() => assertTransition(working, 'completed', { actor: TECHNICIAN }))).toBe(400);
+    });
+});
+
+describe('applyTransition', () => {
+    it('moves the booking and records who did it', () => {
+        const target = booking();
+        applyTransition(target, 'assigned', { actor: ADMIN, technicianId: TECHNICIAN._id });
+
+        expect(target.status).toBe('assigned');
+        expect(target.assigned_technician).toBe(TECHNICIAN._id);
+        expect(target.statusHistory).toHaveLength(1);
+        expect(target.statusHistory[0]).toMatchObject({ status: 'assigned', changedBy: ADMIN._id });
+    });
+
+    it('releases the technician when a booking is rescheduled', () => {
+        const target = booking({ status: 'assigned', assigned_technician: TECHNICIAN._id });
+        const slot = { start: '10:00', end: '12:00' };
+        applyTransition(target, 'rescheduled', { actor: CUSTOMER, scheduleDate: '2030-01-02', preferredTimeSlot: slot });
+
+        expect(target.assigned_technician).toBeNull();
+        expect(target.preferredTimeSlot).toBe(slot);
+    });
+
+    it('remembers a technician who hands a booking back', () => {
+        const target = booking({ status: 'assigned', assigned_technician: TECHNICIAN._id });
+        applyTransition(target, 'pending', { actor: TECHNICIAN, reason: 'Too far' });
+
+        expect(target.assigned_technician).toBeNull();
+        expect(target.declinedBy).toEqual([expect.objectContaining({ technician: TECHNICIAN._id, reason: 'Too far' })]);
+    });
+
+    it('leaves the booking untouched when the transition is refused', () => {
+        const target = booking();
+        expect(() => applyTransition(target, 'completed', { actor: SYSTEM_ACTOR })).toThrow();
+        expect(target.status).toBe('pending');
+        expect(target.statusHistory).toEqual([]);
+    });
+});
+
+describe('generic status routes', () => {
+    it('send statuses with their own side effects to their endpoint', () => {
+        const reached = booking({ status: 'reached', assigned_technician: TECHNICIAN._id });
+        expect(() => assertStatusRouteTransition(reached, 'otp_pending', { actor: TECHNICIAN }))
+            .toThrow('Use POST /api/v1/bookings/:id/otp to move a booking to otp_pending');
+
+        const working = booking({ status: 'in_progress', assigned_technician: TECHNICIAN._id, images: { productAfter: 'after.jpg' } });
+        expect(statusOf(() => assertStatusRouteTransition(working, 'completed', { actor: ADMIN }))).toBe(400);
+    });
+
+    it('leave assignment and declines to the offer endpoints', () => {
+        expect(() => assertStatusRouteTransition(booking(), 'assigned', { actor: ADMIN, technicianId: TECHNICIAN._id }))
+            .toThrow('Use PATCH /api/v1/bookings/:id/technician/assign to move a booking to assigned');
+
+        const assigned = booking({ status: 'assigned', assigned_technician: TECHNICIAN._id });
+        expect(() => assertStatusRouteTransition(assigned, 'pending', { actor: TECHNICIAN }))
+            .toThrow('Use PATCH /api/v1/technicians/bookings/:bookingId/assignment to decline a booking');
+        expect(statusOf(() => assertStatusRouteTransition(assigned, 'pending', { actor: ADMIN }))).toBeNull();
+    });
+
+    it('allow plain status changes', () => {
+        expect(statusOf(() => assertStatusRouteTransition(booking(), 'confirmed', { actor: ADMIN }))).toBeNull();
+        expect(statusOf(() => assertStatusRouteTransition(booking(), 'cancelled', { actor: CUSTOMER }))).toBe(400);
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, it } from '@jest/globals';
+import { expandRecurrence, parseRecurrence } from '../src/services/bookingSeries.service.js';
+
+const days = (dates) => dates.map((date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`);
+
+const expand = (startDate, input) => days(expandRecurrence(startDate, parseRecurrence(input)));
+
+describe('parseRecurrence', () => {
+    it('applies the defaults and normalises weekdays', () => {
+        expect(parseRecurrence({ frequency: 'Weekly', byWeekday: ['fr', 'FR', 'mo'], count: '6' })).toEqual({
+            frequency: 'weekly',
+            interval: 1,
+            byWeekday: ['FR', 'MO'],
+            count: 6,
+            until: null
+        });
+    });
+
+    it('refuses rules it cannot book', () => {
+        expect(() => parseRecurrence({ frequency: 'yearly', count: 2 })).toThrow('Recurrence frequency must be one of daily, weekly, monthly');
+        expect(() => parseRecurrence({ frequency: 'daily', interval: 0, count: 2 })).toThrow('Recurrence interval must be a whole number of at least 1');
+        expect(() => parseRecurrence({ frequency: 'weekly', byWeekday: ['XX'], count: 2 })).toThrow('Recurrence weekdays must be among');
+        expect(() => parseRecurrence({ frequency: 'monthly', byWeekday: ['MO'], count: 2 })).toThrow('Weekdays are not supported on monthly recurrences');
+        expect(() => parseRecurrence({ frequency: 'daily', count: 53 })).toThrow('Recurrence count must be between 1 and 52');
+        expect(() => parseRecurrence({ frequency: 'daily' })).toThrow('Recurrence needs a count or an until date');
+    });
+});
+
+describe('expandRecurrence', () => {
+    it('books every other Friday from the week of the start date', () => {
+        // 2026-11-18 is a Wednesday
+        expect(expand('2026-11-18', { frequency: 'weekly', interval: 2, byWeekday: ['FR'], count: 6 }))
+            .toEqual(['2026-11-20', '2026-12-04', '2026-12-18', '2027-01-01', '2027-01-15', '2027-01-29']);
+    });
+
+    it('skips weekdays before the start date and defaults to its weekday', () => {
+        expect(expand('2026-11-19', { frequency: 'weekly', byWeekday: ['TH', 'MO'], count: 4 }))
+            .toEqual(['2026-11-19', '2026-11-23', '2026-11-26', '2026-11-30']);
+        expect(expand('2026-11-19', { frequency: 'weekly', count: 2 }))
+            .toEqual(['2026-11-19', '2026-11-26']);
+    });
+
+    it('keeps the weekdays of a daily rule up to its until date', () => {
+        expect(expand('2026-11-20', {
+            frequency: 'daily',
+            byWeekday: ['MO', 'TU', 'WE', 'TH', 'FR'],
+            until: '2026-11-25'
+        })).toEqual(['2026-11-20', '2026-11-23', '2026-11-24', '2026-11-25']);
+    });
+
+    it('skips months without the day of the start date', () => {
+        expect(expand('2027-01-31', { frequency: 'monthly', count: 3 }))
+            .toEqual(['2027-01-31', '2027-03-31', '2027-05-31']);
+    });
+
+    it('refuses recurrences with nothing or too much to book', () => {
+        expect(() => expand('2026-11-20', { frequency: 'daily', byWeekday: ['SA'], until: '2026-11-20' }))
+            .toThrow('The recurrence has no occurrences');
+        expect(() => expand('2026-11-20', { frequency: 'daily', until: '2027-06-01' }))
+            .toThrow('A recurring booking can have at most 52 occurrences');
+        expect(() => expand('2026-11-20', { frequency: 'monthly', interval: 6, count: 4 }))
+            .toThrow('All occurrences must fall within 366 days of the first one');
+    });
+});
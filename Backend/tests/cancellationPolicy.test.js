@@ -0,0 +1,201 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { Booking } from '../src/models/Booking.model.js';
+import { Payment } from '../src/models/Payment.model.js';
+import { Refund } from '../src/models/Refund.model.js';
+import { User } from '../src/models/User.model.js';
+import { bookingEvents } from '../src/services/bookingLifecycle.service.js';
+import {
+    getCancellationTerms,
+    registerCancellationListeners,
+    retryCancellationRefunds,
+    settleCancellation
+} from '../src/services/cancellationPolicy.service.js';
+import { getPaymentProvider } from '../src/services/paymentProviders.service.js';
+import { query } from './helpers/mongoose.js';
+
+const CUSTOMER = { _id: 'user-1', role: 'user' };
+const TECHNICIAN = { _id: 'tech-1', role: 'Technician' };
+const SLOT_START = new Date(2026, 10, 20, 10, 0);
+const HOUR = 60 * 60 * 1000;
+
+const booking = (fields = {}) => ({
+    _id: 'booking-1',
+    bookingId: 'BK00000001',
+    user: CUSTOMER._id,
+    status: 'pending',
+    finalAmount: 1000,
+    scheduleDate: new Date(2026, 10, 20),
+    preferredTimeSlot: { start: '10:00', end: '11:00' },
+    ...fields
+});
+
+const captured = (fields = {}) => ({
+    _id: 'payment-1',
+    user: CUSTOMER._id,
+    purpose: 'advance',
+    provider: 'fake',
+    providerPaymentId: 'pay_1',
+    amount: 1000,
+    amountRefunded: 0,
+    currency: 'INR',
+    ...fields
+});
+
+// Captured and refunded totals, as summed by payment.service
+const amounts = ({ paid, refunded = 0 }) => {
+    jest.spyOn(Payment, 'aggregate').mockImplementation((pipeline) => {
+        const field = pipeline[1].$group.total.$sum;
+        const result = Promise.resolve([{ total: field === '$amount' ? paid : refunded }]);
+        result.session = () => result;
+        return result;
+    });
+};
+
+beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue(query(null));
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(async function () {
+        return this;
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    bookingEvents.removeAllListeners();
+});
+
+describe('getCancellationTerms', () => {
+    beforeEach(() => amounts({ paid: 1000 }));
+
+    it.each([
+        [30, 0, 'customer_24h_before'],
+        [10, 10, 'customer_4h_before'],
+        [1, 25, 'customer_0h_before'],
+        [-1, 50, 'customer_after_slot_start']
+    ])('charges customers by the hours left before the slot (%ih → %i%%)', async (hours, feePercent, rule) => {
+        const terms = await getCancellationTerms(booking(), CUSTOMER, { at: new Date(SLOT_START.getTime() - hours * HOUR) });
+
+        expect(terms).toMatchObject({
+            cancelledByRole: 'User',
+            hoursBeforeSlot: hours,
+            rule,
+            feePercent,
+            fee: feePercent * 10,
+            refundAmount: 1000 - feePercent * 10
+        });
+    });
+
+    it('adds the dispatch fee once a technician is on the booking', async () => {
+        const terms = await getCancellationTerms(booking({ status: 'assigned' }), CUSTOMER, { at: new Date(SLOT_START.getTime() - 10 * HOUR) });
+
+        expect(terms).toMatchObject({ rule: 'customer_4h_before_dispatched', fee: 150, feeCharged: 150, refundAmount: 850 });
+    });
+
+    it('keeps no more of the fee than was paid', async () => {
+        amounts({ paid: 150, refunded: 50 });
+
+        const terms = await getCancellationTerms(booking(), CUSTOMER, { at: new Date(SLOT_START.getTime() + HOUR) });
+
+        expect(terms).toMatchObject({ fee: 500, amountPaid: 100, feeCharged: 100, refundAmount: 0 });
+    });
+
+    it('refunds everything when the business side cancels', async () => {
+        const terms = await getCancellationTerms(booking({ status: 'in_progress' }), TECHNICIAN, { at: SLOT_START });
+
+        expect(terms).toMatchObject({ rule: 'cancelled_by_technician', fee: 0, refundAmount: 1000 });
+    });
+});
+
+describe('settleCancellation', () => {
+    const cancelled = () => booking({ status: 'cancelled', cancelledAt: new Date(SLOT_START.getTime() - 30 * HOUR) });
+
+    beforeEach(() => {
+        amounts({ paid: 1000 });
+        jest.spyOn(Payment, 'find').mockReturnValue(query([captured()]));
+        jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async () => captured({ amountRefunded: 1000 }));
+        jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+    });
+
+    it('marks the cancellation settled once the refund went through', async () => {
+        const update = jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        const target = cancelled();
+
+        const { refunds } = await settleCancellation(target, CUSTOMER, 'pending');
+
+        expect(refunds).toEqual([expect.objectContaining({ amount: 1000, status: 'processed' })]);
+        expect(update.mock.calls[0][0]).toMatchObject({ 'cancellation.attemptedAt': null, 'cancellation.settledAt': null });
+        expect(update.mock.calls[0][1].$set.cancellation).toMatchObject({ refundAmount: 1000, refundAttempts: 1 });
+        expect(update).toHaveBeenCalledWith(
+            { _id: 'booking-1' },
+            { $set: { 'cancellation.refundedAmount': 1000, 'cancellation.settledAt': expect.any(Date) } }
+        );
+        expect(target.cancellation.settledAt).toEqual(expect.any(Date));
+    });
+
+    it('leaves a failed refund unsettled for the retry job', async () => {
+        jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(getPaymentProvider(), 'refundPayment').mockRejectedValue(new Error('Provider unavailable'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const target = cancelled();
+
+        const { refunds } = await settleCancellation(target, CUSTOMER, 'pending');
+
+        expect(refunds).toEqual([expect.objectContaining({ status: 'failed' })]);
+        expect(target.cancellation).toMatchObject({ refundedAmount: 0, settledAt: null });
+    });
+
+    it('settles a booking only once', async () => {
+        jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+        const refund = jest.spyOn(Payment, 'find');
+
+        await expect(settleCancellation(cancelled(), CUSTOMER, 'pending')).resolves.toBeNull();
+        expect(refund).not.toHaveBeenCalled();
+    });
+
+    it('settles rejected bookings too', async () => {
+        const update = jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+        registerCancellationListeners();
+
+        bookingEvents.emit('transition', { booking: booking({ status: 'rejected' }), from: 'assigned', to: 'rejected', actor: TECHNICIAN });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        expect(update).toHaveBeenCalledWith(
+            expect.objectContaining({ _id: 'booking-1', status: { $in: ['cancelled', 'rejected'] } }),
+            { $set: { cancellation: expect.objectContaining({ rule: 'cancelled_by_technician', refundAmount: 1000 }) } }
+        );
+    });
+});
+
+describe('retryCancellationRefunds', () => {
+    it('refunds what is still owed and settles the cancellation', async () => {
+        const attemptedAt = new Date(Date.now() - HOUR);
+        const unsettled = booking({
+            status: 'cancelled',
+            cancellation: { rule: 'customer_4h_before', refundAmount: 900, refundedAmount: 400, attemptedAt, settledAt: null }
+        });
+        jest.spyOn(Booking, 'find').mockReturnValue(query([unsettled]));
+        const update = jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        amounts({ paid: 1000, refunded: 400 });
+        jest.spyOn(Payment, 'find').mockReturnValue(query([captured({ amountRefunded: 400 })]));
+        jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async () => captured({ amountRefunded: 900 }));
+
+        await expect(retryCancellationRefunds()).resolves.toEqual({ settled: 1, pending: 0, failed: 0 });
+
+        expect(update.mock.calls[0]).toEqual([
+            { _id: 'booking-1', 'cancellation.attemptedAt': attemptedAt, 'cancellation.settledAt': null },
+            { $set: { 'cancellation.attemptedAt': expect.any(Date) }, $inc: { 'cancellation.refundAttempts': 1 } }
+        ]);
+        expect(Payment.findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { amountRefunded: 500 } });
+        expect(unsettled.cancellation).toMatchObject({ refundedAmount: 900, settledAt: expect.any(Date) });
+    });
+
+    it('leaves bookings another run already took', async () => {
+        jest.spyOn(Booking, 'find').mockReturnValue(query([
+            booking({ status: 'cancelled', cancellation: { refundAmount: 900, refundedAmount: 0, attemptedAt: new Date(0) } })
+        ]));
+        jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+        const refund = jest.spyOn(Payment, 'find');
+
+        await expect(retryCancellationRefunds()).resolves.toEqual({ settled: 0, pending: 0, failed: 0 });
+        expect(refund).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,83 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { CashCollection } from '../src/models/CashCollection.model.js';
+import { CashRemittance } from '../src/models/CashRemittance.model.js';
+import { TechnicianLedgerEntry } from '../src/models/TechnicianLedgerEntry.model.js';
+import { recordRemittance } from '../src/services/cashCollection.service.js';
+import { mockTransactions, query } from './helpers/mongoose.js';
+
+const TECHNICIAN = new mongoose.Types.ObjectId();
+const actor = { _id: new mongoose.Types.ObjectId() };
+
+// Outstanding collections, oldest first as the service queries them
+const collection = (amount, amountCleared = 0) => ({
+    _id: new mongoose.Types.ObjectId(),
+    booking: new mongoose.Types.ObjectId(),
+    amount,
+    amountCleared,
+    status: amountCleared ? 'partially_cleared' : 'outstanding',
+    save: jest.fn(async () => {})
+});
+
+let session;
+let collections;
+
+beforeEach(() => {
+    session = mockTransactions();
+    collections = [collection(500, 200), collection(400), collection(250)];
+    jest.spyOn(CashCollection, 'find').mockReturnValue(query(collections));
+    jest.spyOn(CashRemittance.prototype, 'save').mockResolvedValue();
+    jest.spyOn(TechnicianLedgerEntry, 'create').mockImplementation(async ([fields]) => [{ _id: new mongoose.Types.ObjectId(), ...fields }]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('cash remittance allocation', () => {
+    it('clears the oldest collections first', async () => {
+        const remittance = await recordRemittance(TECHNICIAN, { type: 'settlement', amount: 600, actor });
+
+        expect(remittance.allocations.map(({ cashCollection, amount }) => [cashCollection, amount])).toEqual([
+            [collections[0]._id, 300],
+            [collections[1]._id, 300]
+        ]);
+        expect(collections[0]).toMatchObject({ amountCleared: 500, status: 'cleared' });
+        expect(collections[1]).toMatchObject({ amountCleared: 300, status: 'partially_cleared' });
+        expect(collections[2].save).not.toHaveBeenCalled();
+        expect(collections[1].save).toHaveBeenCalledWith({ session });
+    });
+
+    it('refuses to clear more than is outstanding', async () => {
+        await expect(recordRemittance(TECHNICIAN, { type: 'deposit', amount: 950.01, actor }))
+            .rejects.toThrow('Only Rs. 950.00 of collected cash is outstanding');
+        expect(collections[0].save).not.toHaveBeenCalled();
+        expect(CashRemittance.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('credits a deposit back on the technician\'s ledger in the same transaction', async () => {
+        const remittance = await recordRemittance(TECHNICIAN, { type: 'deposit', amount: 950, method: 'upi', actor });
+
+        const [[entry], options] = TechnicianLedgerEntry.create.mock.calls[0];
+        expect(entry).toMatchObject({
+            technician: TECHNICIAN,
+            type: 'cash_deposit',
+            amount: 950,
+            idempotencyKey: `remittance:${remittance._id}`
+        });
+        expect(options).toEqual({ session });
+        expect(remittance.ledgerEntry).toBeDefined();
+        expect(collections.every((item) => item.status === 'cleared')).toBe(true);
+    });
+
+    it('posts nothing for a settlement against earnings', async () => {
+        await recordRemittance(TECHNICIAN, { type: 'settlement', amount: 100, actor });
+
+        expect(TechnicianLedgerEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown types and amounts that are not positive', async () => {
+        await expect(recordRemittance(TECHNICIAN, { type: 'refund', amount: 100 })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(recordRemittance(TECHNICIAN, { type: 'deposit', amount: 0 })).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
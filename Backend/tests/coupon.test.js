@@ -0,0 +1,127 @@
+import { afterEach, describe, expect, it, jest } from '@jest/globals';
+import { Counter } from '../src/models/Counter.model.js';
+import { Coupon } from '../src/models/Coupon.model.js';
+import { CouponRedemption } from '../src/models/CouponRedemption.model.js';
+import { Subscription } from '../src/models/Subscription.model.js';
+import { evaluateCoupon, redeemCoupon, releaseRedemption } from '../src/services/coupon.service.js';
+import { query } from './helpers/mongoose.js';
+
+const USER = '64b000000000000000000001';
+const COUPON_ID = '64c000000000000000000001';
+
+const coupon = (fields = {}) => ({
+    _id: COUPON_ID,
+    code: 'SAVE10',
+    discountType: 'flat',
+    discountValue: 100,
+    minOrderAmount: 0,
+    usageLimit: null,
+    usedCount: 0,
+    perUserLimit: 1,
+    validFrom: new Date('2020-01-01'),
+    validUntil: null,
+    ...fields
+});
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('evaluateCoupon usage limits', () => {
+    it('refuses a coupon used up across all customers', async () => {
+        jest.spyOn(Coupon, 'findOne').mockReturnValue(query(coupon({ usageLimit: 50, usedCount: 50 })));
+
+        await expect(evaluateCoupon('save10', { userId: USER, subtotal: 500 }))
+            .rejects.toThrow('Coupon SAVE10 has reached its usage limit');
+    });
+
+    it('refuses a coupon the customer has used as often as allowed', async () => {
+        jest.spyOn(Coupon, 'findOne').mockReturnValue(query(coupon({ perUserLimit: 2 })));
+        jest.spyOn(Counter, 'findById').mockReturnValue(query({ seq: 2 }));
+
+        await expect(evaluateCoupon('SAVE10', { userId: USER, subtotal: 500 }))
+            .rejects.toThrow('Coupon SAVE10 has already been used');
+    });
+
+    it('caps a flat discount at the order amount', async () => {
+        jest.spyOn(Coupon, 'findOne').mockReturnValue(query(coupon({ discountValue: 300 })));
+        jest.spyOn(Counter, 'findById').mockReturnValue(query(null));
+
+        await expect(evaluateCoupon('SAVE10', { userId: USER, subtotal: 250 }))
+            .resolves.toMatchObject({ code: 'SAVE10', amount: 250 });
+    });
+});
+
+describe('evaluateCoupon plan restrictions', () => {
+    it('only accepts customers entitled to one of the plans', async () => {
+        jest.spyOn(Coupon, 'findOne').mockReturnValue(query(coupon({ eligiblePlans: ['premium'] })));
+        jest.spyOn(Counter, 'findById').mockReturnValue(query(null));
+        const subscription = jest.spyOn(Subscription, 'findOne')
+            .mockReturnValueOnce(query({ plan: 'premium', isEntitled: () => true }))
+            .mockReturnValueOnce(query({ plan: 'premium', isEntitled: () => false }));
+
+        await expect(evaluateCoupon('SAVE10', { userId: USER, subtotal: 500 }))
+            .resolves.toMatchObject({ amount: 100 });
+        await expect(evaluateCoupon('SAVE10', { userId: USER, subtotal: 500 }))
+            .rejects.toThrow('Coupon SAVE10 is only available on the premium plan');
+        expect(subscription).toHaveBeenCalledWith({ user: USER });
+    });
+});
+
+describe('redeemCoupon', () => {
+    const evaluated = { couponId: COUPON_ID, code: 'SAVE10' };
+
+    it('takes a per-customer use only while under the limit', async () => {
+        jest.spyOn(Coupon, 'findById').mockReturnValue(query({ perUserLimit: 3 }));
+        const counter = jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 1 });
+        jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue({ _id: COUPON_ID });
+        jest.spyOn(CouponRedemption, 'create').mockResolvedValue({ _id: 'redemption-1' });
+
+        await expect(redeemCoupon(evaluated, USER, 100)).resolves.toEqual({ _id: 'redemption-1' });
+        expect(counter).toHaveBeenCalledWith(
+            { _id: `coupon:${COUPON_ID}:${USER}`, seq: { $lt: 3 } },
+            { $inc: { seq: 1 } },
+            { upsert: true }
+        );
+    });
+
+    it('refuses a customer at their limit when the upsert collides', async () => {
+        jest.spyOn(Coupon, 'findById').mockReturnValue(query({ perUserLimit: 1 }));
+        jest.spyOn(Counter, 'findOneAndUpdate').mockRejectedValue(duplicateKey());
+        const takeGlobalUse = jest.spyOn(Coupon, 'findOneAndUpdate');
+
+        await expect(redeemCoupon(evaluated, USER, 100)).rejects.toMatchObject({ statusCode: 409 });
+        expect(takeGlobalUse).not.toHaveBeenCalled();
+    });
+
+    it('gives the customer\'s use back when the global limit was reached', async () => {
+        jest.spyOn(Coupon, 'findById').mockReturnValue(query({ perUserLimit: 1 }));
+        jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 1 });
+        jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(null);
+        const rollback = jest.spyOn(Counter, 'updateOne').mockResolvedValue({});
+        const create = jest.spyOn(CouponRedemption, 'create');
+
+        await expect(redeemCoupon(evaluated, USER, 100))
+            .rejects.toThrow('Coupon SAVE10 has reached its usage limit');
+        expect(rollback).toHaveBeenCalledWith({ _id: `coupon:${COUPON_ID}:${USER}` }, { $inc: { seq: -1 } });
+        expect(create).not.toHaveBeenCalled();
+    });
+});
+
+describe('releaseRedemption', () => {
+    it('gives both uses back once', async () => {
+        jest.spyOn(CouponRedemption, 'findOneAndUpdate')
+            .mockResolvedValueOnce({ coupon: COUPON_ID, user: USER })
+            .mockResolvedValueOnce(null);
+        const couponUpdate = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({});
+        const counterUpdate = jest.spyOn(Counter, 'updateOne').mockResolvedValue({});
+
+        await expect(releaseRedemption({ _id: 'redemption-1' })).resolves.toBe(true);
+        await expect(releaseRedemption({ _id: 'redemption-1' })).resolves.toBe(false);
+
+        expect(couponUpdate).toHaveBeenCalledTimes(1);
+        expect(counterUpdate).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,29 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+/**
+ * Stand-in for a mongoose query: chainable, resolving to a fixed result
+ * @param {*} result - What awaiting the query returns
+ * @returns {Object}
+ */
+export const query = (result) => {
+    const chain = {};
+    for (const method of ['sort', 'select', 'limit', 'skip', 'lean', 'session', 'populate']) {
+        chain[method] = () => chain;
+    }
+    chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+    return chain;
+};
+
+/**
+ * Run transactions in memory: the callback runs once and its session is a plain object
+ * @returns {Object} The session handed to the code under test
+ */
+export const mockTransactions = () => {
+    const session = {
+        withTransaction: async (work) => work(session),
+        endSession: jest.fn(async () => {})
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    return session;
+};
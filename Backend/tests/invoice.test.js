@@ -0,0 +1,122 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { Counter } from '../src/models/Counter.model.js';
+import { Invoice } from '../src/models/Invoice.model.js';
+import Part from '../src/models/Part.model.js';
+import { Service } from '../src/models/Service.model.js';
+import { User } from '../src/models/User.model.js';
+import { createInvoiceForBooking, getFinancialYear } from '../src/services/invoice.service.js';
+import { mockTransactions, query } from './helpers/mongoose.js';
+
+const USER = '64b000000000000000000001';
+const SERVICE = '64d000000000000000000001';
+const PART = '64d000000000000000000002';
+
+// Services 1000 + part 2 × 250, 150 discount, 18% GST
+const booking = (fields = {}) => ({
+    _id: '64a000000000000000000001',
+    bookingId: 'BK00000001',
+    status: 'completed',
+    user: USER,
+    services: [{ serviceId: SERVICE, name: 'AC repair', price: 1000, quantity: 1 }],
+    parts: [{ part: PART, name: 'Capacitor', price: 250, quantity: 2 }],
+    address: { street: '1 MG Road', city: 'Bengaluru', state: 'Karnataka', pincode: '560001' },
+    pricing: { total: 1593, taxRate: 18, discountAmount: 150, couponCode: 'SAVE150' },
+    payment: { advancePayment: { status: 'paid', amount: 150 } },
+    ...fields
+});
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { booking: 1 } });
+
+let session;
+
+beforeEach(() => {
+    session = mockTransactions();
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+    // The customer, then nobody for the issued notification
+    jest.spyOn(User, 'findById')
+        .mockReturnValueOnce(query({ name: { first: 'Asha', last: 'Rao' }, email: 'asha@example.com' }))
+        .mockReturnValue(query(null));
+    jest.spyOn(Service, 'find').mockReturnValue(query([{ _id: SERVICE, sacCode: '998717' }]));
+    jest.spyOn(Part, 'find').mockReturnValue(query([{ _id: PART, hsnCode: '8532' }]));
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 42 });
+    jest.spyOn(Invoice, 'create').mockImplementation(async ([invoice]) => [invoice]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getFinancialYear', () => {
+    it('runs April to March in Indian time', () => {
+        expect(getFinancialYear(new Date('2026-03-31T18:00:00Z'))).toBe('2025-26');
+        expect(getFinancialYear(new Date('2026-03-31T18:30:00Z'))).toBe('2026-27');
+    });
+});
+
+describe('createInvoiceForBooking', () => {
+    it('splits GST into CGST and SGST within the business state', async () => {
+        const invoice = await createInvoiceForBooking(booking());
+
+        expect(invoice.supplyType).toBe('intra');
+        expect(invoice.placeOfSupply).toBe('Karnataka (29)');
+        expect(invoice.lineItems).toEqual([
+            expect.objectContaining({ hsnSac: '998717', amount: 1000, discount: 100, taxableValue: 900, cgstRate: 9, cgstAmount: 81, sgstAmount: 81, igstAmount: 0, total: 1062 }),
+            expect.objectContaining({ hsnSac: '8532', amount: 500, discount: 50, taxableValue: 450, cgstAmount: 40.5, sgstAmount: 40.5, igstAmount: 0, total: 531 })
+        ]);
+        expect(invoice.totals).toEqual({
+            amount: 1500,
+            discount: 150,
+            couponCode: 'SAVE150',
+            taxableValue: 1350,
+            cgst: 121.5,
+            sgst: 121.5,
+            igst: 0,
+            totalTax: 243,
+            total: 1593,
+            advancePaid: 150,
+            amountDue: 1443
+        });
+        expect(invoice.buyer).toMatchObject({ name: 'Asha Rao', stateCode: '29' });
+    });
+
+    it('charges IGST for a service address in another state', async () => {
+        const invoice = await createInvoiceForBooking(booking({ address: { state: 'Tamil Nadu' } }));
+
+        expect(invoice.supplyType).toBe('inter');
+        expect(invoice.placeOfSupply).toBe('Tamil Nadu (33)');
+        expect(invoice.lineItems[0]).toMatchObject({ cgstAmount: 0, sgstAmount: 0, igstRate: 18, igstAmount: 162 });
+        expect(invoice.totals).toMatchObject({ igst: 243, totalTax: 243, total: 1593 });
+    });
+
+    it('numbers the invoice per financial year inside the transaction that stores it', async () => {
+        const invoice = await createInvoiceForBooking(booking());
+        const financialYear = getFinancialYear(invoice.issuedAt);
+
+        expect(invoice).toMatchObject({ invoiceNumber: `HH/${financialYear}/000042`, financialYear, sequence: 42 });
+        expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: `invoice:${financialYear}` },
+            { $inc: { seq: 1 } },
+            expect.objectContaining({ session })
+        );
+        expect(Invoice.create).toHaveBeenCalledWith([expect.any(Object)], { session });
+        expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('returns the invoice issued concurrently for the same booking', async () => {
+        const issued = { invoiceNumber: 'HH/2026-27/000041' };
+        Invoice.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(issued);
+        Invoice.create.mockRejectedValue(duplicateKey());
+
+        await expect(createInvoiceForBooking(booking())).resolves.toBe(issued);
+    });
+
+    it('returns the existing invoice and refuses bookings that are not completed', async () => {
+        const issued = { invoiceNumber: 'HH/2026-27/000041' };
+        Invoice.findOne.mockResolvedValueOnce(issued);
+        await expect(createInvoiceForBooking(booking())).resolves.toBe(issued);
+
+        await expect(createInvoiceForBooking(booking({ status: 'in_progress' })))
+            .rejects.toMatchObject({ statusCode: 409 });
+        expect(Counter.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+});
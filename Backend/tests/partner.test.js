@@ -0,0 +1,128 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { requirePermission } from '../src/middlewares/permission.middleware.js';
+import { Booking } from '../src/models/Booking.model.js';
+import { Partner } from '../src/models/Partner.model.js';
+import { RolePolicy } from '../src/models/RolePolicy.model.js';
+import { Technician } from '../src/models/Technician.model.js';
+import { findPartnerForAddress, parseServiceAreas, partnerBookingsQuery } from '../src/services/partner.service.js';
+import { query } from './helpers/mongoose.js';
+
+const OURS = '64f000000000000000000001';
+const THEIRS = '64f000000000000000000002';
+const BOOKING = '64a000000000000000000001';
+const TECHNICIAN = '64e000000000000000000001';
+const PARTNER_USER = { _id: '64b000000000000000000009', role: 'Partner', partner: OURS };
+
+const address = { state: 'Karnataka', city: 'Bengaluru', pincode: '560001' };
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('findPartnerForAddress', () => {
+    const partner = (_id, serviceAreas) => ({ _id, name: _id, serviceAreas });
+
+    it('routes to the partner covering the address most closely', async () => {
+        const find = jest.spyOn(Partner, 'find').mockReturnValue(query([
+            partner('state', [{ state: 'karnataka', pincodes: [] }]),
+            partner('city', [{ state: 'Karnataka', city: ' bengaluru ', pincodes: [] }]),
+            partner('pincode', [{ state: 'Kerala', pincodes: [] }, { state: 'Karnataka', pincodes: ['560001'] }])
+        ]));
+
+        await expect(findPartnerForAddress(address)).resolves.toMatchObject({ _id: 'pincode' });
+        expect(find).toHaveBeenCalledWith({ isActive: true, 'serviceAreas.0': { $exists: true } });
+    });
+
+    it('keeps the oldest partner on a tie and ignores areas with other pincodes', async () => {
+        jest.spyOn(Partner, 'find').mockReturnValue(query([
+            partner('older', [{ state: 'Karnataka', city: 'Bengaluru', pincodes: [] }]),
+            partner('newer', [{ state: 'Karnataka', city: 'Bengaluru', pincodes: [] }]),
+            partner('elsewhere', [{ state: 'Karnataka', pincodes: ['560100'] }])
+        ]));
+
+        await expect(findPartnerForAddress(address)).resolves.toMatchObject({ _id: 'older' });
+        await expect(findPartnerForAddress({ city: 'Bengaluru' })).resolves.toBeNull();
+    });
+});
+
+describe('parseServiceAreas', () => {
+    it('tidies areas and refuses ones without a state or with bad pincodes', () => {
+        expect(parseServiceAreas([{ state: ' Karnataka ', city: '', pincodes: [560001, ' 560002 '] }]))
+            .toEqual([{ state: 'Karnataka', city: undefined, pincodes: ['560001', '560002'] }]);
+        expect(() => parseServiceAreas([{ city: 'Bengaluru' }])).toThrow('Every service area needs a state');
+        expect(() => parseServiceAreas([{ state: 'Karnataka', pincodes: ['5600'] }])).toThrow('Invalid pincode 5600');
+        expect(() => parseServiceAreas('Karnataka')).toThrow('Service areas must be a list');
+    });
+});
+
+describe('partnerBookingsQuery', () => {
+    it('matches bookings routed to the partner or served by its technicians', () => {
+        const scoped = partnerBookingsQuery(OURS, [TECHNICIAN]);
+
+        expect(scoped).toEqual({
+            $or: [
+                { partner: new mongoose.Types.ObjectId(OURS) },
+                { assigned_technician: { $in: [new mongoose.Types.ObjectId(TECHNICIAN)] } }
+            ]
+        });
+    });
+});
+
+describe('partner-scoped permissions', () => {
+    const check = async (user, permission, options, params = { id: BOOKING }) => {
+        const req = { user, params };
+        const next = jest.fn();
+        await requirePermission(permission, options)(req, {}, next);
+        return { req, error: next.mock.calls[0][0] };
+    };
+
+    const booking = (fields) => {
+        jest.spyOn(Booking, 'findById').mockReturnValue(query({ _id: BOOKING, user: 'customer-1', ...fields }));
+    };
+
+    beforeEach(() => {
+        jest.spyOn(RolePolicy, 'find').mockReturnValue(query([]));
+    });
+
+    it('reaches bookings routed to the partner', async () => {
+        booking({ partner: OURS, assigned_technician: null });
+
+        const { req, error } = await check(PARTNER_USER, 'booking:read', { resource: 'booking' });
+
+        expect(error).toBeUndefined();
+        expect(req.permission).toEqual({ name: 'booking:read', scope: 'partner' });
+    });
+
+    it('reaches bookings routed elsewhere that its technician serves', async () => {
+        booking({ partner: THEIRS, assigned_technician: TECHNICIAN });
+        jest.spyOn(Technician, 'findById').mockReturnValue(query({ partner: OURS }));
+
+        const { error } = await check(PARTNER_USER, 'booking:update', { resource: 'booking' });
+
+        expect(error).toBeUndefined();
+    });
+
+    it('refuses other partners\' bookings and accounts without a partner', async () => {
+        booking({ partner: THEIRS, assigned_technician: TECHNICIAN });
+        jest.spyOn(Technician, 'findById').mockReturnValue(query({ partner: THEIRS }));
+
+        const other = await check(PARTNER_USER, 'booking:read', { resource: 'booking' });
+        expect(other.error).toMatchObject({
+            statusCode: 403,
+            message: 'Access denied. This booking is outside your partner organization'
+        });
+
+        booking({ partner: null, assigned_technician: null });
+        const unlinked = await check({ ...PARTNER_USER, partner: null }, 'booking:read', { resource: 'booking' });
+        expect(unlinked.error).toMatchObject({ statusCode: 403 });
+    });
+
+    it('resolves the partner dashboard of the signed-in partner', async () => {
+        const own = await check(PARTNER_USER, 'partner:read', { resource: 'partner' }, { id: 'me' });
+        const other = await check(PARTNER_USER, 'partner:read', { resource: 'partner' }, { id: THEIRS });
+
+        expect(own.error).toBeUndefined();
+        expect(other.error).toMatchObject({ statusCode: 403 });
+    });
+});
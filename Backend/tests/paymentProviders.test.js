@@ -0,0 +1,53 @@
+import { afterEach, describe, expect, it } from '@jest/globals';
+import { assertPaymentConfig } from '../src/services/paymentProviders.service.js';
+
+const SETTINGS = ['NODE_ENV', 'PAYMENT_PROVIDER', 'RAZORPAY_KEY_ID', 'RAZORPAY_KEY_SECRET', 'RAZORPAY_WEBHOOK_SECRET'];
+const saved = Object.fromEntries(SETTINGS.map((name) => [name, process.env[name]]));
+
+const configure = (settings) => {
+    for (const name of SETTINGS) {
+        if (settings[name] === undefined) delete process.env[name];
+        else process.env[name] = settings[name];
+    }
+};
+
+const RAZORPAY = {
+    PAYMENT_PROVIDER: 'razorpay',
+    RAZORPAY_KEY_ID: 'rzp_live_key',
+    RAZORPAY_KEY_SECRET: 'secret',
+    RAZORPAY_WEBHOOK_SECRET: 'webhook_secret'
+};
+
+afterEach(() => {
+    configure(saved);
+});
+
+describe('payment configuration', () => {
+    it('falls back to the fake provider outside production', () => {
+        configure({ NODE_ENV: 'development' });
+        expect(assertPaymentConfig()).toBe('fake');
+    });
+
+    it('requires a provider in production', () => {
+        configure({ NODE_ENV: 'production' });
+        expect(() => assertPaymentConfig()).toThrow('PAYMENT_PROVIDER must be set in production');
+    });
+
+    it('refuses the fake provider in production', () => {
+        configure({ NODE_ENV: 'production', PAYMENT_PROVIDER: 'fake' });
+        expect(() => assertPaymentConfig()).toThrow('The fake payment provider cannot be used in production');
+    });
+
+    it('requires the provider\'s webhook secret in production', () => {
+        configure({ ...RAZORPAY, NODE_ENV: 'production', RAZORPAY_WEBHOOK_SECRET: undefined });
+        expect(() => assertPaymentConfig()).toThrow('RAZORPAY_WEBHOOK_SECRET');
+
+        configure({ ...RAZORPAY, NODE_ENV: 'production' });
+        expect(assertPaymentConfig()).toBe('razorpay');
+    });
+
+    it('rejects unknown providers', () => {
+        configure({ NODE_ENV: 'development', PAYMENT_PROVIDER: 'paypal' });
+        expect(() => assertPaymentConfig()).toThrow('Unknown payment provider: paypal');
+    });
+});
@@ -0,0 +1,183 @@
+import { afterEach, describe, expect, it, jest } from '@jest/globals';
+import { Payment } from '../src/models/Payment.model.js';
+import {
+    createSubscriptionPaymentOrder,
+    handlePaymentWebhook,
+    paymentEvents
+} from '../src/services/payment.service.js';
+import { getPaymentProvider } from '../src/services/paymentProviders.service.js';
+import { query } from './helpers/mongoose.js';
+
+const ORDER_ID = 'order_fake_1';
+
+// Subscription payments are not tied to a booking, so capturing one only emits an event
+const payment = (fields = {}) => ({
+    _id: 'payment-1',
+    purpose: 'subscription',
+    provider: 'fake',
+    providerOrderId: ORDER_ID,
+    amount: 499,
+    currency: 'INR',
+    status: 'created',
+    events: [],
+    ...fields
+});
+
+const webhook = (input = {}) => {
+    const { rawBody, headers } = getPaymentProvider().buildWebhook({ orderId: ORDER_ID, amount: 499, ...input });
+    return [rawBody, headers, JSON.parse(rawBody)];
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('payment webhook', () => {
+    it('rejects requests whose signature does not match', async () => {
+        const [rawBody, headers, body] = webhook();
+        const find = jest.spyOn(Payment, 'findOne');
+
+        await expect(handlePaymentWebhook(rawBody.replace('499', '1'), headers, body))
+            .rejects.toMatchObject({ statusCode: 401 });
+        expect(find).not.toHaveBeenCalled();
+    });
+
+    it('captures an order paid in full and records the event afterwards', async () => {
+        const [rawBody, headers, body] = webhook();
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(payment());
+        const update = jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(payment({ status: 'captured' }));
+        const emit = jest.spyOn(paymentEvents, 'emit').mockReturnValue(true);
+        const record = jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+
+        const result = await handlePaymentWebhook(rawBody, headers, body);
+
+        expect(result.status).toBe('applied');
+        expect(update.mock.calls[0][0]).toEqual({ _id: 'payment-1', status: { $in: ['created', 'authorized'] } });
+        expect(emit).toHaveBeenCalledWith('captured', expect.objectContaining({ status: 'captured' }));
+        expect(record).toHaveBeenCalledWith(
+            { _id: 'payment-1', 'events.eventId': { $ne: headers['x-razorpay-event-id'] } },
+            { $push: { events: expect.objectContaining({ eventId: headers['x-razorpay-event-id'], status: 'captured' }) } }
+        );
+        expect(record.mock.invocationCallOrder[0]).toBeGreaterThan(emit.mock.invocationCallOrder[0]);
+    });
+
+    it('applies a retried event only once', async () => {
+        const [rawBody, headers, body] = webhook();
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(
+            payment({ status: 'captured', events: [{ eventId: headers['x-razorpay-event-id'], status: 'captured' }] })
+        );
+        const update = jest.spyOn(Payment, 'findOneAndUpdate');
+
+        await expect(handlePaymentWebhook(rawBody, headers, body)).resolves.toEqual({ status: 'duplicate' });
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('handles a retry again when the first delivery failed halfway', async () => {
+        const [rawBody, headers, body] = webhook();
+        const emit = jest.spyOn(paymentEvents, 'emit')
+            .mockImplementationOnce(() => {
+                throw new Error('Listener failed');
+            })
+            .mockReturnValue(true);
+        jest.spyOn(Payment, 'findOne')
+            .mockResolvedValueOnce(payment())
+            .mockResolvedValueOnce(payment({ status: 'captured' }));
+        jest.spyOn(Payment, 'findOneAndUpdate')
+            .mockResolvedValueOnce(payment({ status: 'captured' }))
+            .mockResolvedValueOnce(null);
+        const record = jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+
+        await expect(handlePaymentWebhook(rawBody, headers, body)).rejects.toThrow('Listener failed');
+        expect(record).not.toHaveBeenCalled();
+
+        await expect(handlePaymentWebhook(rawBody, headers, body)).resolves.toMatchObject({ status: 'applied' });
+        expect(emit).toHaveBeenCalledTimes(2);
+        expect(record).toHaveBeenCalledTimes(1);
+    });
+
+    it('records a late event without moving the payment back', async () => {
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(
+            payment({ status: 'captured', events: [{ eventId: 'evt_earlier', status: 'captured' }] })
+        );
+        jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+        const record = jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+        const emit = jest.spyOn(paymentEvents, 'emit');
+
+        await expect(handlePaymentWebhook(...webhook({ status: 'failed' }))).resolves.toMatchObject({ status: 'ignored' });
+        expect(record).toHaveBeenCalledTimes(1);
+        expect(emit).not.toHaveBeenCalled();
+    });
+
+    it('ignores events for orders it does not know', async () => {
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await expect(handlePaymentWebhook(...webhook())).resolves.toEqual({ status: 'ignored' });
+    });
+
+    it.each([
+        ['an amount', { amount: 1 }, {}],
+        ['a currency', { currency: 'USD' }, {}],
+        ['an expired order', {}, { status: 'expired' }]
+    ])('holds a capture for %s', async (label, input, fields) => {
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(payment(fields));
+        const update = jest.spyOn(Payment, 'findOneAndUpdate');
+        const flag = jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+        const emit = jest.spyOn(paymentEvents, 'emit');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const result = await handlePaymentWebhook(...webhook(input));
+
+        expect(result.status).toBe('rejected');
+        expect(update).not.toHaveBeenCalled();
+        expect(flag).toHaveBeenCalledWith(
+            expect.objectContaining({ _id: 'payment-1' }),
+            expect.objectContaining({
+                $set: { mismatch: expect.objectContaining({ amount: input.amount ?? 499, currency: input.currency ?? 'INR' }) }
+            })
+        );
+        expect(emit).not.toHaveBeenCalled();
+    });
+
+    it('records a failed payment whatever its amount', async () => {
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(payment());
+        jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(payment({ status: 'failed' }));
+        jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+        const emit = jest.spyOn(paymentEvents, 'emit').mockReturnValue(true);
+
+        const result = await handlePaymentWebhook(...webhook({ status: 'failed', amount: 0 }));
+
+        expect(result.status).toBe('applied');
+        expect(emit).toHaveBeenCalledWith('failed', expect.anything());
+    });
+});
+
+describe('provider orders', () => {
+    const subscription = { _id: 'subscription-1', subscriptionId: 'SUB0001', user: 'user-1' };
+    const order = { amount: 499, plan: 'premium', billingReason: 'plan_change' };
+
+    it('hands out the open order for the same payment again', async () => {
+        const open = payment({ _id: 'payment-2', subscription: 'subscription-1', user: 'user-1', ...order, checkout: { id: 'x' } });
+        jest.spyOn(Payment, 'find').mockReturnValue(query([open]));
+        const create = jest.spyOn(Payment, 'create');
+
+        await expect(createSubscriptionPaymentOrder(subscription, order)).resolves.toEqual({ payment: open, checkout: { id: 'x' } });
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('expires open orders that no longer match before opening a new one', async () => {
+        const stale = payment({ _id: 'payment-2', subscription: 'subscription-1', user: 'user-1', ...order, amount: 999 });
+        jest.spyOn(Payment, 'find').mockReturnValue(query([stale]));
+        const expire = jest.spyOn(Payment, 'updateMany').mockResolvedValue({});
+        jest.spyOn(Payment, 'create').mockImplementation(async (fields) => fields);
+
+        const { payment: created } = await createSubscriptionPaymentOrder(subscription, order);
+
+        expect(expire).toHaveBeenCalledWith(
+            { _id: { $in: ['payment-2'] }, status: 'created' },
+            { $set: { status: 'expired', expiredAt: expect.any(Date) } }
+        );
+        expect(created).toMatchObject({ amount: 499, plan: 'premium', providerOrderId: expect.any(String) });
+        expect(expire.mock.invocationCallOrder[0]).toBeLessThan(Payment.create.mock.invocationCallOrder[0]);
+    });
+});
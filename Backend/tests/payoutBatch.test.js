@@ -0,0 +1,162 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Counter } from '../src/models/Counter.model.js';
+import { PayoutBatch } from '../src/models/PayoutBatch.model.js';
+import { Technician } from '../src/models/Technician.model.js';
+import { TechnicianLedgerEntry } from '../src/models/TechnicianLedgerEntry.model.js';
+import { createPayoutBatch, settlePayoutItem } from '../src/services/technicianLedger.service.js';
+import { mockTransactions, query } from './helpers/mongoose.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const BANK = { accountHolderName: 'Asha Rao', accountNumber: '1234567890', ifscCode: 'HDFC0001234', bankName: 'HDFC' };
+const PERIOD_END = new Date('2026-01-05');
+
+let session;
+
+beforeEach(() => {
+    session = mockTransactions();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('createPayoutBatch', () => {
+    const paid = id();
+    const noBank = id();
+    const balances = [
+        { _id: paid, amount: 1200.5, entries: [id(), id()] },
+        { _id: noBank, amount: 300, entries: [id()] }
+    ];
+
+    beforeEach(() => {
+        jest.spyOn(TechnicianLedgerEntry, 'aggregate').mockResolvedValue(balances);
+        jest.spyOn(Technician, 'find').mockReturnValue(query([
+            { _id: paid, bankDetails: BANK },
+            { _id: noBank, bankDetails: { accountHolderName: 'Ravi' } }
+        ]));
+        jest.spyOn(PayoutBatch, 'find').mockReturnValue(query([]));
+        jest.spyOn(Counter, 'next').mockResolvedValue(7);
+    });
+
+    it('pays technicians with bank details and skips the others', async () => {
+        jest.spyOn(TechnicianLedgerEntry, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+        jest.spyOn(PayoutBatch.prototype, 'save').mockResolvedValue();
+
+        const batch = await createPayoutBatch({ periodEnd: PERIOD_END });
+
+        expect(batch.batchNumber).toBe('PO000007');
+        expect(batch.items).toHaveLength(1);
+        expect(batch.items[0]).toMatchObject({ amount: 1200.5, entryCount: 2, status: 'pending' });
+        expect(batch.skipped.map((item) => item.reason)).toEqual(['Bank details are incomplete']);
+        expect(batch.totalAmount).toBe(1200.5);
+    });
+
+    it('tags the entries and saves the batch in one transaction', async () => {
+        const tag = jest.spyOn(TechnicianLedgerEntry, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+        const save = jest.spyOn(PayoutBatch.prototype, 'save').mockResolvedValue();
+
+        const batch = await createPayoutBatch({ periodEnd: PERIOD_END });
+
+        expect(tag).toHaveBeenCalledWith(
+            { _id: { $in: balances[0].entries }, payoutBatch: null },
+            { $set: { payoutBatch: batch._id } },
+            { session }
+        );
+        expect(save).toHaveBeenCalledWith({ session });
+        expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('fails as a whole when the batch cannot be saved', async () => {
+        jest.spyOn(TechnicianLedgerEntry, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+        jest.spyOn(PayoutBatch.prototype, 'save').mockRejectedValue(new Error('write failed'));
+
+        await expect(createPayoutBatch({ periodEnd: PERIOD_END })).rejects.toThrow('write failed');
+        expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('leaves out a technician whose entries another batch took', async () => {
+        const tag = jest.spyOn(TechnicianLedgerEntry, 'updateMany')
+            .mockResolvedValueOnce({ modifiedCount: 1 })
+            .mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(PayoutBatch.prototype, 'save').mockResolvedValue();
+
+        const batch = await createPayoutBatch({ periodEnd: PERIOD_END });
+
+        expect(batch.items).toHaveLength(0);
+        expect(batch.status).toBe('completed');
+        // The one entry this batch did take is released again
+        expect(tag.mock.calls[1][0]).toEqual({ _id: { $in: balances[0].entries }, payoutBatch: batch._id });
+        expect(tag.mock.calls[1][1]).toEqual({ $set: { payoutBatch: null } });
+    });
+
+    it('refuses periods that have not ended', async () => {
+        await expect(createPayoutBatch({ periodEnd: new Date(Date.now() + 60000) }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('settlePayoutItem', () => {
+    const technician = id();
+    const actor = { _id: id() };
+
+    const openBatch = () => new PayoutBatch({
+        batchNumber: 'PO000001',
+        periodEnd: PERIOD_END,
+        items: [{ technician, amount: 800, entryCount: 3, bankDetails: BANK }]
+    });
+
+    it('posts the payout entry in the transaction that marks the transfer paid', async () => {
+        const batch = openBatch();
+        const settled = openBatch();
+        settled.items[0].status = 'paid';
+        const mark = jest.spyOn(PayoutBatch, 'findOneAndUpdate').mockResolvedValue(settled);
+        const post = jest.spyOn(TechnicianLedgerEntry, 'create').mockResolvedValue([{}]);
+        jest.spyOn(PayoutBatch.prototype, 'save').mockResolvedValue();
+
+        const result = await settlePayoutItem(batch, technician, { status: 'paid', reference: 'UTR1', actor });
+
+        expect(mark.mock.calls[0][2]).toMatchObject({ session });
+        const [[entry], options] = post.mock.calls[0];
+        expect(entry).toMatchObject({ technician, type: 'payout', amount: -800, idempotencyKey: `payout:${batch._id}:${technician}` });
+        expect(options).toEqual({ session });
+        expect(result.status).toBe('completed');
+    });
+
+    it('fails the settlement when the payout entry cannot be posted', async () => {
+        const settled = openBatch();
+        settled.items[0].status = 'paid';
+        jest.spyOn(PayoutBatch, 'findOneAndUpdate').mockResolvedValue(settled);
+        jest.spyOn(TechnicianLedgerEntry, 'create').mockRejectedValue(new Error('write failed'));
+
+        await expect(settlePayoutItem(openBatch(), technician, { status: 'paid', actor })).rejects.toThrow('write failed');
+    });
+
+    it('releases the entries of a failed transfer for the next batch', async () => {
+        const batch = openBatch();
+        const settled = openBatch();
+        settled.items[0].status = 'failed';
+        jest.spyOn(PayoutBatch, 'findOneAndUpdate').mockResolvedValue(settled);
+        const release = jest.spyOn(TechnicianLedgerEntry, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+        const post = jest.spyOn(TechnicianLedgerEntry, 'create');
+        jest.spyOn(PayoutBatch.prototype, 'save').mockResolvedValue();
+
+        await settlePayoutItem(batch, technician, { status: 'failed', failureReason: 'Account closed', actor });
+
+        expect(release).toHaveBeenCalledWith(
+            { technician, payoutBatch: batch._id },
+            { $set: { payoutBatch: null } },
+            { session }
+        );
+        expect(post).not.toHaveBeenCalled();
+    });
+
+    it('settles a transfer only once', async () => {
+        jest.spyOn(PayoutBatch, 'findOneAndUpdate').mockResolvedValue(null);
+        const post = jest.spyOn(TechnicianLedgerEntry, 'create');
+
+        await expect(settlePayoutItem(openBatch(), technician, { status: 'paid', actor }))
+            .rejects.toMatchObject({ statusCode: 409 });
+        expect(post).not.toHaveBeenCalled();
+    });
+});
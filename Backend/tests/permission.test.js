@@ -0,0 +1,197 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { createBulkBooking } from '../src/controllers/bookingController.js';
+import { requirePermission } from '../src/middlewares/permission.middleware.js';
+import { Booking } from '../src/models/Booking.model.js';
+import { BulkBooking } from '../src/models/BulkBooking.model.js';
+import { Counter } from '../src/models/Counter.model.js';
+import { Holiday } from '../src/models/Holiday.model.js';
+import { Partner } from '../src/models/Partner.model.js';
+import { RolePolicy } from '../src/models/RolePolicy.model.js';
+import { Service } from '../src/models/Service.model.js';
+import { Subscription } from '../src/models/Subscription.model.js';
+import { Technician } from '../src/models/Technician.model.js';
+import { TechnicianLeave } from '../src/models/TechnicianLeave.model.js';
+import { getPermissionScope, resetRolePolicy, setRolePolicy } from '../src/services/permission.service.js';
+import { mockTransactions, query } from './helpers/mongoose.js';
+
+const CUSTOMER = { _id: '64b000000000000000000001', role: 'user' };
+const MANAGER = { _id: '64b000000000000000000002', role: 'Manager' };
+const PARTNER_USER = { _id: '64b000000000000000000003', role: 'Partner', partner: '64f000000000000000000001' };
+const CLIENT = '64b000000000000000000004';
+const BOOKING = '64a000000000000000000001';
+const SERVICE = '64d000000000000000000001';
+
+let stored;
+
+beforeEach(async () => {
+    stored = [];
+    jest.spyOn(RolePolicy, 'find').mockImplementation(() => query(stored));
+    // Start every test from the default policies
+    jest.spyOn(RolePolicy, 'deleteOne').mockResolvedValue({});
+    await resetRolePolicy('User');
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getPermissionScope', () => {
+    it('grants the default scopes of each role', async () => {
+        await expect(getPermissionScope(CUSTOMER, 'booking:read')).resolves.toBe('own');
+        await expect(getPermissionScope(PARTNER_USER, 'booking:read')).resolves.toBe('partner');
+        await expect(getPermissionScope(MANAGER, 'booking:read')).resolves.toBe('any');
+        await expect(getPermissionScope(CUSTOMER, 'booking:list')).resolves.toBeNull();
+        await expect(getPermissionScope({ role: 'Admin' }, 'permission:manage')).resolves.toBe('any');
+        await expect(getPermissionScope({ role: 'Unknown' }, 'booking:read')).resolves.toBeNull();
+    });
+
+    it('leaves deactivating and deleting technicians to admins by default', async () => {
+        await expect(getPermissionScope(PARTNER_USER, 'technician:manage')).resolves.toBeNull();
+        await expect(getPermissionScope(MANAGER, 'technician:manage')).resolves.toBeNull();
+    });
+
+    it('uses a role policy an admin stored instead of the defaults', async () => {
+        jest.spyOn(RolePolicy, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+            stored = [{ ...filter, ...$set }];
+            return stored[0];
+        });
+
+        await setRolePolicy('partner', [{ permission: 'booking:read', scope: 'partner' }, { permission: 'report:read' }]);
+
+        await expect(getPermissionScope(PARTNER_USER, 'report:read')).resolves.toBe('any');
+        await expect(getPermissionScope(PARTNER_USER, 'booking:assign')).resolves.toBeNull();
+    });
+
+    it('refuses policies for admins, unknown permissions and scopes', async () => {
+        await expect(setRolePolicy('Admin', [])).rejects.toThrow('Admins always hold every permission');
+        await expect(setRolePolicy('Partner', [{ permission: 'booking:fly' }])).rejects.toThrow('Unknown permissions: booking:fly');
+        await expect(setRolePolicy('Partner', [{ permission: 'booking:read', scope: 'team' }]))
+            .rejects.toThrow('Scope of booking:read must be one of');
+    });
+});
+
+describe('requirePermission', () => {
+    const check = async (user, permission, options) => {
+        const req = { user, params: { id: BOOKING } };
+        const next = jest.fn();
+        await requirePermission(permission, options)(req, {}, next);
+        return { req, error: next.mock.calls[0][0] };
+    };
+
+    it('refuses guests and users without the permission', async () => {
+        expect((await check(null, 'booking:read')).error).toMatchObject({ statusCode: 401 });
+        expect((await check(CUSTOMER, 'booking:delete')).error)
+            .toMatchObject({ statusCode: 403, message: 'Access denied. Missing permission booking:delete' });
+    });
+
+    it('limits own grants to records the user owns', async () => {
+        jest.spyOn(Booking, 'findById').mockReturnValue(query({ user: CLIENT, assigned_technician: null, partner: null }));
+
+        const { error } = await check(CUSTOMER, 'booking:read', { resource: 'booking' });
+
+        expect(error).toMatchObject({ statusCode: 403, message: 'Access denied. This booking is outside your own records' });
+    });
+
+    it('lets any grants through without loading the record', async () => {
+        const load = jest.spyOn(Booking, 'findById');
+
+        const { req, error } = await check(MANAGER, 'booking:read', { resource: 'booking' });
+
+        expect(error).toBeUndefined();
+        expect(req.permission).toEqual({ name: 'booking:read', scope: 'any' });
+        expect(load).not.toHaveBeenCalled();
+    });
+
+    it('refuses unknown permissions when routes are built', () => {
+        expect(() => requirePermission('booking:fly')).toThrow('Unknown permission booking:fly');
+    });
+});
+
+describe('createBulkBooking', () => {
+    const workingHours = Object.fromEntries(
+        ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+            .map((day) => [day, { available: true, start: '09:00', end: '12:00' }])
+    );
+
+    const scheduleDate = (() => {
+        const date = new Date();
+        date.setDate(date.getDate() + 3);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    })();
+
+    const body = (fields = {}) => ({
+        clientId: CLIENT,
+        location: { coordinates: [77.59, 12.97], address: { state: 'Karnataka', city: 'Bengaluru', pincode: '560001' } },
+        bookings: [{ services: [{ serviceId: SERVICE }] }],
+        scheduleDate,
+        preferredTimeSlot: { start: '09:00', end: '10:00' },
+        ...fields
+    });
+
+    const bulkBook = async (user, scope, requestBody) => {
+        const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        await createBulkBooking({ user, permission: { name: 'booking:create', scope }, body: requestBody }, res, jest.fn());
+        return { status: res.status.mock.calls[0][0], response: res.json.mock.calls[0][0] };
+    };
+
+    let bookings;
+
+    beforeEach(() => {
+        bookings = [];
+        mockTransactions();
+        jest.spyOn(Service, 'find').mockReturnValue(query([
+            { _id: SERVICE, name: 'AC repair', category: 'ac', price: 500, estimatedDuration: 60 }
+        ]));
+        jest.spyOn(Subscription, 'findOne').mockReturnValue(query(null));
+        jest.spyOn(Partner, 'find').mockReturnValue(query([]));
+        jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 1 });
+        jest.spyOn(Technician, 'find').mockReturnValue(query([
+            { _id: '64e000000000000000000001', availability: { workingHours }, maxWorkload: 5, addresses: [] }
+        ]));
+        jest.spyOn(TechnicianLeave, 'find').mockReturnValue(query([]));
+        jest.spyOn(Holiday, 'find').mockReturnValue(query([]));
+        // Capacity checks see the bookings stored so far
+        jest.spyOn(Booking, 'find').mockImplementation(() => query(bookings));
+        jest.spyOn(Booking, 'create').mockImplementation(async ([fields]) => {
+            const booking = { _id: `booking-${bookings.length + 1}`, ...fields };
+            bookings.push(booking);
+            return [booking];
+        });
+        jest.spyOn(BulkBooking, 'create').mockImplementation(async (fields) => ({ _id: 'bulk-1', ...fields }));
+        jest.spyOn(BulkBooking, 'findById').mockReturnValue(query({ _id: 'bulk-1' }));
+    });
+
+    it('books for the caller unless they may book for anyone', async () => {
+        const { status, response } = await bulkBook(CUSTOMER, 'own', body());
+
+        expect(status).toBe(201);
+        expect(response.data.errors).toBeUndefined();
+        expect(bookings[0]).toMatchObject({ user: CUSTOMER._id, scheduleDate, createdBy: CUSTOMER._id });
+        expect(BulkBooking.create).toHaveBeenCalledWith(expect.objectContaining({ client: CUSTOMER._id, scheduledDate: scheduleDate }));
+
+        await bulkBook(MANAGER, 'any', body({ preferredTimeSlot: { start: '10:00', end: '11:00' } }));
+        expect(bookings[1].user).toBe(CLIENT);
+    });
+
+    it('reserves a slot for each booking and reports the ones that did not fit', async () => {
+        const { response } = await bulkBook(CUSTOMER, 'own', body({
+            bookings: [{ services: [{ serviceId: SERVICE }] }, { services: [{ serviceId: SERVICE }] }]
+        }));
+
+        expect(bookings).toHaveLength(1);
+        expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: `slots:560001:${scheduleDate}` }, { $inc: { seq: 1 } }, expect.objectContaining({ upsert: true })
+        );
+        expect(response.data.errors).toEqual([
+            { index: 1, error: expect.stringContaining('No technician is available') }
+        ]);
+    });
+
+    it('needs a schedule date and time slot', async () => {
+        const { status, response } = await bulkBook(CUSTOMER, 'own', body({ scheduleDate: undefined, scheduledDate: scheduleDate }));
+
+        expect(status).toBe(400);
+        expect(response.message).toBe('Schedule date and preferred time slot are required');
+        expect(Booking.create).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,114 @@
+import { afterEach, describe, expect, it, jest } from '@jest/globals';
+import Part from '../src/models/Part.model.js';
+import { Service } from '../src/models/Service.model.js';
+import { Subscription } from '../src/models/Subscription.model.js';
+import { calculatePricing, quoteBooking, repriceBooking } from '../src/services/pricing.service.js';
+import { query } from './helpers/mongoose.js';
+
+const USER = '64b000000000000000000001';
+const SERVICE = '64d000000000000000000001';
+const PART = '64d000000000000000000002';
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('calculatePricing', () => {
+    it('takes discounts off the subtotal before adding tax', () => {
+        const pricing = calculatePricing({
+            services: [{ price: 500, quantity: 2 }],
+            parts: [{ price: 250, quantity: 1 }],
+            subscriptionDiscountPercent: 10,
+            coupon: { code: 'SAVE100', amount: 100 }
+        });
+
+        expect(pricing).toEqual({
+            servicesAmount: 1000,
+            partsAmount: 250,
+            subtotal: 1250,
+            subscriptionDiscountPercent: 10,
+            subscriptionDiscount: 125,
+            couponCode: 'SAVE100',
+            couponDiscount: 100,
+            discountAmount: 225,
+            taxableAmount: 1025,
+            taxRate: 18,
+            taxAmount: 184.5,
+            total: 1209.5,
+            advancePayment: 150,
+            amountDue: 1059.5
+        });
+    });
+
+    it('never discounts below zero and caps the advance at the total', () => {
+        const pricing = calculatePricing({
+            services: [{ price: 99.99 }],
+            coupon: { code: 'FREE', amount: 500 }
+        });
+
+        expect(pricing).toMatchObject({ subtotal: 99.99, couponDiscount: 99.99, total: 0, advancePayment: 0, amountDue: 0 });
+    });
+});
+
+describe('quoteBooking', () => {
+    it('prices lines from the catalog, not from the request', async () => {
+        jest.spyOn(Service, 'find').mockReturnValue(query([{ _id: SERVICE, name: 'AC repair', price: 400, estimatedDuration: 60 }]));
+        jest.spyOn(Part, 'find').mockReturnValue(query([{ _id: PART, name: 'Capacitor', price: 120 }]));
+        jest.spyOn(Subscription, 'findOne').mockReturnValue(query(null));
+
+        const quote = await quoteBooking({
+            userId: USER,
+            services: [{ serviceId: SERVICE, price: 1 }, { serviceId: SERVICE, quantity: 2 }],
+            parts: [{ partId: PART }]
+        });
+
+        expect(quote.services).toEqual([expect.objectContaining({ name: 'AC repair', price: 400, quantity: 3 })]);
+        expect(quote.parts).toEqual([{ part: PART, name: 'Capacitor', price: 120, quantity: 1 }]);
+        expect(quote.pricing).toMatchObject({ subtotal: 1320, subscriptionDiscount: 0, total: 1557.6 });
+    });
+
+    it('applies the discount of an entitled subscription', async () => {
+        jest.spyOn(Service, 'find').mockReturnValue(query([{ _id: SERVICE, name: 'AC repair', price: 1000 }]));
+        jest.spyOn(Subscription, 'findOne').mockReturnValue(query({
+            isEntitled: () => true,
+            features: { subscription_discount: 15 }
+        }));
+
+        const quote = await quoteBooking({ userId: USER, services: [{ serviceId: SERVICE }] });
+
+        expect(quote.pricing).toMatchObject({ subscriptionDiscountPercent: 15, subscriptionDiscount: 150, taxableAmount: 850 });
+    });
+
+    it('refuses unknown services and invalid quantities', async () => {
+        jest.spyOn(Service, 'find').mockReturnValue(query([]));
+        jest.spyOn(Subscription, 'findOne').mockReturnValue(query(null));
+
+        await expect(quoteBooking({ userId: USER, services: [{ serviceId: SERVICE }] }))
+            .rejects.toMatchObject({ statusCode: 400, message: `Service not found or not available: ${SERVICE}` });
+        await expect(quoteBooking({ userId: USER, services: [{ serviceId: SERVICE, quantity: 1.5 }] }))
+            .rejects.toThrow('Quantity must be a positive whole number');
+        await expect(quoteBooking({ userId: USER, services: [] }))
+            .rejects.toThrow('At least one service is required');
+    });
+});
+
+describe('repriceBooking', () => {
+    it('keeps the locked subscription discount and coupon when parts change', () => {
+        const booking = {
+            services: [{ price: 1000, quantity: 1 }],
+            parts: [{ price: 200, quantity: 2 }],
+            pricing: { subscriptionDiscountPercent: 10, couponDiscount: 50 },
+            discount: { coupon: 'SAVE50', amount: 150 }
+        };
+
+        const pricing = repriceBooking(booking);
+
+        expect(pricing).toMatchObject({ subtotal: 1400, subscriptionDiscount: 140, couponDiscount: 50, taxableAmount: 1210 });
+        expect(booking).toMatchObject({
+            totalAmount: 1400,
+            partsAmount: 400,
+            discount: { coupon: 'SAVE50', amount: 190 },
+            finalAmount: 1427.8
+        });
+    });
+});
@@ -0,0 +1,141 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { Booking } from '../src/models/Booking.model.js';
+import { Counter } from '../src/models/Counter.model.js';
+import { Holiday } from '../src/models/Holiday.model.js';
+import { Service } from '../src/models/Service.model.js';
+import { Technician } from '../src/models/Technician.model.js';
+import { TechnicianLeave } from '../src/models/TechnicianLeave.model.js';
+import {
+    assertSlotAvailable,
+    getAvailableSlots,
+    reserveSlot
+} from '../src/services/slotAvailability.service.js';
+import { mockTransactions, query } from './helpers/mongoose.js';
+
+const SERVICE = '64d000000000000000000001';
+const TECHNICIAN = '64e000000000000000000001';
+
+// A day far enough ahead that none of its slots are in the past
+const DAY = (() => {
+    const date = new Date();
+    date.setDate(date.getDate() + 3);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+})();
+
+const workingHours = Object.fromEntries(
+    ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+        .map((day) => [day, { available: true, start: '09:00', end: '12:00' }])
+);
+
+const technician = { _id: TECHNICIAN, availability: { workingHours }, maxWorkload: 5, addresses: [] };
+
+const slot = (preferredTimeSlot) => ({
+    serviceIds: [SERVICE],
+    pincode: '560001',
+    scheduleDate: DAY,
+    preferredTimeSlot
+});
+
+const withBookings = (bookings) => jest.spyOn(Booking, 'find').mockReturnValue(query(bookings));
+
+beforeEach(() => {
+    jest.spyOn(Service, 'find').mockReturnValue(query([{ _id: SERVICE, name: 'AC repair', category: 'ac' }]));
+    jest.spyOn(Technician, 'find').mockReturnValue(query([technician]));
+    jest.spyOn(TechnicianLeave, 'find').mockReturnValue(query([]));
+    jest.spyOn(Holiday, 'find').mockReturnValue(query([]));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('assertSlotAvailable', () => {
+    it('refuses a malformed time slot with a 400', async () => {
+        await expect(assertSlotAvailable(slot({ start: '9am', end: '10:00' })))
+            .rejects.toMatchObject({ statusCode: 400, message: 'Time slot must have a start and end in HH:MM format' });
+        await expect(assertSlotAvailable(slot({ start: '10:00', end: '09:00' })))
+            .rejects.toMatchObject({ statusCode: 400, message: 'Time slot end must be after its start' });
+    });
+
+    it('accepts a window a free technician works in', async () => {
+        withBookings([]);
+
+        await expect(assertSlotAvailable(slot({ start: '09:00', end: '10:00' }))).resolves.toBeUndefined();
+    });
+
+    it('refuses a window outside working hours and suggests free slots', async () => {
+        withBookings([]);
+
+        await expect(assertSlotAvailable(slot({ start: '14:00', end: '15:00' }))).rejects.toMatchObject({
+            statusCode: 409,
+            errors: [
+                expect.objectContaining({ date: DAY, start: '11:00', end: '12:00', capacity: 1 }),
+                expect.objectContaining({ date: DAY, start: '10:00', end: '11:00', capacity: 1 }),
+                expect.objectContaining({ date: DAY, start: '09:00', end: '10:00', capacity: 1 })
+            ]
+        });
+    });
+
+    it('counts the technician busy for an overlapping assigned booking', async () => {
+        withBookings([{ assigned_technician: TECHNICIAN, status: 'assigned', preferredTimeSlot: { start: '09:30', end: '10:30' } }]);
+
+        await expect(assertSlotAvailable(slot({ start: '09:00', end: '10:00' })))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('counts unassigned bookings in the pincode against capacity', async () => {
+        withBookings([{ assigned_technician: null, status: 'pending', preferredTimeSlot: { start: '09:00', end: '10:00' } }]);
+
+        await expect(assertSlotAvailable(slot({ start: '09:00', end: '10:00' })))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+});
+
+describe('getAvailableSlots', () => {
+    it('lists the free slots within working hours with their capacity', async () => {
+        withBookings([{ assigned_technician: TECHNICIAN, status: 'confirmed', preferredTimeSlot: { start: '10:00', end: '11:00' } }]);
+
+        const slots = await getAvailableSlots({ serviceIds: SERVICE, pincode: '560001', date: DAY });
+
+        expect(slots).toEqual([
+            { date: DAY, start: '09:00', end: '10:00', capacity: 1 },
+            { date: DAY, start: '11:00', end: '12:00', capacity: 1 }
+        ]);
+    });
+});
+
+describe('reserveSlot', () => {
+    it('holds the pincode day before checking capacity and stores the booking in the transaction', async () => {
+        const session = mockTransactions();
+        const calls = [];
+        jest.spyOn(Counter, 'findOneAndUpdate').mockImplementation(async () => calls.push('counter'));
+        jest.spyOn(Booking, 'find').mockImplementation(() => {
+            calls.push('capacity');
+            return query([]);
+        });
+        const book = jest.fn(async () => ({ _id: 'booking' }));
+
+        await expect(reserveSlot(slot({ start: '09:00', end: '10:00' }), book)).resolves.toEqual({ _id: 'booking' });
+
+        expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: `slots:560001:${DAY}` },
+            { $inc: { seq: 1 } },
+            { upsert: true, session }
+        );
+        expect(calls).toEqual(['counter', 'capacity']);
+        expect(book).toHaveBeenCalledWith(session);
+        expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('stores nothing when the slot is full', async () => {
+        const session = mockTransactions();
+        jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({});
+        withBookings([{ assigned_technician: null, status: 'pending', preferredTimeSlot: { start: '09:00', end: '10:00' } }]);
+        const book = jest.fn();
+
+        await expect(reserveSlot(slot({ start: '09:00', end: '10:00' }), book)).rejects.toMatchObject({ statusCode: 409 });
+
+        expect(book).not.toHaveBeenCalled();
+        expect(session.endSession).toHaveBeenCalled();
+    });
+});
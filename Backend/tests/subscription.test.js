@@ -0,0 +1,131 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { Payment } from '../src/models/Payment.model.js';
+import { Subscription } from '../src/models/Subscription.model.js';
+import { SubscriptionPlan } from '../src/models/SubscriptionPlan.model.js';
+import { User } from '../src/models/User.model.js';
+import { Wallet } from '../src/models/Wallet.model.js';
+import { WalletTransaction } from '../src/models/WalletTransaction.model.js';
+import { changePlan, getPlanChangeQuote } from '../src/services/subscription.service.js';
+import { mockTransactions, query } from './helpers/mongoose.js';
+
+const USER = '64b000000000000000000001';
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-11-20T10:00:00Z');
+
+const plans = {
+    basic: new SubscriptionPlan({ code: 'basic', name: 'Basic', price: 300, periodDays: 30, features: { subscription_discount: 5 } }),
+    premium: new SubscriptionPlan({ code: 'premium', name: 'Premium', price: 900, periodDays: 30, features: { subscription_discount: 15 } }),
+    starter: new SubscriptionPlan({ code: 'starter', name: 'Starter', price: 100, periodDays: 30, features: { subscription_discount: 0 } })
+};
+
+// Ten days into a 30 day basic period
+const subscription = (fields = {}, now = NOW) => {
+    const target = new Subscription({
+        user: USER,
+        subscriptionId: 'sub_1',
+        plan: 'basic',
+        price: 300,
+        periodDays: 30,
+        status: 'active',
+        currentPeriodStart: new Date(now.getTime() - 10 * DAY),
+        currentPeriodEnd: new Date(now.getTime() + 20 * DAY),
+        ...fields
+    });
+    jest.spyOn(target, 'save').mockResolvedValue(target);
+    return target;
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getPlanChangeQuote', () => {
+    it('credits the unused part of the period against the new price', () => {
+        expect(getPlanChangeQuote(subscription(), plans.premium, NOW)).toEqual({
+            fromPlan: 'basic',
+            toPlan: 'premium',
+            price: 900,
+            credit: 200,
+            amountDue: 700,
+            walletCredit: 0,
+            periodStart: NOW,
+            periodEnd: new Date(NOW.getTime() + 30 * DAY)
+        });
+    });
+
+    it('sends a credit larger than the new price to the wallet', () => {
+        expect(getPlanChangeQuote(subscription(), plans.starter, NOW))
+            .toMatchObject({ credit: 200, amountDue: 0, walletCredit: 100 });
+    });
+
+    it('credits nothing for free or lapsed subscriptions', () => {
+        expect(getPlanChangeQuote(subscription({ plan: 'free', price: 0 }), plans.premium, NOW))
+            .toMatchObject({ credit: 0, amountDue: 900 });
+        expect(getPlanChangeQuote(subscription({ status: 'expired' }), plans.premium, NOW))
+            .toMatchObject({ credit: 0, amountDue: 900 });
+        expect(getPlanChangeQuote(subscription({ status: 'past_due', graceUntil: new Date(NOW.getTime() - DAY) }), plans.premium, NOW))
+            .toMatchObject({ credit: 0, amountDue: 900 });
+    });
+
+    it('works out the period start of older subscriptions from its length', () => {
+        expect(getPlanChangeQuote(subscription({ currentPeriodStart: null }), plans.premium, NOW))
+            .toMatchObject({ credit: 200, amountDue: 700 });
+    });
+});
+
+describe('changePlan', () => {
+    let session;
+
+    beforeEach(() => {
+        session = mockTransactions();
+        jest.spyOn(SubscriptionPlan, 'findOne').mockImplementation(async ({ code }) => plans[code] || null);
+        jest.spyOn(User, 'findById').mockReturnValue(query(null));
+        jest.spyOn(WalletTransaction, 'create').mockImplementation(async ([fields]) => [{ transactionId: 'WT1', ...fields }]);
+        jest.spyOn(Payment, 'create').mockImplementation(async ([fields]) => [{ _id: 'payment-1', ...fields }]);
+    });
+
+    it('charges the prorated difference to the wallet and starts a new period', async () => {
+        const wallet = jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ _id: 'wallet-1', balance: 300 });
+        const target = subscription({}, new Date());
+
+        const { quote, payment } = await changePlan(target, 'Premium', { payWith: 'wallet' });
+
+        expect(quote).toMatchObject({ credit: 200, amountDue: 700 });
+        expect(wallet.mock.calls[0][0]).toEqual({ user: target.user, balance: { $gte: 700 } });
+        expect(payment).toMatchObject({ provider: 'wallet', plan: 'premium', billingReason: 'plan_change', amount: 700 });
+        expect(target).toMatchObject({ plan: 'premium', price: 900, status: 'active' });
+        expect(target.features.subscription_discount).toBe(15);
+        expect(target.history.at(-1)).toMatchObject({
+            event: 'upgraded',
+            fromPlan: 'basic',
+            toPlan: 'premium',
+            amount: 700,
+            note: 'Rs. 200.00 credited for the unused basic period'
+        });
+        expect(target.save).toHaveBeenCalledWith({ session });
+    });
+
+    it('pays a downgrade out of the credit and refunds the rest to the wallet', async () => {
+        const wallet = jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ _id: 'wallet-1', balance: 100 });
+        const target = subscription({}, new Date());
+
+        const { quote, payment } = await changePlan(target, 'starter', { payWith: 'wallet' });
+
+        expect(quote).toMatchObject({ amountDue: 0, walletCredit: 100 });
+        expect(payment).toBeNull();
+        expect(Payment.create).not.toHaveBeenCalled();
+        expect(wallet).toHaveBeenCalledTimes(1);
+        expect(wallet.mock.calls[0][0]).toEqual({ user: target.user });
+        expect(WalletTransaction.create.mock.calls[0][0][0]).toMatchObject({ type: 'credit', category: 'refund', amount: 100 });
+        expect(target.history.at(-1)).toMatchObject({ event: 'downgraded', amount: -100 });
+    });
+
+    it('leaves the plan alone when the wallet cannot cover the difference', async () => {
+        jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(null);
+        const target = subscription({}, new Date());
+
+        await expect(changePlan(target, 'premium', { payWith: 'wallet' })).rejects.toMatchObject({ statusCode: 409 });
+        expect(target.plan).toBe('basic');
+        expect(target.save).not.toHaveBeenCalled();
+    });
+});
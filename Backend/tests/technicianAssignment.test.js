@@ -0,0 +1,137 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { Booking } from '../src/models/Booking.model.js';
+import { Holiday } from '../src/models/Holiday.model.js';
+import { Service } from '../src/models/Service.model.js';
+import { Technician } from '../src/models/Technician.model.js';
+import { TechnicianLeave } from '../src/models/TechnicianLeave.model.js';
+import {
+    distanceInKm,
+    getScoringWeights,
+    rankCandidates
+} from '../src/services/technicianAssignment.service.js';
+import { query } from './helpers/mongoose.js';
+
+const SERVICE = '64d000000000000000000001';
+const PARTNER = '64f000000000000000000001';
+const NEAR = '64e000000000000000000001';
+const FAR = '64e000000000000000000002';
+
+const workingHours = Object.fromEntries(
+    ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+        .map((day) => [day, { available: true, start: '08:00', end: '20:00' }])
+);
+
+const technician = (id, fields = {}) => ({
+    _id: id,
+    name: `Technician ${id.slice(-1)}`,
+    availability: { workingHours },
+    maxWorkload: 4,
+    skills: [],
+    addresses: [],
+    averageRating: 0,
+    ...fields
+});
+
+const near = technician(NEAR, {
+    skills: ['AC repair'],
+    averageRating: 5,
+    location: { coordinates: [77.59, 12.97] }
+});
+const far = technician(FAR, {
+    partner: PARTNER,
+    location: { coordinates: [77.59, 13.07] }
+});
+
+const booking = (fields = {}) => {
+    const scheduleDate = new Date();
+    scheduleDate.setDate(scheduleDate.getDate() + 2);
+    return {
+        _id: '64a000000000000000000001',
+        services: [{ serviceId: { _id: SERVICE, category: 'appliance' }, name: 'AC repair' }],
+        address: { pincode: '560001', location: { coordinates: { latitude: 12.97, longitude: 77.59 } } },
+        scheduleDate,
+        preferredTimeSlot: { start: '10:00', end: '11:00' },
+        declinedBy: [],
+        partner: null,
+        ...fields
+    };
+};
+
+beforeEach(() => {
+    jest.spyOn(Service, 'find').mockReturnValue(query([{ _id: SERVICE, name: 'AC repair', category: 'appliance' }]));
+    jest.spyOn(Technician, 'find').mockReturnValue(query([far, near]));
+    jest.spyOn(TechnicianLeave, 'find').mockReturnValue(query([]));
+    jest.spyOn(Holiday, 'find').mockReturnValue(query([]));
+    jest.spyOn(Booking, 'find').mockReturnValue(query([]));
+    jest.spyOn(Booking, 'aggregate').mockResolvedValue([]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('distanceInKm', () => {
+    it('measures the great-circle distance and gives up on unknown points', () => {
+        expect(distanceInKm({ latitude: 12, longitude: 77 }, { latitude: 13, longitude: 77 })).toBeCloseTo(111.19, 1);
+        expect(distanceInKm(null, { latitude: 13, longitude: 77 })).toBeNull();
+    });
+});
+
+describe('getScoringWeights', () => {
+    it('applies per-call overrides and ignores invalid ones', () => {
+        expect(getScoringWeights({ distance: 5, rating: -1, workload: 'heavy' })).toEqual({
+            skillOverlap: 3,
+            distance: 5,
+            workload: 2,
+            rating: 1,
+            declineHistory: 1,
+            partnerAffiliation: 1
+        });
+    });
+});
+
+describe('rankCandidates', () => {
+    it('ranks by the weighted factors and explains every score', async () => {
+        const { candidates } = await rankCandidates(booking());
+
+        expect(candidates.map((candidate) => candidate.technician._id)).toEqual([NEAR, FAR]);
+
+        const [best] = candidates;
+        expect(best.distanceKm).toBe(0);
+        expect(best.breakdown.skillOverlap).toMatchObject({ score: 0.5, detail: '1/2 service skills matched' });
+        expect(best.breakdown.rating).toMatchObject({ score: 1, detail: 'Average rating 5' });
+        const weighted = Object.values(best.breakdown).reduce((sum, factor) => sum + factor.weighted, 0);
+        expect(best.score).toBeCloseTo(weighted, 2);
+    });
+
+    it('lowers technicians who declined recently and busy ones', async () => {
+        Booking.aggregate.mockResolvedValue([{ _id: NEAR, count: 3 }]);
+        Booking.find.mockReturnValue(query([
+            { assigned_technician: NEAR, status: 'assigned', preferredTimeSlot: { start: '08:00', end: '09:00' } },
+            { assigned_technician: NEAR, status: 'assigned', preferredTimeSlot: { start: '14:00', end: '15:00' } }
+        ]));
+
+        const { candidates } = await rankCandidates(booking());
+        const nearest = candidates.find((candidate) => candidate.technician._id === NEAR);
+
+        expect(nearest.workload).toBe(2);
+        expect(nearest.breakdown.workload).toMatchObject({ score: 0.5, detail: '2/4 bookings that day' });
+        expect(nearest.breakdown.declineHistory.score).toBe(0.25);
+    });
+
+    it('never offers a booking to a technician who declined it', async () => {
+        const { candidates } = await rankCandidates(booking({ declinedBy: [{ technician: NEAR }] }));
+
+        expect(candidates.map((candidate) => candidate.technician._id)).toEqual([FAR]);
+    });
+
+    it('prefers the partner the booking is routed to and can keep to its technicians', async () => {
+        const weights = { skillOverlap: 0, distance: 0, rating: 0, partnerAffiliation: 10 };
+
+        const ranked = await rankCandidates(booking({ partner: PARTNER }), { weights });
+        expect(ranked.candidates[0].technician._id).toBe(FAR);
+
+        const scoped = await rankCandidates(booking({ partner: PARTNER }), { partner: PARTNER });
+        expect(scoped.candidates.map((candidate) => candidate.technician._id)).toEqual([FAR]);
+    });
+});
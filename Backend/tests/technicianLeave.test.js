@@ -0,0 +1,171 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { Booking } from '../src/models/Booking.model.js';
+import { Holiday } from '../src/models/Holiday.model.js';
+import { Technician } from '../src/models/Technician.model.js';
+import { TechnicianLeave } from '../src/models/TechnicianLeave.model.js';
+import { User } from '../src/models/User.model.js';
+import { bookingEvents } from '../src/services/bookingLifecycle.service.js';
+import { getTechniciansOff, observesHoliday } from '../src/services/slotAvailability.service.js';
+import {
+    cancelLeave,
+    flagHolidayBookings,
+    requestLeave,
+    reviewLeave
+} from '../src/services/technicianLeave.service.js';
+import { query } from './helpers/mongoose.js';
+
+const FIRST = '64e000000000000000000001';
+const SECOND = '64e000000000000000000002';
+const PARTNER = '64f000000000000000000001';
+const ADMIN = { _id: 'admin-1', role: 'Admin' };
+const DAY = 24 * 60 * 60 * 1000;
+
+const technician = (id, state) => ({ _id: id, name: { first: 'Ravi', last: id.slice(-1) }, addresses: [{ state }] });
+
+// Midnight a number of days from today, as a YYYY-MM-DD request date
+const inDays = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const heldBooking = (id, technicianId, fields = {}) => ({
+    _id: id,
+    bookingId: `BK0000000${id.slice(-1)}`,
+    status: 'confirmed',
+    assigned_technician: technicianId,
+    save: jest.fn(async () => {}),
+    ...fields
+});
+
+beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue(query(null));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    bookingEvents.removeAllListeners();
+});
+
+describe('getTechniciansOff', () => {
+    it('takes out technicians on approved leave and those observing a holiday', async () => {
+        const day = new Date(2026, 10, 20);
+        jest.spyOn(TechnicianLeave, 'find').mockReturnValue(query([{ technician: FIRST }]));
+        const holidays = jest.spyOn(Holiday, 'find').mockReturnValue(query([{ states: ['karnataka'] }]));
+        const third = technician('64e000000000000000000003', 'Kerala');
+
+        const off = await getTechniciansOff([technician(FIRST, 'Kerala'), technician(SECOND, ' Karnataka '), third], day);
+
+        expect([...off]).toEqual([FIRST, SECOND]);
+        expect(TechnicianLeave.find).toHaveBeenCalledWith(expect.objectContaining({
+            status: 'approved',
+            startDate: { $lte: day },
+            endDate: { $gte: day }
+        }));
+        expect(holidays).toHaveBeenCalledWith({ date: { $gte: day, $lt: new Date(2026, 10, 21) }, isActive: true });
+    });
+
+    it('applies national holidays to everyone', () => {
+        expect(observesHoliday({ states: [] }, technician(FIRST, 'Kerala'))).toBe(true);
+        expect(observesHoliday({ states: ['Goa'] }, { addresses: [] })).toBe(false);
+    });
+});
+
+describe('requestLeave', () => {
+    beforeEach(() => {
+        jest.spyOn(TechnicianLeave, 'exists').mockResolvedValue(null);
+        jest.spyOn(TechnicianLeave, 'create').mockImplementation(async (fields) => ({ _id: 'leave-1', ...fields }));
+        jest.spyOn(User, 'find').mockReturnValue(query([]));
+    });
+
+    it('stores whole days and asks admins, managers and the partner to review', async () => {
+        const leave = await requestLeave({ _id: FIRST, partner: PARTNER }, { startDate: inDays(3), endDate: inDays(4), type: 'casual' });
+
+        expect(leave).toMatchObject({ technician: FIRST, type: 'casual' });
+        expect(leave.endDate - leave.startDate).toBe(DAY);
+        expect(User.find.mock.calls[0][0].$or).toEqual([
+            { role: { $in: ['Admin', 'Manager'] } },
+            { role: 'Partner', partner: PARTNER }
+        ]);
+    });
+
+    it('refuses invalid or overlapping days', async () => {
+        await expect(requestLeave({ _id: FIRST }, { startDate: inDays(4), endDate: inDays(3) }))
+            .rejects.toThrow('End date cannot be before the start date');
+        await expect(requestLeave({ _id: FIRST }, { startDate: inDays(-1) }))
+            .rejects.toThrow('Leave cannot start in the past');
+        await expect(requestLeave({ _id: FIRST }, { startDate: inDays(1), endDate: inDays(31) }))
+            .rejects.toThrow('Leave can cover at most 30 days per request');
+
+        TechnicianLeave.exists.mockResolvedValue({ _id: 'leave-0' });
+        await expect(requestLeave({ _id: FIRST }, { startDate: inDays(1) })).rejects.toMatchObject({ statusCode: 409 });
+        expect(TechnicianLeave.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('reviewLeave', () => {
+    const approved = (fields = {}) => ({
+        _id: 'leave-1',
+        technician: FIRST,
+        status: 'approved',
+        startDate: new Date(2026, 10, 20),
+        endDate: new Date(2026, 10, 21),
+        save: jest.fn(async () => {}),
+        ...fields
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Technician, 'findById').mockReturnValue(query(technician(FIRST, 'Kerala')));
+    });
+
+    it('flags the bookings the technician holds on the approved days', async () => {
+        const reviewed = approved();
+        jest.spyOn(TechnicianLeave, 'findOneAndUpdate').mockResolvedValue(reviewed);
+        const open = heldBooking('64a000000000000000000001', FIRST);
+        const escalated = heldBooking('64a000000000000000000002', FIRST, { escalation: { escalatedAt: new Date(), resolvedAt: null } });
+        const find = jest.spyOn(Booking, 'find').mockResolvedValue([open, escalated]);
+
+        const { flaggedBookings } = await reviewLeave({ _id: 'leave-1' }, { decision: 'approved', actor: ADMIN });
+
+        expect(find).toHaveBeenCalledWith({
+            assigned_technician: FIRST,
+            status: { $in: ['assigned', 'confirmed'] },
+            scheduleDate: { $gte: new Date(2026, 10, 20), $lt: new Date(2026, 10, 22) }
+        });
+        expect(flaggedBookings).toEqual([open]);
+        expect(open.escalation.reason).toBe('Ravi 1 is on leave from Fri Nov 20 2026 to Sat Nov 21 2026');
+        expect(escalated.save).not.toHaveBeenCalled();
+        expect(reviewed.affectedBookings).toEqual([open._id]);
+    });
+
+    it('reviews leave only once', async () => {
+        jest.spyOn(TechnicianLeave, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await expect(reviewLeave({ _id: 'leave-1', status: 'rejected' }, { decision: 'approved', actor: ADMIN }))
+            .rejects.toThrow('Leave is already rejected');
+        await expect(reviewLeave({ _id: 'leave-1' }, { decision: 'maybe' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('cancelLeave', () => {
+    it('only withdraws leave that has not started', async () => {
+        const update = jest.spyOn(TechnicianLeave, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await expect(cancelLeave({ _id: 'leave-1' })).rejects.toMatchObject({ statusCode: 409 });
+        expect(update.mock.calls[0][0]).toMatchObject({ status: { $in: ['pending', 'approved'] }, startDate: { $gt: expect.any(Date) } });
+    });
+});
+
+describe('flagHolidayBookings', () => {
+    it('flags only technicians in the states of a regional holiday', async () => {
+        const holiday = { name: 'Kannada Rajyotsava', date: new Date(2026, 10, 1), states: ['Karnataka'], isActive: true };
+        const observing = heldBooking('64a000000000000000000001', FIRST);
+        const elsewhere = heldBooking('64a000000000000000000002', SECOND);
+        jest.spyOn(Booking, 'find').mockResolvedValue([observing, elsewhere]);
+        jest.spyOn(Technician, 'find').mockReturnValue(query([technician(FIRST, 'Karnataka'), technician(SECOND, 'Kerala')]));
+
+        await expect(flagHolidayBookings(holiday)).resolves.toEqual([observing]);
+        expect(observing.escalation.reason).toBe('The technician does not work on Kannada Rajyotsava (Sun Nov 01 2026)');
+        expect(elsewhere.save).not.toHaveBeenCalled();
+    });
+});
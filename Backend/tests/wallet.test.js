@@ -0,0 +1,77 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Wallet } from '../src/models/Wallet.model.js';
+import { WalletTransaction } from '../src/models/WalletTransaction.model.js';
+import { creditWallet, debitWallet } from '../src/services/wallet.service.js';
+import { mockTransactions } from './helpers/mongoose.js';
+
+const USER = '64b000000000000000000001';
+
+describe('wallet balance guards', () => {
+    let session;
+
+    beforeEach(() => {
+        session = mockTransactions();
+        jest.spyOn(WalletTransaction, 'create').mockImplementation(async ([fields]) => [fields]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('only debits a wallet holding at least the amount', async () => {
+        const update = jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ _id: 'wallet-1', balance: 40 });
+
+        const { transaction } = await debitWallet(USER, 60, { booking: 'booking-1' });
+
+        const [filter, , options] = update.mock.calls[0];
+        expect(filter).toEqual({ user: USER, balance: { $gte: 60 } });
+        expect(options).toMatchObject({ upsert: false, session });
+        expect(transaction).toMatchObject({ type: 'debit', amount: 60, balanceAfter: 40 });
+    });
+
+    it('refuses a debit larger than the balance without writing a journal entry', async () => {
+        jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await expect(debitWallet(USER, 500)).rejects.toMatchObject({ statusCode: 409 });
+        expect(WalletTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('creates the wallet on the first credit', async () => {
+        const update = jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ _id: 'wallet-1', balance: 25 });
+
+        await creditWallet(USER, 25, { category: 'goodwill' });
+
+        const [filter, , options] = update.mock.calls[0];
+        expect(filter).toEqual({ user: USER });
+        expect(options).toMatchObject({ upsert: true });
+    });
+
+    it('writes journal entries that balance', async () => {
+        jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ _id: 'wallet-1', balance: 10 });
+
+        const { transaction } = await creditWallet(USER, 10.005, { category: 'cashback' });
+
+        const debits = transaction.entries.reduce((sum, entry) => sum + (entry.debit || 0), 0);
+        const credits = transaction.entries.reduce((sum, entry) => sum + (entry.credit || 0), 0);
+        expect(debits).toBe(credits);
+        expect(transaction.entries).toContainEqual({ account: `wallet:${USER}`, credit: transaction.amount });
+    });
+
+    it('rejects amounts that are not positive and unknown credit categories', () => {
+        expect(() => debitWallet(USER, 0)).toThrow('Amount must be greater than zero');
+        expect(() => debitWallet(USER, -5)).toThrow('Amount must be greater than zero');
+        expect(() => creditWallet(USER, 5, { category: 'booking_payment' })).toThrow(/category/);
+    });
+
+    it('joins the caller\'s transaction instead of starting one', async () => {
+        jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ _id: 'wallet-1', balance: 0 });
+        const outer = { id: 'outer' };
+
+        await debitWallet(USER, 5, { session: outer });
+
+        expect(mongoose.startSession).not.toHaveBeenCalled();
+        expect(Wallet.findOneAndUpdate.mock.calls[0][2].session).toBe(outer);
+        expect(WalletTransaction.create.mock.calls[0][1]).toEqual({ session: outer });
+    });
+});